@@ -7,23 +7,163 @@
  * - db-input
  * - status-text
  * - intro-overlay (optional)
- * - processing-indicator (optional)
+ * - processing-indicator, processing-phase, processing-progress, processing-cancel (optional)
  * - verified-badge (optional)
  * - file-metadata (optional)
  * - toggle-field-mode (optional)
+ * - locale-select (optional); [data-i18n], [data-i18n-title], [data-i18n-aria-label],
+ *   [data-i18n-placeholder] elements are filled from the message catalogs (i18n.js)
+ * - mapping-overlay, mapping-table, mapping-source, mapping-roles, mapping-error,
+ *   mapping-confirm, mapping-cancel
+ * - remap-columns (optional)
+ * - range-preset, range-custom, range-from, range-to, range-apply, range-window (optional)
+ * - tz-select, tz-visits (optional)
+ * - privacy-mode, privacy-min-cell, privacy-indicator (optional)
+ * - workload-metric, edit-roles, roles-overlay, roles-table, roles-known, roles-error,
+ *   roles-save, roles-cancel, roles-clear (optional)
+ * - edit-alerts, alert-summary, alerts-overlay, alerts-table, alerts-statuses, alerts-error,
+ *   alerts-add, alerts-save, alerts-cancel (optional)
+ * - title-visits (optional)
+ * - bucket-visits, bucket-duration, view-duration (optional)
+ * - view-volume, window-volume, unit-volume (optional)
+ * - filter-chips (optional)
+ * - export-report (optional)
+ * - export-data (optional)
+ * - compare-input, compare-controls, compare-metadata, compare-swap, compare-clear, delta-visits (optional)
+ * - .site-select, site-legend (optional)
+ * - quality-report, quality-summary (optional)
+ * - sql-toggle, sql-body, sql-input, sql-run, sql-history, sql-message, sql-output,
+ *   sql-view, sql-x, sql-y, sql-pager, sql-prev, sql-page, sql-next, sql-table, sql-chart (optional)
  * - chart-visits, chart-duration, chart-states, chart-operators, chart-volume
+ * - chart-tooltip, chart-live (optional)
+ * - .table-toggle, table-visits, table-duration, table-states, table-operators, table-volume,
+ *   status-summary (optional)
  * - .panel elements
  */
 
+import { LOCALES, DEFAULT_LOCALE, MESSAGES } from "./i18n.js";
+
 /* ----------------------------- CONFIG ----------------------------- */
 const WORKER_PATH = "./telemetry-worker.js";
+const PROTOCOL_VERSION = 2; // worker message protocol (telemetry-worker.js)
 
 // Hard stop to prevent browser OOM in field laptops
-const MAX_FILE_BYTES = 100 * 1024 * 1024; // 100MB
+const MAX_FILE_BYTES = 100 * 1024 * 1024; // 100MB per file
+const MAX_TOTAL_BYTES = 300 * 1024 * 1024; // merged multi-site load (mirrors the worker budget)
+const ACCEPTED_FILE = /\.(db|sqlite3?|csv|tsv|tab|txt|json|ndjson|jsonl)$/i;
+// SQLite exports above MAX_FILE_BYTES are handed to the worker as a File and
+// read page by page (large-file mode) instead of being copied whole
+const SQLITE_FILE = /\.(db|sqlite3?)$/i;
+const MAX_LARGE_FILE_BYTES = 2 * 1024 * 1024 * 1024; // mirrors the worker limit
 
 // Worker health / recovery
 const WORKER_BOOT_TIMEOUT_MS = 4000; // if no READY in time, surface error
 const MAX_WORKER_RESTARTS = 1;
+const CANCEL_GRACE_MS = 3000; // worker stuck in one long statement: restart it instead
+// Rejections that are not failures: a newer request, a cancel or a restart took over
+const IGNORED_ERRORS = new Set(["SUPERSEDED", "CANCELLED", "WORKER_TERMINATED"]);
+
+// SQL console: the worker enforces read-only, row limit and timeout; paging is local
+const SQL_PAGE_ROWS = 50;
+// The worker's 10 s timeout is checked between rows; this long after the
+// worker picked the query up, one step is stuck
+const SQL_DEADLINE_MS = 15 * 1000;
+const SQL_HISTORY_MAX = 20;
+
+// UI language (i18n.js). Label maps below hold message keys; show them with t().
+const LOCALE_STORAGE_KEY = "muthur.locale";
+
+// Worker PROGRESS phases as shown under the processing indicator
+const PHASE_LABELS = {
+  open: "phase.open",
+  load: "phase.load",
+  schema: "phase.schema",
+  visits: "phase.visits",
+  duration: "phase.duration",
+  states: "phase.states",
+  operators: "phase.operators",
+  volume: "phase.volume",
+  sites: "phase.sites",
+  done: "phase.done",
+};
+
+// Column roles the worker maps; order is the order shown in the mapping dialog
+const ROLE_LABELS = {
+  time: "role.time",
+  duration: "role.duration",
+  operator: "role.operator",
+  staffRole: "role.staffRole",
+  status: "role.status",
+  site: "role.site",
+};
+
+// Privacy mode: "off", "export" (reports and data exports only) or "on".
+// Small counts merge into one row under this label (worker: SUPPRESSED_LABEL).
+const DEFAULT_PRIVACY_MODE = "export";
+const DEFAULT_MIN_CELL = 5;
+const MAX_MIN_CELL = 100;
+const SUPPRESSED_LABEL = "OTHER (suppressed)";
+
+// Staff workload: raw events, or events per staff member per shift of N hours
+// (worker: SHIFT_HOURS). The name -> role map is kept in this browser only.
+const WORKLOAD_METRICS = {
+  events: "workload.metricEvents",
+  8: "workload.metric8",
+  12: "workload.metric12",
+  24: "workload.metric24",
+};
+const DEFAULT_SHIFT_HOURS = 8;
+const ROLE_MAP_STORAGE_KEY = "muthur.staffRoles";
+const MAX_ROLE_MAP = 2000; // mirrors the worker limit
+const MAX_ROLE_LENGTH = 40;
+const UNASSIGNED_ROLE = "UNASSIGNED";
+
+// Threshold alert rules, saved in this browser
+const ALERT_RULES_STORAGE_KEY = "muthur.alertRules";
+const MAX_ALERT_RULES = 20;
+
+// Timestamp formats the worker can read (worker: DATE_FORMATS)
+const DATE_FORMAT_LABELS = {
+  auto: "dateFormat.auto",
+  iso: "dateFormat.iso",
+  dmy: "dateFormat.dmy",
+  mdy: "dateFormat.mdy",
+  epoch_s: "dateFormat.epoch_s",
+  epoch_ms: "dateFormat.epoch_ms",
+  julian: "dateFormat.julian",
+  excel: "dateFormat.excel",
+};
+
+// Data quality checks (worker: QUALITY_CHECKS), in report order
+const QUALITY_LABELS = {
+  time_unparsed: "quality.time_unparsed",
+  time_future: "quality.time_future",
+  time_before_2000: "quality.time_before_2000",
+  duration_negative: "quality.duration_negative",
+  duration_extreme: "quality.duration_extreme",
+  status_singleton: "quality.status_singleton",
+  duplicate_rows: "quality.duplicate_rows",
+};
+
+// Time-range presets; relative ones are anchored to the newest record in the export
+const RANGE_LABELS = {
+  "24h": "range.24h",
+  "7d": "range.7d",
+  "30d": "range.30d",
+  custom: "range.custom",
+  all: "range.all",
+};
+
+// Zone offsets only change on quarter hours (mirrors the worker's cache)
+const ZONE_SLOT_MS = 15 * 60 * 1000;
+
+// Time bucket sizes offered per panel (worker: BUCKET_UNITS)
+const BUCKET_LABELS = {
+  hour: "bucket.hour",
+  day: "bucket.day",
+  isoweek: "bucket.isoweek",
+  epiweek: "bucket.epiweek",
+};
 
 // Status codes are used for data-status attribute on #status-text
 const STATUS = {
@@ -35,31 +175,118 @@ const STATUS = {
   INVALID: "INVALID",
 };
 
-// Map technical errors to user-facing guidance
+// Map technical errors to user-facing guidance (message keys)
 const ERROR_MAP = {
-  "FILE EXCEEDS CAPACITY": "File too large. Export a smaller date range.",
-  "NO TABLES FOUND": "Not a valid EMR export (no tables detected).",
-  "INVALID SCHEMA": "Required visit/workflow data not found in this export.",
-  "WORKER BUSY": "System busy. Please wait.",
-  "WORKER CRASH": "Analysis engine crashed. Please reload.",
-  "WORKER NOT READY": "System initializing. Please try again.",
-  "READ FAILED": "Browser could not read the file. Try re-exporting.",
-  "D3 MISSING": "Visualization library failed to load (D3).",
+  "FILE EXCEEDS CAPACITY": "error.fileExceedsCapacity",
+  "TOTAL EXCEEDS BUDGET": "error.totalExceedsBudget",
+  "NO TABLES FOUND": "error.noTablesFound",
+  "PARSE ERROR": "error.parseError",
+  "EMPTY FILE": "error.emptyFile",
+  "INVALID SCHEMA": "error.invalidSchema",
+  "WORKER BUSY": "error.workerBusy",
+  "WORKER CRASH": "error.workerCrash",
+  "WORKER NOT READY": "error.workerNotReady",
+  "INIT FAILED": "error.initFailed",
+  "UNSUPPORTED PROTOCOL": "error.unsupportedProtocol",
+  "INVALID MAPPING": "error.invalidMapping",
+  "NO DATABASE OPEN": "error.noDatabaseOpen",
+  "UNKNOWN TABLE": "error.unknownTable",
+  "INVALID JOIN": "error.invalidJoin",
+  "JOIN KEY NOT UNIQUE": "error.joinKeyNotUnique",
+  "TOO MANY JOINS": "error.tooManyJoins",
+  "INVALID RANGE": "error.invalidRange",
+  "INVALID DATE FORMAT": "error.invalidDateFormat",
+  "INVALID ROLE MAP": "error.invalidRoleMap",
+  "INVALID PRIVACY": "error.invalidPrivacy",
+  "PSEUDONYMS UNAVAILABLE": "error.pseudonymsUnavailable",
+  "INVALID TIMEZONE": "error.invalidTimezone",
+  "INVALID FILTER": "error.invalidFilter",
+  "INVALID EXCLUSION": "error.invalidExclusion",
+  "READ FAILED": "error.readFailed",
+  "NOT A DATABASE": "error.notADatabase",
+  "STAGING EXCEEDS BUDGET": "error.stagingExceedsBudget",
+  "D3 MISSING": "error.d3Missing",
+  "SQL EMPTY": "error.sqlEmpty",
+  "SQL TOO LONG": "error.sqlTooLong",
+  "SQL MULTIPLE STATEMENTS": "error.sqlMultipleStatements",
+  "SQL NOT A QUERY": "error.sqlNotAQuery",
+  "SQL TIMEOUT": "error.sqlTimeout",
+  "SQL ERROR": "error.sqlError",
 };
 
 /* ----------------------------- STATE ------------------------------ */
 const state = {
-  worker: null,
+  client: null, // createWorkerClient() around the primary worker
   workerReady: false,
   workerBootTimer: null,
   workerRestarts: 0,
 
   status: STATUS.IDLE,
+  statusMessage: null, // { message, tooltip } as passed to ui.setStatus, re-shown on a language switch
   data: null,
 
+  // column mapping (worker schema report + user-confirmed roles)
+  schema: null,
+  mapping: null,
+
+  // time window sent with every aggregation (epoch ms for custom bounds)
+  range: { preset: "24h", from: null, to: null },
+
+  // bucket size per time-series panel
+  buckets: { visits: "hour", duration: "hour" },
+
+  // zone for buckets, axes and range inputs: "local" (browser), "UTC" or an IANA name
+  timezone: "local",
+
+  // per-panel view (duration: hist | trend | status; volume: rate | gaps)
+  views: { duration: "hist", volume: "rate" },
+
+  // per-panel site breakdown (all | stack | split) when a site column is mapped
+  siteViews: { visits: "all", duration: "all", states: "all", operators: "all", volume: "all" },
+  siteColors: new Map(), // site -> color, assigned on first sight so colors stay put
+
+  // activity-rate rolling window (minutes)
+  rateWindow: 15,
+
+  // cross-filters: [{ role: "status" | "operator", key: raw value, label }]
+  filters: [],
+
+  // data quality audit of the mapped table; `exclude` = check ids dropped from aggregation
+  quality: { report: null, exclude: [] },
+
+  // privacy mode; the salt keeps staff pseudonyms stable for this session only.
+  // `exporting` = a protected re-run for an export is in flight
+  privacy: { mode: DEFAULT_PRIVACY_MODE, minCell: DEFAULT_MIN_CELL, salt: sessionSalt(), exporting: false },
+
+  // staff workload: metric on screen ("events" | "shift"), shift length sent to the
+  // worker, the saved name -> role map and which role rows are expanded
+  workload: { metric: "events", shiftHours: DEFAULT_SHIFT_HOURS, roleMap: loadRoleMap(), expanded: new Set() },
+
+  // threshold alerts: saved rules, the breaches of the data on screen and
+  // the rules skipped because the screen shows another bucket size or range
+  alerts: { rules: loadAlertRules(), breaches: [], skipped: [] },
+
   // file lifecycle
   fileInfo: null,
+  fileSource: null, // { name, bytes, sha256 } for export manifests
+  sourceFiles: null, // File objects of the open export, to re-open it in a new worker
+  largeFile: null, // worker page-read / memory stats while in large-file mode
   isProcessing: false,
+  cancelling: false, // CANCEL sent; results still in flight are dropped
+  cancelTimer: null,
+
+  // comparison export: own worker session, aggregated with the primary's settings
+  compare: null,
+
+  // SQL console: last result, table page and plot columns; history lasts the session
+  sql: { history: [], result: null, page: 0, view: "table", x: 0, y: 1 },
+  baseline: "compare", // "primary" | "compare": which export deltas are measured against
+  analyzedAt: null, // Date of the data currently on screen
+
+  // accessibility: panels showing their data table instead of the chart, and
+  // the data last summarized in the status region (announced once per result)
+  tables: new Set(),
+  announced: null,
 
   // rendering
   renderScheduled: false,
@@ -70,6 +297,7 @@ const state = {
 
   // UI prefs
   fieldMode: false,
+  locale: loadLocale(),
 };
 
 /* ------------------------------ UI API ---------------------------- */
@@ -84,10 +312,11 @@ const ui = {
     el.classList.toggle("hidden", !!hidden);
   },
 
-  setText(id, text) {
+  // Plain strings or msg() descriptors
+  setText(id, value) {
     const el = this.byId(id);
     if (!el) return;
-    el.innerText = text;
+    el.innerText = text(value);
   },
 
   setAttr(id, name, value) {
@@ -108,13 +337,15 @@ const ui = {
     });
   },
 
+  // message / tooltip: plain strings or msg() descriptors (re-translated on a language switch)
   setStatus(code, message, tooltip = "") {
     state.status = code;
+    state.statusMessage = { message, tooltip };
     const el = this.byId("status-text");
     if (!el) return;
-    el.innerText = message;
+    el.innerText = text(message);
     el.setAttribute("data-status", code);
-    if (tooltip) el.setAttribute("title", tooltip);
+    if (tooltip) el.setAttribute("title", text(tooltip));
     else el.removeAttribute("title");
   },
 
@@ -122,13 +353,29 @@ const ui = {
     const el = this.byId("file-metadata");
     if (!el) return;
     if (show && state.fileInfo) {
-      el.innerText = state.fileInfo;
+      el.innerText = text(state.fileInfo);
       el.classList.remove("hidden");
     } else {
       el.classList.add("hidden");
     }
   },
 
+  // Large-file mode: page reads and worker memory on the file badge tooltip
+  showLargeFileStats() {
+    const el = this.byId("file-metadata");
+    if (!el) return;
+    const s = state.largeFile;
+    if (!s) {
+      el.removeAttribute("title");
+      return;
+    }
+    const mb = (n) => d3.format(".1f")(n / (1024 * 1024));
+    el.setAttribute(
+      "title",
+      t("file.largeStats", { reads: s.pageReads, read: mb(s.bytesRead), cache: mb(s.cacheBytes), staged: mb(s.stagedBytes) })
+    );
+  },
+
   showVerifiedBadge(show) {
     const el = this.byId("verified-badge");
     if (!el) return;
@@ -137,6 +384,22 @@ const ui = {
 
   showProcessing(show) {
     this.setHidden("processing-indicator", !show);
+    if (show) this.setProgress(null, null);
+    // Exports never snapshot a half-updated dashboard
+    document.querySelectorAll("#export-report, #export-data, .export-btn").forEach((btn) => {
+      btn.disabled = !!show;
+    });
+  },
+
+  // percent null: phase not reported yet (indeterminate bar)
+  setProgress(phase, percent) {
+    this.setText("processing-phase", t(PHASE_LABELS[phase] || "phase.starting"));
+    const bar = this.byId("processing-progress");
+    if (!bar) return;
+    if (percent == null) bar.removeAttribute("value");
+    else bar.value = percent;
+    const cancel = this.byId("processing-cancel");
+    if (cancel) cancel.disabled = state.cancelling;
   },
 
   hideIntroOverlay() {
@@ -145,13 +408,143 @@ const ui = {
   },
 };
 
+/* ----------------------------- LOCALE ----------------------------- */
+// Saved choice, else the first browser language we ship, else English
+function loadLocale() {
+  try {
+    const saved = localStorage.getItem(LOCALE_STORAGE_KEY);
+    if (saved && LOCALES[saved]) return saved;
+  } catch {
+    // storage refused: fall back to the browser languages
+  }
+  for (const tag of navigator.languages || [navigator.language]) {
+    const code = String(tag || "").slice(0, 2).toLowerCase();
+    if (LOCALES[code]) return code;
+  }
+  return DEFAULT_LOCALE;
+}
+
+const pluralRules = new Map(); // locale -> Intl.PluralRules
+
+// Catalog lookup with English fallback. Plural entries pick their form from
+// params.count; number params are grouped per locale.
+function t(key, params) {
+  let entry = MESSAGES[state.locale]?.[key] ?? MESSAGES[DEFAULT_LOCALE][key];
+  if (entry == null) return key;
+  if (typeof entry === "object") {
+    if (!pluralRules.has(state.locale)) pluralRules.set(state.locale, new Intl.PluralRules(state.locale));
+    entry = entry[pluralRules.get(state.locale).select(Number(params?.count) || 0)] ?? entry.other;
+  }
+  if (!params) return entry;
+  return entry.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in params)) return match;
+    const v = params[name];
+    return typeof v === "number" ? formatNumber(v) : text(v);
+  });
+}
+
+// A message resolved when shown, so it follows later language switches
+function msg(key, params) {
+  return { key, params };
+}
+
+function text(value) {
+  if (value == null) return "";
+  return typeof value === "object" ? t(value.key, value.params) : String(value);
+}
+
+function fillLocaleOptions(select) {
+  select.replaceChildren(
+    ...Object.entries(LOCALES).map(([code, locale]) => {
+      const opt = document.createElement("option");
+      opt.value = code;
+      opt.lang = code;
+      opt.textContent = locale.name;
+      return opt;
+    })
+  );
+  select.value = state.locale;
+}
+
+// Static markup: text, title, aria-label and placeholder from data-i18n* attributes
+function translatePage() {
+  document.documentElement.lang = state.locale;
+  document.documentElement.dir = LOCALES[state.locale].dir;
+  document.querySelectorAll("[data-i18n]").forEach((el) => {
+    el.textContent = t(el.dataset.i18n);
+  });
+  ["title", "aria-label", "placeholder"].forEach((attr) => {
+    document.querySelectorAll(`[data-i18n-${attr}]`).forEach((el) => {
+      el.setAttribute(attr, t(el.getAttribute(`data-i18n-${attr}`)));
+    });
+  });
+
+  // Per-panel controls share one message; the panel name fills it in
+  const panelName = (id) => t(`panelName.${id}`);
+  document.querySelectorAll(".export-btn[data-dataset]").forEach((btn) => {
+    const format = btn.dataset.format.toUpperCase();
+    btn.setAttribute("aria-label", t("export.download", { panel: panelName(btn.dataset.dataset), format }));
+  });
+  document.querySelectorAll(".table-toggle").forEach((btn) => {
+    btn.setAttribute("aria-label", t("table.show", { panel: panelName(btn.dataset.panel) }));
+  });
+  document.querySelectorAll(".site-select").forEach((select) => {
+    select.setAttribute("aria-label", t("site.select", { panel: panelName(select.dataset.panel) }));
+  });
+}
+
+// Axis ticks, number formats and month/day names in every chart
+function setChartLocale() {
+  const locale = LOCALES[state.locale];
+  d3.formatDefaultLocale(locale.number);
+  d3.timeFormatDefaultLocale(locale.time);
+}
+
+function onLocaleChange(e) {
+  const code = e.target.value;
+  if (!LOCALES[code] || code === state.locale) return;
+  state.locale = code;
+  try {
+    localStorage.setItem(LOCALE_STORAGE_KEY, code);
+  } catch {
+    // storage refused: the choice lasts until the page is closed
+  }
+  translatePage();
+  setChartLocale();
+
+  // Text built in code: redraw it in the new language
+  if (state.statusMessage) ui.setStatus(state.status, state.statusMessage.message, state.statusMessage.tooltip);
+  ui.showLargeFileStats();
+  renderCompareHeader();
+  updateRangeDisplay();
+  updateTimezoneDisplay();
+  const tzSelect = ui.byId("tz-select");
+  if (tzSelect) fillTimezoneOptions(tzSelect);
+  updatePrivacyIndicator();
+  renderFilterChips();
+  renderSiteLegend();
+  renderQualityPanel();
+  renderAlerts();
+  renderSqlHistory();
+  if (state.sql.result) {
+    setSqlMessage(describeSqlResult(state.sql.result));
+    renderSqlResult();
+  }
+  state.announced = null;
+  scheduleRender();
+}
+
 /* --------------------------- BOOTSTRAP ---------------------------- */
 function bootstrap() {
+  // 0) Language first so even a failed boot reads in it
+  translatePage();
+
   // 1) Dependency check
   if (typeof window.d3 === "undefined") {
-    ui.setStatus(STATUS.INVALID, "Visual Core Missing", ERROR_MAP["D3 MISSING"]);
+    ui.setStatus(STATUS.INVALID, msg("status.visualCoreMissing"), msg(ERROR_MAP["D3 MISSING"]));
     return;
   }
+  setChartLocale();
 
   // 2) Init worker and UI
   initWorker();
@@ -159,8 +552,10 @@ function bootstrap() {
 
   // 3) Demo data (kept intentionally) with strict boot message
   state.data = generateSyntheticData();
+  state.analyzedAt = new Date();
+  evaluateAlerts();
   scheduleRender();
-  ui.setStatus(STATUS.SYNTHETIC, "SYNTHETIC SIGNAL — LOAD DATABASE TO BEGIN", "System ready. Load local EMR export.");
+  ui.setStatus(STATUS.SYNTHETIC, msg("status.synthetic"), msg("status.systemReady"));
 }
 
 function setupUI() {
@@ -177,6 +572,154 @@ function setupUI() {
     });
   }
 
+  const localeSelect = ui.byId("locale-select");
+  if (localeSelect) {
+    fillLocaleOptions(localeSelect);
+    localeSelect.addEventListener("change", onLocaleChange);
+  }
+
+  const remap = ui.byId("remap-columns");
+  if (remap) remap.addEventListener("click", openMappingDialog);
+
+  const mappingConfirm = ui.byId("mapping-confirm");
+  if (mappingConfirm) mappingConfirm.addEventListener("click", confirmMapping);
+
+  const mappingCancel = ui.byId("mapping-cancel");
+  if (mappingCancel) mappingCancel.addEventListener("click", cancelMapping);
+
+  const processingCancel = ui.byId("processing-cancel");
+  if (processingCancel) processingCancel.addEventListener("click", cancelProcessing);
+
+  document.querySelectorAll(".site-select").forEach((select) => {
+    select.addEventListener("change", onSiteViewChange);
+  });
+
+  // Drop one export, several, or a folder of them anywhere on the page
+  document.addEventListener("dragover", (e) => e.preventDefault());
+  document.addEventListener("drop", handleFileDrop);
+
+  const compareInput = ui.byId("compare-input");
+  if (compareInput) compareInput.addEventListener("change", handleCompareUpload);
+
+  const compareSwap = ui.byId("compare-swap");
+  if (compareSwap) compareSwap.addEventListener("click", swapBaseline);
+
+  const compareClear = ui.byId("compare-clear");
+  if (compareClear) compareClear.addEventListener("click", clearComparison);
+
+  const exportReport = ui.byId("export-report");
+  if (exportReport) exportReport.addEventListener("click", () => withExportPrivacy(exportReportHtml));
+
+  const exportData = ui.byId("export-data");
+  if (exportData) exportData.addEventListener("click", () => withExportPrivacy(exportBundle));
+
+  document.querySelectorAll(".export-btn").forEach((btn) => {
+    btn.addEventListener("click", () => withExportPrivacy(() => exportDataset(btn.dataset.dataset, btn.dataset.format)));
+  });
+
+  const privacyMode = ui.byId("privacy-mode");
+  if (privacyMode) {
+    privacyMode.value = state.privacy.mode;
+    privacyMode.addEventListener("change", onPrivacyModeChange);
+  }
+
+  const privacyMinCell = ui.byId("privacy-min-cell");
+  if (privacyMinCell) {
+    privacyMinCell.value = String(state.privacy.minCell);
+    privacyMinCell.addEventListener("change", onMinCellChange);
+  }
+  updatePrivacyIndicator();
+
+  const metricSelect = ui.byId("workload-metric");
+  if (metricSelect) metricSelect.addEventListener("change", onWorkloadMetricChange);
+
+  const editRoles = ui.byId("edit-roles");
+  if (editRoles) editRoles.addEventListener("click", openRoleEditor);
+
+  const rolesSave = ui.byId("roles-save");
+  if (rolesSave) rolesSave.addEventListener("click", saveRoleEditor);
+
+  const rolesCancel = ui.byId("roles-cancel");
+  if (rolesCancel) rolesCancel.addEventListener("click", () => ui.setHidden("roles-overlay", true));
+
+  const rolesClear = ui.byId("roles-clear");
+  if (rolesClear) rolesClear.addEventListener("click", clearRoleEditor);
+
+  const editAlerts = ui.byId("edit-alerts");
+  if (editAlerts) editAlerts.addEventListener("click", openAlertEditor);
+
+  const alertsAdd = ui.byId("alerts-add");
+  if (alertsAdd) alertsAdd.addEventListener("click", addAlertRule);
+
+  const alertsSave = ui.byId("alerts-save");
+  if (alertsSave) alertsSave.addEventListener("click", saveAlertEditor);
+
+  const alertsCancel = ui.byId("alerts-cancel");
+  if (alertsCancel) alertsCancel.addEventListener("click", () => ui.setHidden("alerts-overlay", true));
+
+  const rangePreset = ui.byId("range-preset");
+  if (rangePreset) rangePreset.addEventListener("change", onRangePresetChange);
+
+  const rangeApply = ui.byId("range-apply");
+  if (rangeApply) rangeApply.addEventListener("click", applyCustomRange);
+
+  const tzSelect = ui.byId("tz-select");
+  if (tzSelect) {
+    fillTimezoneOptions(tzSelect);
+    tzSelect.addEventListener("change", onTimezoneChange);
+  }
+  updateTimezoneDisplay();
+
+  document.querySelectorAll(".bucket-select").forEach((select) => {
+    select.addEventListener("change", onBucketChange);
+  });
+
+  document.querySelectorAll(".view-select").forEach((select) => {
+    select.addEventListener("change", onViewChange);
+  });
+
+  document.querySelectorAll(".table-toggle").forEach((btn) => {
+    btn.addEventListener("click", () => toggleChartTable(btn.dataset.panel));
+  });
+
+  const sqlToggle = ui.byId("sql-toggle");
+  if (sqlToggle) sqlToggle.addEventListener("click", toggleSqlConsole);
+
+  const sqlRun = ui.byId("sql-run");
+  if (sqlRun) sqlRun.addEventListener("click", runSqlConsole);
+
+  const sqlInput = ui.byId("sql-input");
+  if (sqlInput) {
+    sqlInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        runSqlConsole();
+      }
+    });
+  }
+
+  const sqlHistory = ui.byId("sql-history");
+  if (sqlHistory) sqlHistory.addEventListener("change", recallSqlHistory);
+
+  ["sql-view", "sql-x", "sql-y"].forEach((id) => {
+    const select = ui.byId(id);
+    if (select) select.addEventListener("change", onSqlViewChange);
+  });
+
+  const sqlPrev = ui.byId("sql-prev");
+  if (sqlPrev) sqlPrev.addEventListener("click", () => turnSqlPage(-1));
+
+  const sqlNext = ui.byId("sql-next");
+  if (sqlNext) sqlNext.addEventListener("click", () => turnSqlPage(1));
+
+  const rateWindow = ui.byId("window-volume");
+  if (rateWindow) {
+    rateWindow.addEventListener("change", () => {
+      state.rateWindow = Number(rateWindow.value) || 15;
+      if (hasLiveData()) requestAggregation();
+    });
+  }
+
   // Cache panel sizes via ResizeObserver to avoid repeated synchronous reflow
   const ro = new ResizeObserver((entries) => {
     for (const entry of entries) {
@@ -199,42 +742,39 @@ function initWorker() {
   state.workerReady = false;
 
   try {
-    const w = new Worker(WORKER_PATH);
-    state.worker = w;
-
-    w.onmessage = handleWorkerMessage;
-
-    w.onerror = () => {
+    state.client = createWorkerClient(new Worker(WORKER_PATH), {
+      onReady() {
+        state.workerReady = true;
+        if (state.workerBootTimer) clearTimeout(state.workerBootTimer);
+        state.workerBootTimer = null;
+      },
       // Don’t dump detailed errors; keep field-safe
-      onWorkerCrash("WORKER CRASH");
-    };
+      onCrash: () => onWorkerCrash("WORKER CRASH"),
+    });
 
     // Boot timeout: if READY doesn’t arrive, surface it as invalid
     if (state.workerBootTimer) clearTimeout(state.workerBootTimer);
     state.workerBootTimer = setTimeout(() => {
       if (!state.workerReady) {
-        ui.setStatus(STATUS.INVALID, "System Failure", "Worker did not come online.");
+        ui.setStatus(STATUS.INVALID, msg("status.systemFailure"), msg("status.workerOffline"));
         // Optional: one restart attempt
         maybeRestartWorker();
       }
     }, WORKER_BOOT_TIMEOUT_MS);
   } catch {
-    ui.setStatus(STATUS.INVALID, "Browser Incompatible", "Web Worker support missing.");
+    ui.setStatus(STATUS.INVALID, msg("status.browserIncompatible"), msg("status.noWorkers"));
   }
 }
 
 function teardownWorker() {
   if (state.workerBootTimer) clearTimeout(state.workerBootTimer);
   state.workerBootTimer = null;
+  if (state.cancelTimer) clearTimeout(state.cancelTimer);
+  state.cancelTimer = null;
+  state.cancelling = false;
 
-  if (state.worker) {
-    try {
-      state.worker.terminate();
-    } catch {
-      // ignore
-    }
-  }
-  state.worker = null;
+  if (state.client) state.client.terminate();
+  state.client = null;
   state.workerReady = false;
 }
 
@@ -244,7 +784,7 @@ function onWorkerCrash(reasonKey) {
   ui.disableUploadButtons(false);
 
   ui.showVerifiedBadge(false);
-  ui.setStatus(STATUS.INVALID, ERROR_MAP[reasonKey] || "Worker failure", "Reload or retry.");
+  ui.setStatus(STATUS.INVALID, msg(ERROR_MAP[reasonKey] || "status.workerFailure"), msg("status.reloadOrRetry"));
 
   maybeRestartWorker();
 }
@@ -255,42 +795,271 @@ function maybeRestartWorker() {
   initWorker();
 }
 
+/**
+ * Promise client for one worker (protocol v2). `request()` resolves with the
+ * RESULT payload or rejects with an Error whose message is the worker's
+ * error code (`detail` attached for parse errors). Requests sharing a `key`
+ * supersede each other: the worker drops or stops older ones, and an older
+ * one that still answers late is rejected here, both as SUPERSEDED.
+ */
+function createWorkerClient(worker, { onReady = null, onCrash = null } = {}) {
+  const pending = new Map(); // id -> { type, key, resolve, reject, onProgress }
+  const latest = new Map(); // key -> id of the newest request
+  let nextId = 1;
+
+  const workerError = (code, detail = null) => Object.assign(new Error(code), { detail });
+  const rejectAll = (code) => {
+    for (const entry of pending.values()) entry.reject(workerError(code));
+    pending.clear();
+  };
+
+  worker.onmessage = (e) => {
+    const msg = e?.data || {};
+    if (msg.v !== PROTOCOL_VERSION) return;
+    if (msg.id == null) {
+      if (msg.type === "READY") onReady?.();
+      // sql.js failed to load: the worker answers every request with the same error
+      else if (msg.type === "ERROR") rejectAll(String(msg.error || "INIT_FAILED"));
+      return;
+    }
+    const entry = pending.get(msg.id);
+    if (!entry) return;
+
+    if (msg.type === "PROGRESS") {
+      entry.onProgress?.(msg.phase, msg.percent);
+      return;
+    }
+    pending.delete(msg.id);
+    if (msg.type !== "RESULT") entry.reject(workerError(String(msg.error || "Unknown error"), msg.detail || null));
+    else if (entry.key && latest.get(entry.key) !== msg.id) entry.reject(workerError("SUPERSEDED"));
+    else entry.resolve(msg.payload);
+  };
+
+  worker.onerror = () => {
+    rejectAll("WORKER_CRASH");
+    onCrash?.();
+  };
+
+  return {
+    request(type, params = {}, { key = null, transfer = [], onProgress = null } = {}) {
+      const id = nextId++;
+      if (key) latest.set(key, id);
+      return new Promise((resolve, reject) => {
+        pending.set(id, { type, key, resolve, reject, onProgress });
+        try {
+          worker.postMessage({ v: PROTOCOL_VERSION, id, type, key, ...params }, transfer);
+        } catch {
+          pending.delete(id);
+          reject(workerError("TRANSFER_FAILED"));
+        }
+      });
+    },
+
+    // True while a request of this type is queued or running
+    isPending(type) {
+      return [...pending.values()].some((entry) => entry.type === type);
+    },
+
+    // Drops queued requests (CANCELLED), stops the running one and closes the DB
+    cancel() {
+      return this.request("CANCEL");
+    },
+
+    terminate() {
+      try {
+        worker.terminate();
+      } catch {
+        // ignore
+      }
+      rejectAll("WORKER_TERMINATED");
+    },
+  };
+}
+
+/**
+ * Abort the running job. The worker stops at its next checkpoint, frees the
+ * DB and answers CANCELLED; if it is stuck inside one long statement it is
+ * replaced after CANCEL_GRACE_MS. Either way the app returns to "no export".
+ */
+function cancelProcessing() {
+  if (!state.isProcessing || state.cancelling) return;
+  state.cancelling = true;
+  ui.setText("processing-phase", msg("phase.cancelling"));
+  ui.byId("processing-cancel")?.setAttribute("disabled", "");
+
+  state.client?.cancel().then(
+    () => state.cancelling && onCancelled(),
+    () => {
+      // no worker to ask: the restart below takes over
+    }
+  );
+  state.cancelTimer = setTimeout(() => {
+    initWorker();
+    onCancelled();
+  }, CANCEL_GRACE_MS);
+}
+
+function onCancelled() {
+  if (state.cancelTimer) clearTimeout(state.cancelTimer);
+  state.cancelTimer = null;
+  state.cancelling = false;
+  state.isProcessing = false;
+
+  // The worker has dropped the DB: nothing on screen can be re-aggregated
+  clearComparison();
+  clearSqlResult();
+  clearQuality();
+  state.data = null;
+  state.schema = null;
+  state.mapping = null;
+  state.filters = [];
+  state.fileInfo = null;
+  state.fileSource = null;
+  state.sourceFiles = null;
+  state.largeFile = null;
+  ui.showLargeFileStats();
+  renderFilterChips();
+  updateSiteControls();
+  document.querySelectorAll(".chart-container").forEach((el) => el.replaceChildren());
+
+  ui.showProcessing(false);
+  ui.disableUploadButtons(false);
+  ui.setHidden("mapping-overlay", true);
+  ui.setHidden("remap-columns", true);
+  ui.showFileMetadata(false);
+  ui.showVerifiedBadge(false);
+  ui.setHidden("intro-overlay", false);
+  ui.setStatus(STATUS.IDLE, msg("status.cancelled"), msg("status.loadToRestart"));
+  clearFileInput();
+}
+
 /* ----------------------------- FILE IO ---------------------------- */
 function handleFileUpload(e) {
   const input = e.target;
-  const file = input?.files?.[0];
-  if (!file) return;
+  const files = [...(input?.files || [])];
+  if (!files.length) return;
+  loadFiles(files);
+}
+
+// Dropping several exports, or a folder of them, merges them by site
+async function handleFileDrop(e) {
+  e.preventDefault();
+  if (state.isProcessing || !e.dataTransfer) return;
+  const files = await collectDroppedFiles(e.dataTransfer);
+  const supported = files.filter((f) => ACCEPTED_FILE.test(f.name));
+  if (!supported.length) {
+    ui.setStatus(STATUS.INVALID, msg("status.noSupportedFiles"), msg("status.dropHint"));
+    return;
+  }
+  loadFiles(supported);
+}
+
+async function collectDroppedFiles(dataTransfer) {
+  const entries = [...dataTransfer.items]
+    .map((item) => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+    .filter(Boolean);
+  if (!entries.length) return [...dataTransfer.files];
+
+  const files = [];
+  const walk = async (entry) => {
+    if (entry.isFile) {
+      files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+    } else if (entry.isDirectory) {
+      const reader = entry.createReader();
+      // readEntries returns batches until it yields an empty one
+      for (;;) {
+        const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        if (!batch.length) break;
+        for (const child of batch) await walk(child);
+      }
+    }
+  };
+  for (const entry of entries) await walk(entry);
+  return files;
+}
 
+// Single SQLite export too big to copy into the wasm heap: read lazily in the worker
+function isLargeExport(file) {
+  return file.size > MAX_FILE_BYTES && SQLITE_FILE.test(file.name);
+}
+
+function readFileBuffer(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onerror = () => reject(reader.error);
+    reader.onload = () => resolve(reader.result);
+    reader.readAsArrayBuffer(file);
+  });
+}
+
+async function loadFiles(files) {
   // prevent overlapping jobs
   if (state.isProcessing) return;
 
-  // basic guardrail: file size
-  if (file.size > MAX_FILE_BYTES) {
-    const sizeMB = (file.size / (1024 * 1024)).toFixed(1);
+  // basic guardrail: file size (per file, then the merged budget).
+  // A lone SQLite export may exceed MAX_FILE_BYTES: it is read lazily.
+  const large = files.length === 1 && isLargeExport(files[0]);
+  const fileLimit = large ? MAX_LARGE_FILE_BYTES : MAX_FILE_BYTES;
+  const tooBig = files.find((f) => f.size > fileLimit);
+  const totalBytes = files.reduce((n, f) => n + f.size, 0);
+  if (tooBig || (!large && totalBytes > MAX_TOTAL_BYTES)) {
+    const size = d3.format(".1f")((tooBig ? tooBig.size : totalBytes) / (1024 * 1024));
     ui.setStatus(
       STATUS.INVALID,
-      "File too large",
-      `Selected ${sizeMB} MB. Max supported is ${(MAX_FILE_BYTES / (1024 * 1024)).toFixed(0)} MB.`
+      msg("status.fileTooLarge"),
+      tooBig
+        ? msg(files.length > 1 ? "status.mergedFileLimit" : "status.fileLimit", {
+            name: tooBig.name,
+            size,
+            max: Math.round(fileLimit / (1024 * 1024)),
+          })
+        : msg("status.totalLimit", { size, max: Math.round(MAX_TOTAL_BYTES / (1024 * 1024)) })
     );
-    input.value = "";
+    clearFileInput();
     return;
   }
 
-  // show file received immediately
-  const sizeMB = (file.size / (1024 * 1024)).toFixed(2);
-  state.fileInfo = `${file.name} (${sizeMB} MB)`;
+  // show file received immediately (size in MB, formatted when shown)
+  const size = totalBytes / (1024 * 1024);
+  const merged = files.length > 1;
+  state.fileInfo = merged ? msg("file.sites", { count: files.length, size }) : msg("file.info", { name: files[0].name, size });
+  if (large) state.fileInfo = msg("file.large", { file: state.fileInfo });
+  state.largeFile = null;
+  state.fileSource = merged
+    ? {
+        name: files.map((f) => f.name).join(", "),
+        bytes: totalBytes,
+        sha256: null,
+        files: files.map((f) => ({ name: f.name, bytes: f.size, sha256: null })),
+      }
+    : { name: files[0].name, bytes: files[0].size, sha256: null };
+  state.sourceFiles = files;
+  // A comparison only makes sense against the export it was mapped from
+  clearComparison();
+  clearSqlResult();
+  clearQuality();
+  state.schema = null;
+  state.mapping = null;
+  state.filters = [];
+  state.siteColors = new Map();
+  renderFilterChips();
+  ui.setHidden("remap-columns", true);
   ui.showFileMetadata(true);
   ui.showVerifiedBadge(false);
 
-  ui.setStatus(STATUS.RECEIVED, "File received", "Preparing local analysis…");
+  ui.setStatus(
+    STATUS.RECEIVED,
+    merged ? msg("status.filesReceived", { count: files.length }) : msg("status.fileReceived"),
+    msg("status.preparing")
+  );
   ui.disableUploadButtons(true);
 
   // if worker not ready, try restart and block
-  if (!state.worker || !state.workerReady) {
-    ui.setStatus(STATUS.INVALID, "System initializing", ERROR_MAP["WORKER NOT READY"]);
+  if (!state.client || !state.workerReady) {
+    ui.setStatus(STATUS.INVALID, msg("status.initializing"), msg(ERROR_MAP["WORKER NOT READY"]));
     ui.disableUploadButtons(false);
     maybeRestartWorker();
-    input.value = "";
+    clearFileInput();
     return;
   }
 
@@ -298,131 +1067,2752 @@ function handleFileUpload(e) {
   state.isProcessing = true;
   ui.hideIntroOverlay();
   ui.showProcessing(true);
-  ui.setStatus(STATUS.PROCESSING, "Analyzing EMR database…", "Local processing active. Data stays on this device.");
-
-  const reader = new FileReader();
-
-  reader.onerror = () => {
-    state.isProcessing = false;
-    ui.showProcessing(false);
-    ui.disableUploadButtons(false);
-    ui.setStatus(STATUS.INVALID, "Read Failed", ERROR_MAP["READ FAILED"]);
-    input.value = "";
-  };
+  ui.setStatus(
+    STATUS.PROCESSING,
+    merged ? msg("status.merging", { count: files.length }) : msg("status.analyzing"),
+    msg("status.processingLocal")
+  );
 
-  reader.onload = () => {
+  // Large-file mode: the worker keeps the File and reads pages on demand.
+  // Hashing would mean reading it whole, so the manifest carries no digest.
+  if (large) {
     try {
-      // Transfer ownership to worker (no copy)
-      state.worker.postMessage({ type: "ANALYZE", buffer: reader.result }, [reader.result]);
-    } catch {
-      state.isProcessing = false;
-      ui.showProcessing(false);
-      ui.disableUploadButtons(false);
-      ui.setStatus(STATUS.INVALID, "Transfer Failed", "Could not hand file to analysis engine.");
-      input.value = "";
+      const report = await state.client.request(
+        "OPEN",
+        { files: [{ file: files[0], name: files[0].name }] },
+        { onProgress: showWorkerProgress }
+      );
+      onSchemaReport(report);
+    } catch (err) {
+      onRequestError(err);
     }
-  };
-
-  reader.readAsArrayBuffer(file);
-}
-
-/* ------------------------ WORKER MESSAGES ------------------------- */
-function handleWorkerMessage(e) {
-  const msg = e?.data || {};
-  const { type, payload, error } = msg;
-
-  if (type === "READY") {
-    state.workerReady = true;
-    if (state.workerBootTimer) clearTimeout(state.workerBootTimer);
-    state.workerBootTimer = null;
     return;
   }
 
-  if (type === "ANALYSIS_COMPLETE") {
+  // Files are read and hashed one at a time (the manifest cites every
+  // digest). Merged exports then go to the worker as File, which reads them
+  // one at a time too; a single export is transferred as its buffer.
+  const source = state.fileSource;
+  const entries = [];
+  const transfer = [];
+  try {
+    for (const [i, file] of files.entries()) {
+      const buffer = await readFileBuffer(file);
+      const sha256 = await sha256Hex(buffer);
+      if (merged) {
+        source.files[i].sha256 = sha256;
+        entries.push({ file, name: file.name });
+      } else {
+        source.sha256 = sha256;
+        entries.push({ buffer, name: file.name });
+        transfer.push(buffer);
+      }
+    }
+  } catch {
     state.isProcessing = false;
     ui.showProcessing(false);
     ui.disableUploadButtons(false);
+    ui.setStatus(STATUS.INVALID, msg("status.readFailed"), msg(ERROR_MAP["READ FAILED"]));
+    clearFileInput();
+    return;
+  }
 
-    // Strict payload checks (avoid NaN / silent D3 failures)
-    const validated = validatePayload(payload);
-    if (!validated.ok) {
-      ui.showVerifiedBadge(false);
-      ui.setStatus(STATUS.INVALID, "Invalid export format", validated.reason);
+  try {
+    // Transfer ownership of a single buffer to the worker (no copy)
+    const report = await state.client.request(
+      "OPEN",
+      { files: entries },
+      { transfer, onProgress: showWorkerProgress }
+    );
+    onSchemaReport(report);
+  } catch (err) {
+    if (err.message === "TRANSFER_FAILED") {
+      state.isProcessing = false;
+      ui.showProcessing(false);
+      ui.disableUploadButtons(false);
+      ui.setStatus(STATUS.INVALID, msg("status.transferFailed"), msg("status.handoffFailed"));
       clearFileInput();
       return;
     }
+    onRequestError(err);
+  }
+}
 
-    // Prefer worker to send render-ready dates, but accept either:
-    // - date: ISO string
-    // - date: epoch ms
-    // - date: Date-like string
-    // Convert safely here, bounded (fast enough for typical 24h buckets)
-    const visits = payload.visits.map((d) => ({
-      date: toSafeDate(d.date),
-      value: Number(d.value) || 0,
-    }));
-
-    state.data = {
-      ...payload,
-      visits,
-    };
+/* ------------------------ WORKER RESULTS -------------------------- */
+function showWorkerProgress(phase, percent) {
+  if (state.isProcessing && !state.cancelling) ui.setProgress(phase, percent);
+}
 
-    ui.showVerifiedBadge(true);
-    ui.setStatus(STATUS.VALID, "Data loaded", "Analysis complete. Verified locally.");
-    scheduleRender();
+// `chosen`: the dialog's roles when the table or joins were re-picked
+function onSchemaReport(payload, chosen = null) {
+  // A job finishing while CANCEL is in flight is discarded
+  if (state.cancelling) return;
+  state.isProcessing = false;
+  ui.showProcessing(false);
+  ui.disableUploadButtons(false);
+
+  if (!payload || !Array.isArray(payload.columns) || !Array.isArray(payload.tables) || !payload.roles) {
+    ui.setStatus(STATUS.INVALID, msg("status.invalidFormat"), msg("status.schemaMissing"));
     clearFileInput();
     return;
   }
 
-  if (type === "ERROR") {
-    state.isProcessing = false;
-    ui.showProcessing(false);
-    ui.disableUploadButtons(false);
+  state.schema = payload;
+  state.largeFile = payload.largeFile || null;
+  ui.showLargeFileStats();
+  state.mapping = carriedMapping(payload, chosen);
+  ui.setHidden("remap-columns", false);
+  ui.setStatus(STATUS.RECEIVED, msg("status.confirmMapping"), msg("status.checkColumns"));
+  openMappingDialog();
+  clearFileInput();
+}
 
-    // Don’t console.log raw errors in a medical context.
-    // Use user-safe mapped error + allow tooltip to show the technical string if needed.
-    const technical = typeof error === "string" ? error : "Unknown error";
-    const userMsg = mapErrorToUser(technical);
+function onAnalysisComplete(payload) {
+  if (state.cancelling) return;
+  state.isProcessing = false;
+  ui.showProcessing(false);
+  ui.disableUploadButtons(false);
 
+  // Strict payload checks (avoid NaN / silent D3 failures)
+  const validated = validatePayload(payload);
+  if (!validated.ok) {
     ui.showVerifiedBadge(false);
-    ui.setStatus(STATUS.INVALID, userMsg, technical);
+    ui.setStatus(STATUS.INVALID, msg("status.invalidFormat"), validated.reason);
     clearFileInput();
     return;
   }
+
+  state.data = toRenderData(payload);
+  state.largeFile = payload.largeFile || null;
+  ui.showLargeFileStats();
+  evaluateAlerts();
+
+  state.analyzedAt = new Date();
+  ui.showVerifiedBadge(true);
+  ui.setStatus(STATUS.VALID, msg("status.dataLoaded"), describeLoadedDates(payload.timeFormat));
+  updateRangeDisplay();
+  updatePrivacyIndicator();
+  renderCompareHeader();
+  updateSiteControls();
+  scheduleRender();
+  clearFileInput();
 }
 
-function clearFileInput() {
-  const input = ui.byId("db-input");
-  if (input) input.value = "";
+// User-safe message for a rejected request, plus the cell position of parse errors
+// (the parser's own reason stays in English, like the technical tooltip)
+function describeWorkerError(err) {
+  const userMsg = mapErrorToUser(err.message);
+  const detail = err.detail;
+  if (!detail?.row) return userMsg;
+  return msg("error.atCell", { message: userMsg, row: detail.row, column: detail.column, reason: detail.reason });
+}
+
+function onRequestError(err) {
+  // Superseded: a newer request owns the UI. Cancelled or terminated: whoever
+  // stopped the worker (cancel, restart) resets it.
+  if (IGNORED_ERRORS.has(err.message) || state.cancelling) return;
+  state.isProcessing = false;
+  ui.showProcessing(false);
+  ui.disableUploadButtons(false);
+
+  // Don’t console.log raw errors in a medical context.
+  // Use user-safe mapped error + allow tooltip to show the technical string if needed.
+  const userMsg = describeWorkerError(err);
+
+  // Schema changes fail inside the mapping dialog: keep it open, previous source intact
+  if (isMappingOpen()) {
+    showMappingError(userMsg);
+    return;
+  }
+
+  ui.showVerifiedBadge(false);
+  ui.setStatus(STATUS.INVALID, userMsg, err.message);
+  clearFileInput();
+}
+
+// Prefer worker to send render-ready dates, but accept either:
+// - date: ISO string
+// - date: epoch ms
+// - date: Date-like string
+// Convert safely here, bounded (fast enough for typical 24h buckets)
+function toRenderData(payload) {
+  const visits = payload.visits.map((d) => ({
+    date: toSafeDate(d.date),
+    value: Number(d.value) || 0,
+  }));
+
+  const duration = {
+    ...payload.duration,
+    trend: payload.duration.trend.map((d) => ({ ...d, date: toSafeDate(d.date) })),
+  };
+
+  const volume = {
+    ...payload.volume,
+    series: payload.volume.series.map((d) => ({ ...d, date: toSafeDate(d.date) })),
+    peak: payload.volume.peak ? { ...payload.volume.peak, date: toSafeDate(payload.volume.peak.date) } : null,
+  };
+
+  return { ...payload, visits, duration, volume };
+}
+
+function clearFileInput() {
+  const input = ui.byId("db-input");
+  if (input) input.value = "";
+}
+
+/* ------------------------- COLUMN MAPPING ------------------------- */
+function suggestedMapping(schema) {
+  const mapping = {};
+  for (const role of Object.keys(ROLE_LABELS)) {
+    mapping[role] = schema.roles[role]?.suggested ?? null;
+  }
+  return mapping;
+}
+
+// Suggestions, except where an earlier choice names a column that still exists
+function carriedMapping(schema, chosen) {
+  const mapping = suggestedMapping(schema);
+  if (!chosen) return mapping;
+  const names = new Set(schema.columns.map((c) => c.name));
+  for (const role of Object.keys(ROLE_LABELS)) {
+    if (chosen[role] && names.has(chosen[role])) mapping[role] = chosen[role];
+  }
+  if (chosen.timeFormat && mapping.time === chosen.time) mapping.timeFormat = chosen.timeFormat;
+  return mapping;
+}
+
+function confidenceOf(role, column) {
+  const hit = state.schema?.roles[role]?.candidates.find((c) => c.column === column);
+  return hit ? hit.confidence : 0;
+}
+
+function describeConfidence(role, column) {
+  if (!column) return { level: "none", text: t("mapping.notMapped") };
+  const c = confidenceOf(role, column);
+  const pct = Math.round(c * 100);
+  if (c >= 0.7) return { level: "high", text: t("mapping.match", { pct }) };
+  return { level: "low", text: t("mapping.verify", { pct }) };
+}
+
+function isMappingOpen() {
+  const el = ui.byId("mapping-overlay");
+  return !!el && !el.classList.contains("hidden");
+}
+
+function showMappingError(message) {
+  ui.setText("mapping-error", message);
+  ui.setHidden("mapping-error", !message);
+  setMappingBusy(false);
+}
+
+function setMappingBusy(busy) {
+  document.querySelectorAll("#mapping-overlay select, #mapping-overlay button").forEach((el) => {
+    el.disabled = !!busy;
+  });
+}
+
+function joinLabel(j) {
+  return `${j.column} → ${j.table}.${j.key}`;
+}
+
+function sameJoin(a, b) {
+  return a.column === b.column && a.table === b.table && a.key === b.key;
+}
+
+function makeSelect(id, options, value) {
+  const select = document.createElement("select");
+  if (id) select.id = id;
+  for (const [label, v] of options) select.add(new Option(label, v));
+  if (value != null) select.value = value;
+  return select;
+}
+
+function makeButton(text, onClick, className = "") {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.textContent = text;
+  if (className) btn.className = className;
+  btn.addEventListener("click", onClick);
+  return btn;
+}
+
+// Primary table picker + declared lookups (joins) at the top of the mapping dialog
+function renderSourcePicker() {
+  const schema = state.schema;
+  const host = ui.byId("mapping-source");
+  if (!schema || !host) return;
+  host.replaceChildren();
+
+  const primary = schema.tables.find((t) => t.name === schema.table);
+  const joins = schema.joins || [];
+
+  // Primary table: name-matched candidates first, everything else after
+  const ordered = [...schema.tables].sort((a, b) => Number(b.candidate) - Number(a.candidate));
+  const tableRow = document.createElement("div");
+  tableRow.className = "mapping-row";
+  const tableLabel = document.createElement("label");
+  tableLabel.htmlFor = "map-table";
+  tableLabel.textContent = t("mapping.primaryTable");
+  const tableSelect = makeSelect(
+    "map-table",
+    ordered.map((table) => [
+      t(table.candidate ? "mapping.tableOption" : "mapping.tableOptionOther", { name: table.name, rows: table.rows }),
+      table.name,
+    ]),
+    schema.table
+  );
+  tableSelect.addEventListener("change", () => requestSchema(tableSelect.value, []));
+  tableRow.append(tableLabel, tableSelect);
+
+  // Declared joins + detected foreign keys not yet used
+  const heading = document.createElement("div");
+  heading.className = "mapping-section";
+  heading.textContent = t("mapping.lookups");
+
+  const list = document.createElement("div");
+  list.className = "join-list";
+
+  for (const j of joins) {
+    const chip = document.createElement("span");
+    chip.className = "join-chip";
+    chip.textContent = joinLabel(j);
+    const remove = makeButton("×", () => requestSchema(schema.table, joins.filter((o) => !sameJoin(o, j))));
+    remove.setAttribute("aria-label", t("mapping.removeLookup", { join: joinLabel(j) }));
+    chip.appendChild(remove);
+    list.appendChild(chip);
+  }
+
+  for (const fk of primary?.foreignKeys || []) {
+    if (joins.some((j) => sameJoin(j, fk))) continue;
+    const add = makeButton(`+ ${joinLabel(fk)}`, () => requestSchema(schema.table, [...joins, fk]), "join-chip suggested");
+    add.title = t("mapping.detectedKey");
+    list.appendChild(add);
+  }
+
+  if (!list.childNodes.length) {
+    const none = document.createElement("span");
+    none.className = "text-dim";
+    none.textContent = t("mapping.noneDeclared");
+    list.appendChild(none);
+  }
+
+  // Manual join: <primary column> → <table>.<key>
+  const manual = document.createElement("div");
+  manual.className = "join-list mt-2";
+  const fromSelect = makeSelect("join-from", (primary?.columns || []).map((c) => [c, c]));
+  const others = schema.tables.filter((t) => t.name !== schema.table);
+  const tableTarget = makeSelect("join-table", others.map((t) => [t.name, t.name]));
+  const keySelect = makeSelect("join-key", []);
+  const fillKeys = () => {
+    const target = schema.tables.find((t) => t.name === tableTarget.value);
+    keySelect.replaceChildren(...(target?.columns || []).map((c) => new Option(c, c)));
+  };
+  tableTarget.addEventListener("change", fillKeys);
+  fillKeys();
+  fromSelect.setAttribute("aria-label", t("mapping.lookupColumn"));
+  tableTarget.setAttribute("aria-label", t("mapping.lookupTable"));
+  keySelect.setAttribute("aria-label", t("mapping.lookupKey"));
+
+  const arrow = document.createElement("span");
+  arrow.textContent = document.documentElement.dir === "rtl" ? "←" : "→";
+  const addManual = makeButton(t("mapping.addLookup"), () => {
+    const j = { column: fromSelect.value, table: tableTarget.value, key: keySelect.value };
+    if (!j.column || !j.table || !j.key || joins.some((o) => sameJoin(o, j))) return;
+    requestSchema(schema.table, [...joins, j]);
+  });
+  if (!others.length) addManual.disabled = true;
+  manual.append(fromSelect, arrow, tableTarget, keySelect, addManual);
+
+  host.append(tableRow, heading, list, manual);
+}
+
+async function requestSchema(table, joins) {
+  if (state.isProcessing) return;
+  if (!state.client || !state.workerReady) {
+    showMappingError(msg(ERROR_MAP["WORKER NOT READY"]));
+    return;
+  }
+
+  const chosen = readMappingDialog();
+  state.isProcessing = true;
+  ui.setHidden("mapping-error", true);
+  setMappingBusy(true);
+
+  try {
+    onSchemaReport(await state.client.request("SCHEMA", { table, joins }, { key: "schema" }), chosen);
+  } catch (err) {
+    if (err.message === "TRANSFER_FAILED") {
+      state.isProcessing = false;
+      showMappingError(msg("status.engineUnreachable"));
+      return;
+    }
+    onRequestError(err);
+  }
+}
+
+function openMappingDialog() {
+  const schema = state.schema;
+  const host = ui.byId("mapping-roles");
+  if (!schema || !host) return;
+
+  ui.setText("mapping-table", msg("mapping.tableOption", { name: schema.table, rows: schema.rowCount }));
+  ui.setHidden("mapping-error", true);
+  const ragged = describeRaggedRows(schema.ragged);
+  ui.setText("mapping-ragged", ragged);
+  ui.setHidden("mapping-ragged", !ragged);
+  renderSourcePicker();
+  host.replaceChildren();
+
+  for (const role of Object.keys(ROLE_LABELS)) {
+    const candidates = schema.roles[role]?.candidates || [];
+    const ranked = new Set(candidates.map((c) => c.column));
+
+    const row = document.createElement("div");
+    row.className = "mapping-row";
+
+    const label = document.createElement("label");
+    label.htmlFor = `map-${role}`;
+    label.textContent = t(ROLE_LABELS[role]);
+
+    const select = document.createElement("select");
+    select.id = `map-${role}`;
+    select.dataset.role = role;
+    select.add(new Option(t("mapping.notMappedOption"), ""));
+    for (const c of candidates) {
+      select.add(new Option(`${c.column} (${d3.format(".0%")(c.confidence)})`, c.column));
+    }
+    for (const col of schema.columns) {
+      if (!ranked.has(col.name)) select.add(new Option(col.name, col.name));
+    }
+    select.value = state.mapping?.[role] ?? "";
+
+    const samples = document.createElement("div");
+    samples.className = "mapping-samples";
+
+    const confidence = document.createElement("div");
+    confidence.className = "mapping-confidence";
+
+    const refresh = () => {
+      const col = schema.columns.find((c) => c.name === select.value);
+      samples.textContent = col ? t("mapping.samples", { values: col.samples.join(" · ") || t("mapping.noValues") }) : "";
+      samples.title = samples.textContent;
+      const info = describeConfidence(role, select.value);
+      confidence.textContent = info.text;
+      confidence.dataset.level = info.level;
+    };
+    select.addEventListener("change", refresh);
+    refresh();
+
+    row.append(label, select, confidence, samples);
+    host.appendChild(row);
+    if (role === "time") host.appendChild(dateFormatRow(select));
+  }
+
+  ui.setHidden("mapping-overlay", false);
+  ui.byId(`map-${Object.keys(ROLE_LABELS)[0]}`)?.focus();
+}
+
+// CSV/TSV rows that did not match the header width, one line per file and kind
+function describeRaggedRows(ragged) {
+  const lines = [];
+  for (const r of ragged || []) {
+    if (r.short) lines.push(t("mapping.raggedShort", { file: r.file, count: r.short, row: r.firstShort }));
+    if (r.long) lines.push(t("mapping.raggedLong", { file: r.file, count: r.long, row: r.firstLong }));
+  }
+  return lines.join("\n");
+}
+
+// Format of the chosen timestamp column: detected by the worker, overridable
+function dateFormatRow(timeSelect) {
+  const row = document.createElement("div");
+  row.className = "mapping-row";
+
+  const label = document.createElement("label");
+  label.htmlFor = "map-time-format";
+  label.textContent = t("mapping.timeFormat");
+
+  const select = document.createElement("select");
+  select.id = "map-time-format";
+
+  const note = document.createElement("div");
+  note.className = "mapping-confidence";
+
+  let chosen = state.mapping?.timeFormat ?? "";
+  const refresh = () => {
+    const detected = state.schema.columns.find((c) => c.name === timeSelect.value)?.dateFormat || null;
+    select.replaceChildren(new Option(t("mapping.detected", { format: t(DATE_FORMAT_LABELS[detected?.format || "auto"]) }), ""));
+    for (const [key, label] of Object.entries(DATE_FORMAT_LABELS)) select.add(new Option(t(label), key));
+    select.value = chosen;
+    select.disabled = !timeSelect.value;
+
+    const info = describeDateFormat(detected, chosen);
+    note.textContent = timeSelect.value ? info.text : "";
+    note.dataset.level = info.level;
+  };
+  timeSelect.addEventListener("change", refresh);
+  select.addEventListener("change", () => {
+    chosen = select.value;
+    refresh();
+  });
+  refresh();
+
+  row.append(label, select, note);
+  return row;
+}
+
+function describeDateFormat(detected, override) {
+  if (override) return { level: "high", text: t("mapping.setByYou", { format: t(DATE_FORMAT_LABELS[override]) }) };
+  if (!detected || detected.format === "auto") {
+    return { level: "low", text: t("mapping.noFormat") };
+  }
+  if (detected.ambiguous) {
+    const formats = new Intl.ListFormat(state.locale, { type: "disjunction" }).format(
+      detected.ambiguous.map((f) => t(DATE_FORMAT_LABELS[f]))
+    );
+    return { level: "low", text: t("mapping.ambiguous", { formats }) };
+  }
+  return { level: "high", text: t("mapping.parseShare", { pct: Math.round(detected.share * 100) }) };
+}
+
+// Status line after an analysis; a guessed day/month order stays visible
+function describeLoadedDates(timeFormat) {
+  if (timeFormat?.ambiguous) {
+    const format = DATE_FORMAT_LABELS[timeFormat.format] ? msg(DATE_FORMAT_LABELS[timeFormat.format]) : timeFormat.format;
+    return msg("status.ambiguousDates", { format });
+  }
+  return msg("status.verified");
+}
+
+function readMappingDialog() {
+  const mapping = {};
+  document.querySelectorAll("#mapping-roles select[data-role]").forEach((select) => {
+    mapping[select.dataset.role] = select.value || null;
+  });
+  mapping.timeFormat = (mapping.time && ui.byId("map-time-format")?.value) || null;
+  return mapping;
+}
+
+function confirmMapping() {
+  state.mapping = readMappingDialog();
+  // Filters hold raw values of the previous status/operator columns
+  state.filters = [];
+  state.quality = { report: null, exclude: [] };
+  renderFilterChips();
+  ui.setHidden("mapping-overlay", true);
+  requestAggregation();
+  requestAudit();
+}
+
+function cancelMapping() {
+  ui.setHidden("mapping-overlay", true);
+  if (state.status === STATUS.RECEIVED) {
+    ui.setStatus(STATUS.RECEIVED, msg("status.mappingRequired"), msg("status.useColumns"));
+  }
+}
+
+// Newer aggregations supersede older ones (filters clicked in quick succession)
+async function requestAggregation() {
+  if (!state.schema) return;
+
+  if (!state.client || !state.workerReady) {
+    ui.setStatus(STATUS.INVALID, msg("status.initializing"), msg(ERROR_MAP["WORKER NOT READY"]));
+    maybeRestartWorker();
+    return;
+  }
+
+  state.isProcessing = true;
+  ui.showProcessing(true);
+  ui.disableUploadButtons(true);
+  ui.setStatus(STATUS.PROCESSING, msg("status.analyzing"), msg("status.processingLocal"));
+  const compared = requestCompareAggregation();
+
+  try {
+    const payload = await state.client.request(
+      "AGGREGATE",
+      {
+        mapping: state.mapping,
+        range: state.range,
+        buckets: state.buckets,
+        rateWindow: state.rateWindow,
+        filters: state.filters.map((f) => ({ role: f.role, value: f.key })),
+        exclude: state.quality.exclude,
+        timezone: activeZone(),
+        privacy: privacyParams(),
+        shiftHours: state.workload.shiftHours,
+        roleMap: state.workload.roleMap,
+        bySite: wantsSiteBreakdown(),
+      },
+      { key: "aggregate", onProgress: showWorkerProgress }
+    );
+    onAnalysisComplete(payload);
+  } catch (err) {
+    if (err.message === "TRANSFER_FAILED") {
+      state.isProcessing = false;
+      ui.showProcessing(false);
+      ui.disableUploadButtons(false);
+      ui.setStatus(STATUS.INVALID, msg("status.transferFailed"), msg("status.engineUnreachable"));
+      return;
+    }
+    onRequestError(err);
+  }
+  // Settles once both exports are on screen (exports snapshot them)
+  await compared;
+}
+
+/* --------------------------- TIME RANGE --------------------------- */
+// True once a real export has been aggregated (synthetic data has no mapping)
+function hasLiveData() {
+  return !!state.data?.mapping && !!state.schema;
+}
+
+function onRangePresetChange(e) {
+  const preset = e.target.value;
+  const custom = preset === "custom";
+  ui.setHidden("range-custom", !custom);
+
+  if (custom) {
+    // Prefill with the current window (or the export extent) for quick edits
+    const from = ui.byId("range-from");
+    const to = ui.byId("range-to");
+    const applied = state.data?.range;
+    const start = applied?.from ?? state.data?.extent?.min;
+    const end = applied?.to ?? state.data?.extent?.max;
+    if (from && !from.value && start) from.value = toLocalInputValue(start);
+    if (to && !to.value && end) to.value = toLocalInputValue(end);
+    return;
+  }
+
+  state.range = { preset, from: null, to: null };
+  if (hasLiveData()) requestAggregation();
+  else updateRangeDisplay();
+}
+
+function applyCustomRange() {
+  const from = parseLocalInputValue(ui.byId("range-from")?.value);
+  const to = parseLocalInputValue(ui.byId("range-to")?.value);
+  if (from != null && to != null && from > to) {
+    ui.setStatus(state.status, msg("status.invalidRange"), msg(ERROR_MAP["INVALID RANGE"]));
+    return;
+  }
+
+  state.range = { preset: "custom", from, to };
+  if (hasLiveData()) requestAggregation();
+  else updateRangeDisplay();
+}
+
+// <input type="datetime-local"> holds wall time in the active zone
+function toLocalInputValue(iso) {
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "";
+  return d3.utcFormat("%Y-%m-%dT%H:%M")(wallDate(d));
+}
+
+function parseLocalInputValue(value) {
+  if (!value) return null;
+  const wall = Date.parse(`${value}Z`);
+  return Number.isNaN(wall) ? null : fromWall(wall);
+}
+
+function formatWindow(range) {
+  if (!range?.from && !range?.to) return "";
+  const fmt = (v) => d3.utcFormat("%d %b %Y %H:%M")(wallDate(new Date(v)));
+  const from = range.from ? fmt(range.from) : t("range.start");
+  const to = range.to ? fmt(range.to) : t("range.end");
+  return `${from} → ${to}`;
+}
+
+// Panel titles + header readout reflect the window the worker actually applied
+function updateRangeDisplay() {
+  const applied = hasLiveData() ? state.data.range : null;
+  const preset = applied?.preset || state.range.preset;
+
+  let title = t(RANGE_LABELS[preset] || RANGE_LABELS.all);
+  if (preset === "custom" && applied) title = formatWindow(applied);
+  ui.setText("title-visits", t("title.visits", { range: title }));
+
+  const windowText = applied ? formatWindow(applied) || formatWindow({ from: state.data.extent?.min, to: state.data.extent?.max }) : "";
+  ui.setText("range-window", windowText);
+  ui.setHidden("range-window", !windowText);
+  updateTimezoneDisplay();
+}
+
+/* -------------------------- CROSS-FILTER -------------------------- */
+const FILTER_LABELS = { status: "filter.status", operator: "filter.operator", site: "filter.site" };
+
+function isFiltered(role, key) {
+  return state.filters.some((f) => f.role === role && f.key === key);
+}
+
+function hasFilter(role) {
+  return state.filters.some((f) => f.role === role);
+}
+
+// Click on a category bar: add it to (or remove it from) the active filters
+function toggleFilter(role, key, label, blob = false) {
+  // The merged small-count row stands for several values; blob values have no key to match
+  if (!hasLiveData() || blob || label === SUPPRESSED_LABEL) return;
+  if (isFiltered(role, key)) {
+    state.filters = state.filters.filter((f) => !(f.role === role && f.key === key));
+  } else {
+    state.filters = [...state.filters, { role, key: key ?? null, label }];
+  }
+  renderFilterChips();
+  requestAggregation();
+}
+
+function clearFilters() {
+  if (!state.filters.length) return;
+  state.filters = [];
+  renderFilterChips();
+  requestAggregation();
+}
+
+function renderFilterChips() {
+  const host = ui.byId("filter-chips");
+  if (!host) return;
+  host.replaceChildren();
+
+  for (const f of state.filters) {
+    const role = t(FILTER_LABELS[f.role]);
+    const chip = makeButton(t("filter.chip", { role, label: f.label }), () => toggleFilter(f.role, f.key, f.label), "filter-chip");
+    chip.setAttribute("aria-label", t("filter.remove", { role, label: f.label }));
+    host.appendChild(chip);
+  }
+  if (state.filters.length > 1) {
+    host.appendChild(makeButton(t("filter.clearAll"), clearFilters));
+  }
+  host.classList.toggle("hidden", !state.filters.length);
+}
+
+/* -------------------------- DATA QUALITY -------------------------- */
+// The audit covers the whole mapped table (no range or filters) and is
+// rerun when the mapping or the timezone changes. Checked items drop their
+// flagged rows from every panel, the comparison included.
+async function requestAudit() {
+  if (!state.client || !state.mapping) return;
+  // A new export or mapping replaces state.quality; a late report is dropped
+  const quality = state.quality;
+  quality.report = null;
+  quality.error = null;
+  renderQualityPanel();
+  try {
+    const report = await state.client.request(
+      "AUDIT",
+      { mapping: state.mapping, timezone: activeZone() },
+      { key: "audit" }
+    );
+    if (state.quality !== quality) return;
+    quality.report = report;
+    renderQualityPanel();
+  } catch (err) {
+    if (IGNORED_ERRORS.has(err.message) || state.quality !== quality) return;
+    quality.error = describeWorkerError(err);
+    renderQualityPanel();
+  }
+}
+
+function clearQuality() {
+  state.quality = { report: null, exclude: [] };
+  renderQualityPanel();
+}
+
+function toggleExclusion(id, excluded) {
+  const rest = state.quality.exclude.filter((x) => x !== id);
+  state.quality.exclude = excluded ? [...rest, id] : rest;
+  renderQualityPanel();
+  requestAggregation();
+}
+
+function formatRate(rate) {
+  if (!rate) return d3.format(".0%")(0);
+  return rate < 0.001 ? `<${d3.format(".1%")(0.001)}` : d3.format(".1%")(rate);
+}
+
+function qualityRow(severity, label, count, rate, note) {
+  const row = document.createElement("div");
+  row.className = "quality-row";
+  row.dataset.severity = severity;
+  const dot = document.createElement("span");
+  dot.className = "quality-dot";
+  dot.setAttribute("aria-hidden", "true");
+  const name = document.createElement("span");
+  if (label instanceof Node) name.appendChild(label);
+  else name.textContent = label;
+  const n = document.createElement("span");
+  n.textContent = formatNumber(count);
+  const pct = document.createElement("span");
+  pct.className = "quality-rate";
+  pct.textContent = formatRate(rate);
+  row.append(dot, name, n, pct);
+  if (note) {
+    const extra = document.createElement("span");
+    extra.className = "quality-note";
+    extra.textContent = note;
+    extra.title = note;
+    row.appendChild(extra);
+  }
+  return row;
+}
+
+// state.quality.error: the last audit failed (shown until the next one)
+function renderQualityPanel() {
+  const host = ui.byId("quality-report");
+  if (!host) return;
+  const { report, exclude, error } = state.quality;
+
+  if (!report) {
+    const p = document.createElement("p");
+    p.className = "text-dim";
+    p.textContent = error ? text(error) : t(state.mapping ? "quality.auditing" : "quality.empty");
+    host.replaceChildren(p);
+    ui.setText("quality-summary", "");
+    return;
+  }
+
+  const heading = (label) => {
+    const el = document.createElement("div");
+    el.className = "quality-section";
+    el.textContent = label;
+    return el;
+  };
+
+  const rows = [heading(t("quality.emptyValues", { rows: report.rowCount }))];
+  for (const c of report.columns) {
+    const role = ROLE_LABELS[c.role] ? t(ROLE_LABELS[c.role]) : c.role;
+    rows.push(qualityRow(c.severity, t("quality.column", { role, column: c.key }), c.nulls + c.empties, c.rate));
+  }
+
+  rows.push(heading(t("quality.flagged")));
+  for (const c of report.checks) {
+    const label = document.createElement("label");
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.checked = exclude.includes(c.id);
+    box.disabled = !c.count && !box.checked;
+    box.addEventListener("change", () => toggleExclusion(c.id, box.checked));
+    label.append(box, QUALITY_LABELS[c.id] ? t(QUALITY_LABELS[c.id]) : c.id);
+    let note = "";
+    // Singleton statuses are cells of one row: never shown while privacy covers the view or exports
+    if (c.samples?.length) {
+      note = state.privacy.mode === "off" ? t("quality.examples", { values: c.samples.join(", ") }) : t("quality.examplesHidden");
+    }
+    if (c.columns) note = t("quality.compared", { columns: c.columns.join(", ") });
+    rows.push(qualityRow(c.severity, label, c.count, c.rate, note));
+  }
+  host.replaceChildren(...rows);
+
+  const issues = [...report.columns, ...report.checks].filter((c) => c.severity !== "ok").length;
+  const summary = [issues ? t("quality.toReview", { count: issues }) : t("quality.clean")];
+  if (exclude.length) summary.push(t("quality.excluded", { count: exclude.length }));
+  ui.setText("quality-summary", summary.join(" · "));
+}
+
+/* ----------------------------- ALERTS ----------------------------- */
+// Threshold rules ({ metric, op: ">" | "<", threshold, a?, b? }) checked
+// against every aggregated result. A breach outlines its panel in the alert
+// color and is listed in the header and in exported reports. Rules are saved
+// in this browser only.
+
+// value(data, rule) -> { value, subject? }, or null when the result cannot tell.
+// A subject given as a function is formatted when shown (dates follow the
+// language). Some values depend on what is on screen: a peak on the bucket
+// size, a total on the range. `view()` reads just that, a rule keeps the view
+// it was written for, and it is skipped (with a note) while the panel shows
+// another one. Ratios hold on any view and have none.
+const ALERT_METRICS = {
+  visitsPeak: {
+    panel: "visits",
+    hint: "alerts.hintVisits",
+    view: () => ({ bucket: bucketUnit("visits") }),
+    label: (rule) =>
+      t("alerts.visitsPeak", { bucket: t(BUCKET_NAMES[rule?.view?.bucket || bucketUnit("visits")] || "a11y.bucketHour") }),
+    value: (d) => {
+      if (!d.visits.length) return null;
+      const peak = d.visits[d3.maxIndex(d.visits, (v) => v.value)];
+      const unit = bucketUnit("visits");
+      return { value: peak.value, subject: () => formatBucketSpan(peak.date, unit) };
+    },
+  },
+  visitsTotal: {
+    panel: "visits",
+    hint: "alerts.hintVisits",
+    view: () => ({ range: rangeView() }),
+    label: () => t("alerts.visitsTotal"),
+    value: (d) => ({ value: d3.sum(d.visits, (v) => v.value) }),
+  },
+  statusRatio: {
+    panel: "states",
+    hint: "alerts.hintRatio",
+    statuses: true,
+    label: (rule) => (rule?.a ? t("alerts.statusRatioOf", { a: rule.a, b: rule.b }) : t("alerts.statusRatio")),
+    format: (v) => d3.format(".2~f")(v),
+    value: (d, rule) => {
+      const count = (status) => d3.sum(d.states, (s) => (sameStatus(s.category, status) ? s.value : 0));
+      const below = count(rule.b);
+      return below ? { value: count(rule.a) / below } : null;
+    },
+  },
+  durationMedian: {
+    panel: "duration",
+    hint: "alerts.hintMin",
+    label: () => t("alerts.durationMedian"),
+    format: (v) => t("tip.minutes", { value: formatMinutes(v) }),
+    value: (d) => (d.duration.stats ? { value: d.duration.stats.median } : null),
+  },
+  durationP90: {
+    panel: "duration",
+    hint: "alerts.hintMin",
+    label: () => t("alerts.durationP90"),
+    format: (v) => t("tip.minutes", { value: formatMinutes(v) }),
+    value: (d) => (d.duration.stats ? { value: d.duration.stats.p90 } : null),
+  },
+  // "Any staff member above 30%": the busiest one (or the quietest, for "<").
+  // The SYSTEM row and merged small counts are not a person.
+  staffShare: {
+    panel: "operators",
+    hint: "alerts.hintPct",
+    label: () => t("alerts.staffShare"),
+    format: (v) => d3.format(".1~%")(v / 100),
+    value: (d, rule) => {
+      const total = d3.sum(d.operators, (o) => o.value);
+      const staff = d.operators.filter((o) => o.key != null && !o.suppressed);
+      if (!total || !staff.length) return null;
+      const pick = rule.op === "<" ? d3.least : d3.greatest;
+      const o = pick(staff, (s) => s.value);
+      return { value: (o.value / total) * 100, subject: o.name };
+    },
+  },
+  ratePeak: {
+    panel: "volume",
+    hint: "alerts.hintRate",
+    label: () => t("alerts.ratePeak"),
+    value: (d) => (d.volume.peak ? { value: d.volume.peak.value } : null),
+  },
+};
+
+const ALERT_OPS = { ">": "alerts.above", "<": "alerts.below" };
+
+function sameStatus(category, status) {
+  return String(category).trim().toUpperCase() === String(status ?? "").trim().toUpperCase();
+}
+
+function isAlertRule(r) {
+  return (
+    !!r &&
+    !!ALERT_METRICS[r.metric] &&
+    !!ALERT_OPS[r.op] &&
+    Number.isFinite(r.threshold) &&
+    (!ALERT_METRICS[r.metric].statuses || (typeof r.a === "string" && !!r.a && typeof r.b === "string" && !!r.b)) &&
+    (r.view == null || typeof r.view === "object")
+  );
+}
+
+// Range of the data on screen: the preset, plus the bounds of a custom one
+function rangeView() {
+  const r = (hasLiveData() && state.data.range) || state.range;
+  return r.preset === "custom" ? { preset: "custom", from: r.from, to: r.to } : { preset: r.preset || "all" };
+}
+
+function sameView(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// The part of a rule's saved view its metric reads now (older rules saved more)
+function ruleView(rule) {
+  const current = ALERT_METRICS[rule.metric].view?.() || {};
+  return Object.fromEntries(Object.keys(current).map((k) => [k, rule.view?.[k]]));
+}
+
+function describeView(view) {
+  const parts = [];
+  if (view.bucket) parts.push(t("alerts.perBucket", { bucket: t(BUCKET_NAMES[view.bucket] || "a11y.bucketHour") }));
+  if (view.range) {
+    const label = t(RANGE_LABELS[view.range.preset] || RANGE_LABELS.all);
+    parts.push(view.range.preset === "custom" ? formatWindow(view.range) : label);
+  }
+  return parts.join(" · ");
+}
+
+// Rules whose saved view differs from the one on screen (see ALERT_METRICS)
+function describeSkippedAlert(rule) {
+  return t("alerts.skippedRule", { metric: ALERT_METRICS[rule.metric].label(rule), view: describeView(ruleView(rule)) });
+}
+
+function loadAlertRules() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(ALERT_RULES_STORAGE_KEY) || "[]");
+    return Array.isArray(saved) ? saved.filter(isAlertRule).slice(0, MAX_ALERT_RULES) : [];
+  } catch {
+    return [];
+  }
+}
+
+// False when the browser refuses storage (private mode, file:// policies)
+function saveAlertRules(rules) {
+  try {
+    localStorage.setItem(ALERT_RULES_STORAGE_KEY, JSON.stringify(rules));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function formatAlertValue(metric, v) {
+  return metric.format ? metric.format(v) : formatNumber(v);
+}
+
+function describeAlert(breach) {
+  const { rule } = breach;
+  const metric = ALERT_METRICS[rule.metric];
+  const params = {
+    metric: metric.label(rule),
+    value: formatAlertValue(metric, breach.value),
+    op: rule.op,
+    threshold: formatAlertValue(metric, rule.threshold),
+  };
+  if (breach.subject == null) return t("alerts.breach", params);
+  const subject = typeof breach.subject === "function" ? breach.subject() : breach.subject;
+  return t("alerts.breachAt", { ...params, subject });
+}
+
+// After each analysis (and when the rules change): breaches of the data on screen
+function evaluateAlerts() {
+  const d = state.data;
+  state.alerts.breaches = [];
+  state.alerts.skipped = [];
+  for (const rule of d ? state.alerts.rules : []) {
+    const metric = ALERT_METRICS[rule.metric];
+    if (metric.view && rule.view && !sameView(ruleView(rule), metric.view())) {
+      state.alerts.skipped.push(rule);
+      continue;
+    }
+    const r = metric.value(d, rule);
+    if (!r || !Number.isFinite(r.value)) continue;
+    if (rule.op === ">" ? r.value > rule.threshold : r.value < rule.threshold) {
+      state.alerts.breaches.push({ rule, panel: metric.panel, ...r });
+    }
+  }
+  renderAlerts();
+}
+
+const MAX_ALERT_CHIPS = 3;
+
+function renderAlerts() {
+  const { breaches, skipped } = state.alerts;
+  const flagged = new Set(breaches.map((b) => b.panel));
+  for (const panel of new Set(Object.values(ALERT_METRICS).map((m) => m.panel))) {
+    ui.byId(`chart-${panel}`)?.closest(".panel")?.classList.toggle("panel-alert", flagged.has(panel));
+  }
+
+  const host = ui.byId("alert-summary");
+  if (!host) return;
+  host.replaceChildren(
+    ...breaches.slice(0, MAX_ALERT_CHIPS).map((b) => {
+      const breach = describeAlert(b);
+      const chip = makeButton(t("alerts.chip", { breach }), () => ui.byId(`chart-${b.panel}`)?.focus(), "alert-chip");
+      chip.setAttribute("aria-label", t("alerts.show", { breach }));
+      chip.title = breach;
+      return chip;
+    })
+  );
+  const rest = breaches.slice(MAX_ALERT_CHIPS);
+  if (rest.length) {
+    const more = document.createElement("span");
+    more.className = "alert-more";
+    more.textContent = t("alerts.more", { count: rest.length });
+    more.title = rest.map(describeAlert).join("\n");
+    host.appendChild(more);
+  }
+  if (skipped.length) {
+    const note = document.createElement("span");
+    note.className = "alert-skipped";
+    note.textContent = t("alerts.skipped", { count: skipped.length });
+    note.title = skipped.map(describeSkippedAlert).join("\n");
+    host.appendChild(note);
+  }
+  host.classList.toggle("hidden", !breaches.length && !skipped.length);
+}
+
+// Rule editor: one row per rule; rows live in the dialog until saved
+function openAlertEditor() {
+  const host = ui.byId("alerts-table");
+  if (!host) return;
+  const statuses = ui.byId("alerts-statuses");
+  if (statuses) {
+    const known = (state.data?.states || []).map((s) => s.category).filter((c) => c !== SUPPRESSED_LABEL);
+    statuses.replaceChildren(...known.map((c) => new Option(c)));
+  }
+  host.replaceChildren(...state.alerts.rules.map(alertRuleRow));
+  showEmptyAlertEditor();
+  ui.setHidden("alerts-error", true);
+  ui.setHidden("alerts-overlay", false);
+  (host.querySelector("select") || ui.byId("alerts-add"))?.focus();
+}
+
+function showEmptyAlertEditor() {
+  const host = ui.byId("alerts-table");
+  if (!host) return;
+  const rows = host.querySelectorAll(".alert-rule").length;
+  host.querySelector(".alerts-empty")?.remove();
+  if (!rows) {
+    const empty = document.createElement("p");
+    empty.className = "alerts-empty text-dim text-xs";
+    empty.textContent = t("alerts.empty");
+    host.appendChild(empty);
+  }
+  const add = ui.byId("alerts-add");
+  if (add) add.disabled = rows >= MAX_ALERT_RULES;
+}
+
+function alertRuleRow(rule = { metric: "visitsPeak", op: ">", threshold: null }) {
+  const row = document.createElement("div");
+  row.className = "alert-rule";
+  // Saved rules keep their view on save unless edited (see saveAlertEditor)
+  if (rule.view) {
+    row.dataset.rule = JSON.stringify(rule);
+    row.title = t("alerts.setFor", { view: describeView(rule.view) });
+  }
+
+  const metric = makeSelect(
+    null,
+    Object.entries(ALERT_METRICS).map(([id, m]) => [m.label(), id]),
+    rule.metric
+  );
+  metric.className = "alert-metric";
+  metric.setAttribute("aria-label", t("alerts.metric"));
+
+  const status = (cls, label, value) => {
+    const input = document.createElement("input");
+    input.type = "text";
+    input.className = cls;
+    input.value = value ?? "";
+    input.placeholder = t(label);
+    input.setAttribute("aria-label", t(label));
+    input.setAttribute("list", "alerts-statuses");
+    return input;
+  };
+  const a = status("alert-a", "alerts.statusA", rule.a);
+  const b = status("alert-b", "alerts.statusB", rule.b);
+
+  const op = makeSelect(
+    null,
+    Object.entries(ALERT_OPS).map(([symbol, label]) => [t(label), symbol]),
+    rule.op
+  );
+  op.className = "alert-op";
+  op.setAttribute("aria-label", t("alerts.op"));
+
+  const threshold = document.createElement("input");
+  threshold.type = "number";
+  threshold.step = "any";
+  threshold.className = "alert-threshold";
+  threshold.value = rule.threshold ?? "";
+  threshold.setAttribute("aria-label", t("alerts.threshold"));
+
+  // Status inputs only for the ratio; the unit hint follows the metric
+  const sync = () => {
+    const m = ALERT_METRICS[metric.value];
+    a.classList.toggle("is-unused", !m.statuses);
+    b.classList.toggle("is-unused", !m.statuses);
+    threshold.placeholder = t(m.hint);
+  };
+  metric.addEventListener("change", sync);
+  sync();
+
+  const remove = makeButton("×", () => {
+    row.remove();
+    showEmptyAlertEditor();
+  });
+  remove.setAttribute("aria-label", t("alerts.remove"));
+
+  row.append(metric, a, b, op, threshold, remove);
+  return row;
+}
+
+function addAlertRule() {
+  const host = ui.byId("alerts-table");
+  if (!host || host.querySelectorAll(".alert-rule").length >= MAX_ALERT_RULES) return;
+  const row = alertRuleRow();
+  host.appendChild(row);
+  showEmptyAlertEditor();
+  row.querySelector("select")?.focus();
+}
+
+function saveAlertEditor() {
+  const host = ui.byId("alerts-table");
+  if (!host) return;
+  const rules = [];
+  let problem = null;
+  host.querySelectorAll(".alert-rule").forEach((row) => {
+    const raw = row.querySelector(".alert-threshold").value.trim();
+    const rule = {
+      metric: row.querySelector(".alert-metric").value,
+      op: row.querySelector(".alert-op").value,
+      threshold: raw === "" ? NaN : Number(raw),
+    };
+    if (ALERT_METRICS[rule.metric].statuses) {
+      rule.a = row.querySelector(".alert-a").value.trim();
+      rule.b = row.querySelector(".alert-b").value.trim();
+      if (!rule.a || !rule.b) problem ??= "alerts.needsStatuses";
+    }
+    if (!Number.isFinite(rule.threshold)) problem ??= "alerts.needsNumber";
+    // An edited or new rule is written for the view on screen
+    const view = ALERT_METRICS[rule.metric].view;
+    if (view) {
+      const saved = row.dataset.rule ? JSON.parse(row.dataset.rule) : null;
+      rule.view = saved && sameView({ ...saved, view: null }, { ...rule, view: null }) ? saved.view : view();
+    }
+    rules.push(rule);
+  });
+  if (rules.length > MAX_ALERT_RULES) problem ??= "alerts.tooMany";
+  if (problem) {
+    ui.setText("alerts-error", msg(problem, { max: MAX_ALERT_RULES }));
+    ui.setHidden("alerts-error", false);
+    return;
+  }
+
+  state.alerts.rules = rules;
+  ui.setHidden("alerts-overlay", true);
+  const saved = saveAlertRules(rules);
+  evaluateAlerts();
+  // Announce the new alert count with the chart summaries
+  state.announced = null;
+  scheduleRender();
+  if (!saved) ui.setStatus(state.status, msg("status.alertsNotSaved"), msg("status.alertsStorageRefused"));
+}
+
+/* ----------------------------- SITES ------------------------------ */
+// Merged multi-facility loads carry a site column (mapped like any role);
+// each panel can show all sites combined, stacked or split side by side.
+function hasSiteDimension() {
+  return hasLiveData() && !!state.data.mapping?.site;
+}
+
+function wantsSiteBreakdown() {
+  return !!state.mapping?.site && Object.values(state.siteViews).some((v) => v !== "all");
+}
+
+function onSiteViewChange(e) {
+  state.siteViews[e.target.dataset.panel] = e.target.value;
+  if (!hasLiveData()) return;
+  // The worker only computes per-site results when some panel asks for them
+  if (wantsSiteBreakdown() && !state.data.bySite) requestAggregation();
+  else {
+    renderSiteLegend();
+    scheduleRender();
+  }
+}
+
+// { mode, sites } for a panel in stack/split mode, null when combined
+function siteBreakdown(panel) {
+  const mode = state.siteViews[panel];
+  if (mode === "all" || !hasSiteDimension()) return null;
+  const sites = state.data.bySite?.sites;
+  return sites?.length ? { mode, sites } : null;
+}
+
+function siteColor(site) {
+  if (!state.siteColors.has(site)) {
+    state.siteColors.set(site, d3.schemeTableau10[state.siteColors.size % d3.schemeTableau10.length]);
+  }
+  return state.siteColors.get(site);
+}
+
+function updateSiteControls() {
+  const show = hasSiteDimension();
+  document.querySelectorAll(".site-select").forEach((select) => select.classList.toggle("hidden", !show));
+  renderSiteLegend();
+}
+
+// Legend doubles as the site filter: click a site to keep only it
+function renderSiteLegend() {
+  const host = ui.byId("site-legend");
+  if (!host) return;
+  host.replaceChildren();
+
+  const bySite = hasSiteDimension() && wantsSiteBreakdown() ? state.data.bySite : null;
+  for (const s of bySite?.sites || []) {
+    const chip = makeButton(s.site, () => toggleFilter("site", s.key, s.site, s.blob), "site-chip");
+    chip.style.setProperty("--site-color", siteColor(s.site));
+    chip.setAttribute("aria-pressed", String(isFiltered("site", s.key)));
+    host.appendChild(chip);
+  }
+  if (bySite?.truncated) {
+    const more = document.createElement("span");
+    more.className = "range-label";
+    more.textContent = t("sites.more");
+    host.appendChild(more);
+  }
+  host.classList.toggle("hidden", !bySite?.sites.length);
+}
+
+/**
+ * Per-site time series on the panel's scales: stacked areas or one line per
+ * site. `values(site)` returns the site's values aligned with `dates`.
+ */
+function drawSiteSeries(layer, split, dates, x, y, values) {
+  const sites = split ? split.sites : [];
+  let shapes = [];
+
+  if (split?.mode === "stack") {
+    const rows = dates.map((_, j) => sites.map((s) => values(s)[j] || 0));
+    const stacked = d3
+      .stack()
+      .keys(sites.map((_, i) => i))
+      .value((row, i) => row[i])(rows);
+    const area = d3
+      .area()
+      .x((d, j) => x(dates[j]))
+      .y0((d) => y(d[0]))
+      .y1((d) => y(d[1]));
+    shapes = stacked.map((series, i) => ({ site: sites[i].site, d: area(series), fill: true }));
+  } else if (split) {
+    const line = d3
+      .line()
+      .defined((v) => v != null)
+      .x((v, j) => x(dates[j]))
+      .y((v) => y(v));
+    shapes = sites.map((s) => ({ site: s.site, d: line(values(s).slice(0, dates.length)), fill: false }));
+  }
+
+  layer
+    .selectAll(".site-series")
+    .data(shapes, (d) => d.site)
+    .join("path")
+    .attr("class", "site-series")
+    .attr("d", (d) => d.d)
+    .attr("fill", (d) => (d.fill ? siteColor(d.site) : "none"))
+    .attr("fill-opacity", 0.6)
+    .attr("stroke", (d) => siteColor(d.site))
+    .attr("stroke-width", (d) => (d.fill ? 0.5 : 1.5));
+}
+
+/**
+ * Per-site bar segments for a categorical panel. Returns one rect spec per
+ * (category, site): `offset`/`value` along the value axis and `slot` (0..1)
+ * across the band for split mode.
+ */
+function siteSegments(split, categories, rowsOf, labelKey) {
+  const out = [];
+  const n = split.sites.length;
+  for (const category of categories) {
+    let offset = 0;
+    split.sites.forEach((s, i) => {
+      const row = rowsOf(s).find((r) => r[labelKey] === category);
+      const value = row ? row.value : 0;
+      out.push({ id: `${category}\u0000${s.site}`, category, site: s.site, value, offset, slot: i / n, share: 1 / n });
+      if (split.mode === "stack") offset += value;
+    });
+  }
+  return out;
+}
+
+/* ---------------------------- WORKLOAD ---------------------------- */
+// Staff workload in two levels: roles (from the mapped role column or the
+// saved name -> role map), each expandable to its staff members. The worker
+// counts worked shifts so the per-shift metric compares wards of any size.
+
+function loadRoleMap() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(ROLE_MAP_STORAGE_KEY) || "{}");
+    if (!saved || typeof saved !== "object" || Array.isArray(saved)) return {};
+    return Object.fromEntries(Object.entries(saved).filter(([, role]) => typeof role === "string" && role.length <= MAX_ROLE_LENGTH));
+  } catch {
+    return {};
+  }
+}
+
+// False when the browser refuses storage (private mode, file:// policies)
+function saveRoleMap(map) {
+  try {
+    localStorage.setItem(ROLE_MAP_STORAGE_KEY, JSON.stringify(map));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// "shift" only when the data on screen carries shift counts (needs a time column)
+function workloadMetric() {
+  const perShift = hasLiveData() ? state.data.workload?.perShift : !!state.data;
+  return state.workload.metric === "shift" && perShift ? "shift" : "events";
+}
+
+function onWorkloadMetricChange(e) {
+  const hours = Number(e.target.value);
+  if (!hours) {
+    state.workload.metric = "events";
+    scheduleRender();
+    return;
+  }
+  state.workload.metric = "shift";
+  // Shift counts depend on the shift length: only that needs a new aggregation
+  if (hours !== state.workload.shiftHours) {
+    state.workload.shiftHours = hours;
+    if (hasLiveData()) {
+      requestAggregation();
+      return;
+    }
+  }
+  scheduleRender();
+}
+
+/**
+ * Flat chart rows for a workload result ({ operators, roles }): one row per
+ * role, followed by its staff when expanded, or one row per staff member
+ * when no roles are known. `value` is the metric on screen.
+ */
+function workloadRows(data) {
+  const perShift = workloadMetric() === "shift";
+  const row = (r, fields) => ({
+    ...fields,
+    key: r.key ?? null,
+    blob: !!r.blob,
+    events: r.value,
+    shifts: r.shifts ?? null,
+    perShift: r.perShift ?? null,
+    value: (perShift ? r.perShift : r.value) ?? 0,
+  });
+  const roles = data.roles || [];
+  if (!roles.length) return data.operators.map((o) => row(o, { id: `staff\u0000${o.name}`, label: o.name, level: 0 }));
+
+  const rows = [];
+  for (const r of roles) {
+    const expandable = !r.suppressed;
+    const expanded = expandable && state.workload.expanded.has(r.role);
+    rows.push(row(r, { id: `role\u0000${r.role}`, label: r.role, role: r.role, staff: r.staff, level: 0, isRole: true, expandable, expanded }));
+    if (!expanded) continue;
+    for (const o of data.operators.filter((op) => op.role === r.role)) {
+      rows.push(row(o, { id: `staff\u0000${o.name}`, label: o.name, role: r.role, level: 1 }));
+    }
+  }
+  return rows;
+}
+
+function onWorkloadRowClick(d) {
+  if (d.isRole) {
+    if (!d.expandable) return;
+    if (state.workload.expanded.has(d.role)) state.workload.expanded.delete(d.role);
+    else state.workload.expanded.add(d.role);
+    scheduleRender();
+    return;
+  }
+  toggleFilter("operator", d.key, d.label, d.blob);
+}
+
+function describeWorkload() {
+  const w = hasLiveData() ? state.data.workload : null;
+  const hours = w?.shiftHours ?? state.workload.shiftHours;
+  const parts = [
+    workloadMetric() !== "shift"
+      ? t("workload.events")
+      : w
+        ? t("workload.perShiftFrom", { hours, start: `${String(w.shiftStartHour).padStart(2, "0")}:00`, zone: describeZone() })
+        : t("workload.perShift", { hours }),
+  ];
+  const m = hasLiveData() ? state.data.mapping : null;
+  if (m?.staffRole) parts.push(t("workload.roleColumn", { column: m.staffRole }));
+  const local = Object.keys(state.workload.roleMap).length;
+  if (local) parts.push(t("workload.localRoles", { count: local }));
+  return parts.join(t("a11y.separator"));
+}
+
+// Role editor: one row per staff member on screen. Entries override the
+// export's role column; a blank entry falls back to it.
+function openRoleEditor() {
+  const host = ui.byId("roles-table");
+  if (!host) return;
+  if (!hasLiveData() || !state.data.mapping?.operator) {
+    ui.setStatus(state.status, msg("status.noStaffColumn"), msg("status.mapStaffColumn"));
+    return;
+  }
+  // Pseudonyms are per session; a map keyed by them would be lost on reload
+  if (state.data.privacy?.pseudonymized) {
+    ui.setStatus(state.status, msg("status.rolesUnavailable"), msg("status.rolesPseudonymized"));
+    return;
+  }
+
+  const map = state.workload.roleMap;
+  const known = ui.byId("roles-known");
+  if (known) {
+    const roles = new Set([...state.data.roles.map((r) => r.role), ...Object.values(map)]);
+    roles.delete(UNASSIGNED_ROLE);
+    roles.delete(SUPPRESSED_LABEL);
+    known.replaceChildren(...[...roles].sort().map((r) => new Option(r)));
+  }
+
+  host.replaceChildren();
+  host.dataset.cleared = "";
+  const staff = state.data.operators.filter((o) => o.key != null && !o.suppressed);
+  staff.forEach((o, i) => {
+    const row = document.createElement("div");
+    row.className = "mapping-row";
+
+    const label = document.createElement("label");
+    label.htmlFor = `role-${i}`;
+    label.textContent = o.name;
+
+    const input = document.createElement("input");
+    input.type = "text";
+    input.id = `role-${i}`;
+    input.dataset.staff = String(o.key);
+    input.maxLength = MAX_ROLE_LENGTH;
+    input.setAttribute("list", "roles-known");
+    input.value = map[String(o.key)] ?? "";
+    input.placeholder =
+      map[String(o.key)] || !o.role || o.role === UNASSIGNED_ROLE ? t("roles.unassigned") : t("roles.fromExport", { role: o.role });
+
+    row.append(label, input);
+    host.appendChild(row);
+  });
+  if (!staff.length) {
+    const empty = document.createElement("p");
+    empty.className = "text-dim text-xs";
+    empty.textContent = t("roles.noStaff");
+    host.appendChild(empty);
+  }
+
+  ui.setHidden("roles-error", true);
+  ui.setHidden("roles-overlay", false);
+  ui.byId("role-0")?.focus();
+}
+
+// Empties every entry, including staff outside the current view
+function clearRoleEditor() {
+  const host = ui.byId("roles-table");
+  if (!host) return;
+  host.dataset.cleared = "true";
+  host.querySelectorAll("input[data-staff]").forEach((input) => {
+    input.value = "";
+  });
+}
+
+async function saveRoleEditor() {
+  const host = ui.byId("roles-table");
+  if (!host) return;
+  const map = host.dataset.cleared ? {} : { ...state.workload.roleMap };
+  host.querySelectorAll("input[data-staff]").forEach((input) => {
+    const role = input.value.trim();
+    if (role) map[input.dataset.staff] = role;
+    else delete map[input.dataset.staff];
+  });
+  if (Object.keys(map).length > MAX_ROLE_MAP) {
+    ui.setText("roles-error", msg("roles.tooMany", { max: MAX_ROLE_MAP }));
+    ui.setHidden("roles-error", false);
+    return;
+  }
+
+  state.workload.roleMap = map;
+  ui.setHidden("roles-overlay", true);
+  const saved = saveRoleMap(map);
+  await requestAggregation();
+  if (!saved) ui.setStatus(state.status, msg("status.rolesNotSaved"), msg("status.storageRefused"));
+}
+
+/* ---------------------------- TIMEZONE ---------------------------- */
+// Buckets, axes, range readouts and custom-range inputs share one zone.
+// The worker buckets in the zone sent with each aggregation (always a
+// resolved name, never "local") and echoes it; charts format in that zone.
+const zoneFormatters = new Map(); // zone -> Intl.DateTimeFormat
+const zoneOffsets = new Map(); // `${zone}|${slot}` -> offset ms
+
+function activeZone() {
+  if (state.timezone !== "local") return state.timezone;
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+}
+
+// Zone the data on screen was bucketed in (falls back to the setting for demo data)
+function renderZone() {
+  return (hasLiveData() && state.data.timezone) || activeZone();
+}
+
+function fillTimezoneOptions(select) {
+  const local = Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+  const names = typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : [];
+  select.replaceChildren(new Option(t("tz.local", { zone: local }), "local"), new Option("UTC", "UTC"));
+  for (const name of names) if (name !== "UTC") select.add(new Option(name, name));
+  select.value = state.timezone;
+}
+
+function onTimezoneChange(e) {
+  state.timezone = e.target.value || "local";
+  // Custom bounds stay the same instants; the inputs re-read them in the new zone
+  const from = ui.byId("range-from");
+  const to = ui.byId("range-to");
+  if (from) from.value = "";
+  if (to) to.value = "";
+  if (hasLiveData()) {
+    requestAggregation();
+    requestAudit();
+  } else {
+    updateTimezoneDisplay();
+    scheduleRender();
+  }
+}
+
+// Offset (ms) of `zone` from UTC at instant `ms`, cached per quarter hour
+function zoneOffset(ms, zone = renderZone()) {
+  if (zone === "UTC") return 0;
+  const slot = Math.floor(ms / ZONE_SLOT_MS);
+  const key = `${zone}|${slot}`;
+  let off = zoneOffsets.get(key);
+  if (off !== undefined) return off;
+
+  let fmt = zoneFormatters.get(zone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat("en-US", {
+      timeZone: zone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    });
+    zoneFormatters.set(zone, fmt);
+  }
+  const p = {};
+  for (const part of fmt.formatToParts(new Date(slot * ZONE_SLOT_MS))) p[part.type] = Number(part.value);
+  off = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - slot * ZONE_SLOT_MS;
+  if (zoneOffsets.size > 100000) zoneOffsets.clear();
+  zoneOffsets.set(key, off);
+  return off;
+}
+
+// Date whose UTC fields read as the zone's wall clock: format it with d3.utcFormat
+function wallDate(date, zone = renderZone()) {
+  const ms = +date;
+  return new Date(ms + zoneOffset(ms, zone));
+}
+
+// Instant for a wall-clock time; two passes settle DST edges
+function fromWall(wall, zone = renderZone()) {
+  return wall - zoneOffset(wall - zoneOffset(wall, zone), zone);
+}
+
+// Bottom axis for a time scale with ticks on the zone's wall-clock boundaries
+function zoneTimeAxis(x, count) {
+  const [start, end] = x.domain();
+  const wall = d3.scaleUtc().domain([wallDate(start), wallDate(end)]);
+  return d3
+    .axisBottom(x)
+    .tickValues(wall.ticks(count).map((tick) => new Date(fromWall(+tick))))
+    .tickFormat((d) => formatWallTick(wallDate(d)));
+}
+
+// d3's multi-scale tick format, with each unit's pattern from the catalog
+// (12 h clock and month-first in English, 24 h and day-first elsewhere)
+function formatWallTick(date) {
+  let unit = "year";
+  if (d3.utcMinute(date) < date) unit = "second";
+  else if (d3.utcHour(date) < date) unit = "minute";
+  else if (d3.utcDay(date) < date) unit = "hour";
+  else if (d3.utcMonth(date) < date) unit = d3.utcWeek(date) < date ? "day" : "week";
+  else if (d3.utcYear(date) < date) unit = "month";
+  return d3.utcFormat(t(`format.${unit}`))(date);
+}
+
+function formatOffset(ms) {
+  const sign = ms < 0 ? "−" : "+";
+  const min = Math.abs(ms) / 60000;
+  return `UTC${sign}${String(Math.floor(min / 60)).padStart(2, "0")}:${String(min % 60).padStart(2, "0")}`;
+}
+
+function describeZone() {
+  const zone = renderZone();
+  if (zone === "UTC") return "UTC";
+  const at = hasLiveData() && state.data.extent?.max ? Date.parse(state.data.extent.max) : Date.now();
+  return `${zone} (${formatOffset(zoneOffset(at, zone))})`;
+}
+
+function updateTimezoneDisplay() {
+  ui.setText("tz-visits", describeZone());
+  const select = ui.byId("tz-select");
+  if (select) select.title = t("tz.title", { zone: describeZone() });
+}
+
+/* ---------------------------- BUCKETS ----------------------------- */
+function onBucketChange(e) {
+  const panel = e.target.id.replace(/^bucket-/, "");
+  if (!BUCKET_LABELS[e.target.value]) return;
+  state.buckets[panel] = e.target.value;
+  if (hasLiveData()) requestAggregation();
+}
+
+function onViewChange(e) {
+  const panel = e.target.id.replace(/^view-/, "");
+  state.views[panel] = e.target.value;
+  // The trend view is the only duration view that uses time buckets
+  if (panel === "duration") ui.setHidden("bucket-duration", e.target.value !== "trend");
+  const unit = ui.byId("unit-volume");
+  if (panel === "volume" && unit) {
+    unit.dataset.i18n = e.target.value === "gaps" ? "unit.sec" : "unit.evMin";
+    unit.textContent = t(unit.dataset.i18n);
+  }
+  scheduleRender();
+}
+
+function bucketUnit(panel) {
+  return state.data?.buckets?.[panel]?.unit || "hour";
+}
+
+// MMWR epidemiological week: Sunday-start; week 1 is the week containing 4 January.
+// Takes a wall date (UTC fields = zone clock).
+function epiWeek(date) {
+  const start = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - date.getUTCDay());
+  const year = new Date(start + 3 * 24 * 3600 * 1000).getUTCFullYear();
+  const jan4 = new Date(Date.UTC(year, 0, 4));
+  const first = Date.UTC(year, 0, 4 - jan4.getUTCDay());
+  const week = Math.round((start - first) / (7 * 24 * 3600 * 1000)) + 1;
+  return { year, week };
+}
+
+// Formatters take wall dates (see wallDate); built per call so month names
+// follow the current language
+const bucketFormats = {
+  hour: (d) => (d.getUTCHours() === 0 ? d3.utcFormat("%d %b")(d) : d3.utcFormat("%H:%M")(d)),
+  day: (d) => d3.utcFormat("%d %b")(d),
+  isoweek: (d) => t("bucket.isoweekTick", { week: d3.utcFormat("%V")(d), year: d3.utcFormat("%G")(d) }),
+  epiweek: (d) => {
+    const { year, week } = epiWeek(d);
+    return t("bucket.epiweekTick", { week: String(week).padStart(2, "0"), year: String(year) });
+  },
+};
+
+function formatBucket(date, unit) {
+  return (bucketFormats[unit] || bucketFormats.hour)(wallDate(date));
+}
+
+/* --------------------------- COMPARISON --------------------------- */
+// The comparison export gets its own worker so both databases stay open;
+// it reuses the primary's mapping (matched by column name), range, buckets
+// and filters. Relative presets anchor to each export's own newest
+// timestamp, which is what makes "last 7d" vs "last 7d" period-over-period.
+function handleCompareUpload(e) {
+  const input = e.target;
+  const file = input?.files?.[0];
+  if (!file) return;
+  input.value = "";
+
+  if (!hasLiveData()) {
+    ui.setStatus(STATUS.INVALID, msg("status.loadFirst"), msg("status.compareNeedsPrimary"));
+    return;
+  }
+  const large = isLargeExport(file);
+  if (file.size > (large ? MAX_LARGE_FILE_BYTES : MAX_FILE_BYTES)) {
+    ui.setStatus(STATUS.INVALID, msg("status.fileTooLarge"), msg(ERROR_MAP["FILE EXCEEDS CAPACITY"]));
+    return;
+  }
+
+  clearComparison();
+  const info = msg("file.info", { name: file.name, size: file.size / (1024 * 1024) });
+  const cmp = {
+    client: null,
+    sourceReady: null, // promise: comparison switched to the primary's table/joins
+    fileInfo: large ? msg("file.large", { file: info }) : info,
+    fileSource: { name: file.name, bytes: file.size, sha256: null },
+    schema: null,
+    data: null,
+    isProcessing: true,
+  };
+  state.compare = cmp;
+  renderCompareHeader();
+
+  try {
+    cmp.client = createWorkerClient(new Worker(WORKER_PATH), {
+      onCrash: () => failComparison(cmp, msg(ERROR_MAP["WORKER CRASH"])),
+    });
+  } catch {
+    failComparison(cmp, msg("status.noWorkers"));
+    return;
+  }
+
+  if (large) {
+    openComparison(cmp, { file, name: file.name });
+    return;
+  }
+
+  const reader = new FileReader();
+  reader.onerror = () => failComparison(cmp, msg(ERROR_MAP["READ FAILED"]));
+  reader.onload = async () => {
+    cmp.fileSource.sha256 = await sha256Hex(reader.result);
+    openComparison(cmp, { buffer: reader.result, name: file.name }, [reader.result]);
+  };
+  reader.readAsArrayBuffer(file);
+}
+
+// The worker queues OPEN until sql.js is up, so there is no need to wait for READY.
+// entry is { buffer, name } (transferred) or { file, name } (large-file mode).
+async function openComparison(cmp, entry, transfer = []) {
+  try {
+    const schema = await cmp.client.request("OPEN", { files: [entry] }, { transfer });
+    // Results from a cleared or replaced session are ignored
+    if (state.compare !== cmp) return;
+    cmp.schema = schema;
+    cmp.isProcessing = false;
+    requestCompareAggregation();
+  } catch (err) {
+    failComparison(cmp, describeWorkerError(err));
+  }
+}
+
+function failComparison(cmp, message) {
+  if (state.compare !== cmp) return;
+  clearComparison();
+  ui.setStatus(state.status, msg("status.compareFailed", { message }), cmp.fileInfo);
+}
+
+// Primary table/joins and roles, carried over to the comparison export by name
+function compareSource(schema) {
+  const m = state.mapping;
+  const hasTable = schema.tables.some((t) => t.name === m.table);
+  return { table: hasTable ? m.table : schema.table, joins: hasTable ? m.joins || [] : [] };
+}
+
+function compareMapping(schema) {
+  const names = new Set(schema.columns.map((c) => c.name));
+  const mapping = { table: schema.table, joins: schema.joins };
+  for (const role of Object.keys(ROLE_LABELS)) {
+    const col = state.mapping[role];
+    mapping[role] = col && names.has(col) ? col : col ? (schema.roles[role]?.suggested ?? null) : null;
+  }
+  // The user's date format only holds for the same timestamp column
+  mapping.timeFormat = mapping.time && mapping.time === state.mapping.time ? (state.mapping.timeFormat ?? null) : null;
+  return mapping;
+}
+
+async function requestCompareAggregation() {
+  const cmp = state.compare;
+  if (!cmp || !cmp.schema || !state.mapping) return;
+
+  cmp.isProcessing = true;
+  renderCompareHeader();
+  try {
+    // Switch the comparison to the primary's table/joins once; if that fails
+    // the comparison is dropped
+    if (!cmp.sourceReady) cmp.sourceReady = switchCompareSource(cmp);
+    await cmp.sourceReady;
+    const payload = await cmp.client.request(
+      "AGGREGATE",
+      {
+        mapping: compareMapping(cmp.schema),
+        range: state.range,
+        buckets: state.buckets,
+        rateWindow: state.rateWindow,
+        filters: state.filters.map((f) => ({ role: f.role, value: f.key })),
+        exclude: state.quality.exclude,
+        timezone: activeZone(),
+        privacy: privacyParams(),
+        shiftHours: state.workload.shiftHours,
+        roleMap: state.workload.roleMap,
+      },
+      { key: "aggregate" }
+    );
+    if (state.compare !== cmp) return;
+    cmp.isProcessing = false;
+
+    const validated = validatePayload(payload);
+    if (!validated.ok) {
+      failComparison(cmp, validated.reason);
+      return;
+    }
+    cmp.data = toRenderData(payload);
+    renderCompareHeader();
+    scheduleRender();
+  } catch (err) {
+    if (err.message !== "SUPERSEDED") failComparison(cmp, describeWorkerError(err));
+  }
+}
+
+async function switchCompareSource(cmp) {
+  const want = compareSource(cmp.schema);
+  const sameJoins =
+    want.joins.length === cmp.schema.joins.length && want.joins.every((j, i) => sameJoin(j, cmp.schema.joins[i]));
+  if (want.table === cmp.schema.table && sameJoins) return;
+  cmp.schema = await cmp.client.request("SCHEMA", want);
+}
+
+function clearComparison() {
+  const cmp = state.compare;
+  state.compare = null;
+  if (cmp?.client) cmp.client.terminate();
+  renderCompareHeader();
+  if (cmp?.data) scheduleRender();
+}
+
+function swapBaseline() {
+  state.baseline = state.baseline === "compare" ? "primary" : "compare";
+  renderCompareHeader();
+  scheduleRender();
+}
+
+// Comparison dataset for the renderers (null while absent or still loading)
+function comparisonData() {
+  return hasLiveData() ? state.compare?.data || null : null;
+}
+
+function renderCompareHeader() {
+  const cmp = state.compare;
+  ui.setHidden("compare-controls", !cmp);
+  const label = ui.byId("compare-upload-label");
+  if (label) label.classList.toggle("hidden", !hasLiveData());
+
+  const primaryTag = cmp && state.baseline === "primary" ? t("compare.baselineTag") : "";
+  const el = ui.byId("file-metadata");
+  if (el && state.fileInfo) el.textContent = text(state.fileInfo) + primaryTag;
+
+  const meta = ui.byId("compare-metadata");
+  if (!meta || !cmp) return;
+  const tag = state.baseline === "compare" ? t("compare.baselineTag") : "";
+  const busy = cmp.isProcessing && !cmp.data ? t("compare.analyzingTag") : "";
+  meta.textContent = t("compare.vs", { file: cmp.fileInfo }) + tag + busy;
+}
+
+/**
+ * Change of the non-baseline export relative to the baseline, in percent.
+ * null when the baseline is zero (no meaningful ratio).
+ */
+function pctChange(primaryValue, compareValue) {
+  const [base, other] = state.baseline === "compare" ? [compareValue, primaryValue] : [primaryValue, compareValue];
+  if (base == null || other == null || !base) return null;
+  return ((other - base) / base) * 100;
+}
+
+function formatDelta(pct) {
+  if (pct == null || !Number.isFinite(pct)) return "—";
+  const rounded = Math.round(pct);
+  return `${rounded > 0 ? "+" : rounded < 0 ? "−" : "±"}${d3.format(".0%")(Math.abs(rounded) / 100)}`;
+}
+
+// Ghost series plotted on the primary's x positions: bucket i against bucket i
+function alignByIndex(primary, ghost) {
+  return ghost.slice(0, primary.length).map((d, i) => ({ ...d, date: primary[i].date }));
+}
+
+/* --------------------------- SQL CONSOLE -------------------------- */
+// One-off read-only queries against the open export. The worker refuses
+// writes, batches and PRAGMA setters and applies the row limit and timeout;
+// the console pages the returned rows and can plot two of their columns.
+function toggleSqlConsole() {
+  const btn = ui.byId("sql-toggle");
+  if (!btn) return;
+  const open = btn.getAttribute("aria-expanded") !== "true";
+  btn.setAttribute("aria-expanded", String(open));
+  ui.setHidden("sql-body", !open);
+  if (open) {
+    ui.byId("sql-input")?.focus();
+    renderSqlResult();
+  }
+}
+
+function setSqlMessage(message, isError = false) {
+  const el = ui.byId("sql-message");
+  if (!el) return;
+  el.textContent = text(message);
+  el.toggleAttribute("data-error", isError);
+}
+
+async function runSqlConsole() {
+  const input = ui.byId("sql-input");
+  const sql = input ? input.value.trim() : "";
+  if (!sql) {
+    setSqlMessage(msg(ERROR_MAP["SQL EMPTY"]), true);
+    return;
+  }
+  // The console reads the DB the mapping dialog opened; nothing to query before that
+  if (!state.client || !state.workerReady || !state.schema) {
+    setSqlMessage(msg(ERROR_MAP["NO DATABASE OPEN"]), true);
+    return;
+  }
+
+  rememberSql(sql);
+  setSqlMessage(msg("sql.running"));
+  // A statement stuck in one step never reaches the worker's timeout check:
+  // replace the worker (the pending request ends as WORKER_TERMINATED). The
+  // clock starts when the worker reports it picked the query up, not while it
+  // waits behind other jobs; an export being opened is never thrown away.
+  const files = state.sourceFiles;
+  let deadline = null;
+  const startDeadline = () => {
+    deadline ??= setTimeout(() => {
+      if (state.sourceFiles !== files || !state.schema || state.client?.isPending("OPEN")) return;
+      setSqlMessage(mapErrorToUser("SQL_TIMEOUT"), true);
+      reopenExport();
+    }, SQL_DEADLINE_MS);
+  };
+  try {
+    const result = await state.client.request("SQL", { sql }, { key: "sql", onProgress: startDeadline });
+    state.sql.result = result;
+    state.sql.page = 0;
+    state.sql.x = 0;
+    state.sql.y = numericColumns(result).find((i) => i !== 0) ?? -1;
+    setSqlMessage(describeSqlResult(result));
+    renderSqlResult();
+  } catch (err) {
+    // Superseded by a newer run, or the worker was reset underneath it
+    if (IGNORED_ERRORS.has(err.message)) return;
+    const detail = err.detail?.message ? ` ${err.detail.message}` : "";
+    setSqlMessage(text(mapErrorToUser(err.message)) + detail, true);
+  } finally {
+    clearTimeout(deadline);
+  }
+}
+
+/**
+ * Start a fresh worker on the export on screen: re-read the files the user
+ * picked and restore the mapped table and joins, then re-aggregate. The
+ * results and settings on screen stay; only the worker's DB is rebuilt.
+ */
+async function reopenExport() {
+  const files = state.sourceFiles;
+  const schema = state.schema;
+  if (!files || !schema) return;
+  initWorker();
+  const client = state.client;
+  if (!client) return;
+
+  state.isProcessing = true;
+  ui.showProcessing(true);
+  ui.disableUploadButtons(true);
+  ui.setStatus(STATUS.PROCESSING, msg("status.reopening"), msg("status.processingLocal"));
+
+  try {
+    // Same hand-off as loadFiles: only a lone regular export goes as a buffer
+    const single = files.length === 1 && !isLargeExport(files[0]);
+    const buffer = single ? await readFileBuffer(files[0]) : null;
+    const entries = single ? [{ buffer, name: files[0].name }] : files.map((f) => ({ file: f, name: f.name }));
+    await client.request("OPEN", { files: entries }, { transfer: single ? [buffer] : [], onProgress: showWorkerProgress });
+    await client.request("SCHEMA", { table: schema.table, joins: schema.joins || [] }, { key: "schema" });
+  } catch (err) {
+    if (state.client === client) onRequestError(err);
+    return;
+  }
+  // A new export or a cancel took over meanwhile
+  if (state.client !== client || state.sourceFiles !== files) return;
+  state.isProcessing = false;
+  if (hasLiveData()) requestAggregation();
+  else {
+    ui.showProcessing(false);
+    ui.disableUploadButtons(false);
+    ui.setStatus(STATUS.RECEIVED, msg("status.confirmMapping"), msg("status.checkColumns"));
+  }
+}
+
+function describeSqlResult(result) {
+  const rows = t("sql.rows", { count: result.rows.length });
+  const parts = [result.truncated ? t("sql.limitReached", { rows, limit: result.rowLimit }) : rows];
+  parts.push(t("sql.elapsed", { ms: result.elapsedMs }));
+  if (result.partial) parts.push(t("sql.partial"));
+  return parts.join(" · ");
+}
+
+function rememberSql(sql) {
+  state.sql.history = [sql, ...state.sql.history.filter((q) => q !== sql)].slice(0, SQL_HISTORY_MAX);
+  renderSqlHistory();
+}
+
+function renderSqlHistory() {
+  const select = ui.byId("sql-history");
+  const history = state.sql.history;
+  if (!select || !history.length) return;
+  select.replaceChildren(new Option(t("sql.history", { count: history.length }), ""));
+  history.forEach((q, i) => {
+    const oneLine = q.replace(/\s+/g, " ");
+    select.add(new Option(oneLine.length > 60 ? oneLine.slice(0, 59) + "…" : oneLine, String(i)));
+  });
+}
+
+function recallSqlHistory(e) {
+  const select = e.target;
+  const sql = state.sql.history[Number(select.value)];
+  select.value = "";
+  const input = ui.byId("sql-input");
+  if (sql == null || !input) return;
+  input.value = sql;
+  input.focus();
+}
+
+// A new export (or a cancelled load) invalidates the last result; history stays
+function clearSqlResult() {
+  state.sql.result = null;
+  state.sql.page = 0;
+  setSqlMessage("");
+  renderSqlResult();
+}
+
+function turnSqlPage(step) {
+  const result = state.sql.result;
+  if (!result) return;
+  const pages = Math.max(1, Math.ceil(result.rows.length / SQL_PAGE_ROWS));
+  state.sql.page = Math.min(pages - 1, Math.max(0, state.sql.page + step));
+  renderSqlTable();
+}
+
+function onSqlViewChange() {
+  state.sql.view = ui.byId("sql-view")?.value || "table";
+  state.sql.x = Number(ui.byId("sql-x")?.value ?? 0);
+  state.sql.y = Number(ui.byId("sql-y")?.value ?? -1);
+  renderSqlResult();
+}
+
+// Indexes of columns whose non-null values are all numbers
+function numericColumns(result) {
+  return result.columns
+    .map((_, i) => i)
+    .filter((i) => {
+      const values = result.rows.map((r) => r[i]).filter((v) => v != null);
+      return values.length > 0 && values.every((v) => typeof v === "number" && Number.isFinite(v));
+    });
+}
+
+function renderSqlResult() {
+  const result = state.sql.result;
+  ui.setHidden("sql-output", !result);
+  if (!result) {
+    ui.byId("sql-table")?.replaceChildren();
+    ui.byId("sql-chart")?.replaceChildren();
+    return;
+  }
+
+  // Plot pickers: any column on X, numeric columns on Y
+  const plotting = state.sql.view !== "table";
+  const numeric = numericColumns(result);
+  const xSelect = ui.byId("sql-x");
+  const ySelect = ui.byId("sql-y");
+  if (xSelect && ySelect) {
+    xSelect.replaceChildren(...result.columns.map((c, i) => new Option(`X: ${c}`, String(i))));
+    ySelect.replaceChildren(...numeric.map((i) => new Option(`Y: ${result.columns[i]}`, String(i))));
+    xSelect.value = String(state.sql.x);
+    if (numeric.includes(state.sql.y)) ySelect.value = String(state.sql.y);
+  }
+  ui.setHidden("sql-x", !plotting);
+  ui.setHidden("sql-y", !plotting);
+  ui.setHidden("sql-pager", plotting);
+  ui.setHidden("sql-table", plotting);
+  ui.setHidden("sql-chart", !plotting);
+
+  if (plotting) renderSqlChart("#sql-chart", result);
+  else renderSqlTable();
+}
+
+function renderSqlTable() {
+  const result = state.sql.result;
+  const host = ui.byId("sql-table");
+  if (!result || !host) return;
+
+  const pages = Math.max(1, Math.ceil(result.rows.length / SQL_PAGE_ROWS));
+  const start = state.sql.page * SQL_PAGE_ROWS;
+  const rows = result.rows.slice(start, start + SQL_PAGE_ROWS);
+  ui.setText("sql-page", `${state.sql.page + 1} / ${pages}`);
+  const prev = ui.byId("sql-prev");
+  const next = ui.byId("sql-next");
+  if (prev) prev.disabled = state.sql.page === 0;
+  if (next) next.disabled = state.sql.page >= pages - 1;
+
+  const table = document.createElement("table");
+  const head = table.createTHead().insertRow();
+  for (const c of result.columns) {
+    const th = document.createElement("th");
+    th.scope = "col";
+    th.textContent = c;
+    head.appendChild(th);
+  }
+  const body = table.createTBody();
+  for (const r of rows) {
+    const tr = body.insertRow();
+    for (const v of r) {
+      const td = tr.insertCell();
+      td.textContent = v == null ? "NULL" : String(v);
+      if (v == null) td.className = "null";
+    }
+  }
+  host.replaceChildren(table);
+  host.scrollTop = 0;
+}
+
+/* ---------------------------- PRIVACY ----------------------------- */
+// The worker applies the protections (see its PRIVACY section); the app
+// only picks when: always, or just for the data that leaves the screen.
+
+function sessionSalt() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return [...bytes].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function privacyParams() {
+  const { mode, minCell, salt, exporting } = state.privacy;
+  if (mode !== "on" && !(mode === "export" && exporting)) return null;
+  return { pseudonymize: true, minCell, salt };
+}
+
+function onPrivacyModeChange(e) {
+  const wasMasked = state.privacy.mode === "on";
+  state.privacy.mode = e.target.value || DEFAULT_PRIVACY_MODE;
+  // Staff filters hold pseudonyms or stored names; neither survives the switch
+  if (wasMasked !== (state.privacy.mode === "on") && hasFilter("operator")) {
+    state.filters = state.filters.filter((f) => f.role !== "operator");
+    renderFilterChips();
+  }
+  renderQualityPanel();
+  if (hasLiveData() && (wasMasked || state.privacy.mode === "on")) requestAggregation();
+  else updatePrivacyIndicator();
+}
+
+function onMinCellChange(e) {
+  const n = Math.round(Number(e.target.value));
+  state.privacy.minCell = Number.isFinite(n) ? Math.min(Math.max(n, 0), MAX_MIN_CELL) : DEFAULT_MIN_CELL;
+  e.target.value = String(state.privacy.minCell);
+  if (hasLiveData() && state.privacy.mode === "on") requestAggregation();
+  else updatePrivacyIndicator();
+}
+
+function describePrivacy(applied) {
+  if (!applied) return t("privacy.none");
+  const parts = [];
+  if (applied.pseudonymized) parts.push(t("privacy.pseudonymized"));
+  if (applied.minCell) {
+    const groups = Object.values(applied.suppressed || {}).reduce((a, b) => a + b, 0);
+    parts.push(t("privacy.suppressed", { min: applied.minCell, label: SUPPRESSED_LABEL, count: groups }));
+  }
+  return parts.join(t("a11y.separator")) || t("privacy.none");
+}
+
+const PRIVACY_HINTS = { off: "privacy.hintOff", export: "privacy.hintExport", on: "privacy.hintOn" };
+const PRIVACY_BADGES = { off: "privacy.badgeOff", export: "privacy.badgeExport", on: "privacy.badgeOn" };
+
+// Persistent header badge: what protects the data on screen right now
+function updatePrivacyIndicator() {
+  const el = ui.byId("privacy-indicator");
+  if (!el) return;
+  const applied = hasLiveData() ? state.data.privacy : null;
+  const { mode } = state.privacy;
+
+  if (applied) {
+    const parts = [applied.pseudonymized && t("privacy.pseudonyms"), applied.minCell && t("privacy.suppressedShort", { min: applied.minCell })];
+    el.textContent = t("privacy.badge", { parts: parts.filter(Boolean).join(" · ") });
+    el.title = t("privacy.onScreen", { summary: describePrivacy(applied) });
+  } else {
+    el.textContent = t(PRIVACY_BADGES[mode]);
+    el.title = t(PRIVACY_HINTS[mode]);
+  }
+  el.dataset.level = applied ? "on" : mode;
+}
+
+// Filters as exported: staff values follow the data (the worker echoes them pseudonymized, in order)
+function exportedFilters() {
+  const masked = hasLiveData() && state.data.privacy?.pseudonymized;
+  const echoed = masked ? (state.data.filters || []).filter((f) => f.role === "operator") : [];
+  let i = 0;
+  return state.filters.map((f) => {
+    if (!masked || f.role !== "operator") return { role: f.role, value: f.key, label: f.label };
+    const value = echoed[i++]?.value ?? null;
+    return { role: f.role, value, label: value == null ? f.label : String(value) };
+  });
+}
+
+/**
+ * Run an export on protected data. In "export" mode the screen is not
+ * protected, so the analysis re-runs with privacy, the export snapshots
+ * it, and the unprotected view is restored. Nothing is exported unless
+ * the worker confirms the protections (for the comparison too).
+ */
+async function withExportPrivacy(run) {
+  if (!state.data || state.isProcessing) return;
+  const protect = state.privacy.mode === "export" && hasLiveData() && !state.data.privacy;
+  if (!protect) {
+    run();
+    return;
+  }
+
+  state.privacy.exporting = true;
+  try {
+    await requestAggregation();
+  } finally {
+    state.privacy.exporting = false;
+  }
+  const cmp = comparisonData();
+  if (hasLiveData() && state.data.privacy && (!cmp || cmp.privacy)) {
+    renderAllCharts();
+    run();
+  }
+  requestAggregation();
+}
+
+/* ----------------------------- EXPORT ----------------------------- */
+function escapeHtml(v) {
+  return String(v ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function fileStamp(date = new Date()) {
+  return d3.timeFormat("%Y%m%d-%H%M")(date);
+}
+
+// SYNTHETIC / VERIFIED marker straight from the console status
+function dataMarker() {
+  if (state.status === STATUS.VALID && hasLiveData()) {
+    return { code: "VERIFIED", text: t("report.verified") };
+  }
+  if (state.status === STATUS.SYNTHETIC || !hasLiveData()) {
+    return { code: "SYNTHETIC", text: t("report.synthetic") };
+  }
+  return { code: "UNVERIFIED", text: t("report.unverified", { status: state.status }) };
+}
+
+function describeMapping() {
+  const m = state.data?.mapping;
+  if (!m) return [];
+  const rows = [[t("mapping.primaryTable"), m.table]];
+  for (const j of m.joins || []) rows.push([t("report.lookup"), joinLabel(j)]);
+  for (const [role, label] of Object.entries(ROLE_LABELS)) rows.push([t(label), m[role] || t("report.notMapped")]);
+  const tf = state.data.timeFormat;
+  if (tf) {
+    const format = DATE_FORMAT_LABELS[tf.format] ? t(DATE_FORMAT_LABELS[tf.format]) : tf.format;
+    const source = t(tf.source === "override" ? "report.setByUser" : "report.detected");
+    rows.push([t("mapping.timeFormat"), t("report.timeFormat", { format, source })]);
+  }
+  return rows;
+}
+
+function describeRange() {
+  if (!hasLiveData()) return t("report.syntheticWindow");
+  const r = state.data.range;
+  const label = t(RANGE_LABELS[r?.preset] || RANGE_LABELS.all);
+  const win = formatWindow(r) || formatWindow({ from: state.data.extent?.min, to: state.data.extent?.max });
+  return win ? t("report.rangeWindow", { label, window: win }) : label;
+}
+
+// Inline the computed look of every SVG node: the report has no access to
+// the console stylesheet or its CSS variables.
+const INLINE_STYLE_PROPS = [
+  "fill",
+  "stroke",
+  "stroke-width",
+  "stroke-dasharray",
+  "opacity",
+  "font-size",
+  "font-family",
+  "font-weight",
+  "text-anchor",
+  "direction",
+];
+
+function serializeChart(svg) {
+  const clone = svg.cloneNode(true);
+  clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  const src = svg.querySelectorAll("*");
+  const dst = clone.querySelectorAll("*");
+  src.forEach((el, i) => {
+    const cs = getComputedStyle(el);
+    const style = INLINE_STYLE_PROPS.map((p) => {
+      const v = cs.getPropertyValue(p);
+      return v ? `${p}:${v}` : "";
+    })
+      .filter(Boolean)
+      .join(";");
+    if (style) dst[i].setAttribute("style", style);
+  });
+  // Hover/keyboard markers are not part of the chart
+  clone.querySelectorAll(".inspect-layer").forEach((el) => el.remove());
+  return new XMLSerializer().serializeToString(clone);
+}
+
+// Panels switched to their data table export the table (the hidden chart is stale)
+function collectPanels() {
+  return [...document.querySelectorAll("main .panel")]
+    .map((panel) => {
+      const title = panel.querySelector(".panel-header > span:first-child")?.textContent.trim() || "";
+      const alert = panel.classList.contains("panel-alert");
+      const tables = [...panel.querySelectorAll(".chart-table:not(.hidden) table")];
+      if (tables.length) return { title, alert, body: tables.map((t) => t.outerHTML).join("") };
+      const svg = panel.querySelector(".chart-container svg");
+      return { title, alert, body: svg ? serializeChart(svg) : "" };
+    })
+    .filter((p) => p.body);
+}
+
+function buildReportHtml() {
+  const marker = dataMarker();
+  const generated = new Date();
+  const analyzed = state.analyzedAt ? d3.timeFormat("%Y-%m-%d %H:%M:%S")(state.analyzedAt) : "—";
+  const filters = exportedFilters().map((f) => `${t(FILTER_LABELS[f.role])}: ${f.label}`).join(", ") || t("report.none");
+  const excluded = (hasLiveData() && state.data.excluded) || [];
+
+  const metaRows = [
+    [t("report.sourceFile"), text(state.fileInfo) || t("report.noSource")],
+    ...(comparisonData()
+      ? [
+          [t("report.comparisonFile"), text(state.compare.fileInfo)],
+          [t("report.baseline"), text(state.baseline === "compare" ? state.compare.fileInfo : state.fileInfo)],
+        ]
+      : []),
+    [t("report.analysisTime"), analyzed],
+    [t("report.generated"), d3.timeFormat("%Y-%m-%d %H:%M:%S")(generated)],
+    [t("report.range"), describeRange()],
+    [t("report.timezone"), describeZone()],
+    [t("report.filters"), filters],
+    [t("report.excludedRows"), excluded.map((id) => (QUALITY_LABELS[id] ? t(QUALITY_LABELS[id]) : id)).join(", ") || t("report.none")],
+    [t("report.privacy"), describePrivacy(hasLiveData() ? state.data.privacy : null)],
+    [t("report.workload"), describeWorkload()],
+    ...describeMapping(),
+  ];
+
+  const table = metaRows.map(([k, v]) => `<tr><th>${escapeHtml(k)}</th><td>${escapeHtml(v)}</td></tr>`).join("");
+  const panels = collectPanels()
+    .map((p) => `<figure class="panel${p.alert ? " alert" : ""}"><figcaption>${escapeHtml(p.title)}</figcaption>${p.body}</figure>`)
+    .join("\n");
+
+  // Breached rules first; a report with rules but no breach says so, and
+  // rules written for another bucket size or range are listed as not checked
+  const { rules, breaches, skipped } = state.alerts;
+  const checked = rules.length - skipped.length;
+  let alerts = breaches.length
+    ? `<ul>${breaches.map((b) => `<li>${escapeHtml(describeAlert(b))}</li>`).join("")}</ul>`
+    : checked
+      ? `<p>${escapeHtml(t("report.noAlerts", { count: checked }))}</p>`
+      : "";
+  if (skipped.length) {
+    alerts += `<p class="skipped">${escapeHtml(t("alerts.skipped", { count: skipped.length }))}</p>`;
+    alerts += `<ul class="skipped">${skipped.map((r) => `<li>${escapeHtml(describeSkippedAlert(r))}</li>`).join("")}</ul>`;
+  }
+  const alertSection = rules.length ? `<section class="alerts"><h2>${escapeHtml(t("report.alerts"))}</h2>${alerts}</section>` : "";
+
+  // Self-contained: own CSP (no network at all), system fonts, no scripts
+  return `<!DOCTYPE html>
+<html lang="${state.locale}" dir="${LOCALES[state.locale].dir}">
+<head>
+<meta charset="UTF-8" />
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; img-src data:;" />
+<title>${escapeHtml(t("report.title", { marker: marker.code }))}</title>
+<style>
+  body{ font-family:ui-monospace,Menlo,Consolas,monospace; color:#111; background:#fff; margin:24px; }
+  h1{ font-size:18px; margin:0 0 8px; }
+  .marker{ display:inline-block; padding:4px 10px; font-weight:700; letter-spacing:.08em; border:2px solid; margin-bottom:16px; }
+  .marker.VERIFIED{ color:#0a7a00; border-color:#0a7a00; }
+  .marker.SYNTHETIC{ color:#b45309; border-color:#b45309; }
+  .marker.UNVERIFIED{ color:#c2410c; border-color:#c2410c; }
+  table{ border-collapse:collapse; font-size:12px; margin-bottom:16px; }
+  th{ text-align:start; padding-block:2px; padding-inline:0 12px; color:#555; font-weight:400; vertical-align:top; }
+  td{ padding:2px 0; }
+  .grid{ display:grid; grid-template-columns:repeat(2,1fr); gap:12px; }
+  .panel{ margin:0; background:#0a0a0a; border:1px solid #333; padding:8px; break-inside:avoid; page-break-inside:avoid; }
+  .panel figcaption{ color:#a8a8a8; font-size:11px; text-transform:uppercase; letter-spacing:.1em; margin-bottom:4px; }
+  .panel svg{ max-width:100%; height:auto; }
+  .panel table{ color:#a8a8a8; font-size:10px; margin:0; width:100%; }
+  .panel caption{ text-align:start; padding-bottom:4px; }
+  .panel td,.panel tbody th{ padding-block:1px; padding-inline:0 6px; border-bottom:1px solid #222; }
+  .panel.alert{ border-color:#ff3300; }
+  .panel.alert figcaption{ color:#ff3300; }
+  .alerts{ border:2px solid #c2410c; padding:8px 12px; margin-bottom:16px; font-size:12px; }
+  .alerts h2{ font-size:12px; margin:0 0 4px; color:#c2410c; text-transform:uppercase; letter-spacing:.08em; }
+  .alerts ul{ margin:0; padding-inline-start:16px; }
+  .alerts p{ margin:0; }
+  .alerts .skipped{ color:#666; }
+  footer{ margin-top:16px; font-size:10px; color:#666; }
+  *{ -webkit-print-color-adjust:exact; print-color-adjust:exact; }
+  @page{ size:A4 landscape; margin:12mm; }
+  @media print{ body{ margin:0; } .grid{ gap:8px; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(t("report.heading"))}</h1>
+<div class="marker ${escapeHtml(marker.code)}">${escapeHtml(marker.text)}</div>
+<table>${table}</table>
+${alertSection}
+<div class="grid">
+${panels}
+</div>
+<footer>${escapeHtml(t("report.footer"))}</footer>
+</body>
+</html>`;
+}
+
+function exportReportHtml() {
+  // Never snapshot a half-updated dashboard
+  if (!state.data || state.isProcessing) return;
+  const html = buildReportHtml();
+  const marker = dataMarker().code.toLowerCase();
+  downloadBlob(`telemetry-report-${marker}-${fileStamp()}.html`, new Blob([html], { type: "text/html;charset=utf-8" }));
+}
+
+// One CSV table per view; panels with several views export the one on screen
+const EXPORT_TABLES = {
+  visits: [
+    {
+      name: "visits",
+      columns: ["bucket_start", "bucket", "visits"],
+      rows: (d) => d.visits.map((v) => [v.date.toISOString(), formatBucket(v.date, bucketUnit("visits")), v.value]),
+    },
+  ],
+  duration: [
+    {
+      name: "duration-histogram",
+      view: "hist",
+      columns: ["from_min", "to_min", "visits"],
+      rows: (d) => d.duration.histogram.map((b) => [b.x0, b.overflow ? null : b.x1, b.count]),
+    },
+    {
+      name: "duration-trend",
+      view: "trend",
+      columns: ["bucket_start", "bucket", "median_min", "visits"],
+      rows: (d) =>
+        d.duration.trend.map((t) => [t.date.toISOString(), formatBucket(t.date, bucketUnit("duration")), t.median, t.count]),
+    },
+    {
+      name: "duration-by-status",
+      view: "status",
+      columns: ["status", "visits", "mean_min", "median_min", "p90_min", "p95_min", "max_min"],
+      rows: (d) => d.duration.byStatus.map((s) => [s.status, s.count, s.mean, s.median, s.p90, s.p95, s.max]),
+    },
+  ],
+  states: [
+    {
+      name: "states",
+      columns: ["status", "visits", "share_pct"],
+      rows: (d) => {
+        const total = d3.sum(d.states, (s) => s.value) || 1;
+        return d.states.map((s) => [s.category, s.value, +((s.value / total) * 100).toFixed(1)]);
+      },
+    },
+  ],
+  operators: [
+    {
+      name: "operators",
+      columns: ["staff", "role", "events", "shifts", "events_per_shift"],
+      rows: (d) => d.operators.map((o) => [o.name, o.role ?? null, o.value, o.shifts ?? null, o.perShift ?? null]),
+    },
+  ],
+  roles: [
+    {
+      name: "roles",
+      columns: ["role", "staff", "events", "shifts", "events_per_shift"],
+      rows: (d) => d.roles.map((r) => [r.role, r.staff, r.value, r.shifts ?? null, r.perShift ?? null]),
+    },
+  ],
+  volume: [
+    {
+      name: "volume-rate",
+      view: "rate",
+      columns: ["time", "events_per_min", "window_min"],
+      rows: (d) => d.volume.series.map((v) => [v.date.toISOString(), v.value, d.volume.windowMinutes]),
+    },
+    {
+      name: "volume-gaps",
+      view: "gaps",
+      columns: ["from_s", "to_s", "gaps"],
+      rows: (d) => d.volume.interArrival.histogram.map((b) => [b.x0, b.overflow ? null : b.x1, b.count]),
+    },
+  ],
+};
+
+async function sha256Hex(buffer) {
+  try {
+    const digest = await crypto.subtle.digest("SHA-256", buffer);
+    return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+  } catch {
+    // SubtleCrypto is missing outside secure contexts
+    return null;
+  }
+}
+
+function csvCell(v) {
+  if (v == null) return "";
+  let s = String(v);
+  // Staff and status names come from the EMR; keep spreadsheets from running them
+  if (typeof v === "string" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(table, data) {
+  const lines = [table.columns.join(","), ...table.rows(data).map((r) => r.map(csvCell).join(","))];
+  // BOM so Excel opens UTF-8 names correctly
+  return "\ufeff" + lines.join("\r\n") + "\r\n";
+}
+
+function exportManifest(files) {
+  const live = hasLiveData();
+  return {
+    generated: new Date().toISOString(),
+    analyzedAt: state.analyzedAt ? state.analyzedAt.toISOString() : null,
+    marker: dataMarker().code,
+    source: live && state.fileSource ? { ...state.fileSource } : null,
+    comparison: comparisonData() ? { source: { ...state.compare.fileSource }, baseline: state.baseline } : null,
+    mapping: state.data.mapping || null,
+    range: live ? state.data.range : null,
+    filters: exportedFilters(),
+    excluded: live ? state.data.excluded || [] : [],
+    privacy: live ? state.data.privacy || null : null,
+    workload: live ? { ...state.data.workload, metric: workloadMetric(), localRoles: Object.keys(state.workload.roleMap).length } : null,
+    timezone: renderZone(),
+    timeFormat: live ? state.data.timeFormat || null : null,
+    buckets: { visits: bucketUnit("visits"), duration: bucketUnit("duration") },
+    rateWindowMinutes: state.data.volume?.windowMinutes ?? state.rateWindow,
+    files,
+  };
+}
+
+function exportDataset(dataset, format) {
+  const tables = EXPORT_TABLES[dataset];
+  if (!state.data || state.isProcessing || !tables) return;
+  const stamp = fileStamp();
+
+  if (format === "json") {
+    const body = { manifest: exportManifest([]), [dataset]: state.data[dataset] };
+    downloadBlob(`${dataset}-${stamp}.json`, new Blob([JSON.stringify(body, null, 2)], { type: "application/json" }));
+    return;
+  }
+
+  const table = tables.find((t) => t.view === state.views[dataset]) || tables[0];
+  downloadBlob(`${table.name}-${stamp}.csv`, new Blob([toCsv(table, state.data)], { type: "text/csv;charset=utf-8" }));
+}
+
+function exportBundle() {
+  if (!state.data || state.isProcessing) return;
+  const enc = new TextEncoder();
+  const entries = [];
+
+  const data = {};
+  for (const [dataset, tables] of Object.entries(EXPORT_TABLES)) {
+    data[dataset] = state.data[dataset];
+    for (const t of tables) entries.push({ name: `${t.name}.csv`, data: enc.encode(toCsv(t, state.data)) });
+  }
+  entries.push({ name: "data.json", data: enc.encode(JSON.stringify(data, null, 2)) });
+
+  const manifest = exportManifest(entries.map((e) => e.name));
+  entries.unshift({ name: "manifest.json", data: enc.encode(JSON.stringify(manifest, null, 2)) });
+
+  const marker = manifest.marker.toLowerCase();
+  downloadBlob(`telemetry-data-${marker}-${fileStamp()}.zip`, zipStore(entries));
+}
+
+// Minimal uncompressed ZIP writer: the CSP rules out pulling in a library
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function zipStore(entries) {
+  const enc = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const { name, data } of entries) {
+    const nameBytes = enc.encode(name);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    parts.push(local, nameBytes, data);
+
+    const dir = new DataView(new ArrayBuffer(46));
+    dir.setUint32(0, 0x02014b50, true);
+    dir.setUint16(4, 20, true);
+    dir.setUint16(6, 20, true);
+    dir.setUint16(8, 0x0800, true);
+    dir.setUint16(10, 0, true);
+    dir.setUint16(12, dosTime, true);
+    dir.setUint16(14, dosDate, true);
+    dir.setUint32(16, crc, true);
+    dir.setUint32(20, data.length, true);
+    dir.setUint32(24, data.length, true);
+    dir.setUint16(28, nameBytes.length, true);
+    dir.setUint32(42, offset, true);
+    central.push(dir, nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  }
+
+  const dirSize = central.reduce((n, p) => n + p.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, dirSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, end], { type: "application/zip" });
 }
 
 /* --------------------------- VALIDATION --------------------------- */
 function mapErrorToUser(technical) {
-  for (const [key, msg] of Object.entries(ERROR_MAP)) {
-    if (technical.includes(key)) return msg;
+  // Worker codes use underscores (FILE_EXCEEDS_CAPACITY); map keys use spaces
+  const normalized = technical.replace(/_/g, " ");
+  for (const [key, message] of Object.entries(ERROR_MAP)) {
+    if (normalized.includes(key)) return msg(message);
   }
-  return "Processing error. Please try a different export.";
+  return msg("error.generic");
 }
 
 function validatePayload(payload) {
   if (!payload || typeof payload !== "object") {
-    return { ok: false, reason: "No data returned from analysis engine." };
+    return { ok: false, reason: msg("validation.noData") };
   }
 
   // Minimal contract: visits is required for the main dashboard
   if (!Array.isArray(payload.visits)) {
-    return { ok: false, reason: "Visit series missing. Export may be incomplete." };
+    return { ok: false, reason: msg("validation.noVisits") };
   }
 
   // Optional datasets: if missing, we’ll render empty (but avoid crashes)
-  if (!Array.isArray(payload.duration)) payload.duration = [];
+  if (!payload.duration || typeof payload.duration !== "object" || Array.isArray(payload.duration)) {
+    payload.duration = emptyDuration();
+  }
+  for (const key of ["histogram", "trend", "byStatus"]) {
+    if (!Array.isArray(payload.duration[key])) payload.duration[key] = [];
+  }
   if (!Array.isArray(payload.states)) payload.states = [];
   if (!Array.isArray(payload.operators)) payload.operators = [];
-  if (!Array.isArray(payload.volume)) payload.volume = [];
+  if (!Array.isArray(payload.roles)) payload.roles = [];
+  if (!payload.volume || typeof payload.volume !== "object" || Array.isArray(payload.volume)) {
+    payload.volume = emptyVolume();
+  }
+  if (!Array.isArray(payload.volume.series)) payload.volume.series = [];
+  if (!payload.volume.interArrival) payload.volume.interArrival = { unit: "s", stats: null, histogram: [] };
 
   return { ok: true };
 }
 
+function emptyDuration() {
+  return { unit: "min", stats: null, histogram: [], trend: [], byStatus: [] };
+}
+
+function emptyVolume() {
+  return { windowMinutes: state.rateWindow, series: [], peak: null, mean: null, interArrival: { unit: "s", stats: null, histogram: [] } };
+}
+
 function toSafeDate(v) {
   // Accept: Date object
   if (v instanceof Date && !Number.isNaN(v.getTime())) return v;
@@ -456,11 +3846,369 @@ function scheduleRender() {
 function renderAllCharts() {
   if (!state.data) return;
 
-  renderVisits("#chart-visits", state.data.visits);
-  renderDuration("#chart-duration", state.data.duration);
-  renderStates("#chart-states", state.data.states);
-  renderOperators("#chart-operators", state.data.operators);
-  renderVolume("#chart-volume", state.data.volume);
+  // Comparison pieces are null without a loaded comparison export; panels
+  // broken down by site skip the overlay (too many layers to read)
+  const cmp = comparisonData();
+  const ghost = (panel) => (cmp && !siteBreakdown(panel) ? cmp[panel] : null);
+  renderVisits("#chart-visits", state.data.visits, ghost("visits"));
+  renderDuration("#chart-duration", state.data.duration, ghost("duration"));
+  renderStates("#chart-states", state.data.states, ghost("states"));
+  renderOperators("#chart-operators", state.data, ghost("operators") && cmp);
+  renderVolume("#chart-volume", state.data.volume, ghost("volume"));
+  if (state.sql.result && state.sql.view !== "table") renderSqlChart("#sql-chart", state.sql.result);
+  for (const panel of state.tables) renderChartTable(panel);
+  describeCharts(cmp);
+}
+
+/* -------------------------- ACCESSIBILITY ------------------------- */
+// Each chart's aria-describedby text is rewritten from the data on screen
+// (the chart-type sentence keyed in index.html, then a summary); a new result
+// is also announced once through the status region. TABLE swaps a chart
+// for the same rows its CSV export holds.
+
+function describeCharts(cmp) {
+  const d = state.data;
+  const summaries = {
+    visits: summarizeVisits(d.visits, cmp && !siteBreakdown("visits") ? cmp.visits : null),
+    duration: summarizeDuration(d.duration),
+    states: summarizeStates(d.states),
+    operators: summarizeWorkload(d),
+    volume: summarizeVolume(d.volume),
+  };
+  for (const [panel, summary] of Object.entries(summaries)) {
+    const desc = ui.byId(ui.byId(`chart-${panel}`)?.getAttribute("aria-describedby") || "");
+    if (!desc) continue;
+    if (!desc.dataset.i18n && !desc.dataset.kind) desc.dataset.kind = desc.textContent.trim();
+    desc.textContent = `${desc.dataset.i18n ? t(desc.dataset.i18n) : desc.dataset.kind} ${summary}`;
+  }
+
+  // Resizes, view switches and Field Mode re-render the same result: stay quiet
+  if (state.announced === d) return;
+  state.announced = d;
+  const lead = t(hasLiveData() ? "a11y.updated" : "a11y.synthetic");
+  const alerts = state.alerts.breaches.length ? t("alerts.announce", { count: state.alerts.breaches.length }) : "";
+  ui.setText("status-summary", [lead, alerts, summaries.visits, summaries.states, summaries.operators].filter(Boolean).join(" "));
+}
+
+const BUCKET_NAMES = { hour: "a11y.bucketHour", day: "a11y.bucketDay", isoweek: "a11y.bucketWeek", epiweek: "a11y.bucketEpiweek" };
+
+function summarizeVisits(series, compare) {
+  if (!series.length) return t("a11y.noVisits");
+  const unit = bucketUnit("visits");
+  const total = d3.sum(series, (d) => d.value);
+  const peak = series[d3.maxIndex(series, (d) => d.value)];
+  const parts = [
+    t("a11y.visitsTotal", { total }),
+    t("a11y.busiest", { bucket: t(BUCKET_NAMES[unit] || "a11y.bucketDay"), span: formatBucketSpan(peak.date, unit), count: peak.value }),
+  ];
+  const trend = trendDirection(series.map((d) => d.value));
+  if (trend) parts.push(t("a11y.trend", { direction: trend }));
+  if (compare) parts.push(t("a11y.vsBaseline", { delta: formatDelta(pctChange(total, d3.sum(compare, (d) => d.value))) }));
+  return `${parts.join(t("a11y.separator"))}.`;
+}
+
+// Mean of the second half of the series against the first half
+function trendDirection(values) {
+  if (values.length < 4) return null;
+  const half = Math.floor(values.length / 2);
+  const before = d3.mean(values.slice(0, half));
+  const after = d3.mean(values.slice(values.length - half));
+  if (!before) return t(after ? "a11y.rising" : "a11y.flat");
+  const pct = ((after - before) / before) * 100;
+  const word = Math.abs(pct) < 10 ? "a11y.flat" : pct > 0 ? "a11y.rising" : "a11y.falling";
+  return t("a11y.trendDetail", { direction: t(word), delta: formatDelta(pct) });
+}
+
+function summarizeDuration(duration) {
+  const s = duration.stats;
+  if (!s) return t("a11y.noDurations");
+  let summary = t("a11y.duration", {
+    median: formatMinutes(s.median),
+    p90: formatMinutes(s.p90),
+    p95: formatMinutes(s.p95),
+    count: s.count,
+  });
+  const rows = duration.byStatus.filter((r) => r.median != null);
+  if (rows.length > 1) {
+    const longest = d3.greatest(rows, (r) => r.median);
+    summary += ` ${t("a11y.longest", { status: longest.status, median: formatMinutes(longest.median) })}`;
+  }
+  return summary;
+}
+
+function summarizeStates(states) {
+  if (!states.length) return t("a11y.noStates");
+  const total = d3.sum(states, (s) => s.value);
+  const top = d3.greatest(states, (s) => s.value);
+  return t("a11y.states", {
+    status: top.category,
+    value: top.value,
+    total,
+    share: formatShare(top.value, total),
+    count: states.length,
+  });
+}
+
+function summarizeWorkload(d) {
+  if (!d.operators.length) return t("a11y.noStaff");
+  const parts = [];
+  const role = d.roles?.[0];
+  if (role) {
+    const total = d3.sum(d.roles, (r) => r.value);
+    const params = { role: role.role, value: role.value, share: formatShare(role.value, total), staff: role.staff };
+    parts.push(role.perShift != null ? t("a11y.topRoleRate", { ...params, rate: role.perShift }) : t("a11y.topRole", params));
+  }
+  const top = d.operators[0];
+  parts.push(t("a11y.topStaff", { name: top.name, value: top.value }));
+  return parts.join(" ");
+}
+
+function summarizeVolume(volume) {
+  if (!volume.series.length || !volume.peak) return t("a11y.noActivity");
+  const at = d3.utcFormat("%d %b %H:%M")(wallDate(volume.peak.date));
+  let summary = t("a11y.peak", { value: volume.peak.value, window: volume.windowMinutes, at });
+  const gap = volume.interArrival?.stats?.median;
+  if (gap != null) summary += ` ${t("a11y.medianGap", { gap: formatMinutes(gap) })}`;
+  return summary;
+}
+
+function toggleChartTable(panel) {
+  if (!EXPORT_TABLES[panel]) return;
+  const on = !state.tables.has(panel);
+  if (on) state.tables.add(panel);
+  else state.tables.delete(panel);
+  document.querySelector(`.table-toggle[data-panel="${panel}"]`)?.setAttribute("aria-pressed", String(on));
+  ui.setHidden(`chart-${panel}`, on);
+  ui.setHidden(`table-${panel}`, !on);
+  if (on) renderChartTable(panel);
+  else scheduleRender();
+}
+
+// The table for the view on screen; staff workload lists its roles first
+function panelTables(panel) {
+  const tables = EXPORT_TABLES[panel];
+  const shown = [tables.find((t) => t.view === state.views[panel]) || tables[0]];
+  if (panel === "operators" && state.data.roles?.length) shown.unshift(EXPORT_TABLES.roles[0]);
+  return shown;
+}
+
+function renderChartTable(panel) {
+  const host = ui.byId(`table-${panel}`);
+  if (!host || !state.data) return;
+  const title = host.closest(".panel")?.querySelector(".panel-header > span:first-child")?.textContent.trim() || panel;
+  host.replaceChildren(
+    ...panelTables(panel).map((table) =>
+      dataTable(t("table.caption", { panel: title, table: t(`table.${table.name}`) }), table.columns, table.rows(state.data))
+    )
+  );
+}
+
+// First column heads each row (bucket, status, staff member…)
+function dataTable(caption, columns, rows) {
+  const table = document.createElement("table");
+  table.createCaption().textContent = caption;
+  const head = table.createTHead().insertRow();
+  for (const c of columns) {
+    const th = document.createElement("th");
+    th.scope = "col";
+    th.textContent = t(`column.${c}`);
+    head.appendChild(th);
+  }
+  const body = table.createTBody();
+  for (const r of rows) {
+    const tr = body.insertRow();
+    r.forEach((v, i) => {
+      const cell = i === 0 ? document.createElement("th") : tr.insertCell();
+      if (i === 0) {
+        cell.setAttribute("scope", "row");
+        tr.appendChild(cell);
+      }
+      cell.textContent = v == null ? "—" : typeof v === "number" ? formatNumber(v) : String(v);
+    });
+  }
+  return table;
+}
+
+/* ---------------------------- INSPECT ----------------------------- */
+// Shared tooltip + crosshair for every chart. Renderers hand over their data
+// points ({ x, y, box?, title, rows, activate? } in chart-area coordinates);
+// hover picks the nearest one along `axis`, and a focused chart walks them
+// with the arrow keys (Enter/Space = click, Escape = hide).
+const inspectors = new WeakMap(); // chart container -> { ctx, points, axis, index }
+const INSPECT_STEPS = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 };
+
+function inspectChart(ctx, points, axis = "x") {
+  const ins = inspectorFor(ctx.container);
+  Object.assign(ins, { ctx, points, axis });
+  // A re-render (new data, Field Mode) keeps the keyboard position
+  if (ins.index != null && points.length) showInspect(ctx.container, Math.min(ins.index, points.length - 1), false);
+}
+
+function inspectorFor(container) {
+  let ins = inspectors.get(container);
+  if (ins) return ins;
+  ins = { ctx: null, points: [], axis: "x", index: null };
+  inspectors.set(container, ins);
+
+  if (!container.hasAttribute("tabindex")) container.tabIndex = 0;
+  container.setAttribute("aria-keyshortcuts", "ArrowLeft ArrowRight ArrowUp ArrowDown Home End Enter Escape");
+  container.addEventListener("keydown", (e) => onInspectKey(e, container));
+  container.addEventListener("focus", () => {
+    if (ins.points.length) showInspect(container, Math.min(ins.index ?? 0, ins.points.length - 1), true);
+  });
+  container.addEventListener("blur", () => hideInspect(container));
+  container.addEventListener("pointermove", (e) => {
+    if (!ins.points.length) return;
+    const [px, py] = d3.pointer(e, ins.ctx.g.node());
+    const at = ins.axis === "y" ? py : px;
+    const nearest = d3.minIndex(ins.points, (p) => Math.abs((ins.axis === "y" ? p.y : p.x) - at));
+    if (nearest >= 0) showInspect(container, nearest, false);
+  });
+  container.addEventListener("pointerleave", () => {
+    if (document.activeElement === container && ins.index != null) showInspect(container, ins.index, false);
+    else hideInspect(container);
+  });
+  return ins;
+}
+
+// A new render starts without points; stale markers must not outlive their data
+function resetInspector(container) {
+  const ins = inspectors.get(container);
+  if (!ins) return;
+  ins.points = [];
+  hideInspect(container, false);
+}
+
+function onInspectKey(e, container) {
+  const ins = inspectors.get(container);
+  const n = ins?.points.length;
+  if (!n) return;
+  const current = ins.index ?? 0;
+  let next = null;
+  if (INSPECT_STEPS[e.key]) next = Math.min(Math.max(current + INSPECT_STEPS[e.key], 0), n - 1);
+  else if (e.key === "Home") next = 0;
+  else if (e.key === "End") next = n - 1;
+  else if (e.key === "Escape") {
+    hideInspect(container);
+    ins.index = null;
+  } else if ((e.key === "Enter" || e.key === " ") && ins.points[current]?.activate) {
+    ins.points[current].activate();
+  } else return;
+
+  e.preventDefault();
+  if (next != null) showInspect(container, next, true);
+}
+
+function showInspect(container, index, announce) {
+  const ins = inspectors.get(container);
+  const p = ins?.points[index];
+  if (!p) return;
+  ins.index = index;
+  const { g, height } = ins.ctx;
+
+  const layer = g.selectAll("g.inspect-layer").data([1]).join("g").attr("class", "inspect-layer").attr("display", null).raise();
+  layer
+    .selectAll("line.inspect-crosshair")
+    .data(p.box ? [] : [p])
+    .join("line")
+    .attr("class", "inspect-crosshair")
+    .attr("x1", (d) => d.x)
+    .attr("x2", (d) => d.x)
+    .attr("y1", 0)
+    .attr("y2", height);
+  layer
+    .selectAll("circle.inspect-dot")
+    .data(p.box ? [] : [p])
+    .join("circle")
+    .attr("class", "inspect-dot")
+    .attr("cx", (d) => d.x)
+    .attr("cy", (d) => d.y)
+    .attr("r", 4);
+  layer
+    .selectAll("rect.inspect-box")
+    .data(p.box ? [p.box] : [])
+    .join("rect")
+    .attr("class", "inspect-box")
+    .attr("x", (b) => b.x)
+    .attr("y", (b) => b.y)
+    .attr("width", (b) => Math.max(1, b.width))
+    .attr("height", (b) => Math.max(1, b.height));
+  // Long lists (staff workload) scroll inside their panel
+  if (announce) layer.select("rect.inspect-box").node()?.scrollIntoView?.({ block: "nearest" });
+
+  showTooltip(container, p);
+  if (announce) ui.setText("chart-live", `${p.title}. ${p.rows.map(([k, v]) => `${k} ${v}`).join(", ")}. ${t("tip.position", { index: index + 1, total: ins.points.length })}.`);
+}
+
+function hideInspect(container, clearTooltip = true) {
+  const ins = inspectors.get(container);
+  ins?.ctx?.g.selectAll("g.inspect-layer").attr("display", "none");
+  const tip = ui.byId("chart-tooltip");
+  if (clearTooltip && tip?.dataset.owner === container.id) tip.classList.add("hidden");
+}
+
+function showTooltip(container, p) {
+  const tip = ui.byId("chart-tooltip");
+  if (!tip) return;
+  const title = document.createElement("div");
+  title.className = "tooltip-title";
+  title.textContent = p.title;
+  const rows = p.rows.map(([k, v]) => {
+    const row = document.createElement("div");
+    const key = document.createElement("span");
+    key.textContent = k;
+    const value = document.createElement("span");
+    value.textContent = v;
+    row.append(key, value);
+    return row;
+  });
+  tip.replaceChildren(title, ...rows);
+  tip.dataset.owner = container.id;
+  tip.classList.remove("hidden");
+
+  // Chart-area coordinates -> viewport; flip left/up near the window edges
+  const { margin, svg } = inspectors.get(container).ctx;
+  const rect = svg.node().getBoundingClientRect();
+  const ax = rect.left + margin.left + (p.box ? p.box.x + p.box.width / 2 : p.x);
+  const ay = rect.top + margin.top + (p.box ? p.box.y : p.y);
+  const { offsetWidth: w, offsetHeight: h } = tip;
+  const left = ax + 12 + w > window.innerWidth ? ax - 12 - w : ax + 12;
+  const top = ay - 12 - h < 0 ? ay + 12 : ay - 12 - h;
+  tip.style.left = `${Math.max(4, left)}px`;
+  tip.style.top = `${Math.max(4, top)}px`;
+}
+
+function formatNumber(v) {
+  if (v == null || !Number.isFinite(v)) return "—";
+  return Number.isInteger(v) ? d3.format(",")(v) : d3.format(",.2~f")(v);
+}
+
+function formatShare(value, total) {
+  return total ? d3.format(".1%")(value / total) : "—";
+}
+
+// Tooltip rows shared by the panels: one per site, and the comparison pair
+function siteRows(split, valueOf) {
+  return split ? split.sites.map((s) => [s.site, formatNumber(valueOf(s) ?? 0)]) : [];
+}
+
+function compareRows(compare, value, ghost) {
+  if (!compare) return [];
+  return [
+    [t("tip.comparison"), formatNumber(ghost)],
+    [t("tip.delta"), formatDelta(pctChange(value, ghost))],
+  ];
+}
+
+// The time span a bucket covers, on the zone's clock
+function formatBucketSpan(date, unit) {
+  const start = wallDate(date);
+  if (unit === "day") return d3.utcFormat("%a %d %b %Y")(start);
+  if (unit === "isoweek" || unit === "epiweek") {
+    const fmt = d3.utcFormat("%d %b %Y");
+    return `${fmt(start)} – ${fmt(new Date(+start + 6 * 864e5))}`;
+  }
+  return `${d3.utcFormat("%d %b %H:%M")(start)} – ${d3.utcFormat("%H:%M")(wallDate(new Date(+date + 3600 * 1000)))}`;
 }
 
 /* --------------------- D3 HELPERS + CHARTS ------------------------ */
@@ -488,6 +4236,7 @@ function getChartContext(selector, margin) {
   }
 
   if (!width || !height) return null;
+  resetInspector(container);
 
   const innerWidth = width - margin.left - margin.right;
   const innerHeight = height - margin.top - margin.bottom;
@@ -507,7 +4256,19 @@ function getChartContext(selector, margin) {
     .attr("class", "chart-area")
     .attr("transform", `translate(${margin.left},${margin.top})`);
 
-  return { container, svg, g, width: innerWidth, height: innerHeight, fullWidth: width, fullHeight: height };
+  return { container, svg, g, margin, width: innerWidth, height: innerHeight, fullWidth: width, fullHeight: height };
+}
+
+// Ticks sit on bucket boundaries so labels match the granularity (no 13:37 on a daily axis)
+function bucketTicks(series, width, minSpacing = 80) {
+  const maxTicks = Math.max(2, Math.floor(width / minSpacing));
+  const every = Math.ceil(series.length / maxTicks) || 1;
+  return series.filter((_, i) => i % every === 0).map((d) => d.date);
+}
+
+function formatMinutes(v) {
+  if (v == null) return "—";
+  return v >= 100 ? d3.format("d")(Math.round(v)) : d3.format(".1f")(v);
 }
 
 // Pull colors from CSS variables so Field Mode automatically updates charts
@@ -516,17 +4277,19 @@ function cssVar(name, fallback) {
   return v || fallback;
 }
 
-function renderVisits(selector, data) {
+function renderVisits(selector, data, compare) {
   const ctx = getChartContext(selector, { top: 10, right: 10, bottom: 20, left: 35 });
   if (!ctx) return;
 
   const { g, width, height, fullWidth } = ctx;
   const lineColor = cssVar("--success", "#33ff00");
+  const unit = bucketUnit("visits");
+  const ghost = compare ? alignByIndex(data, compare) : [];
 
   const x = d3.scaleTime().domain(d3.extent(data, (d) => d.date)).range([0, width]);
   const y = d3
     .scaleLinear()
-    .domain([0, (d3.max(data, (d) => d.value) || 1) * 1.1])
+    .domain([0, (Math.max(d3.max(data, (d) => d.value) || 0, d3.max(ghost, (d) => d.value) || 0) || 1) * 1.1])
     .range([height, 0]);
 
   g.selectAll(".x-axis")
@@ -534,7 +4297,14 @@ function renderVisits(selector, data) {
     .join("g")
     .attr("class", "x-axis chart-axis")
     .attr("transform", `translate(0,${height})`)
-    .call(d3.axisBottom(x).ticks(5).tickSize(0).tickPadding(8))
+    .call(
+      d3
+        .axisBottom(x)
+        .tickValues(bucketTicks(data, width))
+        .tickFormat((d) => formatBucket(d, unit))
+        .tickSize(0)
+        .tickPadding(8)
+    )
     .call((sel) => sel.select(".domain").attr("stroke", cssVar("--border-color", "#333")));
 
   g.selectAll(".y-axis")
@@ -552,8 +4322,19 @@ function renderVisits(selector, data) {
     .y1((d) => y(d.value))
     .curve(d3.curveMonotoneX);
 
+  // Per-site layers replace the filled area; stacked mode keeps the total as an outline
+  const split = siteBreakdown("visits");
+  drawSiteSeries(
+    g,
+    split,
+    data.map((d) => d.date),
+    x,
+    y,
+    (s) => s.visits
+  );
+
   g.selectAll(".area-path")
-    .data([data])
+    .data(split ? [] : [data])
     .join("path")
     .attr("class", "area-path")
     .attr("d", area)
@@ -566,50 +4347,410 @@ function renderVisits(selector, data) {
     .curve(d3.curveMonotoneX);
 
   g.selectAll(".line-path")
-    .data([data])
+    .data(split?.mode === "split" ? [] : [data])
     .join("path")
     .attr("class", "line-path")
     .attr("d", line)
     .attr("fill", "none")
     .attr("stroke", lineColor)
-    .attr("stroke-width", 2);
+    .attr("stroke-width", 2)
+    .raise();
+
+  // Comparison export as a ghost line, bucket-for-bucket
+  g.selectAll(".ghost-path")
+    .data(ghost.length ? [ghost] : [])
+    .join("path")
+    .attr("class", "ghost-path")
+    .attr("d", line)
+    .attr("fill", "none")
+    .attr("stroke", cssVar("--text-dim", "#666"))
+    .attr("stroke-dasharray", "4,3")
+    .attr("stroke-width", 1.5);
+
+  const total = d3.sum(data, (d) => d.value);
+  inspectChart(
+    ctx,
+    data.map((d, i) => ({
+      x: x(d.date),
+      y: y(d.value),
+      title: formatBucketSpan(d.date, unit),
+      rows: [
+        [t("tip.visits"), formatNumber(d.value)],
+        [t("tip.share"), formatShare(d.value, total)],
+        ...siteRows(split, (s) => s.visits[i]),
+        ...compareRows(compare, d.value, ghost[i]?.value),
+      ],
+    }))
+  );
+
+  const delta = ui.byId("delta-visits");
+  if (delta) {
+    delta.classList.toggle("hidden", !compare);
+    if (compare) {
+      const pct = pctChange(d3.sum(data, (d) => d.value), d3.sum(compare, (d) => d.value));
+      delta.textContent = t("compare.deltaVisits", { delta: formatDelta(pct) });
+    }
+  }
 }
 
-function renderDuration(selector, data) {
-  const ctx = getChartContext(selector, { top: 10, right: 10, bottom: 10, left: 10 });
+function renderDuration(selector, data, compare) {
+  const ctx = getChartContext(selector, { top: 24, right: 10, bottom: 20, left: 10 });
   if (!ctx) return;
 
-  const { g, width, height } = ctx;
-  const accent = cssVar("--accent", "#d4d4d4");
+  const { g } = ctx;
+  const view = state.views.duration;
 
-  if (!data.length) {
+  if (!data.stats) {
     g.selectAll("*").remove();
     return;
   }
 
-  const x = d3.scaleLinear().domain([0, data.length - 1]).range([0, width]);
+  // Headline: the median, not the mean (durations are right-skewed)
+  g.selectAll(".dur-headline")
+    .data([data.stats])
+    .join("text")
+    .attr("class", "dur-headline")
+    .attr("x", 0)
+    .attr("y", -8)
+    .attr("fill", cssVar("--text-main", "#a8a8a8"))
+    .style("font-size", "12px")
+    .style("font-weight", "700")
+    .text((s) => {
+      const head = t("chart.medianHead", { median: formatMinutes(s.median), count: s.count });
+      return compare?.stats ? `${head} · Δ ${formatDelta(pctChange(s.median, compare.stats.median))}` : head;
+    });
+
+  // Site breakdown applies to the histogram: stacked bins, or one summary row per site
+  const split = view === "hist" ? siteBreakdown("duration") : null;
+  const layerKey = split ? `${view}-${split.mode}` : view;
+
+  // One layer per view; switching views drops the previous layer
+  g.selectAll(".dur-view")
+    .filter(function () {
+      return this.getAttribute("data-view") !== layerKey;
+    })
+    .remove();
+  const layer = g.selectAll(".dur-view").data([layerKey]).join("g").attr("class", "dur-view").attr("data-view", layerKey);
+
+  if (view === "trend") drawDurationTrend(layer, ctx, data, compare);
+  else if (view === "status") drawDurationByStatus(layer, ctx, data, compare);
+  else if (split?.mode === "split") {
+    const rows = split.sites.filter((s) => s.duration.stats).map((s) => ({ status: s.site, ...s.duration.stats }));
+    drawDurationByStatus(layer, ctx, { byStatus: rows }, null);
+  } else drawDurationHistogram(layer, ctx, data, compare, split);
+}
+
+function drawDurationHistogram(layer, ctx, data, compare, split = null) {
+  const { width, height } = ctx;
+  const bins = data.histogram;
+  if (!bins.length) return;
+
+  const neutral = cssVar("--border-color", "#333");
+  const accent = cssVar("--accent", "#d4d4d4");
+  const textDim = cssVar("--text-dim", "#666");
+
+  const x = d3.scaleLinear().domain([0, bins[bins.length - 1].x1]).range([0, width]);
+  const y = d3
+    .scaleLinear()
+    .domain([0, d3.max(bins, (b) => b.count) || 1])
+    .range([height, 0]);
+
+  layer
+    .selectAll("rect.dur-bin")
+    .data(bins)
+    .join("rect")
+    .attr("class", "dur-bin")
+    .attr("x", (b) => x(b.x0) + 1)
+    .attr("y", (b) => y(b.count))
+    .attr("width", (b) => Math.max(0, x(b.x1) - x(b.x0) - 1))
+    .attr("height", (b) => height - y(b.count))
+    .attr("fill", neutral);
+
+  // Stacked by site: per-site counts share the combined bins
+  const segments = [];
+  if (split) {
+    bins.forEach((b, i) => {
+      let offset = 0;
+      for (const s of split.sites) {
+        const count = s.duration.histogram[i] || 0;
+        segments.push({ id: `${i}\u0000${s.site}`, bin: b, site: s.site, offset, count });
+        offset += count;
+      }
+    });
+  }
+  layer
+    .selectAll("rect.dur-site")
+    .data(segments, (d) => d.id)
+    .join("rect")
+    .attr("class", "dur-site")
+    .attr("x", (d) => x(d.bin.x0) + 1)
+    .attr("y", (d) => y(d.offset + d.count))
+    .attr("width", (d) => Math.max(0, x(d.bin.x1) - x(d.bin.x0) - 1))
+    .attr("height", (d) => y(d.offset) - y(d.offset + d.count))
+    .attr("fill", (d) => siteColor(d.site));
+
+  const markers = [
+    { label: "P50", value: data.stats.median },
+    { label: "P90", value: data.stats.p90 },
+    { label: "P95", value: data.stats.p95 },
+  ].filter((m) => m.value != null && m.value <= x.domain()[1]);
+
+  layer
+    .selectAll("line.dur-marker")
+    .data(markers, (m) => m.label)
+    .join("line")
+    .attr("class", "dur-marker")
+    .attr("x1", (m) => x(m.value))
+    .attr("x2", (m) => x(m.value))
+    .attr("y1", 0)
+    .attr("y2", height)
+    .attr("stroke", accent)
+    .attr("stroke-dasharray", (m) => (m.label === "P50" ? null : "3,3"))
+    .attr("stroke-width", 1);
+
+  layer
+    .selectAll("text.dur-marker-label")
+    .data(markers, (m) => m.label)
+    .join("text")
+    .attr("class", "dur-marker-label")
+    .attr("x", (m) => x(m.value) + 3)
+    .attr("y", (m, i) => 10 + i * 11)
+    .attr("fill", textDim)
+    .style("font-size", "9px")
+    .text((m) => `${m.label} ${formatMinutes(m.value)}`);
+
+  // Comparison median (bins differ per export, so only the marker is overlaid)
+  const ghostMedian = compare?.stats?.median;
+  layer
+    .selectAll("line.dur-ghost")
+    .data(ghostMedian != null && ghostMedian <= x.domain()[1] ? [ghostMedian] : [])
+    .join("line")
+    .attr("class", "dur-ghost")
+    .attr("x1", (m) => x(m))
+    .attr("x2", (m) => x(m))
+    .attr("y1", 0)
+    .attr("y2", height)
+    .attr("stroke", textDim)
+    .attr("stroke-dasharray", "1,3")
+    .attr("stroke-width", 1.5);
+
+  layer
+    .selectAll(".x-axis")
+    .data([1])
+    .join("g")
+    .attr("class", "x-axis chart-axis")
+    .attr("transform", `translate(0,${height})`)
+    .call(d3.axisBottom(x).ticks(4).tickSize(0).tickPadding(6))
+    .call((sel) => sel.select(".domain").attr("stroke", neutral));
+
+  // Bins differ per export, so the comparison only shows through the median
+  const total = d3.sum(bins, (b) => b.count);
+  inspectChart(
+    ctx,
+    bins.map((b, i) => ({
+      x: x((b.x0 + b.x1) / 2),
+      y: y(b.count),
+      box: { x: x(b.x0), y: 0, width: x(b.x1) - x(b.x0), height },
+      title: b.overflow ? t("tip.overflowMin", { from: b.x0 }) : t("tip.rangeMin", { from: b.x0, to: b.x1 }),
+      rows: [
+        [t("tip.visits"), formatNumber(b.count)],
+        [t("tip.share"), formatShare(b.count, total)],
+        ...siteRows(split, (s) => s.duration.histogram[i]),
+      ],
+    }))
+  );
+}
+
+function drawDurationTrend(layer, ctx, data, compare) {
+  const { width, height } = ctx;
+  const trend = data.trend;
+  if (!trend.length) return;
+
+  const accent = cssVar("--accent", "#d4d4d4");
+  const unit = bucketUnit("duration");
+  const ghost = compare ? alignByIndex(trend, compare.trend) : [];
+
+  const x = d3.scaleTime().domain(d3.extent(trend, (d) => d.date)).range([0, width]);
   const y = d3
     .scaleLinear()
-    .domain([0, d3.max(data, (d) => d.value) || 1])
+    .domain([0, (Math.max(d3.max(trend, (d) => d.median) || 0, d3.max(ghost, (d) => d.median) || 0) || 1) * 1.1])
     .range([height, 0]);
 
+  // Buckets without visits have no median: break the line instead of drawing zero
   const line = d3
     .line()
-    .x((d, i) => x(i))
-    .y((d) => y(d.value))
-    .curve(d3.curveStep);
+    .defined((d) => d.median != null)
+    .x((d) => x(d.date))
+    .y((d) => y(d.median));
 
-  g.selectAll(".dur-line")
-    .data([data])
+  layer
+    .selectAll(".dur-trend")
+    .data([trend])
     .join("path")
-    .attr("class", "dur-line")
+    .attr("class", "dur-trend")
     .attr("d", line)
     .attr("fill", "none")
     .attr("stroke", accent)
     .attr("stroke-width", 1.5);
+
+  layer
+    .selectAll(".dur-trend-ghost")
+    .data(ghost.length ? [ghost] : [])
+    .join("path")
+    .attr("class", "dur-trend-ghost")
+    .attr("d", line)
+    .attr("fill", "none")
+    .attr("stroke", cssVar("--text-dim", "#666"))
+    .attr("stroke-dasharray", "4,3")
+    .attr("stroke-width", 1.5);
+
+  layer
+    .selectAll(".x-axis")
+    .data([1])
+    .join("g")
+    .attr("class", "x-axis chart-axis")
+    .attr("transform", `translate(0,${height})`)
+    .call(
+      d3
+        .axisBottom(x)
+        .tickValues(bucketTicks(trend, width, 90))
+        .tickFormat((d) => formatBucket(d, unit))
+        .tickSize(0)
+        .tickPadding(6)
+    )
+    .call((sel) => sel.select(".domain").attr("stroke", cssVar("--border-color", "#333")));
+
+  inspectChart(
+    ctx,
+    trend.map((d, i) => ({
+      x: x(d.date),
+      y: y(d.median ?? 0),
+      title: formatBucketSpan(d.date, unit),
+      rows: [
+        [t("tip.median"), d.median == null ? t("tip.noVisits") : t("tip.minutes", { value: formatMinutes(d.median) })],
+        [t("tip.visits"), formatNumber(d.count)],
+        ...compareRows(compare, d.median, ghost[i]?.median),
+      ],
+    }))
+  );
+}
+
+function drawDurationByStatus(layer, ctx, data, compare) {
+  const { width, height } = ctx;
+  const rows = data.byStatus;
+  if (!rows.length) return;
+
+  const accent = cssVar("--accent", "#d4d4d4");
+  const success = cssVar("--success", "#33ff00");
+  const textMain = cssVar("--text-main", "#a8a8a8");
+  const textDim = cssVar("--text-dim", "#666");
+  const labelWidth = 70;
+
+  // Whisker from median to p95, tick at p90, dot at the median
+  const x = d3
+    .scaleLinear()
+    .domain([0, d3.max(rows, (r) => r.p95) || 1])
+    .range([labelWidth, Math.max(labelWidth + 10, width - 40)]);
+  const y = d3
+    .scaleBand()
+    .domain(rows.map((r) => r.status))
+    .range([0, height])
+    .padding(0.3);
+  const mid = (r) => y(r.status) + y.bandwidth() / 2;
+
+  layer
+    .selectAll("line.dur-whisker")
+    .data(rows, (r) => r.status)
+    .join("line")
+    .attr("class", "dur-whisker")
+    .attr("x1", (r) => x(r.median))
+    .attr("x2", (r) => x(r.p95))
+    .attr("y1", mid)
+    .attr("y2", mid)
+    .attr("stroke", accent);
+
+  layer
+    .selectAll("line.dur-p90")
+    .data(rows, (r) => r.status)
+    .join("line")
+    .attr("class", "dur-p90")
+    .attr("x1", (r) => x(r.p90))
+    .attr("x2", (r) => x(r.p90))
+    .attr("y1", (r) => mid(r) - 4)
+    .attr("y2", (r) => mid(r) + 4)
+    .attr("stroke", accent);
+
+  layer
+    .selectAll("circle.dur-median")
+    .data(rows, (r) => r.status)
+    .join("circle")
+    .attr("class", "dur-median")
+    .attr("cx", (r) => x(r.median))
+    .attr("cy", mid)
+    .attr("r", 3)
+    .attr("fill", success);
+
+  // Comparison medians as hollow dots on the same status rows
+  const ghostByStatus = new Map((compare?.byStatus || []).map((r) => [r.status, r]));
+  const ghostRows = rows.filter((r) => ghostByStatus.get(r.status)?.median != null);
+  layer
+    .selectAll("circle.dur-median-ghost")
+    .data(ghostRows, (r) => r.status)
+    .join("circle")
+    .attr("class", "dur-median-ghost")
+    .attr("cx", (r) => x(Math.min(ghostByStatus.get(r.status).median, x.domain()[1])))
+    .attr("cy", mid)
+    .attr("r", 3)
+    .attr("fill", "none")
+    .attr("stroke", textDim);
+
+  layer
+    .selectAll("text.dur-status")
+    .data(rows, (r) => r.status)
+    .join("text")
+    .attr("class", "dur-status")
+    .attr("x", 0)
+    .attr("y", (r) => mid(r) + 3)
+    .attr("fill", textMain)
+    .style("font-size", "9px")
+    .text((r) => (r.status.length > 11 ? r.status.slice(0, 10) + "…" : r.status));
+
+  layer
+    .selectAll("text.dur-status-val")
+    .data(rows, (r) => r.status)
+    .join("text")
+    .attr("class", "dur-status-val")
+    .attr("x", (r) => x(r.p95) + 4)
+    .attr("y", (r) => mid(r) + 3)
+    .attr("fill", textDim)
+    .style("font-size", "9px")
+    .text((r) => {
+      const ghostRow = ghostByStatus.get(r.status);
+      return ghostRow ? `${formatMinutes(r.median)} ${formatDelta(pctChange(r.median, ghostRow.median))}` : formatMinutes(r.median);
+    });
+
+  const total = d3.sum(rows, (r) => r.count);
+  inspectChart(
+    ctx,
+    rows.map((r) => ({
+      x: x(r.median),
+      y: mid(r),
+      box: { x: 0, y: y(r.status), width, height: y.bandwidth() },
+      title: r.status,
+      rows: [
+        [t("tip.median"), t("tip.minutes", { value: formatMinutes(r.median) })],
+        ["P90", t("tip.minutes", { value: formatMinutes(r.p90) })],
+        ["P95", t("tip.minutes", { value: formatMinutes(r.p95) })],
+        [t("tip.visits"), formatNumber(r.count)],
+        [t("tip.share"), formatShare(r.count, total)],
+        ...compareRows(compare, r.median, ghostByStatus.get(r.status)?.median),
+      ],
+    })),
+    "y"
+  );
 }
 
-function renderStates(selector, data) {
+function renderStates(selector, data, compare) {
   const ctx = getChartContext(selector, { top: 20, right: 20, bottom: 20, left: 40 });
   if (!ctx) return;
 
@@ -617,30 +4758,85 @@ function renderStates(selector, data) {
   const success = cssVar("--success", "#33ff00");
   const warn = cssVar("--synthetic", "#f59e0b");
   const neutral = cssVar("--border-color", "#333");
+  const textDim = cssVar("--text-dim", "#666");
 
-  if (!data.length) {
+  const rows = pairRows(data, compare, "category");
+  if (!rows.length) {
     g.selectAll("*").remove();
     return;
   }
 
-  const x = d3.scaleBand().domain(data.map((d) => d.category)).range([0, width]).padding(0.4);
+  const x = d3.scaleBand().domain(rows.map((d) => d.category)).range([0, width]).padding(0.4);
   const y = d3
     .scaleLinear()
-    .domain([0, d3.max(data, (d) => d.value) || 1])
+    .domain([0, d3.max(rows, (d) => Math.max(d.value, d.ghost || 0)) || 1])
     .range([height, 0]);
+  // Paired bars split the band: primary left, comparison right
+  const barWidth = compare ? x.bandwidth() / 2 : x.bandwidth();
+
+  // Filtered categories stay full strength; the rest dim while a status filter is active
+  const dimmed = (d) => hasFilter("status") && !isFiltered("status", d.key);
 
-  g.selectAll("rect")
-    .data(data, (d) => d.category)
+  // By site: segments per (status, site) replace the plain bars
+  const split = siteBreakdown("states");
+  const rowOf = new Map(rows.map((d) => [d.category, d]));
+  const segments = split ? siteSegments(split, x.domain(), (site) => site.states, "category") : [];
+  g.selectAll("rect.state-site")
+    .data(segments, (d) => d.id)
     .join("rect")
+    .attr("class", "state-site is-filterable")
+    .attr("x", (d) => x(d.category) + (split.mode === "split" ? d.slot * x.bandwidth() : 0))
+    .attr("y", (d) => y(d.offset + d.value))
+    .attr("width", split?.mode === "split" ? x.bandwidth() / split.sites.length : x.bandwidth())
+    .attr("height", (d) => y(d.offset) - y(d.offset + d.value))
+    .attr("fill", (d) => siteColor(d.site))
+    .attr("opacity", (d) => (dimmed(rowOf.get(d.category)) ? 0.35 : 1))
+    .on("click", (event, d) => {
+      const row = rowOf.get(d.category);
+      toggleFilter("status", row.key, d.category, row.blob);
+    });
+
+  g.selectAll("rect.state-bar")
+    .data(split ? [] : rows, (d) => d.category)
+    .join("rect")
+    .attr("class", "state-bar is-filterable")
     .attr("x", (d) => x(d.category))
     .attr("y", (d) => y(d.value))
-    .attr("width", x.bandwidth())
+    .attr("width", barWidth)
     .attr("height", (d) => height - y(d.value))
     .attr("fill", (d) => {
       if (d.category === "ADMIT") return success;
       if (d.category === "DISCHARGE") return warn;
       return neutral;
-    });
+    })
+    .attr("opacity", (d) => (dimmed(d) ? 0.35 : 1))
+    .on("click", (event, d) => toggleFilter("status", d.key, d.category, d.blob));
+
+  const paired = compare ? rows : [];
+  g.selectAll("rect.state-ghost")
+    .data(paired, (d) => d.category)
+    .join("rect")
+    .attr("class", "state-ghost is-filterable")
+    .attr("x", (d) => x(d.category) + barWidth)
+    .attr("y", (d) => y(d.ghost))
+    .attr("width", Math.max(0, barWidth - 1))
+    .attr("height", (d) => height - y(d.ghost))
+    .attr("fill", "none")
+    .attr("stroke", textDim)
+    .attr("stroke-dasharray", "2,2")
+    .attr("opacity", (d) => (dimmed(d) ? 0.35 : 1))
+    .on("click", (event, d) => toggleFilter("status", d.key, d.category, d.blob));
+
+  g.selectAll("text.state-delta")
+    .data(paired, (d) => d.category)
+    .join("text")
+    .attr("class", "state-delta")
+    .attr("x", (d) => x(d.category) + x.bandwidth() / 2)
+    .attr("y", (d) => y(Math.max(d.value, d.ghost)) - 4)
+    .attr("text-anchor", "middle")
+    .attr("fill", textDim)
+    .style("font-size", "9px")
+    .text((d) => formatDelta(pctChange(d.value, d.ghost)));
 
   g.selectAll(".x-axis")
     .data([1])
@@ -649,21 +4845,41 @@ function renderStates(selector, data) {
     .attr("transform", `translate(0,${height})`)
     .call(d3.axisBottom(x).tickSize(0))
     .call((sel) => sel.select(".domain").remove());
+
+  const total = d3.sum(data, (d) => d.value);
+  inspectChart(
+    ctx,
+    rows.map((d) => ({
+      x: x(d.category) + x.bandwidth() / 2,
+      y: y(d.value),
+      box: { x: x(d.category), y: 0, width: x.bandwidth(), height },
+      title: d.category,
+      rows: [
+        [t("tip.visits"), formatNumber(d.value)],
+        [t("tip.share"), formatShare(d.value, total)],
+        ...siteRows(split, (s) => s.states.find((r) => r.category === d.category)?.value),
+        ...compareRows(compare, d.value, d.ghost),
+      ],
+      activate: () => toggleFilter("status", d.key, d.category, d.blob),
+    }))
+  );
 }
 
-function renderOperators(selector, data) {
+function renderOperators(selector, data, compare) {
   const ctx = getChartContext(selector, { top: 10, right: 10, bottom: 10, left: 5 });
   if (!ctx) return;
 
   const { container, svg, g, width } = ctx;
 
-  if (!data.length) {
+  // Role rows and expanded staff rows share one band scale, keyed by row id
+  const rows = pairRows(workloadRows(data), compare ? workloadRows(compare) : null, "id");
+  if (!rows.length) {
     g.selectAll("*").remove();
     return;
   }
 
   const barHeight = 24;
-  const requiredHeight = Math.max(150, data.length * barHeight + 20);
+  const requiredHeight = Math.max(150, rows.length * barHeight + 20);
 
   // keep container scrollable; only svg grows
   svg.attr("height", requiredHeight);
@@ -671,68 +4887,468 @@ function renderOperators(selector, data) {
   const neutral = cssVar("--border-color", "#333");
   const textMain = cssVar("--text-main", "#a8a8a8");
   const textDim = cssVar("--text-dim", "#666");
+  const perShift = workloadMetric() === "shift";
+  const fmt = (v) => (perShift ? d3.format(".1f")(v) : v);
 
-  const x = d3.scaleLinear().domain([0, d3.max(data, (d) => d.value) || 1]).range([0, Math.max(10, width - 60)]);
+  // With a comparison, the right edge holds a delta column
+  const deltaWidth = compare ? 40 : 0;
+  const x = d3
+    .scaleLinear()
+    .domain([0, d3.max(rows, (d) => Math.max(d.value, d.ghost || 0)) || 1])
+    .range([0, Math.max(10, width - 60 - deltaWidth)]);
   const y = d3
     .scaleBand()
-    .domain(data.map((d) => d.name))
-    .range([0, data.length * barHeight])
+    .domain(rows.map((d) => d.id))
+    .range([0, rows.length * barHeight])
     .padding(0.2);
+  // Primary bar on top, thin comparison bar underneath
+  const mainHeight = compare ? y.bandwidth() * 0.7 : y.bandwidth();
+  const indent = (d) => d.level * 12;
+  // Right-to-left pages grow the bars from the right edge (the svg stays ltr)
+  const rtl = document.documentElement.dir === "rtl";
+  const mirror = (px, w = 0) => (rtl ? width - px - w : px);
 
-  g.selectAll("rect")
-    .data(data, (d) => d.name)
+  const accent = cssVar("--accent", "#d4d4d4");
+  const dimmed = (d) => !d.isRole && hasFilter("operator") && !isFiltered("operator", d.key);
+
+  // By site: segments per (row, site) replace the plain bars. Per-shift rates
+  // do not add up across sites, so stacking falls back to side by side.
+  const bySite = siteBreakdown("operators");
+  const split = bySite && perShift ? { ...bySite, mode: "split" } : bySite;
+  const rowOf = new Map(rows.map((d) => [d.id, d]));
+  const segments = split ? siteSegments(split, y.domain(), (site) => workloadRows(site), "id") : [];
+  g.selectAll("rect.op-site")
+    .data(segments, (d) => d.id)
     .join("rect")
-    .attr("x", 5)
-    .attr("y", (d) => y(d.name))
+    .attr("class", "op-site is-filterable")
+    .attr("x", (d) => mirror(5 + indent(rowOf.get(d.category)) + x(d.offset), x(d.value)))
+    .attr("y", (d) => y(d.category) + (split.mode === "split" ? d.slot * y.bandwidth() : 0))
     .attr("width", (d) => x(d.value))
-    .attr("height", y.bandwidth())
-    .attr("fill", neutral);
+    .attr("height", split?.mode === "split" ? y.bandwidth() / split.sites.length : y.bandwidth())
+    .attr("fill", (d) => siteColor(d.site))
+    .attr("opacity", (d) => (dimmed(rowOf.get(d.category)) ? 0.5 : 0.8))
+    .on("click", (event, d) => onWorkloadRowClick(rowOf.get(d.category)));
+
+  g.selectAll("rect.op-bar")
+    .data(split ? [] : rows, (d) => d.id)
+    .join("rect")
+    .attr("class", "op-bar is-filterable")
+    .attr("x", (d) => mirror(5 + indent(d), x(d.value)))
+    .attr("y", (d) => y(d.id))
+    .attr("width", (d) => x(d.value))
+    .attr("height", mainHeight)
+    .attr("fill", (d) => (!d.isRole && isFiltered("operator", d.key) ? accent : neutral))
+    .attr("opacity", (d) => (dimmed(d) ? 0.5 : d.level ? 0.7 : 1))
+    .on("click", (event, d) => onWorkloadRowClick(d));
 
   g.selectAll(".lbl-name")
-    .data(data, (d) => d.name)
+    .data(rows, (d) => d.id)
     .join("text")
     .attr("class", "lbl-name")
-    .attr("x", 8)
-    .attr("y", (d) => y(d.name) + y.bandwidth() / 2 + 4)
-    .text((d) => d.name)
+    .attr("x", (d) => mirror(8 + indent(d)))
+    .attr("y", (d) => y(d.id) + y.bandwidth() / 2 + 4)
+    .attr("direction", rtl ? "rtl" : null)
+    .text((d) => (d.isRole ? `${d.expandable ? (d.expanded ? "▾ " : rtl ? "◂ " : "▸ ") : ""}${d.label} · ${d.staff ?? 0}` : d.label))
     .attr("fill", textMain)
     .style("font-size", "10px")
+    .style("font-weight", (d) => (d.isRole ? "bold" : null))
     .style("pointer-events", "none");
 
   g.selectAll(".lbl-val")
-    .data(data, (d) => d.name)
+    .data(rows, (d) => d.id)
     .join("text")
     .attr("class", "lbl-val")
-    .attr("x", (d) => x(d.value) + 12)
-    .attr("y", (d) => y(d.name) + y.bandwidth() / 2 + 4)
-    .text((d) => d.value)
+    .attr("x", (d) => mirror(indent(d) + x(Math.max(d.value, d.ghost || 0)) + 12))
+    .attr("y", (d) => y(d.id) + y.bandwidth() / 2 + 4)
+    .attr("text-anchor", rtl ? "end" : null)
+    .text((d) => (compare ? `${fmt(d.value)} / ${fmt(d.ghost)}` : fmt(d.value)))
+    .attr("fill", textDim)
+    .style("font-size", "10px");
+
+  const paired = compare ? rows : [];
+  g.selectAll("rect.op-ghost")
+    .data(paired, (d) => d.id)
+    .join("rect")
+    .attr("class", "op-ghost")
+    .attr("x", (d) => mirror(5 + indent(d), x(d.ghost)))
+    .attr("y", (d) => y(d.id) + mainHeight + 1)
+    .attr("width", (d) => x(d.ghost))
+    .attr("height", Math.max(1, y.bandwidth() - mainHeight - 1))
     .attr("fill", textDim)
+    .style("pointer-events", "none");
+
+  g.selectAll(".lbl-delta")
+    .data(paired, (d) => d.id)
+    .join("text")
+    .attr("class", "lbl-delta")
+    .attr("x", rtl ? 0 : width)
+    .attr("y", (d) => y(d.id) + y.bandwidth() / 2 + 4)
+    .attr("text-anchor", rtl ? "start" : "end")
+    .text((d) => formatDelta(pctChange(d.value, d.ghost)))
+    .attr("fill", textMain)
     .style("font-size", "10px");
+
+  const total = d3.sum(rows, (d) => (d.level ? 0 : d.events ?? 0));
+  inspectChart(
+    ctx,
+    rows.map((d) => ({
+      x: mirror(5 + indent(d) + x(d.value)),
+      y: y(d.id) + y.bandwidth() / 2,
+      box: { x: 0, y: y(d.id), width, height: y.bandwidth() },
+      title: d.isRole ? t("tip.roleStaff", { role: d.label, count: d.staff ?? 0 }) : d.label,
+      rows: [
+        ...(d.role && !d.isRole ? [[t("tip.role"), d.role]] : []),
+        [t("tip.events"), formatNumber(d.events ?? 0)],
+        [t("tip.share"), formatShare(d.events ?? 0, total)],
+        ...(d.shifts ? [[t("tip.shifts"), formatNumber(d.shifts)], [t("tip.perShift"), formatNumber(d.perShift)]] : []),
+        ...siteRows(split, (s) => workloadRows(s).find((r) => r.id === d.id)?.value),
+        ...compareRows(compare, d.value, d.ghost),
+      ],
+      activate: () => onWorkloadRowClick(d),
+    })),
+    "y"
+  );
+}
+
+/**
+ * Primary rows plus categories only the comparison has; `ghost` is the
+ * comparison count (null without a comparison export).
+ */
+function pairRows(rows, compare, labelKey) {
+  if (!compare) return rows.map((r) => ({ ...r, ghost: null }));
+  const ghost = new Map(compare.map((r) => [r[labelKey], r.value]));
+  const seen = new Set(rows.map((r) => r[labelKey]));
+  return [
+    ...rows.map((r) => ({ ...r, ghost: ghost.get(r[labelKey]) ?? 0 })),
+    ...compare.filter((r) => !seen.has(r[labelKey])).map((r) => ({ ...r, value: 0, ghost: r.value })),
+  ];
 }
 
-function renderVolume(selector, data) {
-  const ctx = getChartContext(selector, { top: 10, right: 0, bottom: 20, left: 0 });
+function renderVolume(selector, data, compare) {
+  const ctx = getChartContext(selector, { top: 14, right: 10, bottom: 20, left: 30 });
   if (!ctx) return;
 
-  const { g, width, height } = ctx;
+  const { g } = ctx;
+  const view = state.views.volume;
+  const empty = view === "gaps" ? !data.interArrival.histogram.length : !data.series.length;
+
+  if (empty) {
+    g.selectAll("*").remove();
+    return;
+  }
+
+  g.selectAll(".vol-view")
+    .filter(function () {
+      return this.getAttribute("data-view") !== view;
+    })
+    .remove();
+  const layer = g.selectAll(".vol-view").data([view]).join("g").attr("class", "vol-view").attr("data-view", view);
+
+  if (view === "gaps") drawInterArrival(layer, ctx, data.interArrival, compare?.interArrival);
+  else drawRate(layer, ctx, data, compare);
+}
+
+function drawRate(layer, ctx, data, compare) {
+  const { width, height, fullWidth } = ctx;
+  const series = data.series;
+  const neutral = cssVar("--border-color", "#333");
+  const accent = cssVar("--accent", "#d4d4d4");
+  const alert = cssVar("--alert", "#ff3300");
+  const ghost = compare ? alignByIndex(series, compare.series) : [];
+  const split = siteBreakdown("volume");
+
+  // A lone sample (span under one window) is drawn at the end of its window
+  const domain = d3.extent(series, (d) => d.date);
+  if (+domain[0] === +domain[1]) domain[0] = new Date(+domain[1] - data.windowMinutes * 60 * 1000);
+  const x = d3.scaleTime().domain(domain).range([0, width]);
+  const top = Math.max(d3.max(series, (d) => d.value) || 0, data.peak?.value || 0, d3.max(ghost, (d) => d.value) || 0) || 1;
+  const y = d3.scaleLinear().domain([0, top * 1.1]).nice().range([height, 0]);
+
+  layer
+    .selectAll(".y-axis")
+    .data([1])
+    .join("g")
+    .attr("class", "y-axis chart-axis")
+    .call(d3.axisLeft(y).ticks(4).tickSize(-fullWidth))
+    .call((sel) => sel.select(".domain").remove())
+    .call((sel) => sel.selectAll("line").attr("stroke", cssVar("--grid-color", "#222")));
+
+  layer
+    .selectAll(".x-axis")
+    .data([1])
+    .join("g")
+    .attr("class", "x-axis chart-axis")
+    .attr("transform", `translate(0,${height})`)
+    .call(zoneTimeAxis(x, Math.max(2, Math.floor(width / 90))).tickSize(0).tickPadding(6))
+    .call((sel) => sel.select(".domain").attr("stroke", neutral));
+
+  const area = d3
+    .area()
+    .x((d) => x(d.date))
+    .y0(height)
+    .y1((d) => y(d.value));
+
+  layer
+    .selectAll(".vol-area")
+    .data([series])
+    .join("path")
+    .attr("class", "vol-area")
+    .attr("d", area)
+    .attr("fill", split ? "none" : neutral)
+    .attr("stroke", accent)
+    .attr("stroke-width", 1);
+
+  // Per-site rates share the combined samples, so stacks add up to the total
+  drawSiteSeries(
+    layer,
+    split,
+    series.map((d) => d.date),
+    x,
+    y,
+    (s) => s.volume.series
+  );
+  layer.selectAll(".vol-area").raise();
+
+  layer
+    .selectAll(".vol-ghost")
+    .data(ghost.length ? [ghost] : [])
+    .join("path")
+    .attr("class", "vol-ghost")
+    .attr("d", area.lineY1())
+    .attr("fill", "none")
+    .attr("stroke", cssVar("--text-dim", "#666"))
+    .attr("stroke-dasharray", "4,3")
+    .attr("stroke-width", 1);
+
+  // Exact peak window (may fall between plotted samples)
+  const peak = data.peak ? [data.peak] : [];
+  layer
+    .selectAll(".vol-peak")
+    .data(peak)
+    .join("circle")
+    .attr("class", "vol-peak")
+    .attr("cx", (d) => x(d.date))
+    .attr("cy", (d) => y(d.value))
+    .attr("r", 3)
+    .attr("fill", alert);
+
+  layer
+    .selectAll(".vol-peak-label")
+    .data(peak)
+    .join("text")
+    .attr("class", "vol-peak-label")
+    .attr("x", (d) => Math.min(x(d.date) + 5, width - 80))
+    .attr("y", (d) => Math.max(y(d.value) - 4, -2))
+    .attr("fill", alert)
+    .style("font-size", "9px")
+    .text((d) => {
+      const label = t("chart.peak", { value: d.value, window: data.windowMinutes });
+      return compare?.peak ? `${label} Δ ${formatDelta(pctChange(d.value, compare.peak.value))}` : label;
+    });
+
+  const at = d3.utcFormat("%d %b %H:%M");
+  inspectChart(
+    ctx,
+    series.map((d, i) => ({
+      x: x(d.date),
+      y: y(d.value),
+      title: at(wallDate(d.date)),
+      rows: [
+        [t("tip.eventsPerMin"), formatNumber(d.value)],
+        [t("tip.window"), t("tip.minutes", { value: data.windowMinutes })],
+        ...siteRows(split, (s) => s.volume.series[i]),
+        ...compareRows(compare, d.value, ghost[i]?.value),
+      ],
+    }))
+  );
+}
+
+function drawInterArrival(layer, ctx, gaps, compare) {
+  const { width, height, fullWidth } = ctx;
+  const bins = gaps.histogram;
   const neutral = cssVar("--border-color", "#333");
+  const accent = cssVar("--accent", "#d4d4d4");
+
+  const x = d3.scaleLinear().domain([0, bins[bins.length - 1].x1]).range([0, width]);
+  const y = d3
+    .scaleLinear()
+    .domain([0, d3.max(bins, (b) => b.count) || 1])
+    .nice()
+    .range([height, 0]);
+
+  layer
+    .selectAll(".y-axis")
+    .data([1])
+    .join("g")
+    .attr("class", "y-axis chart-axis")
+    .call(d3.axisLeft(y).ticks(4).tickSize(-fullWidth))
+    .call((sel) => sel.select(".domain").remove())
+    .call((sel) => sel.selectAll("line").attr("stroke", cssVar("--grid-color", "#222")));
+
+  layer
+    .selectAll(".x-axis")
+    .data([1])
+    .join("g")
+    .attr("class", "x-axis chart-axis")
+    .attr("transform", `translate(0,${height})`)
+    .call(d3.axisBottom(x).ticks(4).tickSize(0).tickPadding(6))
+    .call((sel) => sel.select(".domain").attr("stroke", neutral));
+
+  layer
+    .selectAll("rect.gap-bin")
+    .data(bins)
+    .join("rect")
+    .attr("class", "gap-bin")
+    .attr("x", (b) => x(b.x0) + 1)
+    .attr("y", (b) => y(b.count))
+    .attr("width", (b) => Math.max(0, x(b.x1) - x(b.x0) - 1))
+    .attr("height", (b) => height - y(b.count))
+    .attr("fill", neutral);
 
-  if (!data.length) {
+  const median = gaps.stats?.median;
+  layer
+    .selectAll(".gap-median")
+    .data(median != null && median <= x.domain()[1] ? [median] : [])
+    .join("line")
+    .attr("class", "gap-median")
+    .attr("x1", (m) => x(m))
+    .attr("x2", (m) => x(m))
+    .attr("y1", 0)
+    .attr("y2", height)
+    .attr("stroke", accent);
+
+  layer
+    .selectAll(".gap-label")
+    .data(gaps.stats ? [gaps.stats] : [])
+    .join("text")
+    .attr("class", "gap-label")
+    .attr("x", width)
+    .attr("y", -4)
+    .attr("text-anchor", "end")
+    .attr("fill", cssVar("--text-dim", "#666"))
+    .style("font-size", "9px")
+    .text((s) => {
+      const label = t("chart.medianGap", { median: formatMinutes(s.median), p90: formatMinutes(s.p90) });
+      return compare?.stats ? `${label} · Δ ${formatDelta(pctChange(s.median, compare.stats.median))}` : label;
+    });
+
+  const ghostMedian = compare?.stats?.median;
+  layer
+    .selectAll(".gap-median-ghost")
+    .data(ghostMedian != null && ghostMedian <= x.domain()[1] ? [ghostMedian] : [])
+    .join("line")
+    .attr("class", "gap-median-ghost")
+    .attr("x1", (m) => x(m))
+    .attr("x2", (m) => x(m))
+    .attr("y1", 0)
+    .attr("y2", height)
+    .attr("stroke", cssVar("--text-dim", "#666"))
+    .attr("stroke-dasharray", "1,3")
+    .attr("stroke-width", 1.5);
+
+  const total = d3.sum(bins, (b) => b.count);
+  inspectChart(
+    ctx,
+    bins.map((b) => ({
+      x: x((b.x0 + b.x1) / 2),
+      y: y(b.count),
+      box: { x: x(b.x0), y: 0, width: x(b.x1) - x(b.x0), height },
+      title: t("tip.gapRange", { from: b.x0, to: b.x1 }),
+      rows: [
+        [t("tip.gaps"), formatNumber(b.count)],
+        [t("tip.share"), formatShare(b.count, total)],
+      ],
+    }))
+  );
+}
+
+// Console result as a line or bar chart. Numbers and ISO dates on X keep
+// their spacing on a line; anything else is plotted as categories.
+function renderSqlChart(selector, result) {
+  const ctx = getChartContext(selector, { top: 10, right: 10, bottom: 20, left: 45 });
+  if (!ctx) return;
+
+  const { g, width, height } = ctx;
+  const { view, x: xi, y: yi } = state.sql;
+  const points = result.rows
+    .filter((r) => r[xi] != null && typeof r[yi] === "number")
+    .map((r) => ({ x: r[xi], value: r[yi] }));
+  if (yi < 0 || !points.length) {
     g.selectAll("*").remove();
     return;
   }
 
-  const x = d3.scaleBand().domain(data.map((_, i) => i)).range([0, width]).padding(0.1);
-  const y = d3.scaleLinear().domain([0, 100]).range([height, 0]);
+  const lineColor = cssVar("--success", "#33ff00");
+  const y = d3
+    .scaleLinear()
+    .domain([Math.min(0, d3.min(points, (d) => d.value)), d3.max(points, (d) => d.value) || 1])
+    .nice()
+    .range([height, 0]);
+
+  const numericX = points.every((d) => typeof d.x === "number");
+  const dateX =
+    !numericX && points.every((d) => /^\d{4}-\d{2}-\d{2}/.test(String(d.x)) && !Number.isNaN(Date.parse(d.x)));
+  const maxTicks = Math.max(2, Math.floor(width / 80));
+  let xPos;
+  let xAxis;
+  let band = 0;
+  if (view === "line" && (numericX || dateX)) {
+    const key = dateX ? (d) => new Date(d.x) : (d) => d.x;
+    points.sort((a, b) => key(a) - key(b));
+    const x = (dateX ? d3.scaleTime() : d3.scaleLinear()).domain(d3.extent(points, key)).range([0, width]);
+    xPos = (d) => x(key(d));
+    xAxis = dateX ? zoneTimeAxis(x, maxTicks) : d3.axisBottom(x).ticks(maxTicks);
+  } else {
+    const labels = [...new Set(points.map((d) => String(d.x)))];
+    const x =
+      view === "bar"
+        ? d3.scaleBand().domain(labels).range([0, width]).padding(0.2)
+        : d3.scalePoint().domain(labels).range([0, width]);
+    band = view === "bar" ? x.bandwidth() : 0;
+    xPos = (d) => x(String(d.x));
+    const every = Math.ceil(labels.length / maxTicks) || 1;
+    xAxis = d3.axisBottom(x).tickValues(labels.filter((_, i) => i % every === 0));
+  }
+
+  g.selectAll(".x-axis")
+    .data([1])
+    .join("g")
+    .attr("class", "x-axis chart-axis")
+    .attr("transform", `translate(0,${height})`)
+    .call(xAxis.tickSize(0).tickPadding(8))
+    .call((sel) => sel.select(".domain").attr("stroke", cssVar("--border-color", "#333")));
+
+  g.selectAll(".y-axis")
+    .data([1])
+    .join("g")
+    .attr("class", "y-axis chart-axis")
+    .call(d3.axisLeft(y).ticks(4).tickSize(-width))
+    .call((sel) => sel.select(".domain").remove())
+    .call((sel) => sel.selectAll("line").attr("stroke", cssVar("--grid-color", "#222")));
 
-  g.selectAll("rect")
-    .data(data)
+  g.selectAll("rect.sql-bar")
+    .data(view === "bar" ? points : [])
     .join("rect")
-    .attr("x", (d, i) => x(i))
-    .attr("y", (d) => y(d.value))
-    .attr("width", x.bandwidth())
-    .attr("height", (d) => height - y(d.value))
-    .attr("fill", (d, i) => (i % 2 === 0 ? neutral : "#444"));
+    .attr("class", "sql-bar")
+    .attr("x", xPos)
+    .attr("y", (d) => y(Math.max(0, d.value)))
+    .attr("width", band)
+    .attr("height", (d) => Math.abs(y(d.value) - y(0)))
+    .attr("fill", lineColor);
+
+  const line = d3
+    .line()
+    .x(xPos)
+    .y((d) => y(d.value));
+
+  g.selectAll(".sql-line")
+    .data(view === "line" ? [points] : [])
+    .join("path")
+    .attr("class", "sql-line")
+    .attr("d", line)
+    .attr("fill", "none")
+    .attr("stroke", lineColor)
+    .attr("stroke-width", 2);
 }
 
 /* ---------------------- SYNTHETIC DATA (DEMO) --------------------- */
@@ -749,24 +5365,106 @@ function generateSyntheticData() {
       date: new Date(now - (23 - i) * HOUR),
       value: 20 + Math.floor(Math.sin(i / 3) * 10 + rand() * 5),
     })),
-    duration: Array.from({ length: 50 }, (_, i) => ({
-      index: i,
-      value: 15 + rand() * 30,
-    })),
+    duration: syntheticDuration(rand, now),
     states: [
       { category: "ADMIT", value: 120 },
       { category: "TRIAGE", value: 45 },
       { category: "DISCHARGE", value: 80 },
       { category: "TRANSFER", value: 12 },
     ],
-    operators: [
-      { name: "Dr. A", value: 450 },
-      { name: "Dr. B", value: 320 },
-      { name: "Nurse C", value: 510 },
-      { name: "Nurse D", value: 480 },
-      { name: "Tech E", value: 150 },
-    ].sort((a, b) => b.value - a.value),
-    volume: Array.from({ length: 40 }, () => ({ value: rand() * 80 })),
+    ...syntheticWorkload([
+      { name: "Dr. A", role: "PHYSICIAN", value: 450, shifts: 12 },
+      { name: "Dr. B", role: "PHYSICIAN", value: 320, shifts: 9 },
+      { name: "Nurse C", role: "NURSE", value: 510, shifts: 14 },
+      { name: "Nurse D", role: "NURSE", value: 480, shifts: 15 },
+      { name: "Tech E", role: "LAB TECH", value: 150, shifts: 8 },
+    ]),
+    volume: syntheticVolume(rand, now),
+  };
+}
+
+// Same shape as the worker's staff workload: per-person rows plus role totals
+function syntheticWorkload(staff) {
+  const rate = (events, shifts) => Math.round((events / shifts) * 100) / 100;
+  const operators = staff.map((o) => ({ ...o, perShift: rate(o.value, o.shifts) })).sort((a, b) => b.value - a.value);
+  const roles = d3
+    .rollups(
+      operators,
+      (v) => ({ value: d3.sum(v, (o) => o.value), staff: v.length, shifts: d3.sum(v, (o) => o.shifts) }),
+      (o) => o.role
+    )
+    .map(([role, r]) => ({ role, ...r, perShift: rate(r.value, r.shifts) }))
+    .sort((a, b) => b.value - a.value);
+  return { operators, roles, workload: { shiftHours: DEFAULT_SHIFT_HOURS, shiftStartHour: 7, perShift: true } };
+}
+
+function syntheticVolume(rand, now) {
+  const MINUTE = 60 * 1000;
+  const series = Array.from({ length: 96 }, (_, i) => ({
+    date: new Date(now - (95 - i) * 15 * MINUTE),
+    value: Math.round((0.4 + Math.sin(i / 8) * 0.25 + rand() * 0.3) * 100) / 100,
+  }));
+  const peak = series.reduce((a, b) => (b.value > a.value ? b : a));
+  const gaps = Array.from({ length: 300 }, () => -Math.log(1 - rand()) * 90);
+  const bins = d3.bin().thresholds(20)(gaps);
+  const sorted = gaps.slice().sort(d3.ascending);
+
+  return {
+    windowMinutes: 15,
+    series,
+    peak,
+    mean: d3.mean(series, (d) => d.value),
+    interArrival: {
+      unit: "s",
+      stats: {
+        count: sorted.length,
+        mean: d3.mean(sorted),
+        median: d3.quantileSorted(sorted, 0.5),
+        p90: d3.quantileSorted(sorted, 0.9),
+        p95: d3.quantileSorted(sorted, 0.95),
+        max: sorted[sorted.length - 1],
+      },
+      histogram: bins.map((b) => ({ x0: b.x0, x1: b.x1, count: b.length })),
+    },
+  };
+}
+
+function syntheticDuration(rand, now) {
+  const HOUR = 3600 * 1000;
+  const statuses = ["ADMIT", "TRIAGE", "DISCHARGE", "TRANSFER"];
+  const samples = Array.from({ length: 400 }, (_, i) => ({
+    value: 10 + rand() * 25 + (rand() < 0.1 ? rand() * 90 : 0),
+    status: statuses[i % statuses.length],
+    hour: i % 24,
+  }));
+
+  const summarize = (values) => {
+    const sorted = values.slice().sort(d3.ascending);
+    return {
+      count: sorted.length,
+      mean: d3.mean(sorted),
+      median: d3.quantileSorted(sorted, 0.5),
+      p90: d3.quantileSorted(sorted, 0.9),
+      p95: d3.quantileSorted(sorted, 0.95),
+      max: sorted[sorted.length - 1],
+    };
+  };
+
+  const values = samples.map((d) => d.value);
+  const bins = d3.bin().thresholds(20)(values);
+
+  return {
+    unit: "min",
+    stats: summarize(values),
+    histogram: bins.map((b) => ({ x0: b.x0, x1: b.x1, count: b.length })),
+    trend: Array.from({ length: 24 }, (_, i) => ({
+      date: new Date(now - (23 - i) * HOUR),
+      median: d3.median(samples.filter((d) => d.hour === i), (d) => d.value),
+    })),
+    byStatus: statuses.map((status) => ({
+      status,
+      ...summarize(samples.filter((d) => d.status === status).map((d) => d.value)),
+    })),
   };
 }
 
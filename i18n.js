@@ -0,0 +1,2297 @@
+/**
+ * MU-TH-UR 6000 // MESSAGE CATALOGS
+ * Bundled with the app (no network at runtime). One flat catalog per locale;
+ * keys a catalog lacks fall back to English. `{name}` marks a parameter and
+ * plural entries hold one string per Intl.PluralRules category.
+ *
+ * Each locale also carries its d3-format / d3-time-format definitions (axes,
+ * numbers, bucket labels). Arabic keeps Latin digits: timestamps and raw
+ * export values are never transliterated, and one chart should not mix both.
+ */
+
+export const DEFAULT_LOCALE = "en";
+
+export const LOCALES = {
+  en: {
+    name: "English",
+    dir: "ltr",
+    number: { decimal: ".", thousands: ",", grouping: [3], currency: ["$", ""] },
+    time: {
+      dateTime: "%x, %X",
+      date: "%-m/%-d/%Y",
+      time: "%-I:%M:%S %p",
+      periods: ["AM", "PM"],
+      days: ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"],
+      shortDays: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"],
+      months: ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"],
+      shortMonths: ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"],
+    },
+  },
+  fr: {
+    name: "Français",
+    dir: "ltr",
+    number: { decimal: ",", thousands: " ", grouping: [3], currency: ["", " F CFA"], percent: " %" },
+    time: {
+      dateTime: "%A %e %B %Y à %X",
+      date: "%d/%m/%Y",
+      time: "%H:%M:%S",
+      periods: ["AM", "PM"],
+      days: ["dimanche", "lundi", "mardi", "mercredi", "jeudi", "vendredi", "samedi"],
+      shortDays: ["dim.", "lun.", "mar.", "mer.", "jeu.", "ven.", "sam."],
+      months: ["janvier", "février", "mars", "avril", "mai", "juin", "juillet", "août", "septembre", "octobre", "novembre", "décembre"],
+      shortMonths: ["janv.", "févr.", "mars", "avr.", "mai", "juin", "juil.", "août", "sept.", "oct.", "nov.", "déc."],
+    },
+  },
+  es: {
+    name: "Español",
+    dir: "ltr",
+    number: { decimal: ",", thousands: ".", grouping: [3], currency: ["", " €"] },
+    time: {
+      dateTime: "%A, %e de %B de %Y, %X",
+      date: "%d/%m/%Y",
+      time: "%H:%M:%S",
+      periods: ["AM", "PM"],
+      days: ["domingo", "lunes", "martes", "miércoles", "jueves", "viernes", "sábado"],
+      shortDays: ["dom", "lun", "mar", "mié", "jue", "vie", "sáb"],
+      months: ["enero", "febrero", "marzo", "abril", "mayo", "junio", "julio", "agosto", "septiembre", "octubre", "noviembre", "diciembre"],
+      shortMonths: ["ene", "feb", "mar", "abr", "may", "jun", "jul", "ago", "sep", "oct", "nov", "dic"],
+    },
+  },
+  ar: {
+    name: "العربية",
+    dir: "rtl",
+    number: { decimal: ".", thousands: ",", grouping: [3], currency: ["", ""] },
+    time: {
+      dateTime: "%A، %e %B %Y، %X",
+      date: "%d/%m/%Y",
+      time: "%H:%M:%S",
+      periods: ["ص", "م"],
+      days: ["الأحد", "الاثنين", "الثلاثاء", "الأربعاء", "الخميس", "الجمعة", "السبت"],
+      shortDays: ["أحد", "اثنين", "ثلاثاء", "أربعاء", "خميس", "جمعة", "سبت"],
+      months: ["يناير", "فبراير", "مارس", "أبريل", "مايو", "يونيو", "يوليو", "أغسطس", "سبتمبر", "أكتوبر", "نوفمبر", "ديسمبر"],
+      shortMonths: ["يناير", "فبراير", "مارس", "أبريل", "مايو", "يونيو", "يوليو", "أغسطس", "سبتمبر", "أكتوبر", "نوفمبر", "ديسمبر"],
+    },
+  },
+};
+
+export const MESSAGES = {
+  en: {
+    // Page chrome (index.html data-i18n attributes)
+    "locale.label": "Language",
+    "intro.title": "Program Telemetry // Local Console",
+    "intro.purposeLabel": "PURPOSE:",
+    "intro.purpose": "Visualize EMR export data for field program review: patient volume, staff load, workflow bottlenecks.",
+    "intro.privacyLabel": "DATA PRIVACY:",
+    "intro.secure": "SECURE // OFFLINE.",
+    "intro.privacy": "All processing happens locally on this device. No patient data is transmitted.",
+    "intro.instructionsLabel": "INSTRUCTIONS:",
+    "intro.instructions":
+      "Select an export from your local EMR system (SQLite .db, CSV/TSV or JSON/NDJSON) to begin analysis. Select or drop several facility exports to compare sites.",
+    "action.load": "Load EMR Data",
+    "action.cancel": "Cancel",
+    "action.apply": "Apply",
+    "mapping.title": "Confirm Column Mapping",
+    "mapping.tableLabel": "Table",
+    "mapping.intro": "Check which column feeds each panel before analysis runs.",
+    "mapping.run": "Run Analysis",
+    "roles.title": "Staff Roles",
+    "roles.intro":
+      "Assign each staff member a role. Saved in this browser only; an entry overrides the export's role column, a blank entry falls back to it.",
+    "roles.clear": "Clear All",
+    "roles.save": "Save Roles",
+    "roles.button": "ROLES",
+    "roles.buttonTitle": "Assign staff to roles (saved in this browser)",
+    "processing.title": "Analyzing EMR Database Locally",
+    "processing.local": "No data leaves this device",
+    "compare.swap": "Swap Baseline",
+    "compare.swapTitle": "Measure deltas against the other export",
+    "compare.remove": "Remove comparison export",
+    "compare.button": "Compare…",
+    "compare.buttonTitle": "Load a second export to compare period over period",
+    "verified.text": "Data Verified Locally",
+    "verified.title": "Processed locally; not uploaded anywhere",
+    "filter.group": "Active filters",
+    "sites.group": "Sites (click to filter)",
+    "range.label": "Range",
+    "range.title": "Time window applied to every panel",
+    "range.option24h": "Last 24h",
+    "range.option7d": "Last 7d",
+    "range.option30d": "Last 30d",
+    "range.optionCustom": "Custom…",
+    "range.optionAll": "Full export",
+    "range.from": "Range start",
+    "range.to": "Range end",
+    "tz.label": "Zone",
+    "tz.panelTitle": "Timezone used for buckets and axes",
+    "privacy.label": "Privacy",
+    "privacy.title": "Pseudonymize staff and suppress small counts",
+    "privacy.optionOff": "Off",
+    "privacy.optionExport": "Exports only",
+    "privacy.optionOn": "Always",
+    "privacy.minCell": "Suppress counts below",
+    "privacy.minCellTitle": "Counts below this merge into OTHER (suppressed); 0 turns suppression off",
+    "columns.button": "Columns",
+    "columns.title": "Review column mapping",
+    "export.report": "Export Report",
+    "export.reportTitle": "Download a self-contained HTML report (print it to PDF)",
+    "export.data": "Export Data",
+    "export.dataTitle": "Download every dataset as CSV + JSON with a manifest (.zip)",
+    "export.download": "Download {panel} as {format}",
+    "fieldMode.button": "Field Mode",
+    "fieldMode.title": "Toggle High Contrast",
+    "panel.operators": "Staff Workload by Role",
+    "panel.duration": "Visit Duration",
+    "panel.states": "Workflow Status",
+    "panel.volume": "Activity Rate",
+    "panel.quality": "Data Quality",
+    "panelName.visits": "visits",
+    "panelName.duration": "visit durations",
+    "panelName.states": "workflow status",
+    "panelName.operators": "staff workload",
+    "panelName.volume": "activity rate",
+    "site.select": "Break down {panel} by site",
+    "site.all": "All sites",
+    "site.stack": "Stack",
+    "site.split": "Split",
+    "bucket.visitsLabel": "Visit bucket size",
+    "bucket.durationLabel": "Duration trend bucket size",
+    "table.button": "TABLE",
+    "table.show": "Show {panel} as a table",
+    "workload.metricLabel": "Workload metric",
+    "workload.metricTitle": "Events per staff member per shift compare teams of different sizes",
+    "view.durationLabel": "Duration view",
+    "view.hist": "Histogram",
+    "view.trend": "Trend",
+    "view.status": "By Status",
+    "view.volumeLabel": "Activity view",
+    "view.rate": "Rate",
+    "view.gaps": "Inter-arrival",
+    "window.label": "Rolling window",
+    "window.5": "5 min",
+    "window.15": "15 min",
+    "window.60": "60 min",
+    "unit.count": "COUNT",
+    "unit.min": "MIN",
+    "unit.evMin": "EV/MIN",
+    "unit.sec": "SEC",
+    "unit.rows": "% ROWS",
+    "desc.visits": "Line chart showing patient visit volume over the selected time range.",
+    "desc.workload": "Horizontal bar chart showing activity per staff role, expandable to individual staff members.",
+    "desc.duration": "Histogram of patient visit durations with median and 90th/95th percentile markers.",
+    "desc.states": "Bar chart showing the distribution of patient workflow statuses.",
+    "desc.rate": "Area chart of events per minute over a rolling window, with the peak rate marked.",
+    "desc.quality":
+      "Audit of the mapped columns: empty values, unreadable or implausible timestamps, implausible durations, one-off status values and duplicate rows. Checked rows are excluded from every panel.",
+    "sql.title": "SQL Console",
+    "sql.readOnly": "Read-only",
+    "sql.input": "SQL query (Ctrl+Enter to run)",
+    "sql.run": "Run",
+    "sql.historyLabel": "Query history",
+    "sql.historyEmpty": "History",
+    "sql.viewLabel": "Result view",
+    "sql.table": "Table",
+    "sql.line": "Line",
+    "sql.bar": "Bar",
+    "sql.xLabel": "X axis column",
+    "sql.yLabel": "Y axis column",
+    "sql.prev": "Previous page",
+    "sql.next": "Next page",
+    "sql.plot": "Plot of the query result",
+    "footer.local": "Local Processing Active",
+
+    // Status line (message, then tooltip)
+    "status.visualCoreMissing": "Visual Core Missing",
+    "status.synthetic": "SYNTHETIC SIGNAL — LOAD DATABASE TO BEGIN",
+    "status.systemReady": "System ready. Load local EMR export.",
+    "status.systemFailure": "System Failure",
+    "status.workerOffline": "Worker did not come online.",
+    "status.browserIncompatible": "Browser Incompatible",
+    "status.noWorkers": "Web Worker support missing.",
+    "status.workerFailure": "Worker failure",
+    "status.reloadOrRetry": "Reload or retry.",
+    "status.cancelled": "Analysis cancelled",
+    "status.loadToRestart": "Load an export to start again.",
+    "status.noSupportedFiles": "No supported files",
+    "status.dropHint": "Drop SQLite, CSV/TSV or JSON exports.",
+    "status.fileTooLarge": "File too large",
+    "status.fileLimit": "{name}: {size} MB. Max supported is {max} MB per file.",
+    "status.mergedFileLimit": "{name}: {size} MB. Max supported is {max} MB per merged file.",
+    "status.totalLimit": "Selected {size} MB in total. Max is {max} MB across files.",
+    "status.fileReceived": "File received",
+    "status.filesReceived": { one: "{count} file received", other: "{count} files received" },
+    "status.preparing": "Preparing local analysis…",
+    "status.initializing": "System initializing",
+    "status.analyzing": "Analyzing EMR database…",
+    "status.reopening": "Reopening the export in a fresh engine…",
+    "status.merging": { one: "Merging {count} export…", other: "Merging {count} exports…" },
+    "status.processingLocal": "Local processing active. Data stays on this device.",
+    "status.readFailed": "Read Failed",
+    "status.transferFailed": "Transfer Failed",
+    "status.handoffFailed": "Could not hand file to analysis engine.",
+    "status.engineUnreachable": "Could not reach analysis engine.",
+    "status.invalidFormat": "Invalid export format",
+    "status.schemaMissing": "Schema report missing from analysis engine.",
+    "status.confirmMapping": "Confirm column mapping",
+    "status.checkColumns": "Check which columns feed each panel.",
+    "status.dataLoaded": "Data loaded",
+    "status.verified": "Analysis complete. Verified locally.",
+    "status.ambiguousDates": "Analysis complete. Timestamps are ambiguous and were read as {format}; confirm under COLUMNS.",
+    "status.mappingRequired": "Mapping required",
+    "status.useColumns": "Use COLUMNS to confirm the column mapping.",
+    "status.invalidRange": "Invalid range",
+    "status.noStaffColumn": "No staff column",
+    "status.mapStaffColumn": "Map a Staff / operator column under COLUMNS to assign roles.",
+    "status.rolesUnavailable": "Roles unavailable",
+    "status.rolesPseudonymized": "Staff names are pseudonymized on screen. Set Privacy to Exports only to edit roles.",
+    "status.rolesNotSaved": "Roles not saved",
+    "status.storageRefused": "This browser refused local storage; roles apply until the page is closed.",
+    "status.alertsNotSaved": "Alert rules not saved",
+    "status.alertsStorageRefused": "This browser refused local storage; the rules apply until the page is closed.",
+    "status.loadFirst": "Load an export first",
+    "status.compareNeedsPrimary": "Comparison needs a mapped primary export.",
+    "status.compareFailed": "Comparison failed: {message}",
+    "validation.noData": "No data returned from analysis engine.",
+    "validation.noVisits": "Visit series missing. Export may be incomplete.",
+
+    // Worker and input errors (ERROR_MAP)
+    "error.fileExceedsCapacity": "File too large. Export a smaller date range.",
+    "error.totalExceedsBudget": "Too much data across files. Merge fewer sites at once.",
+    "error.noTablesFound": "Not a valid EMR export (no tables detected).",
+    "error.parseError": "Could not read this file as CSV/TSV/JSON.",
+    "error.emptyFile": "File is empty.",
+    "error.invalidSchema": "Required visit/workflow data not found in this export.",
+    "error.workerBusy": "System busy. Please wait.",
+    "error.workerCrash": "Analysis engine crashed. Please reload.",
+    "error.workerNotReady": "System initializing. Please try again.",
+    "error.initFailed": "Analysis engine failed to start. Please reload.",
+    "error.unsupportedProtocol": "Analysis engine is out of date. Please reload.",
+    "error.invalidMapping": "Column mapping does not match this export. Review the mapping.",
+    "error.noDatabaseOpen": "No export loaded. Load an EMR export first.",
+    "error.unknownTable": "Selected table was not found in this export.",
+    "error.invalidJoin": "Lookup columns not found. Check the join definition.",
+    "error.joinKeyNotUnique": "Lookup column has duplicate values. Join on the table's key column.",
+    "error.tooManyJoins": "Too many lookups. Remove one and retry.",
+    "error.invalidRange": "Range start is after range end.",
+    "error.invalidDateFormat": "Unknown timestamp format. Pick one under COLUMNS.",
+    "error.invalidRoleMap": "Saved staff roles could not be read. Clear them under ROLES and retry.",
+    "error.invalidPrivacy": "Privacy settings rejected. Use a small-count threshold between 0 and 100.",
+    "error.pseudonymsUnavailable": "Staff pseudonyms need a secure context (https or a local file). Turn privacy off to continue.",
+    "error.invalidTimezone": "Timezone not recognised by this browser. Pick another zone.",
+    "error.invalidFilter": "Filter no longer matches the column mapping. Clear filters and retry.",
+    "error.invalidExclusion": "Excluded quality checks no longer match this export. Review the Data Quality panel.",
+    "error.readFailed": "Browser could not read the file. Try re-exporting.",
+    "error.notADatabase": "File is not a readable SQLite database.",
+    "error.stagingExceedsBudget": "Mapped columns need too much memory. Map fewer columns or export a shorter range.",
+    "error.d3Missing": "Visualization library failed to load (D3).",
+    "error.sqlEmpty": "Enter a query to run.",
+    "error.sqlTooLong": "Query is too long.",
+    "error.sqlMultipleStatements": "Run one statement at a time.",
+    "error.sqlNotAQuery": "Only read-only queries that return rows are allowed (SELECT, WITH, EXPLAIN).",
+    "error.sqlTimeout": "Query took too long and was stopped. Add a WHERE clause or LIMIT.",
+    "error.sqlError": "Query failed.",
+    "error.generic": "Processing error. Please try a different export.",
+    "error.atCell": "{message} Row {row}, column {column}: {reason}.",
+
+    // Processing phases
+    "phase.starting": "Starting…",
+    "phase.cancelling": "Cancelling…",
+    "phase.open": "Opening export",
+    "phase.load": "Reading mapped columns",
+    "phase.schema": "Discovering schema",
+    "phase.visits": "Aggregating visits",
+    "phase.duration": "Aggregating durations",
+    "phase.states": "Aggregating workflow status",
+    "phase.operators": "Aggregating staff workload",
+    "phase.volume": "Computing activity rate",
+    "phase.sites": "Breaking down by site",
+    "phase.done": "Finishing",
+
+    // Loaded files
+    "file.info": "{name} ({size} MB)",
+    "file.sites": { one: "{count} site ({size} MB)", other: "{count} sites ({size} MB)" },
+    "file.large": "{file} · LARGE FILE",
+    "file.largeStats":
+      "Large-file mode: {reads} page reads, {read} MB read from disk. Worker memory: {cache} MB page cache + {staged} MB staged columns.",
+
+    // Column mapping
+    "role.time": "Timestamp",
+    "role.duration": "Visit duration",
+    "role.operator": "Staff / operator",
+    "role.staffRole": "Staff role",
+    "role.status": "Workflow status",
+    "role.site": "Site / facility",
+    "mapping.notMapped": "Not mapped — panel will stay empty",
+    "mapping.match": "{pct}% match",
+    "mapping.verify": "{pct}% match — please verify",
+    "mapping.primaryTable": "Primary table",
+    "mapping.tableOption": "{name} ({rows} rows)",
+    "mapping.tableOptionOther": "{name} ({rows} rows) — other",
+    "mapping.lookups": "Lookups (joins)",
+    "mapping.removeLookup": "Remove lookup {join}",
+    "mapping.detectedKey": "Detected foreign key",
+    "mapping.noneDeclared": "None declared",
+    "mapping.lookupColumn": "Lookup column in primary table",
+    "mapping.lookupTable": "Lookup table",
+    "mapping.lookupKey": "Key column in lookup table",
+    "mapping.addLookup": "Add lookup",
+    "mapping.notMappedOption": "— Not mapped —",
+    "mapping.samples": "e.g. {values}",
+    "mapping.noValues": "no values",
+    "mapping.timeFormat": "Timestamp format",
+    "mapping.detected": "Detected: {format}",
+    "mapping.setByYou": "Set by you: {format}",
+    "mapping.noFormat": "No known format detected — please choose",
+    "mapping.ambiguous": "Ambiguous: reads as {formats} — please choose",
+    "mapping.parseShare": "{pct}% of sampled values parse",
+    "mapping.raggedShort": {
+      one: "{file}: {count} row has fewer fields than the header (first: row {row}); its missing cells are empty.",
+      other: "{file}: {count} rows have fewer fields than the header (first: row {row}); their missing cells are empty.",
+    },
+    "mapping.raggedLong": {
+      one: "{file}: {count} row has more fields than the header (first: row {row}); the extra fields were dropped.",
+      other: "{file}: {count} rows have more fields than the header (first: row {row}); the extra fields were dropped.",
+    },
+    "dateFormat.auto": "Automatic (ISO text or epoch)",
+    "dateFormat.iso": "ISO 8601 (2024-03-31 14:05)",
+    "dateFormat.dmy": "Day first (31/03/2024)",
+    "dateFormat.mdy": "Month first (03/31/2024)",
+    "dateFormat.epoch_s": "Unix seconds",
+    "dateFormat.epoch_ms": "Unix milliseconds",
+    "dateFormat.julian": "Julian day (SQLite)",
+    "dateFormat.excel": "Excel serial days",
+
+    // Time range, zone and buckets
+    "range.24h": "Last 24H",
+    "range.7d": "Last 7D",
+    "range.30d": "Last 30D",
+    "range.custom": "Custom Range",
+    "range.all": "Full Export",
+    "range.start": "start",
+    "range.end": "end",
+    "title.visits": "Patient Visits ({range})",
+    "tz.local": "Local ({zone})",
+    "tz.title": "Timezone for buckets, axes and the custom range: {zone}",
+    "bucket.hour": "Hour",
+    "bucket.day": "Day",
+    "bucket.isoweek": "ISO Week",
+    "bucket.epiweek": "Epi Week",
+    "bucket.isoweekTick": "W{week} {year}",
+    "bucket.epiweekTick": "EW{week} {year}",
+    // d3-time-format specifiers for time axes (finest unit first)
+    "format.second": ":%S",
+    "format.minute": "%I:%M",
+    "format.hour": "%I %p",
+    "format.day": "%a %d",
+    "format.week": "%b %d",
+    "format.month": "%B",
+    "format.year": "%Y",
+
+    // Filters, sites, data quality
+    "filter.status": "Status",
+    "filter.operator": "Staff",
+    "filter.site": "Site",
+    "filter.chip": "{role}: {label} ×",
+    "filter.remove": "Remove filter {role} {label}",
+    "filter.clearAll": "Clear all",
+    "sites.more": "+ smaller sites combined",
+    "quality.time_unparsed": "Unreadable timestamps",
+    "quality.time_future": "Timestamps in the future",
+    "quality.time_before_2000": "Timestamps before 2000",
+    "quality.duration_negative": "Negative durations",
+    "quality.duration_extreme": "Durations over 24 h",
+    "quality.status_singleton": "Status values seen once",
+    "quality.duplicate_rows": "Duplicate rows",
+    "quality.auditing": "Auditing…",
+    "quality.empty": "Load an export to audit its data quality.",
+    "quality.emptyValues": "Empty values · {rows} rows",
+    "quality.column": "{role} ({column})",
+    "quality.flagged": "Flagged rows · check to exclude",
+    "quality.examples": "e.g. {values}",
+    "quality.examplesHidden": "values hidden while privacy mode is on",
+    "quality.compared": "compared: {columns}",
+    "quality.toReview": "{count} to review",
+    "quality.clean": "clean",
+    "quality.excluded": "{count} excluded",
+
+    // Staff workload
+    "workload.metricEvents": "Events",
+    "workload.metric8": "Per 8 h shift",
+    "workload.metric12": "Per 12 h shift",
+    "workload.metric24": "Per 24 h shift",
+    "workload.events": "events per staff member",
+    "workload.perShift": "events per staff member per {hours} h shift",
+    "workload.perShiftFrom": "events per staff member per {hours} h shift (shifts from {start}, {zone})",
+    "workload.roleColumn": "roles from column {column}",
+    "workload.localRoles": { one: "{count} role assigned in this browser", other: "{count} roles assigned in this browser" },
+    "roles.unassigned": "Unassigned",
+    "roles.fromExport": "{role} (from export)",
+    "roles.noStaff": "No staff in the current view.",
+    "roles.tooMany": "Too many saved roles (limit {max}). Clear some and retry.",
+
+    // Threshold alerts
+    "alerts.button": "Alerts",
+    "alerts.buttonTitle": "Threshold rules checked after each analysis (saved in this browser)",
+    "alerts.group": "Active alerts",
+    "alerts.title": "Alert Rules",
+    "alerts.intro":
+      "Each rule is checked against every analysis result. A breached rule outlines its panel in red and is listed in the header and in exported reports. Saved in this browser only.",
+    "alerts.add": "Add Rule",
+    "alerts.save": "Save Rules",
+    "alerts.metric": "Metric",
+    "alerts.op": "Condition",
+    "alerts.threshold": "Threshold",
+    "alerts.statusA": "Status",
+    "alerts.statusB": "Divided by status",
+    "alerts.above": "> above",
+    "alerts.below": "< below",
+    "alerts.remove": "Remove rule",
+    "alerts.empty": "No rules yet. Add one to be told when a metric crosses a threshold.",
+    "alerts.needsNumber": "Every rule needs a number to compare against.",
+    "alerts.needsStatuses": "A status ratio needs both statuses.",
+    "alerts.tooMany": "At most {max} rules.",
+    "alerts.visitsPeak": "Visits per {bucket} (busiest)",
+    "alerts.visitsTotal": "Visits in the range",
+    "alerts.statusRatio": "Status ratio",
+    "alerts.statusRatioOf": "{a}/{b} ratio",
+    "alerts.durationMedian": "Median visit duration",
+    "alerts.durationP90": "P90 visit duration",
+    "alerts.staffShare": "One staff member's share of events",
+    "alerts.ratePeak": "Peak events per minute",
+    "alerts.hintVisits": "visits",
+    "alerts.hintRatio": "ratio",
+    "alerts.hintMin": "minutes",
+    "alerts.hintPct": "% of events",
+    "alerts.hintRate": "events / min",
+    "alerts.breach": "{metric} {value} ({op} {threshold})",
+    "alerts.breachAt": "{metric} {value} ({op} {threshold}) · {subject}",
+    "alerts.chip": "⚠ {breach}",
+    "alerts.more": { one: "+{count} more alert", other: "+{count} more alerts" },
+    "alerts.show": "{breach}. Show the panel",
+    "alerts.announce": { one: "{count} alert.", other: "{count} alerts." },
+    "alerts.perBucket": "{bucket} buckets",
+    "alerts.setFor": "Written for {view}",
+    "alerts.skipped": { one: "{count} rule not checked", other: "{count} rules not checked" },
+    "alerts.skippedRule": "{metric}: written for {view}; not checked on this view",
+
+    // Comparison
+    "compare.vs": "VS {file}",
+    "compare.baselineTag": " · BASELINE",
+    "compare.analyzingTag": " · ANALYZING…",
+    "compare.deltaVisits": "Δ {delta} VS BASELINE",
+
+    // SQL console
+    "sql.running": "Running…",
+    "sql.rows": { one: "{count} row", other: "{count} rows" },
+    "sql.limitReached": "{rows} (limit {limit} reached)",
+    "sql.elapsed": "{ms} ms",
+    "sql.partial": "Large-file mode: unmapped columns hold sample rows only",
+    "sql.history": "History ({count})",
+
+    // Privacy
+    "privacy.none": "None",
+    "privacy.pseudonymized": "staff names pseudonymized",
+    "privacy.suppressed": {
+      one: 'counts under {min} merged into "{label}" ({count} group)',
+      other: 'counts under {min} merged into "{label}" ({count} groups)',
+    },
+    "privacy.hintOff": "No protection: staff names and small counts appear on screen and in exports.",
+    "privacy.hintExport": "Reports and data exports are pseudonymized and small counts suppressed; the screen shows stored values.",
+    "privacy.hintOn": "Applied to the next analysis.",
+    "privacy.badge": "Privacy: {parts}",
+    "privacy.pseudonyms": "pseudonyms",
+    "privacy.suppressedShort": "<{min} suppressed",
+    "privacy.onScreen": "On screen: {summary}. The SQL console still shows stored values.",
+    "privacy.badgeOff": "Privacy off",
+    "privacy.badgeExport": "Privacy: exports only",
+    "privacy.badgeOn": "Privacy: on",
+
+    // HTML report
+    "report.title": "MSF Field Telemetry Report — {marker}",
+    "report.heading": "MSF // Field Telemetry Report",
+    "report.footer": "Generated offline by MU-TH-UR 6000. No patient data left the device. Print this file (Save as PDF) for a paper copy.",
+    "report.verified": "VERIFIED — processed locally from the export below",
+    "report.synthetic": "SYNTHETIC — demo signal, not real program data",
+    "report.unverified": "UNVERIFIED — console status {status}",
+    "report.sourceFile": "Source file",
+    "report.noSource": "None (synthetic)",
+    "report.comparisonFile": "Comparison file",
+    "report.baseline": "Baseline",
+    "report.analysisTime": "Analysis time",
+    "report.generated": "Report generated",
+    "report.range": "Range",
+    "report.timezone": "Timezone",
+    "report.filters": "Filters",
+    "report.excludedRows": "Excluded rows",
+    "report.privacy": "Privacy",
+    "report.workload": "Staff workload",
+    "report.lookup": "Lookup",
+    "report.notMapped": "— not mapped —",
+    "report.timeFormat": "{format} ({source})",
+    "report.setByUser": "set by user",
+    "report.detected": "detected",
+    "report.syntheticWindow": "Synthetic demo window",
+    "report.rangeWindow": "{label} ({window})",
+    "report.none": "None",
+    "report.alerts": "Alerts",
+    "report.noAlerts": { one: "The alert rule is not breached.", other: "None of the {count} alert rules is breached." },
+
+    // Chart labels and tooltips
+    "chart.medianHead": "MEDIAN {median} MIN · N={count}",
+    "chart.peak": "PEAK {value}/MIN ({window}M)",
+    "chart.medianGap": "MEDIAN GAP {median}S · P90 {p90}S",
+    "tip.visits": "Visits",
+    "tip.share": "Share",
+    "tip.comparison": "Comparison",
+    "tip.delta": "Δ vs baseline",
+    "tip.median": "Median",
+    "tip.noVisits": "no visits",
+    "tip.minutes": "{value} min",
+    "tip.role": "Role",
+    "tip.events": "Events",
+    "tip.shifts": "Shifts",
+    "tip.perShift": "Per shift",
+    "tip.eventsPerMin": "Events / min",
+    "tip.window": "Window",
+    "tip.gaps": "Gaps",
+    "tip.roleStaff": "{role} ({count} staff)",
+    "tip.overflowMin": "≥ {from} min",
+    "tip.rangeMin": "{from}–{to} min",
+    "tip.gapRange": "{from}–{to} s between events",
+    "tip.position": "{index} of {total}",
+
+    // Chart descriptions and data tables (screen readers, TABLE view)
+    "a11y.updated": "Charts updated.",
+    "a11y.synthetic": "Showing synthetic demo data.",
+    "a11y.separator": "; ",
+    "a11y.noVisits": "No visits in the selected range.",
+    "a11y.visitsTotal": "{total} visits in total",
+    "a11y.busiest": "busiest {bucket} {span} with {count}",
+    "a11y.trend": "trend {direction}",
+    "a11y.vsBaseline": "{delta} against the baseline",
+    "a11y.trendDetail": "{direction} ({delta} second half against first half)",
+    "a11y.rising": "rising",
+    "a11y.flat": "flat",
+    "a11y.falling": "falling",
+    "a11y.bucketHour": "hour",
+    "a11y.bucketDay": "day",
+    "a11y.bucketWeek": "week",
+    "a11y.bucketEpiweek": "epi week",
+    "a11y.noDurations": "No visit durations in the selected range.",
+    "a11y.duration": "Median visit {median} min (P90 {p90}, P95 {p95}) across {count} visits.",
+    "a11y.longest": "Longest median by status: {status}, {median} min.",
+    "a11y.noStates": "No workflow status recorded.",
+    "a11y.states": "Top status {status}: {value} of {total} visits ({share}), {count} statuses.",
+    "a11y.noStaff": "No staff recorded.",
+    "a11y.topRole": "Top role {role}: {value} events ({share}) by {staff} staff.",
+    "a11y.topRoleRate": "Top role {role}: {value} events ({share}) by {staff} staff, {rate} per shift.",
+    "a11y.topStaff": "Top staff member {name}: {value} events.",
+    "a11y.noActivity": "No activity in the selected range.",
+    "a11y.peak": "Peak activity {value} events per minute ({window}-minute window) at {at}.",
+    "a11y.medianGap": "Median gap between events {gap} s.",
+    "table.caption": "{panel}: {table}",
+    "table.visits": "visits",
+    "table.duration-histogram": "duration histogram",
+    "table.duration-trend": "duration trend",
+    "table.duration-by-status": "duration by status",
+    "table.states": "states",
+    "table.operators": "staff",
+    "table.roles": "roles",
+    "table.volume-rate": "activity rate",
+    "table.volume-gaps": "gaps between events",
+    "column.bucket_start": "bucket start",
+    "column.bucket": "bucket",
+    "column.visits": "visits",
+    "column.from_min": "from min",
+    "column.to_min": "to min",
+    "column.median_min": "median min",
+    "column.mean_min": "mean min",
+    "column.p90_min": "p90 min",
+    "column.p95_min": "p95 min",
+    "column.max_min": "max min",
+    "column.status": "status",
+    "column.share_pct": "share %",
+    "column.staff": "staff",
+    "column.role": "role",
+    "column.events": "events",
+    "column.shifts": "shifts",
+    "column.events_per_shift": "events per shift",
+    "column.time": "time",
+    "column.events_per_min": "events per min",
+    "column.window_min": "window min",
+    "column.from_s": "from s",
+    "column.to_s": "to s",
+    "column.gaps": "gaps",
+  },
+
+  fr: {
+    "locale.label": "Langue",
+    "intro.title": "Télémétrie du programme // Console locale",
+    "intro.purposeLabel": "OBJET :",
+    "intro.purpose":
+      "Visualiser les exports du DME pour la revue des programmes terrain : volume de patients, charge du personnel, goulets d'étranglement du circuit patient.",
+    "intro.privacyLabel": "CONFIDENTIALITÉ :",
+    "intro.secure": "SÉCURISÉ // HORS LIGNE.",
+    "intro.privacy": "Tout le traitement a lieu sur cet appareil. Aucune donnée patient n'est transmise.",
+    "intro.instructionsLabel": "MODE D'EMPLOI :",
+    "intro.instructions":
+      "Sélectionnez un export de votre DME local (SQLite .db, CSV/TSV ou JSON/NDJSON) pour commencer l'analyse. Sélectionnez ou déposez plusieurs exports de structures pour comparer les sites.",
+    "action.load": "Charger les données DME",
+    "action.cancel": "Annuler",
+    "action.apply": "Appliquer",
+    "mapping.title": "Confirmer la correspondance des colonnes",
+    "mapping.tableLabel": "Table",
+    "mapping.intro": "Vérifiez quelle colonne alimente chaque panneau avant de lancer l'analyse.",
+    "mapping.run": "Lancer l'analyse",
+    "roles.title": "Fonctions du personnel",
+    "roles.intro":
+      "Attribuez une fonction à chaque membre du personnel. Enregistré dans ce navigateur uniquement ; une saisie remplace la colonne de fonction de l'export, une saisie vide y revient.",
+    "roles.clear": "Tout effacer",
+    "roles.save": "Enregistrer",
+    "roles.button": "FONCTIONS",
+    "roles.buttonTitle": "Attribuer des fonctions au personnel (enregistré dans ce navigateur)",
+    "processing.title": "Analyse locale de la base DME",
+    "processing.local": "Aucune donnée ne quitte cet appareil",
+    "compare.swap": "Inverser la référence",
+    "compare.swapTitle": "Mesurer les écarts par rapport à l'autre export",
+    "compare.remove": "Retirer l'export de comparaison",
+    "compare.button": "Comparer…",
+    "compare.buttonTitle": "Charger un second export pour comparer deux périodes",
+    "verified.text": "Données vérifiées localement",
+    "verified.title": "Traité localement ; rien n'a été envoyé",
+    "filter.group": "Filtres actifs",
+    "sites.group": "Sites (cliquer pour filtrer)",
+    "range.label": "Période",
+    "range.title": "Fenêtre de temps appliquée à tous les panneaux",
+    "range.option24h": "Dernières 24 h",
+    "range.option7d": "7 derniers jours",
+    "range.option30d": "30 derniers jours",
+    "range.optionCustom": "Personnalisée…",
+    "range.optionAll": "Export complet",
+    "range.from": "Début de la période",
+    "range.to": "Fin de la période",
+    "tz.label": "Fuseau",
+    "tz.panelTitle": "Fuseau horaire des intervalles et des axes",
+    "privacy.label": "Confidentialité",
+    "privacy.title": "Pseudonymiser le personnel et masquer les petits effectifs",
+    "privacy.optionOff": "Désactivée",
+    "privacy.optionExport": "Exports seulement",
+    "privacy.optionOn": "Toujours",
+    "privacy.minCell": "Masquer les effectifs inférieurs à",
+    "privacy.minCellTitle": "Les effectifs inférieurs à ce seuil sont regroupés dans OTHER (suppressed) ; 0 désactive le masquage",
+    "columns.button": "Colonnes",
+    "columns.title": "Revoir la correspondance des colonnes",
+    "export.report": "Exporter le rapport",
+    "export.reportTitle": "Télécharger un rapport HTML autonome (imprimable en PDF)",
+    "export.data": "Exporter les données",
+    "export.dataTitle": "Télécharger tous les jeux de données en CSV + JSON avec un manifeste (.zip)",
+    "export.download": "Télécharger {panel} en {format}",
+    "fieldMode.button": "Mode terrain",
+    "fieldMode.title": "Basculer le contraste élevé",
+    "panel.operators": "Charge de travail par fonction",
+    "panel.duration": "Durée des consultations",
+    "panel.states": "Statut du circuit",
+    "panel.volume": "Rythme d'activité",
+    "panel.quality": "Qualité des données",
+    "panelName.visits": "les consultations",
+    "panelName.duration": "les durées de consultation",
+    "panelName.states": "le statut du circuit",
+    "panelName.operators": "la charge de travail",
+    "panelName.volume": "le rythme d'activité",
+    "site.select": "Ventiler {panel} par site",
+    "site.all": "Tous les sites",
+    "site.stack": "Empilé",
+    "site.split": "Côte à côte",
+    "bucket.visitsLabel": "Intervalle des consultations",
+    "bucket.durationLabel": "Intervalle de la tendance des durées",
+    "table.button": "TABLEAU",
+    "table.show": "Afficher {panel} sous forme de tableau",
+    "workload.metricLabel": "Mesure de la charge",
+    "workload.metricTitle": "Les événements par personne et par poste comparent des équipes de tailles différentes",
+    "view.durationLabel": "Vue des durées",
+    "view.hist": "Histogramme",
+    "view.trend": "Tendance",
+    "view.status": "Par statut",
+    "view.volumeLabel": "Vue de l'activité",
+    "view.rate": "Rythme",
+    "view.gaps": "Intervalles",
+    "window.label": "Fenêtre glissante",
+    "window.5": "5 min",
+    "window.15": "15 min",
+    "window.60": "60 min",
+    "unit.count": "NOMBRE",
+    "unit.min": "MIN",
+    "unit.evMin": "ÉV/MIN",
+    "unit.sec": "S",
+    "unit.rows": "% LIGNES",
+    "desc.visits": "Courbe du nombre de consultations sur la période sélectionnée.",
+    "desc.workload": "Barres horizontales de l'activité par fonction, dépliables par membre du personnel.",
+    "desc.duration": "Histogramme des durées de consultation avec la médiane et les 90e et 95e centiles.",
+    "desc.states": "Barres de la répartition des statuts du circuit patient.",
+    "desc.rate": "Aire des événements par minute sur une fenêtre glissante, avec le pic signalé.",
+    "desc.quality":
+      "Audit des colonnes associées : valeurs vides, horodatages illisibles ou invraisemblables, durées invraisemblables, statuts isolés et lignes en double. Les lignes cochées sont exclues de tous les panneaux.",
+    "sql.title": "Console SQL",
+    "sql.readOnly": "Lecture seule",
+    "sql.input": "Requête SQL (Ctrl+Entrée pour exécuter)",
+    "sql.run": "Exécuter",
+    "sql.historyLabel": "Historique des requêtes",
+    "sql.historyEmpty": "Historique",
+    "sql.viewLabel": "Affichage du résultat",
+    "sql.table": "Tableau",
+    "sql.line": "Courbe",
+    "sql.bar": "Barres",
+    "sql.xLabel": "Colonne de l'axe X",
+    "sql.yLabel": "Colonne de l'axe Y",
+    "sql.prev": "Page précédente",
+    "sql.next": "Page suivante",
+    "sql.plot": "Graphique du résultat de la requête",
+    "footer.local": "Traitement local actif",
+
+    "status.visualCoreMissing": "Module graphique absent",
+    "status.synthetic": "SIGNAL SYNTHÉTIQUE — CHARGEZ UNE BASE POUR COMMENCER",
+    "status.systemReady": "Système prêt. Chargez un export DME local.",
+    "status.systemFailure": "Défaillance du système",
+    "status.workerOffline": "Le moteur d'analyse n'a pas démarré.",
+    "status.browserIncompatible": "Navigateur incompatible",
+    "status.noWorkers": "Les Web Workers ne sont pas pris en charge.",
+    "status.workerFailure": "Défaillance du moteur",
+    "status.reloadOrRetry": "Rechargez ou réessayez.",
+    "status.cancelled": "Analyse annulée",
+    "status.loadToRestart": "Chargez un export pour recommencer.",
+    "status.noSupportedFiles": "Aucun fichier pris en charge",
+    "status.dropHint": "Déposez des exports SQLite, CSV/TSV ou JSON.",
+    "status.fileTooLarge": "Fichier trop volumineux",
+    "status.fileLimit": "{name} : {size} Mo. Maximum {max} Mo par fichier.",
+    "status.mergedFileLimit": "{name} : {size} Mo. Maximum {max} Mo par fichier fusionné.",
+    "status.totalLimit": "{size} Mo sélectionnés au total. Maximum {max} Mo pour l'ensemble des fichiers.",
+    "status.fileReceived": "Fichier reçu",
+    "status.filesReceived": { one: "{count} fichier reçu", other: "{count} fichiers reçus" },
+    "status.preparing": "Préparation de l'analyse locale…",
+    "status.initializing": "Initialisation du système",
+    "status.analyzing": "Analyse de la base DME…",
+    "status.reopening": "Réouverture de l’export dans un nouveau moteur…",
+    "status.merging": { one: "Fusion de {count} export…", other: "Fusion de {count} exports…" },
+    "status.processingLocal": "Traitement local en cours. Les données restent sur cet appareil.",
+    "status.readFailed": "Échec de lecture",
+    "status.transferFailed": "Échec du transfert",
+    "status.handoffFailed": "Impossible de transmettre le fichier au moteur d'analyse.",
+    "status.engineUnreachable": "Moteur d'analyse injoignable.",
+    "status.invalidFormat": "Format d'export non valide",
+    "status.schemaMissing": "Le moteur d'analyse n'a pas renvoyé de schéma.",
+    "status.confirmMapping": "Confirmez la correspondance des colonnes",
+    "status.checkColumns": "Vérifiez quelles colonnes alimentent chaque panneau.",
+    "status.dataLoaded": "Données chargées",
+    "status.verified": "Analyse terminée. Vérifiée localement.",
+    "status.ambiguousDates": "Analyse terminée. Les horodatages sont ambigus et ont été lus au format {format} ; confirmez sous COLONNES.",
+    "status.mappingRequired": "Correspondance requise",
+    "status.useColumns": "Utilisez COLONNES pour confirmer la correspondance des colonnes.",
+    "status.invalidRange": "Période non valide",
+    "status.noStaffColumn": "Aucune colonne de personnel",
+    "status.mapStaffColumn": "Associez une colonne Personnel / opérateur sous COLONNES pour attribuer des fonctions.",
+    "status.rolesUnavailable": "Fonctions indisponibles",
+    "status.rolesPseudonymized":
+      "Les noms du personnel sont pseudonymisés à l'écran. Réglez Confidentialité sur Exports seulement pour modifier les fonctions.",
+    "status.rolesNotSaved": "Fonctions non enregistrées",
+    "status.storageRefused": "Ce navigateur refuse le stockage local ; les fonctions s'appliquent jusqu'à la fermeture de la page.",
+    "status.alertsNotSaved": "Règles d'alerte non enregistrées",
+    "status.alertsStorageRefused": "Ce navigateur refuse le stockage local ; les règles s'appliquent jusqu'à la fermeture de la page.",
+    "status.loadFirst": "Chargez d'abord un export",
+    "status.compareNeedsPrimary": "La comparaison nécessite un export principal associé.",
+    "status.compareFailed": "Échec de la comparaison : {message}",
+    "validation.noData": "Le moteur d'analyse n'a renvoyé aucune donnée.",
+    "validation.noVisits": "Série des consultations absente. L'export est peut-être incomplet.",
+
+    "error.fileExceedsCapacity": "Fichier trop volumineux. Exportez une période plus courte.",
+    "error.totalExceedsBudget": "Trop de données au total. Fusionnez moins de sites à la fois.",
+    "error.noTablesFound": "Export DME non valide (aucune table détectée).",
+    "error.parseError": "Impossible de lire ce fichier en CSV/TSV/JSON.",
+    "error.emptyFile": "Le fichier est vide.",
+    "error.invalidSchema": "Données de consultation ou de circuit introuvables dans cet export.",
+    "error.workerBusy": "Système occupé. Veuillez patienter.",
+    "error.workerCrash": "Le moteur d'analyse s'est arrêté. Rechargez la page.",
+    "error.workerNotReady": "Initialisation du système. Veuillez réessayer.",
+    "error.initFailed": "Le moteur d’analyse n’a pas pu démarrer. Veuillez recharger la page.",
+    "error.unsupportedProtocol": "Le moteur d'analyse n'est pas à jour. Rechargez la page.",
+    "error.invalidMapping": "La correspondance des colonnes ne correspond pas à cet export. Revoyez-la.",
+    "error.noDatabaseOpen": "Aucun export chargé. Chargez d'abord un export DME.",
+    "error.unknownTable": "La table sélectionnée est introuvable dans cet export.",
+    "error.invalidJoin": "Colonnes de jointure introuvables. Vérifiez la définition de la jointure.",
+    "error.joinKeyNotUnique": "La colonne de jointure contient des doublons. Joignez sur la clé de la table.",
+    "error.tooManyJoins": "Trop de jointures. Retirez-en une et réessayez.",
+    "error.invalidRange": "Le début de la période est postérieur à la fin.",
+    "error.invalidDateFormat": "Format d'horodatage inconnu. Choisissez-en un sous COLONNES.",
+    "error.invalidRoleMap": "Les fonctions enregistrées sont illisibles. Effacez-les sous FONCTIONS et réessayez.",
+    "error.invalidPrivacy": "Paramètres de confidentialité refusés. Utilisez un seuil entre 0 et 100.",
+    "error.pseudonymsUnavailable":
+      "Les pseudonymes exigent un contexte sécurisé (https ou fichier local). Désactivez la confidentialité pour continuer.",
+    "error.invalidTimezone": "Fuseau horaire inconnu de ce navigateur. Choisissez-en un autre.",
+    "error.invalidFilter": "Le filtre ne correspond plus aux colonnes associées. Effacez les filtres et réessayez.",
+    "error.invalidExclusion": "Les contrôles exclus ne correspondent plus à cet export. Revoyez le panneau Qualité des données.",
+    "error.readFailed": "Le navigateur n'a pas pu lire le fichier. Essayez de le réexporter.",
+    "error.notADatabase": "Le fichier n'est pas une base SQLite lisible.",
+    "error.stagingExceedsBudget": "Les colonnes associées demandent trop de mémoire. Associez moins de colonnes ou exportez une période plus courte.",
+    "error.d3Missing": "La bibliothèque graphique (D3) n'a pas pu être chargée.",
+    "error.sqlEmpty": "Saisissez une requête à exécuter.",
+    "error.sqlTooLong": "La requête est trop longue.",
+    "error.sqlMultipleStatements": "Exécutez une seule instruction à la fois.",
+    "error.sqlNotAQuery": "Seules les requêtes en lecture qui renvoient des lignes sont autorisées (SELECT, WITH, EXPLAIN).",
+    "error.sqlTimeout": "Requête trop longue, elle a été arrêtée. Ajoutez une clause WHERE ou LIMIT.",
+    "error.sqlError": "Échec de la requête.",
+    "error.generic": "Erreur de traitement. Essayez un autre export.",
+    "error.atCell": "{message} Ligne {row}, colonne {column} : {reason}.",
+
+    "phase.starting": "Démarrage…",
+    "phase.cancelling": "Annulation…",
+    "phase.open": "Ouverture de l'export",
+    "phase.load": "Lecture des colonnes associées",
+    "phase.schema": "Découverte du schéma",
+    "phase.visits": "Agrégation des consultations",
+    "phase.duration": "Agrégation des durées",
+    "phase.states": "Agrégation des statuts",
+    "phase.operators": "Agrégation de la charge de travail",
+    "phase.volume": "Calcul du rythme d'activité",
+    "phase.sites": "Ventilation par site",
+    "phase.done": "Finalisation",
+
+    "file.info": "{name} ({size} Mo)",
+    "file.sites": { one: "{count} site ({size} Mo)", other: "{count} sites ({size} Mo)" },
+    "file.large": "{file} · FICHIER VOLUMINEUX",
+    "file.largeStats":
+      "Mode fichier volumineux : {reads} lectures de pages, {read} Mo lus sur le disque. Mémoire du moteur : {cache} Mo de cache de pages + {staged} Mo de colonnes préparées.",
+
+    "role.time": "Horodatage",
+    "role.duration": "Durée de consultation",
+    "role.operator": "Personnel / opérateur",
+    "role.staffRole": "Fonction du personnel",
+    "role.status": "Statut du circuit",
+    "role.site": "Site / structure",
+    "mapping.notMapped": "Non associée — le panneau restera vide",
+    "mapping.match": "Correspondance {pct} %",
+    "mapping.verify": "Correspondance {pct} % — à vérifier",
+    "mapping.primaryTable": "Table principale",
+    "mapping.tableOption": "{name} ({rows} lignes)",
+    "mapping.tableOptionOther": "{name} ({rows} lignes) — autre",
+    "mapping.lookups": "Jointures",
+    "mapping.removeLookup": "Retirer la jointure {join}",
+    "mapping.detectedKey": "Clé étrangère détectée",
+    "mapping.noneDeclared": "Aucune déclarée",
+    "mapping.lookupColumn": "Colonne de jointure dans la table principale",
+    "mapping.lookupTable": "Table jointe",
+    "mapping.lookupKey": "Colonne clé de la table jointe",
+    "mapping.addLookup": "Ajouter la jointure",
+    "mapping.notMappedOption": "— Non associée —",
+    "mapping.samples": "ex. {values}",
+    "mapping.noValues": "aucune valeur",
+    "mapping.timeFormat": "Format d'horodatage",
+    "mapping.detected": "Détecté : {format}",
+    "mapping.setByYou": "Choisi par vous : {format}",
+    "mapping.noFormat": "Aucun format connu détecté — veuillez choisir",
+    "mapping.ambiguous": "Ambigu : se lit comme {formats} — veuillez choisir",
+    "mapping.parseShare": "{pct} % des valeurs échantillonnées sont lisibles",
+    "mapping.raggedShort": {
+      one: "{file} : {count} ligne a moins de champs que l'en-tête (première : ligne {row}) ; les cellules manquantes sont vides.",
+      other: "{file} : {count} lignes ont moins de champs que l'en-tête (première : ligne {row}) ; les cellules manquantes sont vides.",
+    },
+    "mapping.raggedLong": {
+      one: "{file} : {count} ligne a plus de champs que l'en-tête (première : ligne {row}) ; les champs en trop ont été ignorés.",
+      other: "{file} : {count} lignes ont plus de champs que l'en-tête (première : ligne {row}) ; les champs en trop ont été ignorés.",
+    },
+    "dateFormat.auto": "Automatique (texte ISO ou epoch)",
+    "dateFormat.iso": "ISO 8601 (2024-03-31 14:05)",
+    "dateFormat.dmy": "Jour d'abord (31/03/2024)",
+    "dateFormat.mdy": "Mois d'abord (03/31/2024)",
+    "dateFormat.epoch_s": "Secondes Unix",
+    "dateFormat.epoch_ms": "Millisecondes Unix",
+    "dateFormat.julian": "Jour julien (SQLite)",
+    "dateFormat.excel": "Jours série Excel",
+
+    "range.24h": "Dernières 24 h",
+    "range.7d": "7 derniers jours",
+    "range.30d": "30 derniers jours",
+    "range.custom": "Période personnalisée",
+    "range.all": "Export complet",
+    "range.start": "début",
+    "range.end": "fin",
+    "title.visits": "Consultations ({range})",
+    "tz.local": "Local ({zone})",
+    "tz.title": "Fuseau horaire des intervalles, des axes et de la période personnalisée : {zone}",
+    "bucket.hour": "Heure",
+    "bucket.day": "Jour",
+    "bucket.isoweek": "Semaine ISO",
+    "bucket.epiweek": "Semaine épi.",
+    "bucket.isoweekTick": "S{week} {year}",
+    "bucket.epiweekTick": "SE{week} {year}",
+    "format.second": ":%S",
+    "format.minute": "%H:%M",
+    "format.hour": "%H:%M",
+    "format.day": "%a %d",
+    "format.week": "%d %b",
+    "format.month": "%B",
+    "format.year": "%Y",
+
+    "filter.status": "Statut",
+    "filter.operator": "Personnel",
+    "filter.site": "Site",
+    "filter.chip": "{role} : {label} ×",
+    "filter.remove": "Retirer le filtre {role} {label}",
+    "filter.clearAll": "Tout effacer",
+    "sites.more": "+ petits sites regroupés",
+    "quality.time_unparsed": "Horodatages illisibles",
+    "quality.time_future": "Horodatages dans le futur",
+    "quality.time_before_2000": "Horodatages antérieurs à 2000",
+    "quality.duration_negative": "Durées négatives",
+    "quality.duration_extreme": "Durées de plus de 24 h",
+    "quality.status_singleton": "Statuts vus une seule fois",
+    "quality.duplicate_rows": "Lignes en double",
+    "quality.auditing": "Audit en cours…",
+    "quality.empty": "Chargez un export pour auditer la qualité de ses données.",
+    "quality.emptyValues": "Valeurs vides · {rows} lignes",
+    "quality.column": "{role} ({column})",
+    "quality.flagged": "Lignes signalées · cocher pour exclure",
+    "quality.examples": "ex. {values}",
+    "quality.examplesHidden": "valeurs masquées tant que le mode confidentialité est actif",
+    "quality.compared": "comparées : {columns}",
+    "quality.toReview": "{count} à vérifier",
+    "quality.clean": "propre",
+    "quality.excluded": "{count} exclus",
+
+    "workload.metricEvents": "Événements",
+    "workload.metric8": "Par poste de 8 h",
+    "workload.metric12": "Par poste de 12 h",
+    "workload.metric24": "Par poste de 24 h",
+    "workload.events": "événements par membre du personnel",
+    "workload.perShift": "événements par membre du personnel par poste de {hours} h",
+    "workload.perShiftFrom": "événements par membre du personnel par poste de {hours} h (postes à partir de {start}, {zone})",
+    "workload.roleColumn": "fonctions issues de la colonne {column}",
+    "workload.localRoles": { one: "{count} fonction attribuée dans ce navigateur", other: "{count} fonctions attribuées dans ce navigateur" },
+    "roles.unassigned": "Non attribuée",
+    "roles.fromExport": "{role} (de l'export)",
+    "roles.noStaff": "Aucun personnel dans la vue actuelle.",
+    "roles.tooMany": "Trop de fonctions enregistrées (limite {max}). Effacez-en et réessayez.",
+
+    // Alertes de seuil
+    "alerts.button": "Alertes",
+    "alerts.buttonTitle": "Règles de seuil vérifiées après chaque analyse (enregistrées dans ce navigateur)",
+    "alerts.group": "Alertes actives",
+    "alerts.title": "Règles d'alerte",
+    "alerts.intro":
+      "Chaque règle est vérifiée sur chaque résultat d'analyse. Une règle franchie encadre son panneau en rouge et figure dans l'en-tête et dans les rapports exportés. Enregistrées dans ce navigateur uniquement.",
+    "alerts.add": "Ajouter une règle",
+    "alerts.save": "Enregistrer les règles",
+    "alerts.metric": "Mesure",
+    "alerts.op": "Condition",
+    "alerts.threshold": "Seuil",
+    "alerts.statusA": "Statut",
+    "alerts.statusB": "Divisé par le statut",
+    "alerts.above": "> au-dessus",
+    "alerts.below": "< en dessous",
+    "alerts.remove": "Supprimer la règle",
+    "alerts.empty": "Aucune règle pour l'instant. Ajoutez-en une pour être averti quand une mesure franchit un seuil.",
+    "alerts.needsNumber": "Chaque règle doit avoir un nombre de comparaison.",
+    "alerts.needsStatuses": "Un ratio de statuts nécessite les deux statuts.",
+    "alerts.tooMany": "{max} règles au maximum.",
+    "alerts.visitsPeak": "Consultations par {bucket} (pic)",
+    "alerts.visitsTotal": "Consultations sur la période",
+    "alerts.statusRatio": "Ratio de statuts",
+    "alerts.statusRatioOf": "Ratio {a}/{b}",
+    "alerts.durationMedian": "Durée médiane de consultation",
+    "alerts.durationP90": "Durée de consultation P90",
+    "alerts.staffShare": "Part des événements d'un membre du personnel",
+    "alerts.ratePeak": "Pic d'événements par minute",
+    "alerts.hintVisits": "consultations",
+    "alerts.hintRatio": "ratio",
+    "alerts.hintMin": "minutes",
+    "alerts.hintPct": "% des événements",
+    "alerts.hintRate": "événements / min",
+    "alerts.breach": "{metric} {value} ({op} {threshold})",
+    "alerts.breachAt": "{metric} {value} ({op} {threshold}) · {subject}",
+    "alerts.chip": "⚠ {breach}",
+    "alerts.more": { one: "+{count} autre alerte", other: "+{count} autres alertes" },
+    "alerts.show": "{breach}. Afficher le panneau",
+    "alerts.announce": { one: "{count} alerte.", other: "{count} alertes." },
+    "alerts.perBucket": "par {bucket}",
+    "alerts.setFor": "Prévue pour la vue {view}",
+    "alerts.skipped": { one: "{count} règle non vérifiée", other: "{count} règles non vérifiées" },
+    "alerts.skippedRule": "{metric} : prévue pour la vue {view}, non vérifiée sur cette vue",
+
+    "compare.vs": "VS {file}",
+    "compare.baselineTag": " · RÉFÉRENCE",
+    "compare.analyzingTag": " · ANALYSE…",
+    "compare.deltaVisits": "Δ {delta} VS RÉFÉRENCE",
+
+    "sql.running": "Exécution…",
+    "sql.rows": { one: "{count} ligne", other: "{count} lignes" },
+    "sql.limitReached": "{rows} (limite de {limit} atteinte)",
+    "sql.elapsed": "{ms} ms",
+    "sql.partial": "Mode fichier volumineux : les colonnes non associées ne contiennent qu'un échantillon de lignes",
+    "sql.history": "Historique ({count})",
+
+    "privacy.none": "Aucune",
+    "privacy.pseudonymized": "noms du personnel pseudonymisés",
+    "privacy.suppressed": {
+      one: "effectifs inférieurs à {min} regroupés dans « {label} » ({count} groupe)",
+      other: "effectifs inférieurs à {min} regroupés dans « {label} » ({count} groupes)",
+    },
+    "privacy.hintOff": "Aucune protection : les noms du personnel et les petits effectifs apparaissent à l'écran et dans les exports.",
+    "privacy.hintExport": "Rapports et exports pseudonymisés, petits effectifs masqués ; l'écran affiche les valeurs enregistrées.",
+    "privacy.hintOn": "Appliquée à la prochaine analyse.",
+    "privacy.badge": "Confidentialité : {parts}",
+    "privacy.pseudonyms": "pseudonymes",
+    "privacy.suppressedShort": "<{min} masqués",
+    "privacy.onScreen": "À l'écran : {summary}. La console SQL affiche toujours les valeurs enregistrées.",
+    "privacy.badgeOff": "Confidentialité désactivée",
+    "privacy.badgeExport": "Confidentialité : exports seulement",
+    "privacy.badgeOn": "Confidentialité : activée",
+
+    "report.title": "Rapport de télémétrie terrain MSF — {marker}",
+    "report.heading": "MSF // Rapport de télémétrie terrain",
+    "report.footer":
+      "Généré hors ligne par MU-TH-UR 6000. Aucune donnée patient n'a quitté l'appareil. Imprimez ce fichier (Enregistrer en PDF) pour une copie papier.",
+    "report.verified": "VÉRIFIÉ — traité localement à partir de l'export ci-dessous",
+    "report.synthetic": "SYNTHÉTIQUE — signal de démonstration, pas des données réelles",
+    "report.unverified": "NON VÉRIFIÉ — statut de la console {status}",
+    "report.sourceFile": "Fichier source",
+    "report.noSource": "Aucun (synthétique)",
+    "report.comparisonFile": "Fichier de comparaison",
+    "report.baseline": "Référence",
+    "report.analysisTime": "Heure de l'analyse",
+    "report.generated": "Rapport généré",
+    "report.range": "Période",
+    "report.timezone": "Fuseau horaire",
+    "report.filters": "Filtres",
+    "report.excludedRows": "Lignes exclues",
+    "report.privacy": "Confidentialité",
+    "report.workload": "Charge de travail",
+    "report.lookup": "Jointure",
+    "report.notMapped": "— non associée —",
+    "report.timeFormat": "{format} ({source})",
+    "report.setByUser": "choisi par l'utilisateur",
+    "report.detected": "détecté",
+    "report.syntheticWindow": "Fenêtre de démonstration synthétique",
+    "report.rangeWindow": "{label} ({window})",
+    "report.none": "Aucun",
+    "report.alerts": "Alertes",
+    "report.noAlerts": { one: "La règle d'alerte n'est pas franchie.", other: "Aucune des {count} règles d'alerte n'est franchie." },
+
+    "chart.medianHead": "MÉDIANE {median} MIN · N={count}",
+    "chart.peak": "PIC {value}/MIN ({window} MIN)",
+    "chart.medianGap": "INTERVALLE MÉDIAN {median} S · P90 {p90} S",
+    "tip.visits": "Consultations",
+    "tip.share": "Part",
+    "tip.comparison": "Comparaison",
+    "tip.delta": "Δ vs référence",
+    "tip.median": "Médiane",
+    "tip.noVisits": "aucune consultation",
+    "tip.minutes": "{value} min",
+    "tip.role": "Fonction",
+    "tip.events": "Événements",
+    "tip.shifts": "Postes",
+    "tip.perShift": "Par poste",
+    "tip.eventsPerMin": "Événements / min",
+    "tip.window": "Fenêtre",
+    "tip.gaps": "Intervalles",
+    "tip.roleStaff": "{role} ({count} personnes)",
+    "tip.overflowMin": "≥ {from} min",
+    "tip.rangeMin": "{from}–{to} min",
+    "tip.gapRange": "{from}–{to} s entre événements",
+    "tip.position": "{index} sur {total}",
+
+    "a11y.updated": "Graphiques mis à jour.",
+    "a11y.synthetic": "Données de démonstration synthétiques.",
+    "a11y.separator": " ; ",
+    "a11y.noVisits": "Aucune consultation sur la période sélectionnée.",
+    "a11y.visitsTotal": "{total} consultations au total",
+    "a11y.busiest": "{bucket} la plus chargée : {span}, avec {count}",
+    "a11y.trend": "tendance {direction}",
+    "a11y.vsBaseline": "{delta} par rapport à la référence",
+    "a11y.trendDetail": "{direction} ({delta} pour la seconde moitié par rapport à la première)",
+    "a11y.rising": "à la hausse",
+    "a11y.flat": "stable",
+    "a11y.falling": "à la baisse",
+    "a11y.bucketHour": "heure",
+    "a11y.bucketDay": "journée",
+    "a11y.bucketWeek": "semaine",
+    "a11y.bucketEpiweek": "semaine épidémiologique",
+    "a11y.noDurations": "Aucune durée de consultation sur la période sélectionnée.",
+    "a11y.duration": "Consultation médiane {median} min (P90 {p90}, P95 {p95}) sur {count} consultations.",
+    "a11y.longest": "Médiane la plus longue par statut : {status}, {median} min.",
+    "a11y.noStates": "Aucun statut enregistré.",
+    "a11y.states": "Statut principal {status} : {value} consultations sur {total} ({share}), {count} statuts.",
+    "a11y.noStaff": "Aucun personnel enregistré.",
+    "a11y.topRole": "Fonction principale {role} : {value} événements ({share}) pour {staff} personnes.",
+    "a11y.topRoleRate": "Fonction principale {role} : {value} événements ({share}) pour {staff} personnes, {rate} par poste.",
+    "a11y.topStaff": "Membre du personnel le plus actif {name} : {value} événements.",
+    "a11y.noActivity": "Aucune activité sur la période sélectionnée.",
+    "a11y.peak": "Pic d'activité de {value} événements par minute (fenêtre de {window} minutes) à {at}.",
+    "a11y.medianGap": "Intervalle médian entre événements {gap} s.",
+    "table.caption": "{panel} : {table}",
+    "table.visits": "consultations",
+    "table.duration-histogram": "histogramme des durées",
+    "table.duration-trend": "tendance des durées",
+    "table.duration-by-status": "durées par statut",
+    "table.states": "statuts",
+    "table.operators": "personnel",
+    "table.roles": "fonctions",
+    "table.volume-rate": "rythme d'activité",
+    "table.volume-gaps": "intervalles entre événements",
+    "column.bucket_start": "début de l'intervalle",
+    "column.bucket": "intervalle",
+    "column.visits": "consultations",
+    "column.from_min": "de (min)",
+    "column.to_min": "à (min)",
+    "column.median_min": "médiane (min)",
+    "column.mean_min": "moyenne (min)",
+    "column.p90_min": "p90 (min)",
+    "column.p95_min": "p95 (min)",
+    "column.max_min": "max (min)",
+    "column.status": "statut",
+    "column.share_pct": "part %",
+    "column.staff": "personnel",
+    "column.role": "fonction",
+    "column.events": "événements",
+    "column.shifts": "postes",
+    "column.events_per_shift": "événements par poste",
+    "column.time": "heure",
+    "column.events_per_min": "événements par min",
+    "column.window_min": "fenêtre (min)",
+    "column.from_s": "de (s)",
+    "column.to_s": "à (s)",
+    "column.gaps": "intervalles",
+  },
+
+  es: {
+    "locale.label": "Idioma",
+    "intro.title": "Telemetría del programa // Consola local",
+    "intro.purposeLabel": "OBJETIVO:",
+    "intro.purpose":
+      "Visualizar exportaciones de la HCE para la revisión de programas en terreno: volumen de pacientes, carga del personal, cuellos de botella del circuito.",
+    "intro.privacyLabel": "PRIVACIDAD:",
+    "intro.secure": "SEGURO // SIN CONEXIÓN.",
+    "intro.privacy": "Todo el procesamiento ocurre en este dispositivo. No se transmite ningún dato de pacientes.",
+    "intro.instructionsLabel": "INSTRUCCIONES:",
+    "intro.instructions":
+      "Seleccione una exportación de su HCE local (SQLite .db, CSV/TSV o JSON/NDJSON) para comenzar el análisis. Seleccione o suelte varias exportaciones de centros para comparar sitios.",
+    "action.load": "Cargar datos de la HCE",
+    "action.cancel": "Cancelar",
+    "action.apply": "Aplicar",
+    "mapping.title": "Confirmar asignación de columnas",
+    "mapping.tableLabel": "Tabla",
+    "mapping.intro": "Compruebe qué columna alimenta cada panel antes de ejecutar el análisis.",
+    "mapping.run": "Ejecutar análisis",
+    "roles.title": "Funciones del personal",
+    "roles.intro":
+      "Asigne una función a cada miembro del personal. Se guarda solo en este navegador; una entrada reemplaza la columna de función de la exportación y una entrada vacía vuelve a ella.",
+    "roles.clear": "Borrar todo",
+    "roles.save": "Guardar funciones",
+    "roles.button": "FUNCIONES",
+    "roles.buttonTitle": "Asignar funciones al personal (se guarda en este navegador)",
+    "processing.title": "Analizando la base de la HCE localmente",
+    "processing.local": "Ningún dato sale de este dispositivo",
+    "compare.swap": "Cambiar referencia",
+    "compare.swapTitle": "Medir las diferencias respecto a la otra exportación",
+    "compare.remove": "Quitar la exportación de comparación",
+    "compare.button": "Comparar…",
+    "compare.buttonTitle": "Cargar una segunda exportación para comparar periodos",
+    "verified.text": "Datos verificados localmente",
+    "verified.title": "Procesado localmente; no se ha subido a ningún sitio",
+    "filter.group": "Filtros activos",
+    "sites.group": "Sitios (clic para filtrar)",
+    "range.label": "Periodo",
+    "range.title": "Intervalo de tiempo aplicado a todos los paneles",
+    "range.option24h": "Últimas 24 h",
+    "range.option7d": "Últimos 7 días",
+    "range.option30d": "Últimos 30 días",
+    "range.optionCustom": "Personalizado…",
+    "range.optionAll": "Exportación completa",
+    "range.from": "Inicio del periodo",
+    "range.to": "Fin del periodo",
+    "tz.label": "Zona",
+    "tz.panelTitle": "Zona horaria de los intervalos y los ejes",
+    "privacy.label": "Privacidad",
+    "privacy.title": "Seudonimizar al personal y suprimir recuentos pequeños",
+    "privacy.optionOff": "Desactivada",
+    "privacy.optionExport": "Solo exportaciones",
+    "privacy.optionOn": "Siempre",
+    "privacy.minCell": "Suprimir recuentos menores de",
+    "privacy.minCellTitle": "Los recuentos por debajo se agrupan en OTHER (suppressed); 0 desactiva la supresión",
+    "columns.button": "Columnas",
+    "columns.title": "Revisar la asignación de columnas",
+    "export.report": "Exportar informe",
+    "export.reportTitle": "Descargar un informe HTML autónomo (imprimible en PDF)",
+    "export.data": "Exportar datos",
+    "export.dataTitle": "Descargar todos los conjuntos de datos en CSV + JSON con un manifiesto (.zip)",
+    "export.download": "Descargar {panel} en {format}",
+    "fieldMode.button": "Modo terreno",
+    "fieldMode.title": "Alternar alto contraste",
+    "panel.operators": "Carga de trabajo por función",
+    "panel.duration": "Duración de las consultas",
+    "panel.states": "Estado del circuito",
+    "panel.volume": "Ritmo de actividad",
+    "panel.quality": "Calidad de los datos",
+    "panelName.visits": "las consultas",
+    "panelName.duration": "las duraciones de consulta",
+    "panelName.states": "el estado del circuito",
+    "panelName.operators": "la carga de trabajo",
+    "panelName.volume": "el ritmo de actividad",
+    "site.select": "Desglosar {panel} por sitio",
+    "site.all": "Todos los sitios",
+    "site.stack": "Apilado",
+    "site.split": "Separado",
+    "bucket.visitsLabel": "Intervalo de las consultas",
+    "bucket.durationLabel": "Intervalo de la tendencia de duración",
+    "table.button": "TABLA",
+    "table.show": "Mostrar {panel} como tabla",
+    "workload.metricLabel": "Medida de la carga",
+    "workload.metricTitle": "Los eventos por persona y turno comparan equipos de distinto tamaño",
+    "view.durationLabel": "Vista de duración",
+    "view.hist": "Histograma",
+    "view.trend": "Tendencia",
+    "view.status": "Por estado",
+    "view.volumeLabel": "Vista de actividad",
+    "view.rate": "Ritmo",
+    "view.gaps": "Intervalos",
+    "window.label": "Ventana móvil",
+    "window.5": "5 min",
+    "window.15": "15 min",
+    "window.60": "60 min",
+    "unit.count": "NÚMERO",
+    "unit.min": "MIN",
+    "unit.evMin": "EV/MIN",
+    "unit.sec": "S",
+    "unit.rows": "% FILAS",
+    "desc.visits": "Gráfico de líneas del volumen de consultas en el periodo seleccionado.",
+    "desc.workload": "Barras horizontales de la actividad por función, desplegables por miembro del personal.",
+    "desc.duration": "Histograma de la duración de las consultas con la mediana y los percentiles 90 y 95.",
+    "desc.states": "Barras con la distribución de los estados del circuito del paciente.",
+    "desc.rate": "Área de eventos por minuto en una ventana móvil, con el pico marcado.",
+    "desc.quality":
+      "Auditoría de las columnas asignadas: valores vacíos, marcas de tiempo ilegibles o inverosímiles, duraciones inverosímiles, estados únicos y filas duplicadas. Las filas marcadas se excluyen de todos los paneles.",
+    "sql.title": "Consola SQL",
+    "sql.readOnly": "Solo lectura",
+    "sql.input": "Consulta SQL (Ctrl+Intro para ejecutar)",
+    "sql.run": "Ejecutar",
+    "sql.historyLabel": "Historial de consultas",
+    "sql.historyEmpty": "Historial",
+    "sql.viewLabel": "Vista del resultado",
+    "sql.table": "Tabla",
+    "sql.line": "Líneas",
+    "sql.bar": "Barras",
+    "sql.xLabel": "Columna del eje X",
+    "sql.yLabel": "Columna del eje Y",
+    "sql.prev": "Página anterior",
+    "sql.next": "Página siguiente",
+    "sql.plot": "Gráfico del resultado de la consulta",
+    "footer.local": "Procesamiento local activo",
+
+    "status.visualCoreMissing": "Falta el módulo gráfico",
+    "status.synthetic": "SEÑAL SINTÉTICA — CARGUE UNA BASE PARA COMENZAR",
+    "status.systemReady": "Sistema listo. Cargue una exportación local de la HCE.",
+    "status.systemFailure": "Fallo del sistema",
+    "status.workerOffline": "El motor de análisis no se inició.",
+    "status.browserIncompatible": "Navegador incompatible",
+    "status.noWorkers": "No hay soporte para Web Workers.",
+    "status.workerFailure": "Fallo del motor",
+    "status.reloadOrRetry": "Recargue o vuelva a intentarlo.",
+    "status.cancelled": "Análisis cancelado",
+    "status.loadToRestart": "Cargue una exportación para volver a empezar.",
+    "status.noSupportedFiles": "Ningún archivo compatible",
+    "status.dropHint": "Suelte exportaciones SQLite, CSV/TSV o JSON.",
+    "status.fileTooLarge": "Archivo demasiado grande",
+    "status.fileLimit": "{name}: {size} MB. El máximo es {max} MB por archivo.",
+    "status.mergedFileLimit": "{name}: {size} MB. El máximo es {max} MB por archivo combinado.",
+    "status.totalLimit": "{size} MB seleccionados en total. El máximo es {max} MB entre todos los archivos.",
+    "status.fileReceived": "Archivo recibido",
+    "status.filesReceived": { one: "{count} archivo recibido", other: "{count} archivos recibidos" },
+    "status.preparing": "Preparando el análisis local…",
+    "status.initializing": "Iniciando el sistema",
+    "status.analyzing": "Analizando la base de la HCE…",
+    "status.reopening": "Reabriendo la exportación en un motor nuevo…",
+    "status.merging": { one: "Combinando {count} exportación…", other: "Combinando {count} exportaciones…" },
+    "status.processingLocal": "Procesamiento local activo. Los datos permanecen en este dispositivo.",
+    "status.readFailed": "Error de lectura",
+    "status.transferFailed": "Error de transferencia",
+    "status.handoffFailed": "No se pudo entregar el archivo al motor de análisis.",
+    "status.engineUnreachable": "No se pudo contactar con el motor de análisis.",
+    "status.invalidFormat": "Formato de exportación no válido",
+    "status.schemaMissing": "El motor de análisis no devolvió el esquema.",
+    "status.confirmMapping": "Confirme la asignación de columnas",
+    "status.checkColumns": "Compruebe qué columnas alimentan cada panel.",
+    "status.dataLoaded": "Datos cargados",
+    "status.verified": "Análisis completo. Verificado localmente.",
+    "status.ambiguousDates": "Análisis completo. Las marcas de tiempo son ambiguas y se leyeron como {format}; confírmelo en COLUMNAS.",
+    "status.mappingRequired": "Asignación pendiente",
+    "status.useColumns": "Use COLUMNAS para confirmar la asignación de columnas.",
+    "status.invalidRange": "Periodo no válido",
+    "status.noStaffColumn": "Sin columna de personal",
+    "status.mapStaffColumn": "Asigne una columna Personal / operador en COLUMNAS para asignar funciones.",
+    "status.rolesUnavailable": "Funciones no disponibles",
+    "status.rolesPseudonymized":
+      "Los nombres del personal están seudonimizados en pantalla. Ponga Privacidad en Solo exportaciones para editar funciones.",
+    "status.rolesNotSaved": "Funciones no guardadas",
+    "status.storageRefused": "Este navegador rechazó el almacenamiento local; las funciones se aplican hasta cerrar la página.",
+    "status.alertsNotSaved": "Reglas de alerta no guardadas",
+    "status.alertsStorageRefused": "Este navegador rechazó el almacenamiento local; las reglas se aplican hasta cerrar la página.",
+    "status.loadFirst": "Cargue primero una exportación",
+    "status.compareNeedsPrimary": "La comparación necesita una exportación principal asignada.",
+    "status.compareFailed": "Error en la comparación: {message}",
+    "validation.noData": "El motor de análisis no devolvió datos.",
+    "validation.noVisits": "Falta la serie de consultas. La exportación puede estar incompleta.",
+
+    "error.fileExceedsCapacity": "Archivo demasiado grande. Exporte un periodo más corto.",
+    "error.totalExceedsBudget": "Demasiados datos entre los archivos. Combine menos sitios a la vez.",
+    "error.noTablesFound": "No es una exportación de HCE válida (no se detectaron tablas).",
+    "error.parseError": "No se pudo leer este archivo como CSV/TSV/JSON.",
+    "error.emptyFile": "El archivo está vacío.",
+    "error.invalidSchema": "No se encontraron los datos de consultas o del circuito en esta exportación.",
+    "error.workerBusy": "Sistema ocupado. Espere, por favor.",
+    "error.workerCrash": "El motor de análisis se detuvo. Recargue la página.",
+    "error.workerNotReady": "Iniciando el sistema. Vuelva a intentarlo.",
+    "error.initFailed": "El motor de análisis no pudo iniciarse. Recargue la página.",
+    "error.unsupportedProtocol": "El motor de análisis está desactualizado. Recargue la página.",
+    "error.invalidMapping": "La asignación de columnas no coincide con esta exportación. Revísela.",
+    "error.noDatabaseOpen": "No hay ninguna exportación cargada. Cargue primero una exportación de la HCE.",
+    "error.unknownTable": "La tabla seleccionada no existe en esta exportación.",
+    "error.invalidJoin": "No se encontraron las columnas de búsqueda. Revise la definición del join.",
+    "error.joinKeyNotUnique": "La columna de búsqueda tiene valores duplicados. Haga el join sobre la clave de la tabla.",
+    "error.tooManyJoins": "Demasiadas búsquedas. Quite una y vuelva a intentarlo.",
+    "error.invalidRange": "El inicio del periodo es posterior al final.",
+    "error.invalidDateFormat": "Formato de marca de tiempo desconocido. Elija uno en COLUMNAS.",
+    "error.invalidRoleMap": "No se pudieron leer las funciones guardadas. Bórrelas en FUNCIONES y vuelva a intentarlo.",
+    "error.invalidPrivacy": "Ajustes de privacidad rechazados. Use un umbral entre 0 y 100.",
+    "error.pseudonymsUnavailable":
+      "Los seudónimos requieren un contexto seguro (https o un archivo local). Desactive la privacidad para continuar.",
+    "error.invalidTimezone": "Este navegador no reconoce la zona horaria. Elija otra.",
+    "error.invalidFilter": "El filtro ya no coincide con la asignación de columnas. Borre los filtros y vuelva a intentarlo.",
+    "error.invalidExclusion": "Los controles excluidos ya no coinciden con esta exportación. Revise el panel Calidad de los datos.",
+    "error.readFailed": "El navegador no pudo leer el archivo. Pruebe a exportarlo de nuevo.",
+    "error.notADatabase": "El archivo no es una base de datos SQLite legible.",
+    "error.stagingExceedsBudget": "Las columnas asignadas necesitan demasiada memoria. Asigne menos columnas o exporte un periodo más corto.",
+    "error.d3Missing": "No se pudo cargar la biblioteca de visualización (D3).",
+    "error.sqlEmpty": "Escriba una consulta para ejecutar.",
+    "error.sqlTooLong": "La consulta es demasiado larga.",
+    "error.sqlMultipleStatements": "Ejecute una sola instrucción a la vez.",
+    "error.sqlNotAQuery": "Solo se permiten consultas de lectura que devuelvan filas (SELECT, WITH, EXPLAIN).",
+    "error.sqlTimeout": "La consulta tardó demasiado y se detuvo. Añada una cláusula WHERE o LIMIT.",
+    "error.sqlError": "La consulta falló.",
+    "error.generic": "Error de procesamiento. Pruebe con otra exportación.",
+    "error.atCell": "{message} Fila {row}, columna {column}: {reason}.",
+
+    "phase.starting": "Iniciando…",
+    "phase.cancelling": "Cancelando…",
+    "phase.open": "Abriendo la exportación",
+    "phase.load": "Leyendo las columnas asignadas",
+    "phase.schema": "Analizando el esquema",
+    "phase.visits": "Agregando consultas",
+    "phase.duration": "Agregando duraciones",
+    "phase.states": "Agregando estados del circuito",
+    "phase.operators": "Agregando la carga de trabajo",
+    "phase.volume": "Calculando el ritmo de actividad",
+    "phase.sites": "Desglosando por sitio",
+    "phase.done": "Finalizando",
+
+    "file.info": "{name} ({size} MB)",
+    "file.sites": { one: "{count} sitio ({size} MB)", other: "{count} sitios ({size} MB)" },
+    "file.large": "{file} · ARCHIVO GRANDE",
+    "file.largeStats":
+      "Modo archivo grande: {reads} lecturas de páginas, {read} MB leídos del disco. Memoria del motor: {cache} MB de caché de páginas + {staged} MB de columnas preparadas.",
+
+    "role.time": "Marca de tiempo",
+    "role.duration": "Duración de la consulta",
+    "role.operator": "Personal / operador",
+    "role.staffRole": "Función del personal",
+    "role.status": "Estado del circuito",
+    "role.site": "Sitio / centro",
+    "mapping.notMapped": "Sin asignar — el panel quedará vacío",
+    "mapping.match": "Coincidencia {pct} %",
+    "mapping.verify": "Coincidencia {pct} % — verifíquela",
+    "mapping.primaryTable": "Tabla principal",
+    "mapping.tableOption": "{name} ({rows} filas)",
+    "mapping.tableOptionOther": "{name} ({rows} filas) — otra",
+    "mapping.lookups": "Búsquedas (joins)",
+    "mapping.removeLookup": "Quitar la búsqueda {join}",
+    "mapping.detectedKey": "Clave foránea detectada",
+    "mapping.noneDeclared": "Ninguna declarada",
+    "mapping.lookupColumn": "Columna de búsqueda en la tabla principal",
+    "mapping.lookupTable": "Tabla de búsqueda",
+    "mapping.lookupKey": "Columna clave de la tabla de búsqueda",
+    "mapping.addLookup": "Añadir búsqueda",
+    "mapping.notMappedOption": "— Sin asignar —",
+    "mapping.samples": "p. ej. {values}",
+    "mapping.noValues": "sin valores",
+    "mapping.timeFormat": "Formato de marca de tiempo",
+    "mapping.detected": "Detectado: {format}",
+    "mapping.setByYou": "Elegido por usted: {format}",
+    "mapping.noFormat": "No se detectó ningún formato conocido — elija uno",
+    "mapping.ambiguous": "Ambiguo: se lee como {formats} — elija uno",
+    "mapping.parseShare": "{pct} % de los valores de muestra se leen correctamente",
+    "mapping.raggedShort": {
+      one: "{file}: {count} fila tiene menos campos que la cabecera (primera: fila {row}); las celdas que faltan quedan vacías.",
+      other: "{file}: {count} filas tienen menos campos que la cabecera (primera: fila {row}); las celdas que faltan quedan vacías.",
+    },
+    "mapping.raggedLong": {
+      one: "{file}: {count} fila tiene más campos que la cabecera (primera: fila {row}); los campos sobrantes se descartaron.",
+      other: "{file}: {count} filas tienen más campos que la cabecera (primera: fila {row}); los campos sobrantes se descartaron.",
+    },
+    "dateFormat.auto": "Automático (texto ISO o epoch)",
+    "dateFormat.iso": "ISO 8601 (2024-03-31 14:05)",
+    "dateFormat.dmy": "Día primero (31/03/2024)",
+    "dateFormat.mdy": "Mes primero (03/31/2024)",
+    "dateFormat.epoch_s": "Segundos Unix",
+    "dateFormat.epoch_ms": "Milisegundos Unix",
+    "dateFormat.julian": "Día juliano (SQLite)",
+    "dateFormat.excel": "Días serie de Excel",
+
+    "range.24h": "Últimas 24 h",
+    "range.7d": "Últimos 7 días",
+    "range.30d": "Últimos 30 días",
+    "range.custom": "Periodo personalizado",
+    "range.all": "Exportación completa",
+    "range.start": "inicio",
+    "range.end": "fin",
+    "title.visits": "Consultas ({range})",
+    "tz.local": "Local ({zone})",
+    "tz.title": "Zona horaria de los intervalos, los ejes y el periodo personalizado: {zone}",
+    "bucket.hour": "Hora",
+    "bucket.day": "Día",
+    "bucket.isoweek": "Semana ISO",
+    "bucket.epiweek": "Semana epi.",
+    "bucket.isoweekTick": "S{week} {year}",
+    "bucket.epiweekTick": "SE{week} {year}",
+    "format.second": ":%S",
+    "format.minute": "%H:%M",
+    "format.hour": "%H:%M",
+    "format.day": "%a %d",
+    "format.week": "%d %b",
+    "format.month": "%B",
+    "format.year": "%Y",
+
+    "filter.status": "Estado",
+    "filter.operator": "Personal",
+    "filter.site": "Sitio",
+    "filter.chip": "{role}: {label} ×",
+    "filter.remove": "Quitar el filtro {role} {label}",
+    "filter.clearAll": "Borrar todo",
+    "sites.more": "+ sitios pequeños agrupados",
+    "quality.time_unparsed": "Marcas de tiempo ilegibles",
+    "quality.time_future": "Marcas de tiempo en el futuro",
+    "quality.time_before_2000": "Marcas de tiempo anteriores a 2000",
+    "quality.duration_negative": "Duraciones negativas",
+    "quality.duration_extreme": "Duraciones de más de 24 h",
+    "quality.status_singleton": "Estados vistos una sola vez",
+    "quality.duplicate_rows": "Filas duplicadas",
+    "quality.auditing": "Auditando…",
+    "quality.empty": "Cargue una exportación para auditar la calidad de sus datos.",
+    "quality.emptyValues": "Valores vacíos · {rows} filas",
+    "quality.column": "{role} ({column})",
+    "quality.flagged": "Filas señaladas · marque para excluir",
+    "quality.examples": "p. ej. {values}",
+    "quality.examplesHidden": "valores ocultos mientras el modo de privacidad está activo",
+    "quality.compared": "comparadas: {columns}",
+    "quality.toReview": "{count} por revisar",
+    "quality.clean": "sin problemas",
+    "quality.excluded": "{count} excluidos",
+
+    "workload.metricEvents": "Eventos",
+    "workload.metric8": "Por turno de 8 h",
+    "workload.metric12": "Por turno de 12 h",
+    "workload.metric24": "Por turno de 24 h",
+    "workload.events": "eventos por miembro del personal",
+    "workload.perShift": "eventos por miembro del personal por turno de {hours} h",
+    "workload.perShiftFrom": "eventos por miembro del personal por turno de {hours} h (turnos desde las {start}, {zone})",
+    "workload.roleColumn": "funciones de la columna {column}",
+    "workload.localRoles": { one: "{count} función asignada en este navegador", other: "{count} funciones asignadas en este navegador" },
+    "roles.unassigned": "Sin asignar",
+    "roles.fromExport": "{role} (de la exportación)",
+    "roles.noStaff": "No hay personal en la vista actual.",
+    "roles.tooMany": "Demasiadas funciones guardadas (límite {max}). Borre algunas y vuelva a intentarlo.",
+
+    // Alertas de umbral
+    "alerts.button": "Alertas",
+    "alerts.buttonTitle": "Reglas de umbral comprobadas tras cada análisis (guardadas en este navegador)",
+    "alerts.group": "Alertas activas",
+    "alerts.title": "Reglas de alerta",
+    "alerts.intro":
+      "Cada regla se comprueba con cada resultado de análisis. Una regla superada resalta su panel en rojo y aparece en la cabecera y en los informes exportados. Solo se guardan en este navegador.",
+    "alerts.add": "Añadir regla",
+    "alerts.save": "Guardar reglas",
+    "alerts.metric": "Métrica",
+    "alerts.op": "Condición",
+    "alerts.threshold": "Umbral",
+    "alerts.statusA": "Estado",
+    "alerts.statusB": "Dividido por el estado",
+    "alerts.above": "> por encima",
+    "alerts.below": "< por debajo",
+    "alerts.remove": "Quitar regla",
+    "alerts.empty": "Aún no hay reglas. Añada una para recibir un aviso cuando una métrica cruce un umbral.",
+    "alerts.needsNumber": "Cada regla necesita un número con el que comparar.",
+    "alerts.needsStatuses": "Un cociente de estados necesita ambos estados.",
+    "alerts.tooMany": "Como máximo {max} reglas.",
+    "alerts.visitsPeak": "Consultas por {bucket} (pico)",
+    "alerts.visitsTotal": "Consultas en el periodo",
+    "alerts.statusRatio": "Cociente de estados",
+    "alerts.statusRatioOf": "Cociente {a}/{b}",
+    "alerts.durationMedian": "Duración mediana de la consulta",
+    "alerts.durationP90": "Duración P90 de la consulta",
+    "alerts.staffShare": "Proporción de eventos de un miembro del personal",
+    "alerts.ratePeak": "Pico de eventos por minuto",
+    "alerts.hintVisits": "consultas",
+    "alerts.hintRatio": "cociente",
+    "alerts.hintMin": "minutos",
+    "alerts.hintPct": "% de eventos",
+    "alerts.hintRate": "eventos / min",
+    "alerts.breach": "{metric} {value} ({op} {threshold})",
+    "alerts.breachAt": "{metric} {value} ({op} {threshold}) · {subject}",
+    "alerts.chip": "⚠ {breach}",
+    "alerts.more": { one: "+{count} alerta más", other: "+{count} alertas más" },
+    "alerts.show": "{breach}. Mostrar el panel",
+    "alerts.announce": { one: "{count} alerta.", other: "{count} alertas." },
+    "alerts.perBucket": "por {bucket}",
+    "alerts.setFor": "Pensada para la vista {view}",
+    "alerts.skipped": { one: "{count} regla sin comprobar", other: "{count} reglas sin comprobar" },
+    "alerts.skippedRule": "{metric}: pensada para la vista {view}; no se comprueba en esta vista",
+
+    "compare.vs": "VS {file}",
+    "compare.baselineTag": " · REFERENCIA",
+    "compare.analyzingTag": " · ANALIZANDO…",
+    "compare.deltaVisits": "Δ {delta} VS REFERENCIA",
+
+    "sql.running": "Ejecutando…",
+    "sql.rows": { one: "{count} fila", other: "{count} filas" },
+    "sql.limitReached": "{rows} (límite de {limit} alcanzado)",
+    "sql.elapsed": "{ms} ms",
+    "sql.partial": "Modo archivo grande: las columnas sin asignar solo contienen filas de muestra",
+    "sql.history": "Historial ({count})",
+
+    "privacy.none": "Ninguna",
+    "privacy.pseudonymized": "nombres del personal seudonimizados",
+    "privacy.suppressed": {
+      one: "recuentos menores de {min} agrupados en «{label}» ({count} grupo)",
+      other: "recuentos menores de {min} agrupados en «{label}» ({count} grupos)",
+    },
+    "privacy.hintOff": "Sin protección: los nombres del personal y los recuentos pequeños aparecen en pantalla y en las exportaciones.",
+    "privacy.hintExport": "Informes y exportaciones seudonimizados con recuentos pequeños suprimidos; la pantalla muestra los valores guardados.",
+    "privacy.hintOn": "Se aplica en el próximo análisis.",
+    "privacy.badge": "Privacidad: {parts}",
+    "privacy.pseudonyms": "seudónimos",
+    "privacy.suppressedShort": "<{min} suprimidos",
+    "privacy.onScreen": "En pantalla: {summary}. La consola SQL sigue mostrando los valores guardados.",
+    "privacy.badgeOff": "Privacidad desactivada",
+    "privacy.badgeExport": "Privacidad: solo exportaciones",
+    "privacy.badgeOn": "Privacidad: activada",
+
+    "report.title": "Informe de telemetría de terreno MSF — {marker}",
+    "report.heading": "MSF // Informe de telemetría de terreno",
+    "report.footer":
+      "Generado sin conexión por MU-TH-UR 6000. Ningún dato de pacientes salió del dispositivo. Imprima este archivo (Guardar como PDF) para una copia en papel.",
+    "report.verified": "VERIFICADO — procesado localmente a partir de la exportación indicada",
+    "report.synthetic": "SINTÉTICO — señal de demostración, no son datos reales del programa",
+    "report.unverified": "NO VERIFICADO — estado de la consola {status}",
+    "report.sourceFile": "Archivo de origen",
+    "report.noSource": "Ninguno (sintético)",
+    "report.comparisonFile": "Archivo de comparación",
+    "report.baseline": "Referencia",
+    "report.analysisTime": "Hora del análisis",
+    "report.generated": "Informe generado",
+    "report.range": "Periodo",
+    "report.timezone": "Zona horaria",
+    "report.filters": "Filtros",
+    "report.excludedRows": "Filas excluidas",
+    "report.privacy": "Privacidad",
+    "report.workload": "Carga de trabajo",
+    "report.lookup": "Búsqueda",
+    "report.notMapped": "— sin asignar —",
+    "report.timeFormat": "{format} ({source})",
+    "report.setByUser": "elegido por el usuario",
+    "report.detected": "detectado",
+    "report.syntheticWindow": "Ventana de demostración sintética",
+    "report.rangeWindow": "{label} ({window})",
+    "report.none": "Ninguno",
+    "report.alerts": "Alertas",
+    "report.noAlerts": { one: "La regla de alerta no se ha superado.", other: "Ninguna de las {count} reglas de alerta se ha superado." },
+
+    "chart.medianHead": "MEDIANA {median} MIN · N={count}",
+    "chart.peak": "PICO {value}/MIN ({window} MIN)",
+    "chart.medianGap": "INTERVALO MEDIANO {median} S · P90 {p90} S",
+    "tip.visits": "Consultas",
+    "tip.share": "Proporción",
+    "tip.comparison": "Comparación",
+    "tip.delta": "Δ vs referencia",
+    "tip.median": "Mediana",
+    "tip.noVisits": "sin consultas",
+    "tip.minutes": "{value} min",
+    "tip.role": "Función",
+    "tip.events": "Eventos",
+    "tip.shifts": "Turnos",
+    "tip.perShift": "Por turno",
+    "tip.eventsPerMin": "Eventos / min",
+    "tip.window": "Ventana",
+    "tip.gaps": "Intervalos",
+    "tip.roleStaff": "{role} ({count} personas)",
+    "tip.overflowMin": "≥ {from} min",
+    "tip.rangeMin": "{from}–{to} min",
+    "tip.gapRange": "{from}–{to} s entre eventos",
+    "tip.position": "{index} de {total}",
+
+    "a11y.updated": "Gráficos actualizados.",
+    "a11y.synthetic": "Se muestran datos de demostración sintéticos.",
+    "a11y.separator": "; ",
+    "a11y.noVisits": "No hay consultas en el periodo seleccionado.",
+    "a11y.visitsTotal": "{total} consultas en total",
+    "a11y.busiest": "{bucket} con más actividad: {span}, con {count}",
+    "a11y.trend": "tendencia {direction}",
+    "a11y.vsBaseline": "{delta} respecto a la referencia",
+    "a11y.trendDetail": "{direction} ({delta} en la segunda mitad respecto a la primera)",
+    "a11y.rising": "al alza",
+    "a11y.flat": "estable",
+    "a11y.falling": "a la baja",
+    "a11y.bucketHour": "hora",
+    "a11y.bucketDay": "día",
+    "a11y.bucketWeek": "semana",
+    "a11y.bucketEpiweek": "semana epidemiológica",
+    "a11y.noDurations": "No hay duraciones de consulta en el periodo seleccionado.",
+    "a11y.duration": "Consulta mediana {median} min (P90 {p90}, P95 {p95}) en {count} consultas.",
+    "a11y.longest": "Mediana más larga por estado: {status}, {median} min.",
+    "a11y.noStates": "No hay estados registrados.",
+    "a11y.states": "Estado principal {status}: {value} de {total} consultas ({share}), {count} estados.",
+    "a11y.noStaff": "No hay personal registrado.",
+    "a11y.topRole": "Función principal {role}: {value} eventos ({share}) de {staff} personas.",
+    "a11y.topRoleRate": "Función principal {role}: {value} eventos ({share}) de {staff} personas, {rate} por turno.",
+    "a11y.topStaff": "Miembro del personal más activo {name}: {value} eventos.",
+    "a11y.noActivity": "No hay actividad en el periodo seleccionado.",
+    "a11y.peak": "Pico de actividad de {value} eventos por minuto (ventana de {window} minutos) a las {at}.",
+    "a11y.medianGap": "Intervalo mediano entre eventos {gap} s.",
+    "table.caption": "{panel}: {table}",
+    "table.visits": "consultas",
+    "table.duration-histogram": "histograma de duración",
+    "table.duration-trend": "tendencia de duración",
+    "table.duration-by-status": "duración por estado",
+    "table.states": "estados",
+    "table.operators": "personal",
+    "table.roles": "funciones",
+    "table.volume-rate": "ritmo de actividad",
+    "table.volume-gaps": "intervalos entre eventos",
+    "column.bucket_start": "inicio del intervalo",
+    "column.bucket": "intervalo",
+    "column.visits": "consultas",
+    "column.from_min": "desde (min)",
+    "column.to_min": "hasta (min)",
+    "column.median_min": "mediana (min)",
+    "column.mean_min": "media (min)",
+    "column.p90_min": "p90 (min)",
+    "column.p95_min": "p95 (min)",
+    "column.max_min": "máx. (min)",
+    "column.status": "estado",
+    "column.share_pct": "proporción %",
+    "column.staff": "personal",
+    "column.role": "función",
+    "column.events": "eventos",
+    "column.shifts": "turnos",
+    "column.events_per_shift": "eventos por turno",
+    "column.time": "hora",
+    "column.events_per_min": "eventos por min",
+    "column.window_min": "ventana (min)",
+    "column.from_s": "desde (s)",
+    "column.to_s": "hasta (s)",
+    "column.gaps": "intervalos",
+  },
+
+  ar: {
+    "locale.label": "اللغة",
+    "intro.title": "قياس أداء البرنامج // وحدة تحكم محلية",
+    "intro.purposeLabel": "الغرض:",
+    "intro.purpose": "عرض بيانات التصدير من السجل الطبي الإلكتروني لمراجعة البرامج الميدانية: عدد المرضى، وعبء عمل الطاقم، واختناقات مسار المريض.",
+    "intro.privacyLabel": "خصوصية البيانات:",
+    "intro.secure": "آمن // دون اتصال.",
+    "intro.privacy": "تجري كل المعالجة محليًا على هذا الجهاز. لا تُرسل أي بيانات للمرضى.",
+    "intro.instructionsLabel": "التعليمات:",
+    "intro.instructions":
+      "اختر ملف تصدير من نظام السجل الطبي الإلكتروني المحلي (SQLite .db أو CSV/TSV أو JSON/NDJSON) لبدء التحليل. اختر أو أسقط عدة ملفات تصدير من مرافق مختلفة للمقارنة بين المواقع.",
+    "action.load": "تحميل بيانات السجل الطبي",
+    "action.cancel": "إلغاء",
+    "action.apply": "تطبيق",
+    "mapping.title": "تأكيد ربط الأعمدة",
+    "mapping.tableLabel": "الجدول",
+    "mapping.intro": "تحقق من العمود الذي يغذي كل لوحة قبل بدء التحليل.",
+    "mapping.run": "بدء التحليل",
+    "roles.title": "أدوار الطاقم",
+    "roles.intro": "حدّد دورًا لكل فرد من الطاقم. يُحفظ في هذا المتصفح فقط؛ الإدخال يتجاوز عمود الدور في ملف التصدير، والإدخال الفارغ يعود إليه.",
+    "roles.clear": "مسح الكل",
+    "roles.save": "حفظ الأدوار",
+    "roles.button": "الأدوار",
+    "roles.buttonTitle": "إسناد أدوار للطاقم (تُحفظ في هذا المتصفح)",
+    "processing.title": "جارٍ تحليل قاعدة بيانات السجل الطبي محليًا",
+    "processing.local": "لا تغادر أي بيانات هذا الجهاز",
+    "compare.swap": "تبديل خط الأساس",
+    "compare.swapTitle": "قياس الفروق مقارنةً بملف التصدير الآخر",
+    "compare.remove": "إزالة ملف المقارنة",
+    "compare.button": "مقارنة…",
+    "compare.buttonTitle": "تحميل ملف تصدير ثانٍ للمقارنة بين فترتين",
+    "verified.text": "بيانات تم التحقق منها محليًا",
+    "verified.title": "عولجت محليًا؛ لم يُرفع شيء",
+    "filter.group": "عوامل التصفية النشطة",
+    "sites.group": "المواقع (انقر للتصفية)",
+    "range.label": "الفترة",
+    "range.title": "النافذة الزمنية المطبقة على كل اللوحات",
+    "range.option24h": "آخر 24 ساعة",
+    "range.option7d": "آخر 7 أيام",
+    "range.option30d": "آخر 30 يومًا",
+    "range.optionCustom": "مخصصة…",
+    "range.optionAll": "ملف التصدير كاملًا",
+    "range.from": "بداية الفترة",
+    "range.to": "نهاية الفترة",
+    "tz.label": "المنطقة",
+    "tz.panelTitle": "المنطقة الزمنية للفترات والمحاور",
+    "privacy.label": "الخصوصية",
+    "privacy.title": "إخفاء أسماء الطاقم بأسماء مستعارة وحجب الأعداد الصغيرة",
+    "privacy.optionOff": "معطلة",
+    "privacy.optionExport": "عند التصدير فقط",
+    "privacy.optionOn": "دائمًا",
+    "privacy.minCell": "حجب الأعداد الأقل من",
+    "privacy.minCellTitle": "تُدمج الأعداد الأقل من هذا الحد في OTHER (suppressed)؛ القيمة 0 توقف الحجب",
+    "columns.button": "الأعمدة",
+    "columns.title": "مراجعة ربط الأعمدة",
+    "export.report": "تصدير التقرير",
+    "export.reportTitle": "تنزيل تقرير HTML مستقل (يمكن طباعته PDF)",
+    "export.data": "تصدير البيانات",
+    "export.dataTitle": "تنزيل كل مجموعات البيانات بصيغة CSV وJSON مع بيان (.zip)",
+    "export.download": "تنزيل {panel} بصيغة {format}",
+    "fieldMode.button": "الوضع الميداني",
+    "fieldMode.title": "تبديل التباين العالي",
+    "panel.operators": "عبء عمل الطاقم حسب الدور",
+    "panel.duration": "مدة الزيارة",
+    "panel.states": "حالة مسار المريض",
+    "panel.volume": "معدل النشاط",
+    "panel.quality": "جودة البيانات",
+    "panelName.visits": "الزيارات",
+    "panelName.duration": "مدد الزيارات",
+    "panelName.states": "حالة مسار المريض",
+    "panelName.operators": "عبء عمل الطاقم",
+    "panelName.volume": "معدل النشاط",
+    "site.select": "تفصيل {panel} حسب الموقع",
+    "site.all": "كل المواقع",
+    "site.stack": "مكدّس",
+    "site.split": "متجاور",
+    "bucket.visitsLabel": "فترة تجميع الزيارات",
+    "bucket.durationLabel": "فترة تجميع اتجاه المدة",
+    "table.button": "جدول",
+    "table.show": "عرض {panel} كجدول",
+    "workload.metricLabel": "مقياس عبء العمل",
+    "workload.metricTitle": "الأحداث لكل فرد في كل مناوبة تتيح مقارنة فرق بأحجام مختلفة",
+    "view.durationLabel": "عرض المدة",
+    "view.hist": "مدرج تكراري",
+    "view.trend": "الاتجاه",
+    "view.status": "حسب الحالة",
+    "view.volumeLabel": "عرض النشاط",
+    "view.rate": "المعدل",
+    "view.gaps": "الفواصل",
+    "window.label": "النافذة المتحركة",
+    "window.5": "5 دقائق",
+    "window.15": "15 دقيقة",
+    "window.60": "60 دقيقة",
+    "unit.count": "العدد",
+    "unit.min": "دقيقة",
+    "unit.evMin": "حدث/دقيقة",
+    "unit.sec": "ثانية",
+    "unit.rows": "% من الصفوف",
+    "desc.visits": "مخطط خطي لعدد زيارات المرضى خلال الفترة المحددة.",
+    "desc.workload": "مخطط أعمدة أفقية للنشاط حسب دور الطاقم، قابل للتوسيع لكل فرد.",
+    "desc.duration": "مدرج تكراري لمدد زيارات المرضى مع الوسيط والمئينين 90 و95.",
+    "desc.states": "مخطط أعمدة لتوزيع حالات مسار المريض.",
+    "desc.rate": "مخطط مساحي للأحداث في الدقيقة ضمن نافذة متحركة، مع تمييز الذروة.",
+    "desc.quality":
+      "تدقيق الأعمدة المربوطة: القيم الفارغة، والطوابع الزمنية غير المقروءة أو غير المعقولة، والمدد غير المعقولة، والحالات التي تظهر مرة واحدة، والصفوف المكررة. تُستبعد الصفوف المحددة من كل اللوحات.",
+    "sql.title": "وحدة تحكم SQL",
+    "sql.readOnly": "للقراءة فقط",
+    "sql.input": "استعلام SQL (Ctrl+Enter للتشغيل)",
+    "sql.run": "تشغيل",
+    "sql.historyLabel": "سجل الاستعلامات",
+    "sql.historyEmpty": "السجل",
+    "sql.viewLabel": "عرض النتيجة",
+    "sql.table": "جدول",
+    "sql.line": "خطي",
+    "sql.bar": "أعمدة",
+    "sql.xLabel": "عمود المحور X",
+    "sql.yLabel": "عمود المحور Y",
+    "sql.prev": "الصفحة السابقة",
+    "sql.next": "الصفحة التالية",
+    "sql.plot": "مخطط نتيجة الاستعلام",
+    "footer.local": "المعالجة المحلية نشطة",
+
+    "status.visualCoreMissing": "وحدة الرسم مفقودة",
+    "status.synthetic": "إشارة اصطناعية — حمّل قاعدة بيانات للبدء",
+    "status.systemReady": "النظام جاهز. حمّل ملف تصدير محليًا من السجل الطبي.",
+    "status.systemFailure": "عطل في النظام",
+    "status.workerOffline": "لم يبدأ محرك التحليل.",
+    "status.browserIncompatible": "المتصفح غير متوافق",
+    "status.noWorkers": "المتصفح لا يدعم Web Workers.",
+    "status.workerFailure": "عطل في المحرك",
+    "status.reloadOrRetry": "أعد التحميل أو حاول مجددًا.",
+    "status.cancelled": "أُلغي التحليل",
+    "status.loadToRestart": "حمّل ملف تصدير للبدء من جديد.",
+    "status.noSupportedFiles": "لا توجد ملفات مدعومة",
+    "status.dropHint": "أسقط ملفات تصدير SQLite أو CSV/TSV أو JSON.",
+    "status.fileTooLarge": "الملف كبير جدًا",
+    "status.fileLimit": "{name}: {size} ميغابايت. الحد الأقصى {max} ميغابايت لكل ملف.",
+    "status.mergedFileLimit": "{name}: {size} ميغابايت. الحد الأقصى {max} ميغابايت لكل ملف مدمج.",
+    "status.totalLimit": "المحدد {size} ميغابايت إجمالًا. الحد الأقصى {max} ميغابايت لكل الملفات.",
+    "status.fileReceived": "تم استلام الملف",
+    "status.filesReceived": {
+      one: "تم استلام ملف واحد",
+      two: "تم استلام ملفين",
+      few: "تم استلام {count} ملفات",
+      many: "تم استلام {count} ملفًا",
+      other: "تم استلام {count} ملف",
+    },
+    "status.preparing": "جارٍ تحضير التحليل المحلي…",
+    "status.initializing": "جارٍ تهيئة النظام",
+    "status.analyzing": "جارٍ تحليل قاعدة بيانات السجل الطبي…",
+    "status.reopening": "جارٍ إعادة فتح ملف التصدير في محرك جديد…",
+    "status.merging": {
+      one: "جارٍ دمج ملف تصدير واحد…",
+      two: "جارٍ دمج ملفي تصدير…",
+      few: "جارٍ دمج {count} ملفات تصدير…",
+      many: "جارٍ دمج {count} ملف تصدير…",
+      other: "جارٍ دمج {count} ملف تصدير…",
+    },
+    "status.processingLocal": "المعالجة المحلية نشطة. تبقى البيانات على هذا الجهاز.",
+    "status.readFailed": "فشلت القراءة",
+    "status.transferFailed": "فشل النقل",
+    "status.handoffFailed": "تعذر تسليم الملف إلى محرك التحليل.",
+    "status.engineUnreachable": "تعذر الوصول إلى محرك التحليل.",
+    "status.invalidFormat": "صيغة تصدير غير صالحة",
+    "status.schemaMissing": "لم يُرجع محرك التحليل تقرير المخطط.",
+    "status.confirmMapping": "أكّد ربط الأعمدة",
+    "status.checkColumns": "تحقق من الأعمدة التي تغذي كل لوحة.",
+    "status.dataLoaded": "تم تحميل البيانات",
+    "status.verified": "اكتمل التحليل. تم التحقق محليًا.",
+    "status.ambiguousDates": "اكتمل التحليل. الطوابع الزمنية ملتبسة وقُرئت بصيغة {format}؛ أكّد ذلك من الأعمدة.",
+    "status.mappingRequired": "الربط مطلوب",
+    "status.useColumns": "استخدم الأعمدة لتأكيد ربط الأعمدة.",
+    "status.invalidRange": "فترة غير صالحة",
+    "status.noStaffColumn": "لا يوجد عمود للطاقم",
+    "status.mapStaffColumn": "اربط عمود الطاقم / المشغّل من الأعمدة لإسناد الأدوار.",
+    "status.rolesUnavailable": "الأدوار غير متاحة",
+    "status.rolesPseudonymized": "أسماء الطاقم مستعارة على الشاشة. اضبط الخصوصية على «عند التصدير فقط» لتعديل الأدوار.",
+    "status.rolesNotSaved": "لم تُحفظ الأدوار",
+    "status.storageRefused": "رفض هذا المتصفح التخزين المحلي؛ تسري الأدوار حتى إغلاق الصفحة.",
+    "status.alertsNotSaved": "لم تُحفظ قواعد التنبيه",
+    "status.alertsStorageRefused": "رفض هذا المتصفح التخزين المحلي؛ تسري القواعد حتى إغلاق الصفحة.",
+    "status.loadFirst": "حمّل ملف تصدير أولًا",
+    "status.compareNeedsPrimary": "تتطلب المقارنة ملف تصدير رئيسيًا مربوطًا.",
+    "status.compareFailed": "فشلت المقارنة: {message}",
+    "validation.noData": "لم يُرجع محرك التحليل أي بيانات.",
+    "validation.noVisits": "سلسلة الزيارات مفقودة. قد يكون ملف التصدير ناقصًا.",
+
+    "error.fileExceedsCapacity": "الملف كبير جدًا. صدّر فترة زمنية أقصر.",
+    "error.totalExceedsBudget": "البيانات كثيرة جدًا عبر الملفات. ادمج عددًا أقل من المواقع في كل مرة.",
+    "error.noTablesFound": "ليس ملف تصدير صالحًا من السجل الطبي (لم تُكتشف جداول).",
+    "error.parseError": "تعذرت قراءة هذا الملف بصيغة CSV/TSV/JSON.",
+    "error.emptyFile": "الملف فارغ.",
+    "error.invalidSchema": "لم يُعثر على بيانات الزيارات أو مسار المريض في هذا الملف.",
+    "error.workerBusy": "النظام مشغول. يرجى الانتظار.",
+    "error.workerCrash": "توقف محرك التحليل. يرجى إعادة التحميل.",
+    "error.workerNotReady": "جارٍ تهيئة النظام. يرجى المحاولة مجددًا.",
+    "error.initFailed": "تعذّر تشغيل محرك التحليل. يرجى إعادة تحميل الصفحة.",
+    "error.unsupportedProtocol": "محرك التحليل قديم. يرجى إعادة التحميل.",
+    "error.invalidMapping": "ربط الأعمدة لا يطابق هذا الملف. راجع الربط.",
+    "error.noDatabaseOpen": "لم يُحمّل أي ملف تصدير. حمّل ملف تصدير من السجل الطبي أولًا.",
+    "error.unknownTable": "الجدول المحدد غير موجود في هذا الملف.",
+    "error.invalidJoin": "لم يُعثر على أعمدة البحث. تحقق من تعريف الربط.",
+    "error.joinKeyNotUnique": "عمود البحث يحتوي على قيم مكررة. اربط على عمود المفتاح في الجدول.",
+    "error.tooManyJoins": "عمليات بحث كثيرة جدًا. أزل واحدة وحاول مجددًا.",
+    "error.invalidRange": "بداية الفترة بعد نهايتها.",
+    "error.invalidDateFormat": "صيغة طابع زمني غير معروفة. اختر صيغة من الأعمدة.",
+    "error.invalidRoleMap": "تعذرت قراءة أدوار الطاقم المحفوظة. امسحها من الأدوار وحاول مجددًا.",
+    "error.invalidPrivacy": "رُفضت إعدادات الخصوصية. استخدم حدًا للأعداد الصغيرة بين 0 و100.",
+    "error.pseudonymsUnavailable": "تتطلب الأسماء المستعارة سياقًا آمنًا (https أو ملفًا محليًا). عطّل الخصوصية للمتابعة.",
+    "error.invalidTimezone": "هذا المتصفح لا يتعرف على المنطقة الزمنية. اختر منطقة أخرى.",
+    "error.invalidFilter": "لم تعد عوامل التصفية تطابق ربط الأعمدة. امسح عوامل التصفية وحاول مجددًا.",
+    "error.invalidExclusion": "فحوص الجودة المستبعدة لم تعد تطابق هذا الملف. راجع لوحة جودة البيانات.",
+    "error.readFailed": "تعذر على المتصفح قراءة الملف. حاول إعادة التصدير.",
+    "error.notADatabase": "الملف ليس قاعدة بيانات SQLite مقروءة.",
+    "error.stagingExceedsBudget": "الأعمدة المربوطة تحتاج ذاكرة كبيرة جدًا. اربط أعمدة أقل أو صدّر فترة أقصر.",
+    "error.d3Missing": "تعذر تحميل مكتبة الرسوم البيانية (D3).",
+    "error.sqlEmpty": "أدخل استعلامًا لتشغيله.",
+    "error.sqlTooLong": "الاستعلام طويل جدًا.",
+    "error.sqlMultipleStatements": "شغّل عبارة واحدة في كل مرة.",
+    "error.sqlNotAQuery": "يُسمح فقط باستعلامات القراءة التي تُرجع صفوفًا (SELECT، WITH، EXPLAIN).",
+    "error.sqlTimeout": "استغرق الاستعلام وقتًا طويلًا فأُوقف. أضف شرط WHERE أو LIMIT.",
+    "error.sqlError": "فشل الاستعلام.",
+    "error.generic": "خطأ في المعالجة. جرّب ملف تصدير آخر.",
+    "error.atCell": "{message} الصف {row}، العمود {column}: {reason}.",
+
+    "phase.starting": "جارٍ البدء…",
+    "phase.cancelling": "جارٍ الإلغاء…",
+    "phase.open": "جارٍ فتح ملف التصدير",
+    "phase.load": "جارٍ قراءة الأعمدة المربوطة",
+    "phase.schema": "جارٍ اكتشاف المخطط",
+    "phase.visits": "جارٍ تجميع الزيارات",
+    "phase.duration": "جارٍ تجميع المدد",
+    "phase.states": "جارٍ تجميع حالات المسار",
+    "phase.operators": "جارٍ تجميع عبء عمل الطاقم",
+    "phase.volume": "جارٍ حساب معدل النشاط",
+    "phase.sites": "جارٍ التفصيل حسب الموقع",
+    "phase.done": "جارٍ الإنهاء",
+
+    "file.info": "{name} ({size} ميغابايت)",
+    "file.sites": {
+      one: "موقع واحد ({size} ميغابايت)",
+      two: "موقعان ({size} ميغابايت)",
+      few: "{count} مواقع ({size} ميغابايت)",
+      many: "{count} موقعًا ({size} ميغابايت)",
+      other: "{count} موقع ({size} ميغابايت)",
+    },
+    "file.large": "{file} · ملف كبير",
+    "file.largeStats":
+      "وضع الملفات الكبيرة: {reads} قراءة للصفحات، {read} ميغابايت مقروءة من القرص. ذاكرة المحرك: {cache} ميغابايت لذاكرة الصفحات المؤقتة + {staged} ميغابايت للأعمدة المحضّرة.",
+
+    "role.time": "الطابع الزمني",
+    "role.duration": "مدة الزيارة",
+    "role.operator": "الطاقم / المشغّل",
+    "role.staffRole": "دور الطاقم",
+    "role.status": "حالة المسار",
+    "role.site": "الموقع / المرفق",
+    "mapping.notMapped": "غير مربوط — ستبقى اللوحة فارغة",
+    "mapping.match": "تطابق {pct}%",
+    "mapping.verify": "تطابق {pct}% — يرجى التحقق",
+    "mapping.primaryTable": "الجدول الرئيسي",
+    "mapping.tableOption": "{name} ({rows} صف)",
+    "mapping.tableOptionOther": "{name} ({rows} صف) — أخرى",
+    "mapping.lookups": "جداول البحث (الربط)",
+    "mapping.removeLookup": "إزالة البحث {join}",
+    "mapping.detectedKey": "مفتاح خارجي مكتشف",
+    "mapping.noneDeclared": "لا شيء معرّف",
+    "mapping.lookupColumn": "عمود البحث في الجدول الرئيسي",
+    "mapping.lookupTable": "جدول البحث",
+    "mapping.lookupKey": "عمود المفتاح في جدول البحث",
+    "mapping.addLookup": "إضافة بحث",
+    "mapping.notMappedOption": "— غير مربوط —",
+    "mapping.samples": "مثال: {values}",
+    "mapping.noValues": "لا توجد قيم",
+    "mapping.timeFormat": "صيغة الطابع الزمني",
+    "mapping.detected": "المكتشفة: {format}",
+    "mapping.setByYou": "حددتها أنت: {format}",
+    "mapping.noFormat": "لم تُكتشف صيغة معروفة — يرجى الاختيار",
+    "mapping.ambiguous": "ملتبسة: تُقرأ كـ {formats} — يرجى الاختيار",
+    "mapping.parseShare": "{pct}% من القيم المأخوذة كعينة مقروءة",
+    "mapping.raggedShort": {
+      zero: "{file}: لا صفوف فيها حقول أقل من الترويسة",
+      one: "{file}: صف واحد فيه حقول أقل من الترويسة (الصف {row})؛ الخلايا الناقصة فارغة.",
+      two: "{file}: صفان فيهما حقول أقل من الترويسة (أولهما الصف {row})؛ الخلايا الناقصة فارغة.",
+      few: "{file}: {count} صفوف فيها حقول أقل من الترويسة (أولها الصف {row})؛ الخلايا الناقصة فارغة.",
+      many: "{file}: {count} صفًا فيها حقول أقل من الترويسة (أولها الصف {row})؛ الخلايا الناقصة فارغة.",
+      other: "{file}: {count} صف فيها حقول أقل من الترويسة (أولها الصف {row})؛ الخلايا الناقصة فارغة.",
+    },
+    "mapping.raggedLong": {
+      zero: "{file}: لا صفوف فيها حقول أكثر من الترويسة",
+      one: "{file}: صف واحد فيه حقول أكثر من الترويسة (الصف {row})؛ أُسقطت الحقول الزائدة.",
+      two: "{file}: صفان فيهما حقول أكثر من الترويسة (أولهما الصف {row})؛ أُسقطت الحقول الزائدة.",
+      few: "{file}: {count} صفوف فيها حقول أكثر من الترويسة (أولها الصف {row})؛ أُسقطت الحقول الزائدة.",
+      many: "{file}: {count} صفًا فيها حقول أكثر من الترويسة (أولها الصف {row})؛ أُسقطت الحقول الزائدة.",
+      other: "{file}: {count} صف فيها حقول أكثر من الترويسة (أولها الصف {row})؛ أُسقطت الحقول الزائدة.",
+    },
+    "dateFormat.auto": "تلقائي (نص ISO أو epoch)",
+    "dateFormat.iso": "ISO 8601 (2024-03-31 14:05)",
+    "dateFormat.dmy": "اليوم أولًا (31/03/2024)",
+    "dateFormat.mdy": "الشهر أولًا (03/31/2024)",
+    "dateFormat.epoch_s": "ثوانٍ Unix",
+    "dateFormat.epoch_ms": "أجزاء الثانية Unix",
+    "dateFormat.julian": "اليوم اليولياني (SQLite)",
+    "dateFormat.excel": "أيام Excel التسلسلية",
+
+    "range.24h": "آخر 24 ساعة",
+    "range.7d": "آخر 7 أيام",
+    "range.30d": "آخر 30 يومًا",
+    "range.custom": "فترة مخصصة",
+    "range.all": "ملف التصدير كاملًا",
+    "range.start": "البداية",
+    "range.end": "النهاية",
+    "title.visits": "زيارات المرضى ({range})",
+    "tz.local": "المحلية ({zone})",
+    "tz.title": "المنطقة الزمنية للفترات والمحاور والفترة المخصصة: {zone}",
+    "bucket.hour": "ساعة",
+    "bucket.day": "يوم",
+    "bucket.isoweek": "أسبوع ISO",
+    "bucket.epiweek": "أسبوع وبائي",
+    "bucket.isoweekTick": "أ{week} {year}",
+    "bucket.epiweekTick": "أ.و{week} {year}",
+    "format.second": ":%S",
+    "format.minute": "%H:%M",
+    "format.hour": "%H:%M",
+    "format.day": "%a %d",
+    "format.week": "%d %b",
+    "format.month": "%B",
+    "format.year": "%Y",
+
+    "filter.status": "الحالة",
+    "filter.operator": "الطاقم",
+    "filter.site": "الموقع",
+    "filter.chip": "{role}: {label} ×",
+    "filter.remove": "إزالة عامل التصفية {role} {label}",
+    "filter.clearAll": "مسح الكل",
+    "sites.more": "+ مواقع صغيرة مجمّعة",
+    "quality.time_unparsed": "طوابع زمنية غير مقروءة",
+    "quality.time_future": "طوابع زمنية في المستقبل",
+    "quality.time_before_2000": "طوابع زمنية قبل عام 2000",
+    "quality.duration_negative": "مدد سالبة",
+    "quality.duration_extreme": "مدد تتجاوز 24 ساعة",
+    "quality.status_singleton": "حالات ظهرت مرة واحدة",
+    "quality.duplicate_rows": "صفوف مكررة",
+    "quality.auditing": "جارٍ التدقيق…",
+    "quality.empty": "حمّل ملف تصدير لتدقيق جودة بياناته.",
+    "quality.emptyValues": "القيم الفارغة · {rows} صف",
+    "quality.column": "{role} ({column})",
+    "quality.flagged": "الصفوف المعلَّمة · حدّد للاستبعاد",
+    "quality.examples": "مثال: {values}",
+    "quality.examplesHidden": "القيم مخفية ما دام وضع الخصوصية مفعّلًا",
+    "quality.compared": "المقارنة بين: {columns}",
+    "quality.toReview": "{count} للمراجعة",
+    "quality.clean": "سليمة",
+    "quality.excluded": "{count} مستبعد",
+
+    "workload.metricEvents": "الأحداث",
+    "workload.metric8": "لكل مناوبة 8 ساعات",
+    "workload.metric12": "لكل مناوبة 12 ساعة",
+    "workload.metric24": "لكل مناوبة 24 ساعة",
+    "workload.events": "الأحداث لكل فرد من الطاقم",
+    "workload.perShift": "الأحداث لكل فرد من الطاقم في كل مناوبة مدتها {hours} ساعة",
+    "workload.perShiftFrom": "الأحداث لكل فرد من الطاقم في كل مناوبة مدتها {hours} ساعة (تبدأ المناوبات {start}، {zone})",
+    "workload.roleColumn": "الأدوار من العمود {column}",
+    "workload.localRoles": {
+      one: "دور واحد مُسند في هذا المتصفح",
+      two: "دوران مُسندان في هذا المتصفح",
+      few: "{count} أدوار مُسندة في هذا المتصفح",
+      many: "{count} دورًا مُسندًا في هذا المتصفح",
+      other: "{count} دور مُسند في هذا المتصفح",
+    },
+    "roles.unassigned": "غير مُسند",
+    "roles.fromExport": "{role} (من ملف التصدير)",
+    "roles.noStaff": "لا يوجد طاقم في العرض الحالي.",
+    "roles.tooMany": "أدوار محفوظة كثيرة جدًا (الحد {max}). امسح بعضها وحاول مجددًا.",
+
+    // تنبيهات العتبات
+    "alerts.button": "التنبيهات",
+    "alerts.buttonTitle": "قواعد عتبات تُفحص بعد كل تحليل (محفوظة في هذا المتصفح)",
+    "alerts.group": "التنبيهات النشطة",
+    "alerts.title": "قواعد التنبيه",
+    "alerts.intro":
+      "تُفحص كل قاعدة مقابل كل نتيجة تحليل. القاعدة المتجاوَزة تُحاط لوحتها بالأحمر وتظهر في الترويسة وفي التقارير المصدّرة. تُحفظ في هذا المتصفح فقط.",
+    "alerts.add": "إضافة قاعدة",
+    "alerts.save": "حفظ القواعد",
+    "alerts.metric": "المقياس",
+    "alerts.op": "الشرط",
+    "alerts.threshold": "العتبة",
+    "alerts.statusA": "الحالة",
+    "alerts.statusB": "مقسومة على الحالة",
+    "alerts.above": "> أعلى من",
+    "alerts.below": "< أقل من",
+    "alerts.remove": "حذف القاعدة",
+    "alerts.empty": "لا توجد قواعد بعد. أضف قاعدة لتُنبَّه عندما يتجاوز مقياسٌ عتبةً.",
+    "alerts.needsNumber": "تحتاج كل قاعدة إلى رقم للمقارنة.",
+    "alerts.needsStatuses": "تحتاج نسبة الحالات إلى الحالتين.",
+    "alerts.tooMany": "{max} قاعدة كحد أقصى.",
+    "alerts.visitsPeak": "الزيارات لكل {bucket} (الذروة)",
+    "alerts.visitsTotal": "الزيارات في الفترة",
+    "alerts.statusRatio": "نسبة الحالات",
+    "alerts.statusRatioOf": "نسبة {a}/{b}",
+    "alerts.durationMedian": "وسيط مدة الزيارة",
+    "alerts.durationP90": "مدة الزيارة P90",
+    "alerts.staffShare": "حصة فرد واحد من الطاقم من الأحداث",
+    "alerts.ratePeak": "ذروة الأحداث في الدقيقة",
+    "alerts.hintVisits": "زيارات",
+    "alerts.hintRatio": "نسبة",
+    "alerts.hintMin": "دقائق",
+    "alerts.hintPct": "% من الأحداث",
+    "alerts.hintRate": "أحداث / دقيقة",
+    "alerts.breach": "{metric} {value} ({op} {threshold})",
+    "alerts.breachAt": "{metric} {value} ({op} {threshold}) · {subject}",
+    "alerts.chip": "⚠ {breach}",
+    "alerts.more": {
+      one: "+ تنبيه آخر",
+      two: "+ تنبيهان آخران",
+      few: "+{count} تنبيهات أخرى",
+      many: "+{count} تنبيهًا آخر",
+      other: "+{count} تنبيه آخر",
+    },
+    "alerts.show": "{breach}. عرض اللوحة",
+    "alerts.announce": {
+      zero: "لا تنبيهات.",
+      one: "تنبيه واحد.",
+      two: "تنبيهان.",
+      few: "{count} تنبيهات.",
+      many: "{count} تنبيهًا.",
+      other: "{count} تنبيه.",
+    },
+    "alerts.perBucket": "لكل {bucket}",
+    "alerts.setFor": "مُعدّة للعرض {view}",
+    "alerts.skipped": {
+      zero: "لا قواعد غير مفحوصة",
+      one: "قاعدة واحدة لم تُفحص",
+      two: "قاعدتان لم تُفحصا",
+      few: "{count} قواعد لم تُفحص",
+      many: "{count} قاعدة لم تُفحص",
+      other: "{count} قاعدة لم تُفحص",
+    },
+    "alerts.skippedRule": "{metric}: مُعدّة للعرض {view}، ولا تُفحص في هذا العرض",
+
+    "compare.vs": "مقابل {file}",
+    "compare.baselineTag": " · خط الأساس",
+    "compare.analyzingTag": " · جارٍ التحليل…",
+    "compare.deltaVisits": "Δ {delta} مقابل خط الأساس",
+
+    "sql.running": "جارٍ التشغيل…",
+    "sql.rows": {
+      zero: "لا صفوف",
+      one: "صف واحد",
+      two: "صفان",
+      few: "{count} صفوف",
+      many: "{count} صفًا",
+      other: "{count} صف",
+    },
+    "sql.limitReached": "{rows} (بلغ الحد {limit})",
+    "sql.elapsed": "{ms} مللي ثانية",
+    "sql.partial": "وضع الملفات الكبيرة: الأعمدة غير المربوطة تحتوي على عينة من الصفوف فقط",
+    "sql.history": "السجل ({count})",
+
+    "privacy.none": "لا شيء",
+    "privacy.pseudonymized": "أسماء الطاقم مستعارة",
+    "privacy.suppressed": {
+      zero: "الأعداد الأقل من {min} مدمجة في «{label}» (لا مجموعات)",
+      one: "الأعداد الأقل من {min} مدمجة في «{label}» (مجموعة واحدة)",
+      two: "الأعداد الأقل من {min} مدمجة في «{label}» (مجموعتان)",
+      few: "الأعداد الأقل من {min} مدمجة في «{label}» ({count} مجموعات)",
+      many: "الأعداد الأقل من {min} مدمجة في «{label}» ({count} مجموعة)",
+      other: "الأعداد الأقل من {min} مدمجة في «{label}» ({count} مجموعة)",
+    },
+    "privacy.hintOff": "دون حماية: تظهر أسماء الطاقم والأعداد الصغيرة على الشاشة وفي ملفات التصدير.",
+    "privacy.hintExport": "التقارير وملفات التصدير بأسماء مستعارة مع حجب الأعداد الصغيرة؛ تعرض الشاشة القيم المخزنة.",
+    "privacy.hintOn": "تُطبق في التحليل التالي.",
+    "privacy.badge": "الخصوصية: {parts}",
+    "privacy.pseudonyms": "أسماء مستعارة",
+    "privacy.suppressedShort": "حجب ما دون {min}",
+    "privacy.onScreen": "على الشاشة: {summary}. لا تزال وحدة تحكم SQL تعرض القيم المخزنة.",
+    "privacy.badgeOff": "الخصوصية معطلة",
+    "privacy.badgeExport": "الخصوصية: عند التصدير فقط",
+    "privacy.badgeOn": "الخصوصية: مفعّلة",
+
+    "report.title": "تقرير القياس الميداني لأطباء بلا حدود — {marker}",
+    "report.heading": "MSF // تقرير القياس الميداني",
+    "report.footer": "أُنشئ دون اتصال بواسطة MU-TH-UR 6000. لم تغادر أي بيانات للمرضى الجهاز. اطبع هذا الملف (حفظ بصيغة PDF) للحصول على نسخة ورقية.",
+    "report.verified": "تم التحقق — عولج محليًا من ملف التصدير أدناه",
+    "report.synthetic": "اصطناعي — إشارة تجريبية وليست بيانات برنامج حقيقية",
+    "report.unverified": "لم يتم التحقق — حالة وحدة التحكم {status}",
+    "report.sourceFile": "الملف المصدر",
+    "report.noSource": "لا يوجد (اصطناعي)",
+    "report.comparisonFile": "ملف المقارنة",
+    "report.baseline": "خط الأساس",
+    "report.analysisTime": "وقت التحليل",
+    "report.generated": "تاريخ إنشاء التقرير",
+    "report.range": "الفترة",
+    "report.timezone": "المنطقة الزمنية",
+    "report.filters": "عوامل التصفية",
+    "report.excludedRows": "الصفوف المستبعدة",
+    "report.privacy": "الخصوصية",
+    "report.workload": "عبء عمل الطاقم",
+    "report.lookup": "بحث",
+    "report.notMapped": "— غير مربوط —",
+    "report.timeFormat": "{format} ({source})",
+    "report.setByUser": "حددها المستخدم",
+    "report.detected": "مكتشفة",
+    "report.syntheticWindow": "نافذة تجريبية اصطناعية",
+    "report.rangeWindow": "{label} ({window})",
+    "report.none": "لا شيء",
+    "report.alerts": "التنبيهات",
+    "report.noAlerts": {
+      one: "قاعدة التنبيه غير متجاوَزة.",
+      two: "قاعدتا التنبيه غير متجاوَزتين.",
+      few: "لم تُتجاوز أي من قواعد التنبيه الـ{count}.",
+      many: "لم تُتجاوز أي من قواعد التنبيه الـ{count}.",
+      other: "لم تُتجاوز أي من قواعد التنبيه الـ{count}.",
+    },
+
+    "chart.medianHead": "الوسيط {median} دقيقة · العدد={count}",
+    "chart.peak": "الذروة {value}/دقيقة ({window} دقيقة)",
+    "chart.medianGap": "الفاصل الوسيط {median} ث · P90 {p90} ث",
+    "tip.visits": "الزيارات",
+    "tip.share": "النسبة",
+    "tip.comparison": "المقارنة",
+    "tip.delta": "Δ مقابل خط الأساس",
+    "tip.median": "الوسيط",
+    "tip.noVisits": "لا زيارات",
+    "tip.minutes": "{value} دقيقة",
+    "tip.role": "الدور",
+    "tip.events": "الأحداث",
+    "tip.shifts": "المناوبات",
+    "tip.perShift": "لكل مناوبة",
+    "tip.eventsPerMin": "أحداث / دقيقة",
+    "tip.window": "النافذة",
+    "tip.gaps": "الفواصل",
+    "tip.roleStaff": "{role} ({count} من الطاقم)",
+    "tip.overflowMin": "≥ {from} دقيقة",
+    "tip.rangeMin": "{from}–{to} دقيقة",
+    "tip.gapRange": "{from}–{to} ث بين الأحداث",
+    "tip.position": "{index} من {total}",
+
+    "a11y.updated": "تم تحديث المخططات.",
+    "a11y.synthetic": "تُعرض بيانات تجريبية اصطناعية.",
+    "a11y.separator": "؛ ",
+    "a11y.noVisits": "لا زيارات في الفترة المحددة.",
+    "a11y.visitsTotal": "{total} زيارة إجمالًا",
+    "a11y.busiest": "أكثر {bucket} ازدحامًا {span} بعدد {count}",
+    "a11y.trend": "الاتجاه {direction}",
+    "a11y.vsBaseline": "{delta} مقارنةً بخط الأساس",
+    "a11y.trendDetail": "{direction} ({delta} للنصف الثاني مقارنةً بالأول)",
+    "a11y.rising": "صاعد",
+    "a11y.flat": "مستقر",
+    "a11y.falling": "هابط",
+    "a11y.bucketHour": "ساعة",
+    "a11y.bucketDay": "يوم",
+    "a11y.bucketWeek": "أسبوع",
+    "a11y.bucketEpiweek": "أسبوع وبائي",
+    "a11y.noDurations": "لا مدد زيارات في الفترة المحددة.",
+    "a11y.duration": "وسيط مدة الزيارة {median} دقيقة (P90 {p90}، P95 {p95}) عبر {count} زيارة.",
+    "a11y.longest": "أطول وسيط حسب الحالة: {status}، {median} دقيقة.",
+    "a11y.noStates": "لم تُسجل أي حالة لمسار المريض.",
+    "a11y.states": "الحالة الأكثر تكرارًا {status}: {value} من {total} زيارة ({share})، {count} حالات.",
+    "a11y.noStaff": "لم يُسجل أي فرد من الطاقم.",
+    "a11y.topRole": "الدور الأعلى {role}: {value} حدث ({share}) من {staff} أفراد.",
+    "a11y.topRoleRate": "الدور الأعلى {role}: {value} حدث ({share}) من {staff} أفراد، {rate} لكل مناوبة.",
+    "a11y.topStaff": "الفرد الأعلى نشاطًا {name}: {value} حدث.",
+    "a11y.noActivity": "لا نشاط في الفترة المحددة.",
+    "a11y.peak": "ذروة النشاط {value} حدث في الدقيقة (نافذة {window} دقيقة) عند {at}.",
+    "a11y.medianGap": "الفاصل الوسيط بين الأحداث {gap} ث.",
+    "table.caption": "{panel}: {table}",
+    "table.visits": "الزيارات",
+    "table.duration-histogram": "المدرج التكراري للمدة",
+    "table.duration-trend": "اتجاه المدة",
+    "table.duration-by-status": "المدة حسب الحالة",
+    "table.states": "الحالات",
+    "table.operators": "الطاقم",
+    "table.roles": "الأدوار",
+    "table.volume-rate": "معدل النشاط",
+    "table.volume-gaps": "الفواصل بين الأحداث",
+    "column.bucket_start": "بداية الفترة",
+    "column.bucket": "الفترة",
+    "column.visits": "الزيارات",
+    "column.from_min": "من (دقيقة)",
+    "column.to_min": "إلى (دقيقة)",
+    "column.median_min": "الوسيط (دقيقة)",
+    "column.mean_min": "المتوسط (دقيقة)",
+    "column.p90_min": "p90 (دقيقة)",
+    "column.p95_min": "p95 (دقيقة)",
+    "column.max_min": "الأقصى (دقيقة)",
+    "column.status": "الحالة",
+    "column.share_pct": "النسبة %",
+    "column.staff": "الطاقم",
+    "column.role": "الدور",
+    "column.events": "الأحداث",
+    "column.shifts": "المناوبات",
+    "column.events_per_shift": "الأحداث لكل مناوبة",
+    "column.time": "الوقت",
+    "column.events_per_min": "الأحداث في الدقيقة",
+    "column.window_min": "النافذة (دقيقة)",
+    "column.from_s": "من (ث)",
+    "column.to_s": "إلى (ث)",
+    "column.gaps": "الفواصل",
+  },
+};
@@ -7,15 +7,202 @@ importScripts('./lib/sql-wasm.js');
 
 /* ------------------------ CONSTANTS ------------------------ */
 
-const MAX_DB_BYTES = 100 * 1024 * 1024; // 100 MB hard cap
-const MAX_ROWS_SCAN = 5000;
+// Message protocol. Requests: { v, id, type, key?, ...params }; responses
+// echo the id: RESULT { payload }, ERROR { error, detail }, PROGRESS
+// { phase, percent }. READY and init failures carry id null; after an init
+// failure every request, queued or new, answers the same ERROR.
+const PROTOCOL_VERSION = 2;
+const REQUEST_TYPES = new Set(['OPEN', 'SCHEMA', 'AGGREGATE', 'QUERY', 'AUDIT', 'SQL', 'CLOSE']);
+const DEFAULT_QUERY_ROWS = 100;
+const MAX_QUERY_ROWS = 500;
+
+// SQL console guardrails
+const SQL_ROW_LIMIT = 1000; // rows returned per console query; the rest is reported as truncated
+const SQL_TIMEOUT_MS = 10 * 1000;
+const MAX_SQL_LENGTH = 20000;
+const SQL_CHECK_ROWS = 500; // rows stepped between cancel checks
+
+const MAX_DB_BYTES = 100 * 1024 * 1024; // 100 MB hard cap (per file)
+const MAX_TOTAL_BYTES = 300 * 1024 * 1024; // merged staging DB budget across files
 const MAX_GROUP_ROWS = 50;
+const SAMPLE_ROWS = 200;          // rows profiled per column for the schema report
+const SAMPLE_PREVIEW = 5;         // sample values shown to the user per column
+const MIN_SUGGEST_CONFIDENCE = 0.35;
+const MAX_JOINS = 4;
+const MAX_FILTER_VALUES = 50;
+
+// Roles a cross-filter can target (categorical panels + site legend)
+const FILTER_ROLES = ['status', 'operator', 'site'];
+
+// Multi-file merge: every row is tagged with the file's site label
+const SITE_COLUMN = 'source_site';
+const SITE_META_TABLE = /^(meta|metadata|site|sites|facility|settings|config)$/i;
+const SITE_META_KEYS = ['site', 'site_name', 'facility', 'facility_name', 'health_post', 'clinic'];
+const MERGED_FLAT_TABLE = 'import'; // flat files share one table so they union
+const MAX_SITES = 12; // per-site breakdown keeps the largest sites
+const MAX_LARGE_FILE_BYTES = 2 * 1024 * 1024 * 1024; // large-file mode reads pages from the File
+const PAGE_CHUNK_BYTES = 4 * 1024 * 1024; // read size for large files (a multiple of any page size)
+const PAGE_CACHE_CHUNKS = 4;
+const LEAF_BATCH = 256; // leaves between progress reports / cancel checks in a scan
+const PROGRESS_INTERVAL_MS = 100; // throttle for PROGRESS messages
+
+const HOUR_MS = 3600 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Relative presets are anchored to the newest timestamp in the export,
+// not to "now": field exports are usually days or weeks old.
+const RANGE_SPANS = { '24h': DAY_MS, '7d': 7 * DAY_MS, '30d': 30 * DAY_MS };
+
+// Zero-filled series longer than this keep only the newest buckets
+const MAX_BUCKETS = 5000;
+
+const HISTOGRAM_BINS = 20;
+
+// Activity rate: rolling-window sizes (minutes) and plotted points per series
+const RATE_WINDOWS = [5, 15, 60];
+const DEFAULT_RATE_WINDOW = 15;
+const MAX_RATE_POINTS = 300;
+const MINUTE_MS = 60 * 1000;
+const MAX_STATUS_SPLIT = 12;
+
+// Data quality audit: plausibility limits and severity bands (share of rows)
+const MIN_PLAUSIBLE_TS = Date.UTC(2000, 0, 1);
+const MAX_PLAUSIBLE_DURATION_MIN = 24 * 60;
+const EMPTY_SEVERITY = { warn: 0.05, alert: 0.25 };
+const FLAGGED_SEVERITY = { warn: 0, alert: 0.05 }; // any flagged row is worth a look
+const MAX_QUALITY_SAMPLES = 10;
+
+// Staff workload: shifts start at SHIFT_START_HOUR on the query zone's clock.
+// Roles come from the user's name -> role map, then the mapped role column.
+const SHIFT_HOURS = [8, 12, 24];
+const DEFAULT_SHIFT_HOURS = 8;
+const SHIFT_START_HOUR = 7;
+const MAX_ROLE_MAP = 2000;
+const MAX_ROLE_LENGTH = 40;
+const UNASSIGNED_ROLE = 'UNASSIGNED';
+
+// Privacy mode: staff pseudonyms and small-cell suppression (see PRIVACY)
+const PSEUDONYM_PREFIX = 'STAFF-';
+const MIN_SALT_LENGTH = 16;
+const MAX_MIN_CELL = 100;
+const SUPPRESSED_LABEL = 'OTHER (suppressed)';
+
+// Time column formats (see DATE_FORMATS). Detection keeps a format only if
+// enough sampled values parse to a plausible date under it.
+const MIN_FORMAT_SHARE = 0.5;
+const PLAUSIBLE_DATE_MIN = Date.UTC(1980, 0, 1);
+const PLAUSIBLE_DATE_MAX = Date.UTC(2100, 0, 1);
+const JULIAN_UNIX_EPOCH = 2440587.5; // Julian day number of 1970-01-01T00:00Z
+const EXCEL_UNIX_EPOCH = 25569; // Excel serial (1900 system) of 1970-01-01
+
+// Duration column units, detected from name tokens first, then magnitude.
+// Everything is reported in minutes.
+const DURATION_UNITS = {
+  ms: { perMinute: 60000, tokens: ['ms', 'millis', 'milliseconds', 'msec'] },
+  s: { perMinute: 60, tokens: ['s', 'sec', 'secs', 'seconds'] },
+  min: { perMinute: 1, tokens: ['min', 'mins', 'minutes'] },
+  h: { perMinute: 1 / 60, tokens: ['h', 'hr', 'hrs', 'hours'] }
+};
+
+/**
+ * Calendar buckets on the wall clock of the query's zone (see zoneFor).
+ * `floor` maps epoch ms to the start of its bucket; `approxMs` caps series
+ * length and steps to the next bucket (nextBucket). Hours are whole hours
+ * of the instant, so both 01:00s of a DST fall-back stay apart.
+ * epiweek follows MMWR: weeks start on Sunday.
+ */
+const BUCKET_UNITS = {
+  hour: {
+    approxMs: HOUR_MS,
+    floor: (ms, zone) => ms - mod(zone.toWall(ms), HOUR_MS)
+  },
+  day: {
+    approxMs: DAY_MS,
+    floor: (ms, zone) => zone.fromWall(wallMidnight(ms, zone))
+  },
+  isoweek: {
+    approxMs: 7 * DAY_MS,
+    floor: (ms, zone) => {
+      const day = wallMidnight(ms, zone);
+      return zone.fromWall(day - ((new Date(day).getUTCDay() + 6) % 7) * DAY_MS);
+    }
+  },
+  epiweek: {
+    approxMs: 7 * DAY_MS,
+    floor: (ms, zone) => {
+      const day = wallMidnight(ms, zone);
+      return zone.fromWall(day - new Date(day).getUTCDay() * DAY_MS);
+    }
+  }
+};
+
+// Zone offsets only change on quarter hours; they are cached per slot
+const ZONE_SLOT_MS = 15 * 60 * 1000;
+const MAX_ZONE_SLOTS = 100000;
+
+// Flat-file imports (CSV/TSV/JSON/NDJSON) become one in-memory table
+const SQLITE_MAGIC = 'SQLite format 3\u0000';
+const DELIMITERS = [',', ';', '\t', '|'];
+const SNIFF_LINES = 20;
+const FLAT_EXTENSIONS = {
+  csv: 'csv', txt: 'csv', tsv: 'tsv', tab: 'tsv',
+  json: 'json', ndjson: 'ndjson', jsonl: 'ndjson'
+};
+
+// Table names that look like an event/visit table (primary table candidates)
+const TABLE_HINT = /event|visit|patient|log|telemetry/i;
+
+/**
+ * Column roles the dashboard needs. Each role scores column-name tokens
+ * (whole words only, so `admin_id` never matches `min`) and the values
+ * actually stored in the column. Weights are 0..1.
+ */
+const ROLES = {
+  time: {
+    tokens: { timestamp: 1, datetime: 1, time: 0.9, date: 0.9, created: 0.8, occurred: 0.8, arrival: 0.7, ts: 0.7, at: 0.4, on: 0.3 },
+    profile: p => p.dateShare
+  },
+  duration: {
+    tokens: { duration: 1, los: 0.9, elapsed: 0.9, length: 0.6, minutes: 0.8, mins: 0.8, min: 0.7, seconds: 0.7, secs: 0.7, sec: 0.6, ms: 0.6, millis: 0.6, hours: 0.6 },
+    profile: p => (p.numericShare > 0.9 && p.negativeShare < 0.05 ? p.numericShare : 0)
+  },
+  operator: {
+    tokens: { staff: 1, operator: 1, clinician: 1, provider: 0.9, practitioner: 0.9, doctor: 0.9, nurse: 0.9, user: 0.8, agent: 0.8, author: 0.6, by: 0.5, name: 0.4 },
+    profile: p => (p.distinct >= 2 && p.distinctRatio < 0.5 ? 1 - p.dateShare : 0)
+  },
+  status: {
+    tokens: { status: 1, state: 0.9, stage: 0.8, disposition: 0.8, outcome: 0.8, category: 0.7, type: 0.4 },
+    profile: p => (p.distinct >= 2 && p.distinct <= 30 ? p.textShare : 0)
+  },
+  site: {
+    tokens: { site: 1, facility: 1, clinic: 0.8, post: 0.5 },
+    profile: p => (p.distinct >= 2 && p.distinct <= 50 ? p.textShare : 0)
+  },
+  staffRole: {
+    tokens: { role: 1, cadre: 1, profession: 0.9, position: 0.8, job: 0.8, qualification: 0.7, title: 0.6, grade: 0.6 },
+    profile: p => (p.distinct >= 2 && p.distinct <= 30 ? p.textShare : 0)
+  }
+};
+
+// Tokens that mark a column as an identifier / code rather than a measure
+const ID_TOKENS = { id: 1, uuid: 1, code: 1, key: 1, no: 1, num: 1, number: 1 };
 
 /* ------------------------ STATE ------------------------ */
 
 let SQL = null;
 let db = null;
-let busy = false;
+let tableInfo = null; // every table in the open DB (rows, columns, foreign keys)
+let source = null; // primary table + declared joins the aggregations read from
+let schema = null; // last schema report for `source`
+let sites = []; // merged files: { site, file, labelFrom, rows }
+let ragged = []; // CSV/TSV imports with rows off the header width: { file, short, long, firstShort, firstLong }
+let lazy = null; // large-file mode: { reader, tables: Map(name -> staging state) }
+let queue = []; // requests waiting to run, oldest first
+let initError = null; // set when sql.js fails to load; every request answers it
+const zones = new Map(); // timezone name -> zoneFor() helper
+let localZone = null; // the worker's own zone name, read once
+const pseudonyms = new Map(); // `${salt}\u0000${name}` -> pseudonym (privacy mode)
+let job = null; // running request: { id, type, key, msg, cancelled, superseded, phase, lastProgress }
 
 /* ------------------------ UTILITIES ------------------------ */
 
@@ -27,6 +214,11 @@ function escapeId(id) {
   return `"${String(id).replace(/"/g, '""')}"`;
 }
 
+// SQLite string literal
+function escapeText(text) {
+  return `'${String(text).replace(/'/g, "''")}'`;
+}
+
 /**
  * Close DB safely
  */
@@ -35,6 +227,65 @@ function closeDb() {
     try { db.close(); } catch (_) {}
     db = null;
   }
+  tableInfo = null;
+  source = null;
+  schema = null;
+  sites = [];
+  ragged = [];
+  lazy = null;
+  pseudonyms.clear();
+}
+
+function reply(id, type, body) {
+  postMessage({ v: PROTOCOL_VERSION, id, type, ...body });
+}
+
+/**
+ * Report how far the running job is. `percent` covers the whole job
+ * (0-100); `phase` names the current step. Throttled, except at 0 and 100,
+ * so loops can call it freely.
+ */
+function progress(phase, percent) {
+  if (!job) return;
+  const now = Date.now();
+  const edge = percent <= 0 || percent >= 100;
+  if (!edge && phase === job.phase && now - job.lastProgress < PROGRESS_INTERVAL_MS) return;
+  job.phase = phase;
+  job.lastProgress = now;
+  reply(job.id, 'PROGRESS', { phase, percent: Math.max(0, Math.min(100, Math.round(percent))) });
+}
+
+/**
+ * Yield to the event loop so newer messages (CANCEL, a superseding request)
+ * are delivered, then abort the job if they made it stale. sql.js calls are
+ * synchronous: aborts land between steps, not inside a running statement.
+ */
+async function checkpoint() {
+  await new Promise(resolve => setTimeout(resolve, 0));
+  if (job?.cancelled) throw new Error('CANCELLED');
+  if (job?.superseded) throw new Error('SUPERSEDED');
+}
+
+/**
+ * Split a column name into lowercase word tokens
+ * (snake_case, kebab-case, camelCase, digits).
+ */
+function tokenize(name) {
+  return String(name)
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+|(?<=[a-z])(?=[0-9])/)
+    .filter(Boolean);
+}
+
+/**
+ * Short, display-safe rendering of a cell value
+ */
+function previewValue(v) {
+  if (v == null) return 'NULL';
+  if (v instanceof Uint8Array) return `<blob ${v.length} B>`;
+  const s = String(v);
+  return s.length > 40 ? s.slice(0, 39) + '…' : s;
 }
 
 /* ------------------------ INIT SQL.JS ------------------------ */
@@ -44,189 +295,2616 @@ function closeDb() {
     SQL = await initSqlJs({
       locateFile: file => `./lib/${file}`
     });
-    postMessage({ type: 'READY' });
+    reply(null, 'READY', {});
+    drain();
   } catch (err) {
-    postMessage({ type: 'ERROR', error: 'INIT_FAILED: ' + err.message });
+    initError = 'INIT_FAILED: ' + err.message;
+    reply(null, 'ERROR', { error: initError });
+    for (const q of queue) reply(q.id, 'ERROR', { error: initError });
+    queue = [];
   }
 })();
 
 /* ------------------------ MESSAGE HANDLER ------------------------ */
 
-onmessage = async (e) => {
-  const { type, buffer } = e.data || {};
+/**
+ * Requests queue and run one at a time, so the DB stays open between them.
+ * A request with a `key` supersedes older ones with the same key: queued
+ * ones are dropped, a running one stops at its next checkpoint; both answer
+ * ERROR SUPERSEDED. CANCEL drops everything and closes the DB, answering
+ * under its own id once the running job has stopped.
+ */
+onmessage = (e) => {
+  const msg = e.data || {};
+  const id = msg.id ?? null;
+
+  if (msg.v !== PROTOCOL_VERSION) {
+    reply(id, 'ERROR', { error: 'UNSUPPORTED_PROTOCOL' });
+    return;
+  }
+
+  // Without sql.js nothing can run: fail instead of queueing forever
+  if (initError) {
+    reply(id, 'ERROR', { error: initError });
+    return;
+  }
 
-  if (type !== 'ANALYZE') return;
+  if (msg.type === 'CANCEL') {
+    for (const q of queue) reply(q.id, 'ERROR', { error: 'CANCELLED' });
+    queue = [];
+    if (job) job.cancelled = true;
+    queue.push({ id, type: 'CLOSE', key: null, msg: {} });
+    drain();
+    return;
+  }
 
-  if (busy) {
-    postMessage({ type: 'ERROR', error: 'WORKER_BUSY' });
+  if (!REQUEST_TYPES.has(msg.type)) {
+    reply(id, 'ERROR', { error: 'UNKNOWN_REQUEST' });
     return;
   }
 
-  busy = true;
+  const key = typeof msg.key === 'string' ? msg.key : null;
+  if (key) {
+    for (const q of queue.filter(q => q.key === key)) reply(q.id, 'ERROR', { error: 'SUPERSEDED' });
+    queue = queue.filter(q => q.key !== key);
+    if (job?.key === key) job.superseded = true;
+  }
+  queue.push({ id, type: msg.type, key, msg });
+  drain();
+};
+
+async function drain() {
+  if (job || !SQL) return;
+  while (queue.length) {
+    job = { ...queue.shift(), cancelled: false, superseded: false, phase: null, lastProgress: 0 };
+    try {
+      reply(job.id, 'RESULT', { payload: await handle(job.type, job.msg) });
+    } catch (err) {
+      // A cancelled job leaves a half-built DB behind; the queued CLOSE frees it
+      const error = job.cancelled ? 'CANCELLED' : err.message;
+      // `detail` carries parse positions ({ row, column, reason }) for flat files
+      reply(job.id, 'ERROR', { error, detail: err.detail || null });
+    } finally {
+      job = null;
+    }
+  }
+}
+
+async function handle(type, msg) {
+  switch (type) {
+    case 'OPEN': {
+      const files = Array.isArray(msg.files) ? msg.files : [];
+      // Merged exports come as File and are read one at a time; a lone File
+      // (not ArrayBuffer) is a large export, read lazily
+      if (files.length > 1) return await mergeDatabases(files);
+      return files[0]?.file
+        ? await openLargeDatabase(files[0].file, files[0].name)
+        : await analyzeDatabase(files[0]?.buffer, files[0]?.name);
+    }
+    case 'SCHEMA':
+      if (!db) throw new Error('NO_DATABASE_OPEN');
+      return await describeSource(msg.table, msg.joins);
+    case 'AGGREGATE':
+      return await aggregateMapped(msg);
+    case 'QUERY':
+      return await queryRows(msg);
+    case 'AUDIT':
+      return await auditMapped(msg.mapping, msg.timezone);
+    case 'SQL':
+      if (!db) throw new Error('NO_DATABASE_OPEN');
+      return await runConsoleQuery(msg.sql);
+    case 'CLOSE':
+      closeDb();
+      return null;
+  }
+  throw new Error('UNKNOWN_REQUEST');
+}
+
+/* ------------------------ FLAT-FILE IMPORT ------------------------ */
+
+/**
+ * Error with a parse position. Row and column are 1-based: CSV rows count
+ * records (header = row 1), JSON rows count lines.
+ */
+function parseError(row, column, reason) {
+  const err = new Error('PARSE_ERROR');
+  err.detail = { row, column, reason };
+  return err;
+}
+
+/**
+ * sqlite | csv | tsv | json | ndjson. The SQLite header wins over the
+ * extension; unknown extensions are sniffed from the first character.
+ */
+function detectFormat(bytes, name) {
+  const head = String.fromCharCode(...bytes.subarray(0, SQLITE_MAGIC.length));
+  if (head === SQLITE_MAGIC) return 'sqlite';
+
+  const ext = String(name || '').toLowerCase().split('.').pop();
+  if (['db', 'sqlite', 'sqlite3'].includes(ext)) return 'sqlite'; // let SQLite reject it
+  if (FLAT_EXTENSIONS[ext]) return FLAT_EXTENSIONS[ext];
+
+  const first = decodeText(bytes.subarray(0, 64)).trimStart()[0];
+  if (first === '[') return 'json';
+  if (first === '{') return 'ndjson';
+  return 'csv';
+}
+
+/**
+ * Decode by BOM, then strict UTF-8, then Windows-1252 (legacy EMR exports).
+ * UTF-16 without a BOM shows up as NUL in every other byte.
+ */
+function decodeText(bytes) {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+    return new TextDecoder('utf-8').decode(bytes.subarray(3));
+  }
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return new TextDecoder('utf-16le').decode(bytes.subarray(2));
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return new TextDecoder('utf-16be').decode(bytes.subarray(2));
+
+  const probe = bytes.subarray(0, 512);
+  let oddNul = 0;
+  let evenNul = 0;
+  probe.forEach((b, i) => { if (b === 0) (i % 2 ? oddNul++ : evenNul++); });
+  if (oddNul > probe.length / 4) return new TextDecoder('utf-16le').decode(bytes);
+  if (evenNul > probe.length / 4) return new TextDecoder('utf-16be').decode(bytes);
+
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch (_) {
+    return new TextDecoder('windows-1252').decode(bytes);
+  }
+}
+
+/**
+ * Pick the delimiter that splits the first lines into the same, non-zero
+ * number of fields most often (quotes respected).
+ */
+function sniffDelimiter(text) {
+  const lines = [];
+  let inQuotes = false;
+  let start = 0;
+  for (let i = 0; i < text.length && lines.length < SNIFF_LINES; i++) {
+    const c = text[i];
+    if (c === '"') inQuotes = !inQuotes;
+    else if (c === '\n' && !inQuotes) {
+      lines.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  if (lines.length < SNIFF_LINES && start < text.length) lines.push(text.slice(start));
+
+  let best = { delim: ',', score: 0 };
+  for (const delim of DELIMITERS) {
+    const counts = lines.filter(l => l.trim()).map(l => l.replace(/"[^"]*"/g, '').split(delim).length - 1);
+    if (!counts.length || !counts[0]) continue;
+    const score = counts.filter(n => n === counts[0]).length * 1000 + counts[0];
+    if (score > best.score) best = { delim, score };
+  }
+  return best.delim;
+}
+
+/**
+ * RFC 4180 parser. Calls onRow(fields, row) per record; blank lines are
+ * skipped. Quoted fields may contain delimiters, quotes ("") and newlines.
+ */
+function parseDelimited(text, delim, onRow) {
+  let row = 1;
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  const endField = () => { fields.push(quoted ? field : field.trim()); field = ''; quoted = false; };
+  const endRow = () => {
+    endField();
+    if (fields.length > 1 || fields[0] !== '') onRow(fields, row++);
+    fields = [];
+  };
+
+  while (i < text.length) {
+    const c = text[i];
+
+    if (c === '"' && field.trim() === '' && !quoted) {
+      // Quoted field: read to the closing quote
+      const column = fields.length + 1;
+      field = '';
+      quoted = true;
+      i++;
+      for (;;) {
+        if (i >= text.length) throw parseError(row, column, 'Unterminated quoted field');
+        if (text[i] === '"') {
+          if (text[i + 1] === '"') { field += '"'; i += 2; continue; }
+          i++;
+          break;
+        }
+        field += text[i++];
+      }
+      while (text[i] === ' ') i++;
+      if (i < text.length && text[i] !== delim && text[i] !== '\n' && text[i] !== '\r') {
+        throw parseError(row, column, 'Unexpected character after closing quote');
+      }
+      continue;
+    }
+
+    if (c === delim) endField();
+    else if (c === '\n') endRow();
+    else if (c === '\r') { if (text[i + 1] !== '\n') endRow(); }
+    else field += c;
+    i++;
+  }
+  if (field !== '' || quoted || fields.length) endRow();
+}
+
+/**
+ * Header names made unique (case-insensitively, as SQLite compares them)
+ * with blanks replaced by column_<n>.
+ */
+function uniqueColumns(names) {
+  const seen = new Set();
+  return names.map((raw, i) => {
+    const base = String(raw ?? '').trim() || `column_${i + 1}`;
+    let name = base;
+    for (let n = 2; seen.has(name.toLowerCase()); n++) name = `${base}_${n}`;
+    seen.add(name.toLowerCase());
+    return name;
+  });
+}
+
+/**
+ * Text cells to SQLite values: empty -> NULL, plain decimals -> numbers.
+ * Leading zeros stay text (record numbers, phone numbers).
+ */
+function coerceCell(v) {
+  if (v == null) return null;
+  if (typeof v === 'boolean') return v ? 1 : 0;
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+  if (typeof v === 'object') return JSON.stringify(v);
+  const s = String(v);
+  if (s === '') return null;
+  if (/^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][-+]?\d+)?$/.test(s)) return Number(s);
+  return s;
+}
+
+/**
+ * Parse a flat file into one table (named after the file unless merging).
+ * Rows are inserted as they are parsed, in a single transaction. Short
+ * CSV/TSV rows are padded with NULLs and long ones lose their extra fields;
+ * both are counted into `ragged` so the mapping step can show them.
+ */
+function importFlatFile(bytes, format, name, conn = db, table = tableNameFor(name)) {
+  const text = decodeText(bytes);
+  let columns = null;
+  let insert = null;
+  const off = { file: name, short: 0, long: 0, firstShort: null, firstLong: null };
+
+  const createTable = (names) => {
+    columns = uniqueColumns(names);
+    conn.run(`CREATE TABLE ${escapeId(table)} (${columns.map(escapeId).join(', ')})`);
+    insert = conn.prepare(`INSERT INTO ${escapeId(table)} VALUES (${columns.map(() => '?').join(', ')})`);
+  };
 
+  conn.run('BEGIN');
   try {
-    const result = await analyzeDatabase(buffer);
-    postMessage({ type: 'ANALYSIS_COMPLETE', payload: result });
+    if (format === 'csv' || format === 'tsv') {
+      const delim = format === 'tsv' ? '\t' : sniffDelimiter(text);
+      parseDelimited(text, delim, (fields, row) => {
+        if (!columns) return createTable(fields);
+        if (fields.length < columns.length) {
+          off.short++;
+          off.firstShort ??= row;
+        } else if (fields.slice(columns.length).some(f => f !== '')) {
+          // Trailing empty fields (a delimiter at the end of the line) lose nothing
+          off.long++;
+          off.firstLong ??= row;
+        }
+        insert.run(columns.map((_, i) => coerceCell(fields[i])));
+      });
+      if (!columns) throw parseError(1, 1, 'No header row');
+      if (off.short || off.long) ragged.push(off);
+    } else {
+      const records = format === 'json' ? parseJsonRecords(text) : parseNdjsonRecords(text);
+      const keys = new Set();
+      records.forEach(r => Object.keys(r).forEach(k => keys.add(k)));
+      if (!keys.size) throw parseError(1, 1, 'No fields found in records');
+      createTable([...keys]);
+      // uniqueColumns may rename a key; read values by the original key
+      const sourceKeys = [...keys];
+      for (const r of records) insert.run(sourceKeys.map(k => coerceCell(r[k])));
+    }
+    conn.run('COMMIT');
   } catch (err) {
-    postMessage({ type: 'ERROR', error: err.message });
+    conn.run('ROLLBACK');
+    throw err;
   } finally {
-    busy = false;
+    if (insert) insert.free();
   }
-};
+}
 
-/* ------------------------ CORE LOGIC ------------------------ */
+function tableNameFor(name) {
+  const base = String(name || '').split(/[\\/]/).pop().replace(/\.[^.]*$/, '').trim() || 'import';
+  // sqlite_* names are reserved for SQLite's own tables
+  return /^sqlite_/i.test(base) ? `import_${base}` : base;
+}
+
+/**
+ * Map a JSON.parse failure to a line/column. Engines report either
+ * "position N" or "line L column C".
+ */
+function jsonErrorAt(err, text, lineOffset = 0) {
+  const msg = String(err.message);
+  const lc = msg.match(/line (\d+) column (\d+)/);
+  if (lc) return parseError(Number(lc[1]) + lineOffset, Number(lc[2]), msg.replace(/\s*\(line.*$/, ''));
+
+  const pos = msg.match(/position (\d+)/);
+  if (!pos) return parseError(1 + lineOffset, 1, msg);
+  const before = text.slice(0, Number(pos[1]));
+  const line = before.split('\n').length;
+  const column = Number(pos[1]) - before.lastIndexOf('\n');
+  return parseError(line + lineOffset, column, msg.replace(/\s*(in JSON )?at position.*$/, ''));
+}
 
-async function analyzeDatabase(buffer) {
+function isRecord(v) {
+  return v != null && typeof v === 'object' && !Array.isArray(v);
+}
+
+/**
+ * A top-level array of objects, or an object wrapping exactly one such
+ * array ({ "data": [...] }).
+ */
+function parseJsonRecords(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw jsonErrorAt(err, text);
+  }
+
+  if (isRecord(parsed)) {
+    const arrays = Object.values(parsed).filter(Array.isArray);
+    if (arrays.length === 1) parsed = arrays[0];
+  }
+  if (!Array.isArray(parsed)) throw parseError(1, 1, 'Expected an array of records');
+
+  const bad = parsed.findIndex(r => !isRecord(r));
+  if (bad !== -1) throw parseError(bad + 1, 1, `Record ${bad + 1} is not an object`);
+  return parsed;
+}
+
+function parseNdjsonRecords(text) {
+  const records = [];
+  text.split('\n').forEach((line, i) => {
+    if (!line.trim()) return;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (err) {
+      throw jsonErrorAt(err, line, i);
+    }
+    if (!isRecord(record)) throw parseError(i + 1, 1, 'Line is not a JSON object');
+    records.push(record);
+  });
+  return records;
+}
+
+/* ------------------------ LARGE-FILE MODE ------------------------ */
+
+/**
+ * Exports over MAX_DB_BYTES are never copied into the wasm heap. The worker
+ * reads the SQLite file format itself, a chunk of pages at a time, from the
+ * File via FileReaderSync, and stages into an in-memory DB only what the
+ * dashboard reads: the first SAMPLE_ROWS rows of every table (complete, for
+ * schema discovery), then the mapped columns of the tables a mapping touches
+ * (all rows, other cells NULL). Row counts come from one b-tree scan at open.
+ */
+async function openLargeDatabase(file, name) {
   if (!SQL) throw new Error('WORKER_NOT_READY');
-  if (!buffer || !buffer.byteLength) throw new Error('EMPTY_FILE');
-  if (buffer.byteLength > MAX_DB_BYTES) throw new Error('FILE_EXCEEDS_CAPACITY');
+  if (!file || !file.size) throw new Error('EMPTY_FILE');
+  if (file.size > MAX_LARGE_FILE_BYTES) throw new Error('FILE_EXCEEDS_CAPACITY');
 
   closeDb();
-  db = new SQL.Database(new Uint8Array(buffer));
+  progress('open', 0);
+  const reader = openPageReader(file, name);
 
-  const tables = listTables();
-  if (!tables.length) throw new Error('NO_TABLES_FOUND');
+  // sqlite_master lives in the b-tree rooted at page 1
+  const master = [];
+  await walkTable(reader, 1, { onLeaf: (p, h, cells) => {
+    for (let i = 0; i < cells; i++) master.push(readLeafCell(reader, p, h, i).values);
+  } });
 
-  const mainTable = tables.find(t =>
-    /event|visit|patient|log|telemetry/i.test(t)
-  );
-  if (!mainTable) throw new Error('INVALID_SCHEMA');
+  db = new SQL.Database();
+  registerFunctions();
+  lazy = { reader, tables: new Map() };
+
+  // Declared schema via a scratch DB: PRAGMAs resolve types, keys and references
+  const scratch = new SQL.Database();
+  try {
+    const declared = [];
+    for (const [type, table, , root, sql] of master) {
+      if (type !== 'table' || !root || typeof sql !== 'string' || /^sqlite_/i.test(table)) continue;
+      // Virtual and WITHOUT ROWID tables are not rowid b-trees: not readable here
+      if (/^\s*CREATE\s+VIRTUAL/i.test(sql) || tableOptions(sql).includes('WITHOUT ROWID')) continue;
+      try {
+        scratch.run(sql);
+        declared.push({ table, root });
+      } catch (_) {
+        // Unparseable DDL (custom collations, extensions): skip the table
+      }
+    }
+    for (const { table, root } of declared) stageTable(scratch, table, root);
+  } finally {
+    scratch.close();
+  }
+  if (!lazy.tables.size) throw new Error('NO_TABLES_FOUND');
+
+  // One pass over every table: exact row counts plus the complete sample rows
+  let visited = 0;
+  for (const [table, t] of lazy.tables) {
+    const insert = db.prepare(t.insertSql);
+    db.run('BEGIN');
+    try {
+      t.pages = await walkTable(reader, t.root, {
+        onLeaf: (p, h, cells) => {
+          for (let i = 0; i < cells && t.rows + i < SAMPLE_ROWS; i++) {
+            const cell = readLeafCell(reader, p, h, i);
+            insert.run(stagedRow(t, cell));
+            t.sampleRowid = cell.rowid;
+          }
+          t.rows += cells;
+        },
+        onBatch: (pages) => progress('open', 90 * (visited + pages) / reader.pageCount)
+      });
+      db.run('COMMIT');
+    } catch (err) {
+      db.run('ROLLBACK');
+      throw err;
+    } finally {
+      insert.free();
+    }
+    visited += t.pages;
+    progress('open', 90 * visited / reader.pageCount);
+    if (!t.rows) t.sampleRowid = 0;
+  }
 
-  return aggregateTable(mainTable);
+  tableInfo = listTables().map(describeTable);
+  return await describeSource(defaultTable(), []);
 }
 
-/* ------------------------ SCHEMA DISCOVERY ------------------------ */
+// Options after the column list ("WITHOUT ROWID, STRICT"), normalized to upper case
+function tableOptions(sql) {
+  const tail = sql.slice(sql.lastIndexOf(')') + 1).replace(/;\s*$/, '');
+  return tail.split(',').map(o => o.trim().replace(/\s+/g, ' ').toUpperCase()).filter(Boolean);
+}
 
-function listTables() {
-  const stmt = db.prepare(
-    "SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%'"
-  );
+// Value of a DEFAULT clause; ALTER TABLE ADD COLUMN only allows constants
+function defaultValue(conn, expr) {
+  if (expr == null) return null;
+  let stmt = null;
+  try {
+    stmt = conn.prepare(`SELECT ${expr}`);
+    return stmt.step() ? stmt.get()[0] : null;
+  } catch (_) {
+    return null;
+  } finally {
+    if (stmt) stmt.free();
+  }
+}
 
-  const names = [];
-  while (stmt.step()) {
-    names.push(stmt.get()[0]);
+// Staging table for one source table: same columns, types and references, no constraints
+function stageTable(scratch, table, root) {
+  const info = columnInfo(scratch, table);
+  const fks = new Map(listForeignKeys(table, scratch).map(fk => [fk.column, fk]));
+  // A lone INTEGER PRIMARY KEY aliases the rowid: the record stores NULL for it
+  const pk = info.filter(c => c.pk > 0);
+  const alias = pk.length === 1 && /^integer$/i.test(pk[0].type) ? info.indexOf(pk[0]) : -1;
+
+  const defs = info.map((c, i) => columnDef(c, fks.get(c.name)) + (i === alias ? ' PRIMARY KEY' : ''));
+  db.run(`CREATE TABLE ${escapeId(table)} (${defs.join(', ')})`);
+
+  // Non-alias tables keep the source rowid too, so sample rows stay first
+  const names = [...(alias < 0 ? ['rowid'] : []), ...info.map(c => escapeId(c.name))];
+  lazy.tables.set(table, {
+    root,
+    columns: info.map(c => c.name),
+    defaults: info.map(c => defaultValue(scratch, c.dflt)),
+    alias,
+    insertSql: `INSERT INTO ${escapeId(table)} (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`,
+    rows: 0,
+    pages: 0,
+    sampleRowid: null,
+    loaded: new Set()
+  });
+}
+
+// Bind values for one staged row. Records written before ALTER TABLE ADD
+// COLUMN are short: SQLite reads the missing columns as their default.
+function stagedRow(t, cell, keep = null) {
+  const values = t.columns.map((_, i) => {
+    if (keep && !keep[i]) return null;
+    return i < cell.values.length ? cell.values[i] : t.defaults[i];
+  });
+  if (t.alias >= 0) values[t.alias] = cell.rowid;
+  else values.unshift(cell.rowid);
+  return values;
+}
+
+/**
+ * Load `names` of `table` for every row (the columns already loaded stay).
+ * Rows are re-read in rowid order; the first SAMPLE_ROWS keep every column
+ * so schema profiling still sees complete rows.
+ */
+async function stageColumns(table, names) {
+  const t = lazy.tables.get(table);
+  if (!t) return;
+  const missing = names.filter(n => t.columns.includes(n) && !t.loaded.has(n));
+  if (!missing.length) return;
+
+  const loaded = new Set([...t.loaded, ...missing]);
+  const keep = t.columns.map(c => loaded.has(c));
+  const { reader } = lazy;
+  const insert = db.prepare(t.insertSql);
+  let rows = 0;
+  db.run('BEGIN');
+  try {
+    db.run(`DELETE FROM ${escapeId(table)}`);
+    await walkTable(reader, t.root, {
+      onLeaf: (p, h, cells) => {
+        for (let i = 0; i < cells; i++, rows++) {
+          const mask = rows < SAMPLE_ROWS ? null : keep;
+          insert.run(stagedRow(t, readLeafCell(reader, p, h, i, mask), mask));
+        }
+      },
+      onBatch: (pages) => {
+        progress('load', 100 * pages / (t.pages || 1));
+        // Staging is the wasm heap: stop before the tab runs out of memory
+        if (scalar('PRAGMA page_count') * scalar('PRAGMA page_size') > MAX_TOTAL_BYTES) {
+          throw new Error('STAGING_EXCEEDS_BUDGET');
+        }
+      }
+    });
+    db.run('COMMIT');
+  } catch (err) {
+    db.run('ROLLBACK');
+    throw err;
+  } finally {
+    insert.free();
   }
-  stmt.free();
-  return names;
+  t.loaded = loaded;
 }
 
-function listColumns(table) {
-  const stmt = db.prepare(`PRAGMA table_info(${escapeId(table)})`);
-  const cols = [];
-  while (stmt.step()) {
-    cols.push(stmt.get()[1]);
+// Columns a mapping reads, loaded per table (mapped roles plus join keys)
+async function stageSource(src, cols) {
+  const needed = new Map();
+  const need = (table, name) => {
+    if (!needed.has(table)) needed.set(table, new Set());
+    needed.get(table).add(name);
+  };
+  for (const col of Object.values(cols)) need(col.table, col.name);
+  for (const j of src.joins) {
+    need(src.table, j.column);
+    need(j.table, j.key);
   }
-  stmt.free();
-  return cols;
+  for (const [table, names] of needed) await stageColumns(table, [...names]);
 }
 
-/* ------------------------ AGGREGATIONS ------------------------ */
+/**
+ * Page access for one SQLite file. Pages are served from a small LRU of
+ * PAGE_CHUNK_BYTES chunks, so sequential scans read the file in large
+ * slices while memory stays at PAGE_CACHE_CHUNKS chunks.
+ */
+function openPageReader(file, name) {
+  const readBytes = (offset, length) =>
+    new Uint8Array(new FileReaderSync().readAsArrayBuffer(file.slice(offset, offset + length)));
 
-function aggregateTable(table) {
-  const columns = listColumns(table);
+  const header = readBytes(0, 100);
+  if (header.length < 100 || detectFormat(header, name) !== 'sqlite') throw new Error('NOT_A_DATABASE');
+  const view = new DataView(header.buffer, header.byteOffset, header.byteLength);
+  const rawSize = view.getUint16(16);
+  const pageSize = rawSize === 1 ? 65536 : rawSize;
+  if (pageSize < 512 || pageSize & (pageSize - 1)) throw new Error('NOT_A_DATABASE');
 
-  const colTime = columns.find(c => /time|date|created|timestamp/i.test(c));
-  const colDur  = columns.find(c => /duration|min|ms|length/i.test(c));
-  const colOp   = columns.find(c => /staff|user|operator|agent|doctor|nurse/i.test(c));
-  const colStat = columns.find(c => /status|state|type|category/i.test(c));
+  const encoding = view.getUint32(56);
+  const text = new TextDecoder(encoding === 2 ? 'utf-16le' : encoding === 3 ? 'utf-16be' : 'utf-8');
+  const pageCount = Math.floor(file.size / pageSize);
+  const stats = { pageReads: 0, chunkReads: 0, bytesRead: header.length };
+  const cache = new Map(); // chunk index -> bytes, least recently used first
 
-  const visits   = colTime ? buildVisits(table, colTime) : [];
-  const duration = colDur  ? buildDuration(table, colDur) : [];
-  const states   = colStat ? buildStates(table, colStat) : [];
-  const operators= colOp   ? buildOperators(table, colOp) : [];
+  function page(n) {
+    if (!(n >= 1 && n <= pageCount)) throw new Error('NOT_A_DATABASE');
+    const offset = (n - 1) * pageSize;
+    const index = Math.floor(offset / PAGE_CHUNK_BYTES);
+    let chunk = cache.get(index);
+    if (chunk) {
+      cache.delete(index);
+    } else {
+      chunk = readBytes(index * PAGE_CHUNK_BYTES, PAGE_CHUNK_BYTES);
+      stats.chunkReads++;
+      stats.bytesRead += chunk.length;
+      if (cache.size >= PAGE_CACHE_CHUNKS) cache.delete(cache.keys().next().value);
+    }
+    cache.set(index, chunk);
+    stats.pageReads++;
+    const start = offset - index * PAGE_CHUNK_BYTES;
+    return chunk.subarray(start, start + pageSize);
+  }
 
   return {
-    visits,
-    duration,
-    states,
-    operators,
-    volume: [] // intentionally empty (no synthetic data)
+    pageSize,
+    usable: pageSize - header[20], // minus reserved bytes per page
+    pageCount,
+    text,
+    stats,
+    page,
+    cacheBytes: () => [...cache.values()].reduce((n, c) => n + c.length, 0)
   };
 }
 
-/* ------------------------ METRICS ------------------------ */
+/**
+ * Walk a table b-tree in rowid order, calling onLeaf(page, headerOffset,
+ * cellCount) per leaf. Every LEAF_BATCH leaves it calls onBatch(pagesSoFar)
+ * and yields, so CANCEL lands mid-scan. Returns the pages visited.
+ */
+async function walkTable(reader, root, { onLeaf, onBatch = null }) {
+  const stack = [root];
+  let visited = 0;
+  let leaves = 0;
+  while (stack.length) {
+    const n = stack.pop();
+    // A tree can't have more pages than the file: anything else is a cycle
+    if (++visited > reader.pageCount) throw new Error('NOT_A_DATABASE');
+    const p = reader.page(n);
+    const h = n === 1 ? 100 : 0;
+    const cells = (p[h + 3] << 8) | p[h + 4];
 
-function buildVisits(table, col) {
-  const stmt = db.prepare(
-    `SELECT ${escapeId(col)} FROM ${escapeId(table)} ORDER BY ${escapeId(col)} ASC LIMIT ?`
-  );
-  stmt.bind([MAX_ROWS_SCAN]);
+    if (p[h] === 0x05) {
+      // Interior: push the right-most child first so the left-most pops first
+      stack.push(readUint32(p, h + 8));
+      for (let i = cells - 1; i >= 0; i--) stack.push(readUint32(p, cellOffset(p, h + 12, i)));
+    } else if (p[h] === 0x0d) {
+      onLeaf(p, h, cells);
+      if (++leaves % LEAF_BATCH === 0) {
+        if (onBatch) onBatch(visited);
+        await checkpoint();
+      }
+    } else {
+      throw new Error('NOT_A_DATABASE');
+    }
+  }
+  return visited;
+}
 
-  const buckets = Object.create(null);
+function readUint32(p, at) {
+  return ((p[at] << 24) >>> 0) + (p[at + 1] << 16) + (p[at + 2] << 8) + p[at + 3];
+}
 
-  while (stmt.step()) {
-    const raw = stmt.get()[0];
-    const date = normalizeDate(raw);
-    if (!date) continue;
+function cellOffset(p, pointers, i) {
+  return (p[pointers + 2 * i] << 8) | p[pointers + 2 * i + 1];
+}
 
-    date.setMinutes(0, 0, 0);
-    const key = date.toISOString();
-    buckets[key] = (buckets[key] || 0) + 1;
+// Varint decoder; the end offset is left in varintEnd (avoids a tuple per call)
+let varintEnd = 0;
+function readVarint(p, at) {
+  let v = 0;
+  for (let i = 0; i < 8; i++) {
+    const b = p[at + i];
+    v = v * 128 + (b & 0x7f);
+    if (b < 0x80) {
+      varintEnd = at + i + 1;
+      return v;
+    }
   }
-  stmt.free();
-
-  return Object.keys(buckets)
-    .sort()
-    .slice(-24)
-    .map(k => ({ date: k, value: buckets[k] }));
+  varintEnd = at + 9;
+  return v * 256 + p[at + 8];
 }
 
-function buildDuration(table, col) {
-  const stmt = db.prepare(
-    `SELECT ${escapeId(col)} FROM ${escapeId(table)} WHERE typeof(${escapeId(col)}) IN ('integer','real') LIMIT 100`
-  );
+/**
+ * One table-leaf cell: { rowid, values }. Payloads that spill past the page
+ * are reassembled from the overflow chain. `keep` (per column) skips
+ * decoding columns that are not needed; they come back null.
+ */
+function readLeafCell(reader, p, h, i, keep = null) {
+  let at = cellOffset(p, h + 8, i);
+  const size = readVarint(p, at);
+  const rowid = readVarint(p, varintEnd);
+  at = varintEnd;
 
-  const out = [];
-  let i = 0;
-  while (stmt.step()) {
-    out.push({ index: i++, value: stmt.get()[0] });
+  const usable = reader.usable;
+  const maxLocal = usable - 35;
+  let payload;
+  if (size <= maxLocal) {
+    payload = p.subarray(at, at + size);
+  } else {
+    const minLocal = Math.floor((usable - 12) * 32 / 255) - 23;
+    const k = minLocal + ((size - minLocal) % (usable - 4));
+    const local = k <= maxLocal ? k : minLocal;
+    payload = new Uint8Array(size);
+    payload.set(p.subarray(at, at + local));
+    let filled = local;
+    let next = readUint32(p, at + local);
+    while (filled < size) {
+      if (!next) throw new Error('NOT_A_DATABASE');
+      const o = reader.page(next);
+      const n = Math.min(usable - 4, size - filled);
+      payload.set(o.subarray(4, 4 + n), filled);
+      filled += n;
+      next = readUint32(o, 0);
+    }
   }
-  stmt.free();
-  return out;
+  return { rowid, values: decodeRecord(payload, reader.text, keep) };
 }
 
-function buildStates(table, col) {
-  const stmt = db.prepare(
-    `SELECT ${escapeId(col)}, COUNT(*) FROM ${escapeId(table)}
-     GROUP BY ${escapeId(col)} ORDER BY COUNT(*) DESC LIMIT ?`
-  );
-  stmt.bind([MAX_GROUP_ROWS]);
+// Bytes per serial type 0-9; 10 and 11 are reserved
+const SERIAL_SIZES = [0, 1, 2, 3, 4, 6, 8, 8, 0, 0];
 
-  const out = [];
-  while (stmt.step()) {
-    const [k, v] = stmt.get();
-    out.push({ category: String(k ?? 'UNKNOWN'), value: v });
+function decodeRecord(buf, text, keep) {
+  const headerSize = readVarint(buf, 0);
+  let at = varintEnd;
+  let body = headerSize;
+  const values = [];
+  while (at < headerSize) {
+    const type = readVarint(buf, at);
+    at = varintEnd;
+    const size = type < 12 ? SERIAL_SIZES[type] ?? 0 : (type - 12) >> 1;
+    values.push(keep && !keep[values.length] ? null : serialValue(buf, body, type, size, text));
+    body += size;
   }
-  stmt.free();
-  return out;
+  return values;
 }
 
-function buildOperators(table, col) {
-  const stmt = db.prepare(
-    `SELECT ${escapeId(col)}, COUNT(*) FROM ${escapeId(table)}
-     GROUP BY ${escapeId(col)} ORDER BY COUNT(*) DESC LIMIT ?`
-  );
-  stmt.bind([MAX_GROUP_ROWS]);
-
-  const out = [];
-  while (stmt.step()) {
-    const [k, v] = stmt.get();
-    out.push({ name: String(k ?? 'SYSTEM'), value: v });
+function serialValue(buf, at, type, size, text) {
+  if (type === 0 || type === 10 || type === 11) return null;
+  if (type === 8) return 0;
+  if (type === 9) return 1;
+  if (type === 7) return new DataView(buf.buffer, buf.byteOffset + at, 8).getFloat64(0);
+  if (type === 6) return Number(new DataView(buf.buffer, buf.byteOffset + at, 8).getBigInt64(0));
+  if (type < 6) {
+    // Big-endian two's complement, 1-6 bytes: exact as a double
+    let v = buf[at] & 0x80 ? buf[at] - 256 : buf[at];
+    for (let i = 1; i < size; i++) v = v * 256 + buf[at + i];
+    return v;
   }
-  stmt.free();
-  return out;
+  return type & 1 ? text.decode(buf.subarray(at, at + size)) : buf.slice(at, at + size);
 }
 
-/* ------------------------ DATE NORMALIZATION ------------------------ */
+function largeFileStats() {
+  if (!lazy) return null;
+  const { reader } = lazy;
+  const staged = {};
+  for (const [table, t] of lazy.tables) if (t.loaded.size) staged[table] = [...t.loaded];
+  return {
+    pageSize: reader.pageSize,
+    pageCount: reader.pageCount,
+    pageReads: reader.stats.pageReads,
+    chunkReads: reader.stats.chunkReads,
+    bytesRead: reader.stats.bytesRead,
+    cacheBytes: reader.cacheBytes(),
+    stagedBytes: scalar('PRAGMA page_count') * scalar('PRAGMA page_size'),
+    staged
+  };
+}
 
-function normalizeDate(value) {
-  if (value == null) return null;
+/* ------------------------ CORE LOGIC ------------------------ */
 
-  if (typeof value === 'number') {
-    if (value > 1e12) return new Date(value);          // ms
-    if (value > 1e9)  return new Date(value * 1000);   // seconds
+async function analyzeDatabase(buffer, name) {
+  if (!SQL) throw new Error('WORKER_NOT_READY');
+  if (!buffer || !buffer.byteLength) throw new Error('EMPTY_FILE');
+  if (buffer.byteLength > MAX_DB_BYTES) throw new Error('FILE_EXCEEDS_CAPACITY');
+
+  const bytes = new Uint8Array(buffer);
+  const format = detectFormat(bytes, name);
+
+  closeDb();
+  progress('open', 0);
+  db = new SQL.Database(format === 'sqlite' ? bytes : undefined);
+  registerFunctions();
+  if (format !== 'sqlite') importFlatFile(bytes, format, name);
+  await checkpoint();
+
+  const tables = listTables();
+  if (!tables.length) throw new Error('NO_TABLES_FOUND');
+
+  tableInfo = await describeTables(tables, 40);
+  // An imported file is a single table: it is the candidate whatever it is called
+  if (format !== 'sqlite') tableInfo.forEach(t => { t.candidate = true; });
+
+  progress('schema', 90);
+  return await describeSource(defaultTable(), []);
+}
+
+// Table inventory for schema discovery; progress runs from `start` to 90%
+async function describeTables(tables, start) {
+  const info = [];
+  for (const [i, table] of tables.entries()) {
+    progress('schema', start + (90 - start) * i / tables.length);
+    await checkpoint();
+    info.push(describeTable(table));
   }
+  return info;
+}
 
-  const d = new Date(value);
-  return isNaN(d.getTime()) ? null : d;
+// Default to the largest candidate; the user can pick another in the mapping step
+function defaultTable() {
+  const mainTable = tableInfo
+    .filter(t => t.candidate)
+    .sort((a, b) => b.rows - a.rows)[0];
+  if (!mainTable) throw new Error('INVALID_SCHEMA');
+  return mainTable.name;
+}
+
+/**
+ * Union several exports (one per facility) into a staging DB. Sources come
+ * as File and are read, opened and copied row by row one at a time, so peak
+ * memory is the staging DB plus the largest single file (its bytes and
+ * sql.js's copy of them). Tables with the same name are merged
+ * (columns unioned) and every row gets SITE_COLUMN. Primary keys are dropped
+ * (ids repeat across sites); single-column foreign keys are kept so join
+ * suggestions still work, and lookups join per site.
+ */
+async function mergeDatabases(files) {
+  if (!SQL) throw new Error('WORKER_NOT_READY');
+  let total = 0;
+  for (const f of files) {
+    const size = f?.file ? f.file.size : f?.buffer?.byteLength;
+    if (!size) throw new Error('EMPTY_FILE');
+    if (size > MAX_DB_BYTES) throw new Error('FILE_EXCEEDS_CAPACITY');
+    total += size;
+  }
+  if (total > MAX_TOTAL_BYTES) throw new Error('TOTAL_EXCEEDS_BUDGET');
+
+  closeDb();
+  db = new SQL.Database();
+  registerFunctions();
+
+  const staged = new Map(); // table -> { columns: Set(lowercase), flat }
+  const merged = [];
+  for (const [i, f] of files.entries()) {
+    progress('open', 60 * i / files.length);
+    await checkpoint();
+    const bytes = f.file ? new Uint8Array(new FileReaderSync().readAsArrayBuffer(f.file)) : new Uint8Array(f.buffer);
+    const format = detectFormat(bytes, f.name);
+    const src = format === 'sqlite' ? new SQL.Database(bytes) : new SQL.Database();
+    try {
+      if (format !== 'sqlite') importFlatFile(bytes, format, f.name, src, MERGED_FLAT_TABLE);
+      const label = siteLabel(src, f.name);
+      const site = uniqueSite(label.site, merged);
+      let rows = 0;
+      for (const table of listTables(src)) {
+        await checkpoint();
+        rows += copyTable(src, table, site, staged, format !== 'sqlite');
+      }
+      merged.push({ site, file: f.name, labelFrom: label.from, rows });
+    } finally {
+      src.close();
+    }
+    // Staging grows with every file; stop before the tab runs out of memory
+    if (scalar('PRAGMA page_count') * scalar('PRAGMA page_size') > MAX_TOTAL_BYTES) {
+      throw new Error('TOTAL_EXCEEDS_BUDGET');
+    }
+  }
+
+  sites = merged;
+  const tables = listTables();
+  if (!tables.length) throw new Error('NO_TABLES_FOUND');
+  tableInfo = await describeTables(tables, 60);
+  tableInfo.forEach(t => { if (staged.get(t.name)?.flat) t.candidate = true; });
+
+  progress('schema', 90);
+  return await describeSource(defaultTable(), []);
+}
+
+/**
+ * Site label from a metadata table (key/value rows or a site column),
+ * falling back to the file name.
+ */
+function siteLabel(src, fileName) {
+  for (const table of listTables(src).filter(t => SITE_META_TABLE.test(t))) {
+    const cols = listColumns(table, src).map(c => c.toLowerCase());
+    const real = listColumns(table, src);
+    const keyCol = real[cols.indexOf('key')] ?? real[cols.indexOf('name')];
+    const valueCol = real[cols.indexOf('value')];
+    if (keyCol && valueCol) {
+      const v = scalar(
+        `SELECT ${escapeId(valueCol)} FROM ${escapeId(table)}
+         WHERE lower(${escapeId(keyCol)}) IN (${SITE_META_KEYS.map(() => '?').join(', ')}) LIMIT 1`,
+        SITE_META_KEYS, src
+      );
+      if (v != null && String(v).trim()) return { site: String(v).trim(), from: 'metadata' };
+    }
+    const siteCol = real[cols.findIndex(c => SITE_META_KEYS.includes(c))];
+    if (siteCol) {
+      const v = scalar(`SELECT ${escapeId(siteCol)} FROM ${escapeId(table)} WHERE ${escapeId(siteCol)} IS NOT NULL LIMIT 1`, null, src);
+      if (v != null && String(v).trim()) return { site: String(v).trim(), from: 'metadata' };
+    }
+  }
+  const base = String(fileName || '').split(/[\\/]/).pop().replace(/\.[^.]*$/, '').trim();
+  return { site: base || 'site', from: 'filename' };
+}
+
+function uniqueSite(label, merged) {
+  let site = label;
+  for (let n = 2; merged.some(m => m.site === site); n++) site = `${label} (${n})`;
+  return site;
+}
+
+/**
+ * Append one source table to the staging table of the same name, creating
+ * or widening it as needed. Returns the number of rows copied.
+ */
+function copyTable(src, table, site, staged, flat) {
+  const info = columnInfo(src, table).filter(c => c.name.toLowerCase() !== SITE_COLUMN);
+  const fks = new Map(listForeignKeys(table, src).map(fk => [fk.column, fk]));
+  const colDef = c => columnDef(c, fks.get(c.name));
+
+  let target = staged.get(table);
+  if (!target) {
+    db.run(`CREATE TABLE ${escapeId(table)} (${[...info.map(colDef), `${escapeId(SITE_COLUMN)} TEXT`].join(', ')})`);
+    target = { columns: new Set(info.map(c => c.name.toLowerCase())), flat };
+    staged.set(table, target);
+  } else {
+    for (const c of info) {
+      if (target.columns.has(c.name.toLowerCase())) continue;
+      db.run(`ALTER TABLE ${escapeId(table)} ADD COLUMN ${colDef(c)}`);
+      target.columns.add(c.name.toLowerCase());
+    }
+  }
+
+  const names = [...info.map(c => c.name), SITE_COLUMN];
+  const insert = db.prepare(
+    `INSERT INTO ${escapeId(table)} (${names.map(escapeId).join(', ')}) VALUES (${names.map(() => '?').join(', ')})`
+  );
+  const read = src.prepare(`SELECT ${info.map(c => escapeId(c.name)).join(', ')} FROM ${escapeId(table)}`);
+  let rows = 0;
+  db.run('BEGIN');
+  try {
+    while (read.step()) {
+      insert.run([...read.get(), site]);
+      rows++;
+    }
+    db.run('COMMIT');
+  } catch (err) {
+    db.run('ROLLBACK');
+    throw err;
+  } finally {
+    read.free();
+    insert.free();
+  }
+  return rows;
+}
+
+// Column definition without constraints, keeping a single-column reference
+function columnDef(c, fk) {
+  const ref = fk ? ` REFERENCES ${escapeId(fk.table)}(${escapeId(fk.key)})` : '';
+  return `${escapeId(c.name)} ${c.type || ''}${ref}`.trim();
+}
+
+/**
+ * Switch the primary table / joins and report the resulting schema.
+ */
+async function describeSource(table, joins) {
+  if (!tableInfo.some(t => t.name === table)) throw new Error('UNKNOWN_TABLE');
+  joins = Array.isArray(joins) ? joins : [];
+  // Large files: the join check reads every key, so load the key columns first
+  if (lazy) {
+    for (const j of joins) {
+      await stageColumns(table, [j?.column]);
+      await stageColumns(j?.table, [j?.key]);
+    }
+  }
+  source = buildSource(table, joins);
+  schema = buildSchemaReport(source);
+  return schema;
+}
+
+/**
+ * Run the aggregations with a user-confirmed column mapping.
+ * Every mapped column must exist in the current source (table + joins).
+ */
+async function aggregateMapped({
+  mapping, range, buckets, rateWindow, filters, bySite, exclude, timezone, privacy, shiftHours, roleMap
+}) {
+  const cols = mappedColumns(mapping, timezone);
+  const options = privacyOptions(privacy);
+  if (lazy) await stageSource(source, cols);
+  const unmasked = await unmaskFilters(source, cols, filters, options);
+  const q = buildQuery(source, cols, range, buckets, unmasked, exclude, timezone);
+  q.rateWindow = RATE_WINDOWS.includes(rateWindow) ? rateWindow : DEFAULT_RATE_WINDOW;
+  q.bySite = !!bySite;
+  q.privacy = options;
+  q.shiftHours = SHIFT_HOURS.includes(shiftHours) ? shiftHours : DEFAULT_SHIFT_HOURS;
+  q.roleMap = roleMapOf(roleMap);
+  return await aggregateTable(q);
+}
+
+function mappedColumns(mapping, timezone) {
+  if (!db || !source) throw new Error('NO_DATABASE_OPEN');
+
+  const cols = Object.create(null);
+  for (const role of Object.keys(ROLES)) {
+    const key = mapping?.[role];
+    if (key == null || key === '') continue;
+    const col = source.columns.find(c => c.key === key);
+    if (!col) throw new Error('INVALID_MAPPING');
+    cols[role] = col;
+  }
+
+  // The time column carries its format (the user's override, else the
+  // detected one) and the zone its offset-less wall times are read in
+  const override = mapping?.timeFormat;
+  if (override != null && override !== '' && !Object.hasOwn(DATE_FORMATS, override)) throw new Error('INVALID_DATE_FORMAT');
+  if (cols.time) {
+    const detected = schema?.columns.find(c => c.name === cols.time.key)?.dateFormat || null;
+    cols.time = {
+      ...cols.time,
+      zone: queryZone(timezone).name,
+      format: override || detected?.format || 'auto',
+      formatSource: override ? 'override' : 'detected',
+      formatAmbiguous: override ? null : detected?.ambiguous || null
+    };
+  }
+  return cols;
+}
+
+/**
+ * Rows behind the current view (drill-down): the mapped columns of rows
+ * matching the range and filters, newest first, one page at a time. Staff
+ * values are pseudonymized like the aggregates when privacy asks for it.
+ */
+async function queryRows({ mapping, range, filters, limit, offset, exclude, timezone, privacy }) {
+  const cols = mappedColumns(mapping, timezone);
+  const roles = Object.keys(cols);
+  if (!roles.length) throw new Error('INVALID_MAPPING');
+  const options = privacyOptions(privacy);
+  if (lazy) await stageSource(source, cols);
+  const unmasked = await unmaskFilters(source, cols, filters, options);
+  const q = buildQuery(source, cols, range, {}, unmasked, exclude, timezone);
+
+  const pageSize = Math.min(Math.max(1, Math.floor(limit) || DEFAULT_QUERY_ROWS), MAX_QUERY_ROWS);
+  const skip = Math.max(0, Math.floor(offset) || 0);
+  const w = whereClause(q);
+  const total = scalar(`SELECT COUNT(*) FROM ${q.src.from} ${w.sql}`, w.params);
+
+  const order = cols.time ? `ORDER BY ${tsExpr(cols.time)} DESC` : '';
+  const stmt = db.prepare(
+    `SELECT ${roles.map(r => cols[r].expr).join(', ')} FROM ${q.src.from} ${w.sql} ${order} LIMIT ? OFFSET ?`
+  );
+  stmt.bind([...w.params, pageSize, skip]);
+  const rows = [];
+  while (stmt.step()) rows.push(stmt.get().map(v => (v instanceof Uint8Array ? null : v)));
+  stmt.free();
+
+  const staff = roles.indexOf('operator');
+  if (options?.pseudonymize && staff !== -1) {
+    for (const row of rows) {
+      if (row[staff] != null) row[staff] = await pseudonymOf(row[staff], options.salt);
+    }
+  }
+
+  return { columns: roles.map(role => ({ role, key: cols[role].key })), rows, total, offset: skip };
+}
+
+/* ------------------------ SQL CONSOLE ------------------------ */
+
+/**
+ * Error carrying SQLite's own message (syntax errors, missing tables,
+ * write attempts) for display in the console.
+ */
+function sqlError(code, message) {
+  const err = new Error(code);
+  err.detail = { message: String(message || '') };
+  return err;
+}
+
+/**
+ * Run one user-written statement against the open DB. Read-only is enforced
+ * by SQLite itself: this sql.js build exposes neither sqlite3_stmt_readonly
+ * nor an authorizer, so the statement runs under PRAGMA query_only, which
+ * fails any write at execution. Statements without result columns (PRAGMA
+ * setters, ATTACH, DDL) are refused before they run, so query_only cannot
+ * be switched off from the console. PRAGMAs with an argument can return a
+ * row and still change connection settings (max_page_count, journal_mode),
+ * so they are refused too; the pragma_* table functions cover the reads.
+ *
+ * Rows stop at SQL_ROW_LIMIT. The timeout is checked between steps: a single
+ * step that sorts or groups a large table can overrun it.
+ */
+async function runConsoleQuery(sql) {
+  // Tells the app the query left the queue: its own deadline starts here
+  progress('sql', 0);
+  const text = String(sql ?? '').trim();
+  if (!text) throw new Error('SQL_EMPTY');
+  if (text.length > MAX_SQL_LENGTH) throw new Error('SQL_TOO_LONG');
+
+  // Compile every statement (nothing runs) to refuse batches
+  let count = 0;
+  try {
+    for (const _ of db.iterateStatements(text)) count++;
+  } catch (err) {
+    throw sqlError('SQL_ERROR', err.message);
+  }
+  if (count === 0) throw new Error('SQL_EMPTY');
+  if (count > 1) throw new Error('SQL_MULTIPLE_STATEMENTS');
+
+  const started = Date.now();
+  const deadline = started + SQL_TIMEOUT_MS;
+  let stmt = null;
+  db.run('PRAGMA query_only = ON');
+  try {
+    try {
+      stmt = db.prepare(text);
+    } catch (err) {
+      throw sqlError('SQL_ERROR', err.message);
+    }
+    const columns = stmt.getColumnNames();
+    if (!columns.length) throw new Error('SQL_NOT_A_QUERY');
+    if (/^PRAGMA\b[^;]*[=(]/i.test(stmt.getNormalizedSQL())) throw new Error('SQL_NOT_A_QUERY');
+
+    const rows = [];
+    let truncated = false;
+    for (;;) {
+      let more;
+      try {
+        more = stmt.step();
+      } catch (err) {
+        throw sqlError('SQL_ERROR', err.message);
+      }
+      if (!more) break;
+      if (rows.length === SQL_ROW_LIMIT) {
+        truncated = true;
+        break;
+      }
+      rows.push(stmt.get().map(v => (v instanceof Uint8Array ? previewValue(v) : v)));
+      if (Date.now() > deadline) throw new Error('SQL_TIMEOUT');
+      if (rows.length % SQL_CHECK_ROWS === 0) await checkpoint();
+    }
+
+    return {
+      columns,
+      rows,
+      truncated,
+      rowLimit: SQL_ROW_LIMIT,
+      elapsedMs: Date.now() - started,
+      // Large-file mode queries the staging DB: unmapped columns are sampled only
+      partial: !!lazy
+    };
+  } finally {
+    if (stmt) stmt.free();
+    db.run('PRAGMA query_only = OFF');
+  }
+}
+
+/**
+ * SQL helpers bound to the open DB. Timestamps are stored in whatever shape
+ * the EMR exported (see DATE_FORMATS), so range filters and bucketing go
+ * through normalizeDate in the time column's format and zone instead of
+ * comparing raw column values.
+ */
+function registerFunctions() {
+  db.create_function('mu_ts', (v) => {
+    const d = normalizeDate(v);
+    return d ? d.getTime() : null;
+  });
+  db.create_function('mu_ts_as', (v, format, tz) => {
+    const d = normalizeDate(v, format, zoneFor(tz));
+    return d ? d.getTime() : null;
+  });
+  db.create_function('mu_num', (v) => {
+    if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+    if (typeof v !== 'string' || v.trim() === '') return null;
+    const n = Number(v);
+    return Number.isFinite(n) ? n : null;
+  });
+  db.create_function('mu_shift', (v, format, tz, hours) => {
+    const d = normalizeDate(v, format, zoneFor(tz));
+    if (!d || !SHIFT_HOURS.includes(hours)) return null;
+    return Math.floor((zoneFor(tz).toWall(d.getTime()) - SHIFT_START_HOUR * HOUR_MS) / (hours * HOUR_MS));
+  });
+  db.create_function('mu_bucket', (v, unit, tz, format) => {
+    const d = normalizeDate(v, format, zoneFor(tz));
+    if (!d || !BUCKET_UNITS[unit]) return null;
+    return BUCKET_UNITS[unit].floor(d.getTime(), zoneFor(tz));
+  });
+}
+
+/* ------------------------ SCHEMA DISCOVERY ------------------------ */
+
+function listTables(conn = db) {
+  const stmt = conn.prepare(
+    "SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%'"
+  );
+
+  const names = [];
+  while (stmt.step()) {
+    names.push(stmt.get()[0]);
+  }
+  stmt.free();
+  return names;
+}
+
+function scalar(sql, params, conn = db) {
+  const stmt = conn.prepare(sql);
+  if (params) stmt.bind(params);
+  stmt.step();
+  const v = stmt.get()[0];
+  stmt.free();
+  return v;
+}
+
+function listColumns(table, conn = db) {
+  return columnInfo(conn, table).map(c => c.name);
+}
+
+function columnInfo(conn, table) {
+  const stmt = conn.prepare(`PRAGMA table_info(${escapeId(table)})`);
+  const cols = [];
+  while (stmt.step()) {
+    const row = stmt.get(); // cid, name, type, notnull, dflt_value, pk
+    cols.push({ name: row[1], type: row[2], dflt: row[4], pk: row[5] });
+  }
+  stmt.free();
+  return cols;
+}
+
+function primaryKeyOf(table, conn = db) {
+  const stmt = conn.prepare(`PRAGMA table_info(${escapeId(table)})`);
+  let pk = null;
+  while (stmt.step()) {
+    const row = stmt.get(); // cid, name, type, notnull, dflt_value, pk
+    if (row[5] === 1) pk = row[1];
+  }
+  stmt.free();
+  return pk;
+}
+
+function listForeignKeys(table, conn = db) {
+  const stmt = conn.prepare(`PRAGMA foreign_key_list(${escapeId(table)})`);
+  const byId = new Map();
+  while (stmt.step()) {
+    const row = stmt.get(); // id, seq, table, from, to, on_update, on_delete, match
+    if (!byId.has(row[0])) byId.set(row[0], []);
+    byId.get(row[0]).push({ column: row[3], table: row[2], key: row[4] ?? primaryKeyOf(row[2], conn) });
+  }
+  stmt.free();
+  // Composite keys can't be resolved to a single lookup column
+  return [...byId.values()].filter(parts => parts.length === 1 && parts[0].key).map(parts => parts[0]);
+}
+
+function describeTable(name) {
+  return {
+    name,
+    rows: lazy ? lazy.tables.get(name).rows : scalar(`SELECT COUNT(*) FROM ${escapeId(name)}`),
+    columns: listColumns(name),
+    foreignKeys: listForeignKeys(name),
+    candidate: TABLE_HINT.test(name)
+  };
+}
+
+/**
+ * Build the FROM clause for the primary table plus declared lookups.
+ * Joined columns are exposed as `<fk column> → <table>.<column>` so the same
+ * table can be joined twice (e.g. doctor_id and nurse_id both to staff).
+ */
+function buildSource(table, joins) {
+  if (joins.length > MAX_JOINS) throw new Error('TOO_MANY_JOINS');
+
+  const primaryCols = listColumns(table);
+  const columns = primaryCols.map(name => ({ key: name, expr: `t.${escapeId(name)}`, tokens: tokenize(name), table, name }));
+  let from = `${escapeId(table)} AS t`;
+
+  joins.forEach((j, i) => {
+    const target = tableInfo.find(t => t.name === j?.table);
+    if (!target || !primaryCols.includes(j.column) || !target.columns.includes(j.key)) {
+      throw new Error('INVALID_JOIN');
+    }
+    // Merged exports repeat ids across sites: look up within the row's own site
+    const perSite = primaryCols.includes(SITE_COLUMN) && target.columns.includes(SITE_COLUMN);
+    const keyParts = perSite ? [j.key, SITE_COLUMN] : [j.key];
+
+    // A non-unique lookup key would multiply primary rows and inflate every count
+    const dupes = scalar(
+      `SELECT COUNT(*) FROM (SELECT 1 FROM ${escapeId(j.table)} WHERE ${escapeId(j.key)} IS NOT NULL
+       GROUP BY ${keyParts.map(escapeId).join(', ')} HAVING COUNT(*) > 1)`
+    );
+    if (dupes > 0) throw new Error('JOIN_KEY_NOT_UNIQUE');
+
+    const alias = `j${i}`;
+    const on = keyParts.map((k, n) => `${n ? `t.${escapeId(k)}` : `t.${escapeId(j.column)}`} = ${alias}.${escapeId(k)}`);
+    from += ` LEFT JOIN ${escapeId(j.table)} AS ${alias} ON ${on.join(' AND ')}`;
+
+    const tableTokens = tokenize(j.table);
+    for (const name of target.columns) {
+      columns.push({
+        key: `${j.column} → ${j.table}.${name}`,
+        expr: `${alias}.${escapeId(name)}`,
+        tokens: tokenize(name),
+        tableTokens,
+        table: j.table,
+        name
+      });
+    }
+  });
+
+  return {
+    table,
+    joins: joins.map(j => ({ column: j.column, table: j.table, key: j.key })),
+    joinedColumns: new Set(joins.map(j => j.column)),
+    from,
+    columns
+  };
+}
+
+/**
+ * Profile a column from a bounded sample of its non-null values.
+ */
+function profileColumn(src, col, rowCount) {
+  // Large files: only the sample rows are complete (see stageColumns)
+  const sample = lazy ? lazy.tables.get(src.table).sampleRowid : null;
+  const bound = sample == null ? [] : [sample];
+
+  const stmt = db.prepare(
+    `SELECT ${col.expr} FROM ${src.from} WHERE ${col.expr} IS NOT NULL${bound.length ? ' AND t.rowid <= ?' : ''} LIMIT ?`
+  );
+  stmt.bind([...bound, SAMPLE_ROWS]);
+
+  const values = [];
+  while (stmt.step()) values.push(stmt.get()[0]);
+  stmt.free();
+
+  const distinct = scalar(
+    `SELECT COUNT(DISTINCT ${col.expr}) FROM ${src.from}${bound.length ? ' WHERE t.rowid <= ?' : ''}`,
+    bound
+  );
+
+  const n = values.length || 1;
+  const numeric = values.filter(v => typeof v === 'number');
+
+  return {
+    samples: values.slice(0, SAMPLE_PREVIEW).map(previewValue),
+    distinct,
+    distinctRatio: rowCount ? distinct / rowCount : 0,
+    numericShare: numeric.length / n,
+    negativeShare: numeric.filter(v => v < 0).length / n,
+    textShare: values.filter(v => typeof v === 'string' && isNaN(Number(v))).length / n,
+    dateShare: values.filter(looksLikeDate).length / n,
+    dateFormat: detectDateFormat(values),
+    empty: values.length === 0
+  };
+}
+
+function scoreTokens(role, tokens) {
+  let best = 0;
+  for (const t of tokens) best = Math.max(best, ROLES[role].tokens[t] || 0);
+  return best;
+}
+
+function scoreName(role, col, src) {
+  let score = scoreTokens(role, col.tokens);
+  // Looked-up columns inherit most of their meaning from the table (staff.name),
+  // except a role, which is named by its own column (staff.cadre)
+  if (col.tableTokens && role !== 'staffRole') score = 0.7 * scoreTokens(role, col.tableTokens) + 0.3 * score;
+  if (role !== 'operator' && col.tokens.some(t => ID_TOKENS[t])) score *= 0.4;
+  // A key the user resolved through a join is superseded by the looked-up columns
+  if (src.joinedColumns.has(col.key)) score *= 0.5;
+  return score;
+}
+
+/**
+ * Rank every column for every role. Confidence blends the name match with
+ * how well the stored values fit the role; value evidence alone is capped.
+ */
+function buildSchemaReport(src) {
+  // Lookups are LEFT JOINs on unique keys, so the primary table's count holds
+  const rowCount = lazy ? lazy.tables.get(src.table).rows : scalar(`SELECT COUNT(*) FROM ${src.from}`);
+  const profiled = lazy ? Math.min(rowCount, SAMPLE_ROWS) : rowCount;
+  const columns = src.columns.map(col => ({
+    col,
+    name: col.key,
+    profile: profileColumn(src, col, profiled)
+  }));
+
+  const roles = {};
+  for (const role of Object.keys(ROLES)) {
+    const candidates = columns
+      .map(c => {
+        const nameScore = scoreName(role, c.col, src);
+        const valueScore = c.profile.empty ? 0 : ROLES[role].profile(c.profile);
+        const confidence = nameScore > 0
+          ? 0.6 * nameScore + 0.4 * valueScore
+          : 0.3 * valueScore;
+        return { column: c.name, confidence: Math.round(confidence * 100) / 100 };
+      })
+      .filter(c => c.confidence > 0)
+      .sort((a, b) => b.confidence - a.confidence);
+
+    const top = candidates[0];
+    roles[role] = {
+      suggested: top && top.confidence >= MIN_SUGGEST_CONFIDENCE ? top.column : null,
+      candidates
+    };
+  }
+
+  return {
+    table: src.table,
+    joins: src.joins,
+    tables: tableInfo,
+    rowCount,
+    columns: columns.map(c => ({
+      name: c.name,
+      samples: c.profile.samples,
+      distinct: c.profile.distinct,
+      dateFormat: c.profile.dateFormat
+    })),
+    roles,
+    sites,
+    ragged,
+    largeFile: largeFileStats()
+  };
+}
+
+/* ------------------------ QUERY CONTEXT ------------------------ */
+
+function timeExtent(src, col) {
+  const stmt = db.prepare(`SELECT MIN(${tsExpr(col)}), MAX(${tsExpr(col)}) FROM ${src.from}`);
+  stmt.step();
+  const [min, max] = stmt.get();
+  stmt.free();
+  return { min, max };
+}
+
+function finiteOrNull(v) {
+  return typeof v === 'number' && Number.isFinite(v) ? v : null;
+}
+
+/**
+ * Turn the requested range into absolute epoch-ms bounds (inclusive).
+ * null bounds mean "open" on that side.
+ */
+function resolveRange(range, extent) {
+  const preset = range?.preset || 'all';
+
+  if (preset === 'custom') {
+    const from = finiteOrNull(range.from);
+    const to = finiteOrNull(range.to);
+    if (from != null && to != null && from > to) throw new Error('INVALID_RANGE');
+    return { preset, from, to };
+  }
+
+  if (RANGE_SPANS[preset] && extent.max != null) {
+    // (max - span, max]: exactly 24 hourly buckets for the 24h preset
+    return { preset, from: extent.max - RANGE_SPANS[preset] + 1, to: extent.max };
+  }
+
+  return { preset: 'all', from: null, to: null };
+}
+
+/**
+ * Cross-filter clause for one role: values are OR-ed, NULL matched explicitly.
+ */
+function filterClause(col, values) {
+  const plain = values.filter(v => v != null);
+  const parts = [];
+  if (plain.length) parts.push(`${col.expr} IN (${plain.map(() => '?').join(', ')})`);
+  if (plain.length < values.length) parts.push(`${col.expr} IS NULL`);
+  return { sql: `(${parts.join(' OR ')})`, params: plain };
+}
+
+/**
+ * Query context shared by every aggregation: source, mapped columns and the
+ * WHERE clause, so all panels read exactly the same rows. Each clause carries
+ * the role it filters on; a categorical panel drops its own role's filter so
+ * it keeps showing every category while the other panels narrow down.
+ */
+function buildQuery(src, cols, range, buckets, filters, exclude, timezone) {
+  const where = [];
+  let extent = { min: null, max: null };
+  let resolved = { preset: 'all', from: null, to: null };
+
+  if (cols.time) {
+    extent = timeExtent(src, cols.time);
+    resolved = resolveRange(range, extent);
+    if (resolved.from != null) {
+      where.push({ role: 'time', sql: `${tsExpr(cols.time)} >= ?`, params: [resolved.from] });
+    }
+    if (resolved.to != null) {
+      where.push({ role: 'time', sql: `${tsExpr(cols.time)} <= ?`, params: [resolved.to] });
+    }
+  }
+
+  const applied = [];
+  for (const role of FILTER_ROLES) {
+    const values = (Array.isArray(filters) ? filters : [])
+      .filter(f => f && f.role === role)
+      .map(f => (typeof f.value === 'number' || typeof f.value === 'string' ? f.value : null));
+    if (!values.length) continue;
+    if (!cols[role] || values.length > MAX_FILTER_VALUES) throw new Error('INVALID_FILTER');
+    where.push({ role, ...filterClause(cols[role], values) });
+    applied.push(...values.map(value => ({ role, value })));
+  }
+
+  // Rows flagged by the chosen quality checks; checks on unmapped roles don't apply
+  const excluded = [];
+  for (const id of Array.isArray(exclude) ? exclude : []) {
+    const flag = qualityFlag(id, src, cols);
+    if (!flag || excluded.includes(id)) continue;
+    where.push({ role: 'quality', sql: `COALESCE((${flag.sql}), 0) = 0`, params: flag.params });
+    excluded.push(id);
+  }
+
+  const units = Object.create(null);
+  for (const panel of ['visits', 'duration']) {
+    units[panel] = BUCKET_UNITS[buckets?.[panel]] ? buckets[panel] : 'hour';
+  }
+  const zone = queryZone(timezone);
+
+  return { src, cols, where, filters: applied, excluded, range: resolved, extent, units, zone };
+}
+
+/**
+ * WHERE clause + bind params for one aggregation. `extra` are parameterless
+ * conditions; `except` drops the filter on that role (cross-filter source).
+ */
+function whereClause(q, { extra = [], except = null } = {}) {
+  const parts = q.where.filter(w => w.role !== except);
+  const clauses = [...parts.map(w => w.sql), ...extra];
+  return {
+    sql: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '',
+    params: parts.flatMap(w => w.params)
+  };
+}
+
+function toIso(ms) {
+  return ms == null ? null : new Date(ms).toISOString();
+}
+
+/* ------------------------ AGGREGATIONS ------------------------ */
+
+/**
+ * Each panel is one step: PROGRESS is reported and CANCEL honoured between
+ * steps. Steps for unmapped roles are skipped and not counted.
+ */
+async function aggregateTable(q) {
+  const { src, cols } = q;
+  const steps = [
+    cols.time && 'visits', cols.duration && 'duration', cols.status && 'states',
+    cols.operator && 'operators', cols.time && 'volume', q.bySite && cols.site && 'sites'
+  ].filter(Boolean);
+  const step = async (phase) => {
+    progress(phase, 100 * steps.indexOf(phase) / steps.length);
+    await checkpoint();
+  };
+
+  if (cols.time) await step('visits');
+  const visits   = cols.time     ? buildVisits(q, q.units.visits) : { series: [], truncated: false };
+  if (cols.duration) await step('duration');
+  const duration = cols.duration ? buildDuration(q, q.units.duration) : emptyDuration();
+  if (cols.status) await step('states');
+  const states   = cols.status   ? buildStates(q) : [];
+  if (cols.operator) await step('operators');
+  const { operators, roles } = cols.operator ? buildWorkload(q) : { operators: [], roles: [] };
+  if (cols.time) await step('volume');
+  const volume   = cols.time     ? buildVolume(q) : emptyVolume(q.rateWindow);
+  if (q.bySite && cols.site) await step('sites');
+  const bySite   = q.bySite && cols.site ? buildBySite(q, duration) : null;
+  const privacy  = q.privacy ? await protectResult(q, { states, operators, roles, bySite, duration }) : null;
+  progress('done', 100);
+
+  const mapping = { table: src.table, joins: src.joins };
+  for (const role of Object.keys(ROLES)) mapping[role] = cols[role]?.key ?? null;
+
+  return {
+    visits: visits.series,
+    duration,
+    states,
+    operators,
+    roles,
+    workload: { shiftHours: q.shiftHours, shiftStartHour: SHIFT_START_HOUR, perShift: !!cols.time },
+    volume,
+    bySite,
+    largeFile: largeFileStats(),
+    mapping,
+    filters: q.filters,
+    excluded: q.excluded,
+    privacy,
+    timezone: q.zone.name,
+    timeFormat: q.cols.time
+      ? { format: q.cols.time.format, source: q.cols.time.formatSource, ambiguous: q.cols.time.formatAmbiguous }
+      : null,
+    range: { preset: q.range.preset, from: toIso(q.range.from), to: toIso(q.range.to) },
+    extent: { min: toIso(q.extent.min), max: toIso(q.extent.max) },
+    buckets: {
+      visits: { unit: q.units.visits, truncated: visits.truncated },
+      duration: { unit: q.units.duration, truncated: duration.truncated }
+    }
+  };
+}
+
+/* ------------------------ METRICS ------------------------ */
+
+/**
+ * The same panels once per site (largest sites first), aligned with the
+ * combined result so the app can stack or split them: series share the
+ * combined buckets / rate samples and duration counts use the combined bins.
+ */
+function buildBySite(q, duration) {
+  const col = q.cols.site;
+  const w = whereClause(q);
+  const stmt = db.prepare(
+    `SELECT ${col.expr}, COUNT(*) FROM ${q.src.from} ${w.sql}
+     GROUP BY ${col.expr} ORDER BY COUNT(*) DESC LIMIT ?`
+  );
+  stmt.bind([...w.params, MAX_SITES + 1]);
+  const groups = [];
+  while (stmt.step()) {
+    const [k, v] = stmt.get();
+    groups.push({ site: String(k ?? 'UNKNOWN'), ...filterKey(k), rows: v });
+  }
+  stmt.free();
+
+  // Pin the window so every site gets the combined buckets and rate samples
+  const range = { ...q.range, from: q.range.from ?? q.extent.min, to: q.range.to ?? q.extent.max };
+
+  const list = groups.slice(0, MAX_SITES).map(g => {
+    const sq = { ...q, range, where: [...q.where, { role: 'site-split', sql: `${col.expr} IS ?`, params: [g.key] }] };
+    const volume = q.cols.time ? buildVolume(sq) : emptyVolume(q.rateWindow);
+    const workload = q.cols.operator ? buildWorkload(sq) : { operators: [], roles: [] };
+    return {
+      site: g.site,
+      key: g.key,
+      ...(g.blob && { blob: true }),
+      visits: q.cols.time ? buildVisits(sq, q.units.visits).series.map(d => d.value) : [],
+      states: q.cols.status ? buildStates(sq) : [],
+      operators: workload.operators,
+      roles: workload.roles,
+      duration: q.cols.duration ? buildSiteDuration(sq, duration) : { stats: null, histogram: [] },
+      volume: { series: volume.series.map(d => d.value), peak: volume.peak }
+    };
+  });
+
+  return { sites: list, truncated: groups.length > MAX_SITES };
+}
+
+/**
+ * Duration summary for one site in the combined result's unit, with counts
+ * per combined histogram bin.
+ */
+function buildSiteDuration(q, combined) {
+  const col = q.cols.duration;
+  const w = whereClause(q, { extra: [`mu_num(${col.expr}) >= 0`] });
+  const stmt = db.prepare(`SELECT mu_num(${col.expr}) FROM ${q.src.from} ${w.sql}`);
+  stmt.bind(w.params);
+  const perMinute = DURATION_UNITS[combined.sourceUnit]?.perMinute ?? 1;
+  const values = [];
+  while (stmt.step()) values.push(stmt.get()[0] / perMinute);
+  stmt.free();
+
+  const sorted = sortNumeric(values);
+  const bins = combined.histogram;
+  const counts = bins.map(() => 0);
+  for (const v of sorted) {
+    const i = bins.findIndex((b, n) => v < b.x1 || n === bins.length - 1);
+    if (i !== -1) counts[i]++;
+  }
+  return { stats: sorted.length ? summarize(sorted, true) : null, histogram: counts };
+}
+
+function buildVisits(q, unit) {
+  const col = q.cols.time;
+  const w = whereClause(q);
+  const stmt = db.prepare(
+    `SELECT ${bucketExpr(col)}, COUNT(*) FROM ${q.src.from} ${w.sql}
+     GROUP BY 1`
+  );
+  stmt.bind([unit, q.zone.name, ...w.params]);
+
+  // Positional GROUP BY: an alias could resolve to a source column of the same name
+  const counts = new Map();
+  while (stmt.step()) {
+    const [b, v] = stmt.get();
+    if (b != null) counts.set(b, v);
+  }
+  stmt.free();
+
+  // Buckets without events are reported as 0 so gaps stay visible
+  const { times, truncated } = bucketTimes(q, unit);
+  return {
+    series: times.map(t => ({ date: toIso(t), value: counts.get(t) || 0 })),
+    truncated
+  };
+}
+
+/**
+ * Every bucket start across the query window (dense, oldest first).
+ */
+function bucketTimes(q, unit) {
+  const from = q.range.from ?? q.extent.min;
+  const to = q.range.to ?? q.extent.max;
+  if (from == null || to == null) return { times: [], truncated: false };
+
+  const spec = BUCKET_UNITS[unit];
+  let start = from;
+  let truncated = false;
+  if ((to - from) / spec.approxMs > MAX_BUCKETS) {
+    start = to - MAX_BUCKETS * spec.approxMs;
+    truncated = true;
+  }
+
+  const times = [];
+  for (let t = spec.floor(start, q.zone); t <= to; t = nextBucket(spec, t, q.zone)) times.push(t);
+  return { times, truncated };
+}
+
+function emptyVolume(windowMinutes) {
+  return { windowMinutes, series: [], peak: null, mean: null, interArrival: { unit: 's', stats: null, histogram: [] } };
+}
+
+/**
+ * Event rate from raw timestamps: events per minute over a rolling window
+ * (sampled to at most MAX_RATE_POINTS), the exact peak window and the
+ * distribution of gaps between consecutive events.
+ */
+function buildVolume(q) {
+  const col = q.cols.time;
+  const w = whereClause(q, { extra: [`${tsExpr(col)} IS NOT NULL`] });
+  const stmt = db.prepare(
+    `SELECT ${tsExpr(col)} AS t FROM ${q.src.from} ${w.sql} ORDER BY t ASC`
+  );
+  stmt.bind(w.params);
+
+  const times = [];
+  while (stmt.step()) times.push(stmt.get()[0]);
+  stmt.free();
+
+  const windowMs = q.rateWindow * MINUTE_MS;
+  if (!times.length) return emptyVolume(q.rateWindow);
+
+  const first = q.range.from ?? times[0];
+  const last = q.range.to ?? times[times.length - 1];
+  const span = Math.max(windowMs, last - first);
+
+  // Rolling count in (t - window, t], two pointers over the sorted times. A
+  // span shorter than one window still gets its single point at `last`.
+  const step = Math.max(MINUTE_MS, Math.ceil(span / MAX_RATE_POINTS / MINUTE_MS) * MINUTE_MS);
+  const series = [];
+  let lo = 0;
+  let hi = 0;
+  for (let t = Math.min(first + windowMs, last); t <= last + step - 1; t += step) {
+    const end = Math.min(t, last);
+    while (hi < times.length && times[hi] <= end) hi++;
+    while (lo < hi && times[lo] <= end - windowMs) lo++;
+    series.push({ date: toIso(end), value: round2((hi - lo) / q.rateWindow) });
+    if (end === last) break;
+  }
+
+  // Exact peak: every event is tried as the end of a window
+  let peakCount = 0;
+  let peakAt = times[0];
+  lo = 0;
+  for (let i = 0; i < times.length; i++) {
+    while (times[lo] <= times[i] - windowMs) lo++;
+    if (i - lo + 1 > peakCount) {
+      peakCount = i - lo + 1;
+      peakAt = times[i];
+    }
+  }
+
+  const gaps = [];
+  for (let i = 1; i < times.length; i++) gaps.push((times[i] - times[i - 1]) / 1000);
+  const sortedGaps = sortNumeric(gaps);
+
+  return {
+    windowMinutes: q.rateWindow,
+    series,
+    peak: { date: toIso(peakAt), value: round2(peakCount / q.rateWindow) },
+    mean: round2(times.length / Math.max(1, span / MINUTE_MS)),
+    interArrival: {
+      unit: 's',
+      stats: sortedGaps.length ? summarize(sortedGaps, true) : null,
+      histogram: histogram(sortedGaps)
+    }
+  };
+}
+
+function emptyDuration() {
+  return { unit: 'min', sourceUnit: null, unitDetectedBy: null, stats: null, negative: 0, histogram: [], trend: [], byStatus: [], suppressed: 0, truncated: false };
+}
+
+/**
+ * Visit-duration distribution over the query window: summary statistics,
+ * histogram, median per time bucket and (if mapped) per workflow status.
+ * Negative values can't be durations; they are counted, not used.
+ */
+function buildDuration(q, unit) {
+  const col = q.cols.duration;
+  const statusExpr = q.cols.status ? q.cols.status.expr : 'NULL';
+  const bucket = q.cols.time ? bucketExpr(q.cols.time) : 'NULL';
+
+  const w = whereClause(q, { extra: [`mu_num(${col.expr}) IS NOT NULL`] });
+  const stmt = db.prepare(
+    `SELECT mu_num(${col.expr}) AS v, ${statusExpr}, ${bucket} FROM ${q.src.from} ${w.sql}`
+  );
+  stmt.bind(q.cols.time ? [unit, q.zone.name, ...w.params] : w.params);
+
+  const raw = [];
+  const statuses = [];
+  const buckets = [];
+  let negative = 0;
+  while (stmt.step()) {
+    const [v, status, bucket] = stmt.get();
+    if (v < 0) { negative++; continue; }
+    raw.push(v);
+    statuses.push(status);
+    buckets.push(bucket);
+  }
+  stmt.free();
+
+  const { key: sourceUnit, detectedBy } = detectDurationUnit(
+    col,
+    () => (raw.length ? quantile(sortNumeric(raw.slice()), 0.5) : 0)
+  );
+  const perMinute = DURATION_UNITS[sourceUnit].perMinute;
+  const values = raw.map(v => v / perMinute);
+
+  // Median per time bucket; empty buckets stay null (a gap, not a zero-minute visit)
+  const perBucket = new Map();
+  values.forEach((v, i) => {
+    if (buckets[i] == null) return;
+    if (!perBucket.has(buckets[i])) perBucket.set(buckets[i], []);
+    perBucket.get(buckets[i]).push(v);
+  });
+  const { times, truncated } = q.cols.time ? bucketTimes(q, unit) : { times: [], truncated: false };
+  const trend = times.map(t => {
+    const group = perBucket.get(t);
+    return { date: toIso(t), median: group ? round2(quantile(sortNumeric(group), 0.5)) : null, count: group ? group.length : 0 };
+  });
+
+  // Per-status breakdown, largest groups first
+  const byStatusMap = new Map();
+  if (q.cols.status) {
+    values.forEach((v, i) => {
+      const key = String(statuses[i] ?? 'UNKNOWN');
+      if (!byStatusMap.has(key)) byStatusMap.set(key, []);
+      byStatusMap.get(key).push(v);
+    });
+  }
+  let groups = [...byStatusMap.entries()]
+    .sort((a, b) => b[1].length - a[1].length)
+    .slice(0, MAX_STATUS_SPLIT);
+  let suppressed = 0;
+  if (q.privacy?.minCell) {
+    const { kept, merged } = suppressSmall(groups, g => g[1].length, q.privacy.minCell);
+    const pooled = merged.flatMap(g => g[1]);
+    groups = pooled.length >= q.privacy.minCell ? [...kept, [SUPPRESSED_LABEL, pooled]] : kept;
+    suppressed = merged.length;
+  }
+  const byStatus = groups.map(([status, group]) => ({ status, ...summarize(group) }));
+
+  const sorted = sortNumeric(values);
+  return {
+    unit: 'min',
+    sourceUnit,
+    unitDetectedBy: detectedBy,
+    stats: sorted.length ? summarize(sorted, true) : null,
+    negative,
+    histogram: histogram(sorted),
+    trend,
+    byStatus,
+    suppressed,
+    truncated
+  };
+}
+
+// `medianOf()` is only called when the column name doesn't give the unit away
+function detectDurationUnit(col, medianOf) {
+  for (const [key, spec] of Object.entries(DURATION_UNITS)) {
+    if (col.tokens.some(t => spec.tokens.includes(t))) return { key, detectedBy: 'name' };
+  }
+  // Typical visits last minutes to hours: pick the unit that makes the median plausible
+  const median = medianOf();
+  if (median > 10000) return { key: 'ms', detectedBy: 'magnitude' };
+  if (median > 600) return { key: 's', detectedBy: 'magnitude' };
+  return { key: 'min', detectedBy: 'magnitude' };
+}
+
+function sortNumeric(values) {
+  return values.sort((a, b) => a - b);
+}
+
+// Linear interpolation between closest ranks (same as d3.quantile)
+function quantile(sorted, p) {
+  if (!sorted.length) return null;
+  const i = (sorted.length - 1) * p;
+  const lo = Math.floor(i);
+  const hi = Math.ceil(i);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (i - lo);
+}
+
+function round2(v) {
+  return v == null ? null : Math.round(v * 100) / 100;
+}
+
+function summarize(values, isSorted = false) {
+  const sorted = isSorted ? values : sortNumeric(values.slice());
+  const sum = sorted.reduce((acc, v) => acc + v, 0);
+  return {
+    count: sorted.length,
+    mean: round2(sum / sorted.length),
+    median: round2(quantile(sorted, 0.5)),
+    p90: round2(quantile(sorted, 0.9)),
+    p95: round2(quantile(sorted, 0.95)),
+    max: round2(sorted[sorted.length - 1])
+  };
+}
+
+// 1, 2, 5 or 10 × 10^n, whichever is nearest to span / count: the bin
+// count can land somewhat above or below `count`
+function niceStep(span, count) {
+  const raw = span / count;
+  const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+  const norm = raw / mag;
+  // A tie (1.5, 3.5, 7.5) goes to the wider step
+  const nice = [1, 2, 5, 10].reduce((best, c) => (Math.abs(c - norm) <= Math.abs(best - norm) ? c : best));
+  return nice * mag;
+}
+
+/**
+ * Fixed-width bins from 0 up to the 99th percentile; the long tail is folded
+ * into the last bin (flagged `overflow`) so one outlier can't flatten the chart.
+ */
+function histogram(sorted) {
+  if (!sorted.length) return [];
+  const top = quantile(sorted, 0.99) || sorted[sorted.length - 1] || 1;
+  const step = niceStep(top, HISTOGRAM_BINS);
+  const bins = Math.max(1, Math.ceil(top / step));
+
+  const out = Array.from({ length: bins }, (_, i) => ({ x0: round2(i * step), x1: round2((i + 1) * step), count: 0 }));
+  for (const v of sorted) {
+    const i = Math.min(bins - 1, Math.floor(v / step));
+    out[i].count++;
+  }
+  if (sorted[sorted.length - 1] >= bins * step) out[bins - 1].overflow = true;
+  return out;
+}
+
+/**
+ * Filter key of a grouped value. Blobs can't be bound back as filter
+ * parameters: their rows are flagged `blob` and the app won't filter on them.
+ */
+function filterKey(k) {
+  return k instanceof Uint8Array ? { key: null, blob: true } : { key: k };
+}
+
+function buildStates(q) {
+  const col = q.cols.status;
+  const w = whereClause(q, { except: 'status' });
+  const stmt = db.prepare(
+    `SELECT ${col.expr}, COUNT(*) FROM ${q.src.from} ${w.sql}
+     GROUP BY ${col.expr} ORDER BY COUNT(*) DESC LIMIT ?`
+  );
+  stmt.bind([...w.params, MAX_GROUP_ROWS]);
+
+  // `key` is the raw value, echoed back verbatim when this row becomes a filter
+  const out = [];
+  while (stmt.step()) {
+    const [k, v] = stmt.get();
+    out.push({ category: String(k ?? 'UNKNOWN'), ...filterKey(k), value: v });
+  }
+  stmt.free();
+  return out;
+}
+
+/**
+ * Staff workload: events and worked shifts per staff member, then summed
+ * per role. A shift counts when the member logged at least one event in
+ * it, so events per staff-shift compare a ward of 2 with a ward of 10.
+ * Roles are only reported when a role column or name -> role map exists.
+ */
+function buildWorkload(q) {
+  const col = q.cols.operator;
+  const w = whereClause(q, { except: 'operator' });
+  const shift = q.cols.time ? shiftExpr(q.cols.time) : 'NULL';
+  // Roles come from staff records, so they are constant per person; MAX picks one if not
+  const stored = q.cols.staffRole ? `MAX(${q.cols.staffRole.expr})` : 'NULL';
+  const stmt = db.prepare(
+    `SELECT ${col.expr}, COUNT(*), COUNT(DISTINCT ${shift}), ${stored} FROM ${q.src.from} ${w.sql}
+     GROUP BY ${col.expr} ORDER BY COUNT(*) DESC`
+  );
+  stmt.bind(q.cols.time ? [q.zone.name, q.shiftHours, ...w.params] : w.params);
+
+  const hasRoles = !!q.cols.staffRole || q.roleMap.size > 0;
+  // `key` is the raw value, echoed back verbatim when this row becomes a filter
+  const people = [];
+  while (stmt.step()) {
+    const [k, events, shifts, role] = stmt.get();
+    const { key, blob } = filterKey(k);
+    people.push({
+      name: String(k ?? 'SYSTEM'),
+      key,
+      ...(blob && { blob }),
+      value: events,
+      role: hasRoles ? roleOf(q.roleMap, key, role) : null,
+      shifts,
+      perShift: perShift(events, shifts)
+    });
+  }
+  stmt.free();
+
+  const roles = new Map();
+  if (hasRoles) {
+    for (const p of people) {
+      const r = roles.get(p.role) || { role: p.role, value: 0, staff: 0, shifts: 0 };
+      r.value += p.value;
+      r.staff += 1;
+      r.shifts += p.shifts;
+      roles.set(p.role, r);
+    }
+  }
+
+  return {
+    operators: people.slice(0, MAX_GROUP_ROWS),
+    roles: [...roles.values()]
+      .map(r => ({ ...r, perShift: perShift(r.value, r.shifts) }))
+      .sort((a, b) => b.value - a.value)
+  };
+}
+
+function perShift(events, shifts) {
+  return shifts ? round2(events / shifts) : null;
+}
+
+// The user's map wins (it corrects the export), then the stored role
+function roleOf(roleMap, key, stored) {
+  const mapped = key == null ? null : roleMap.get(String(key));
+  if (mapped) return mapped;
+  const text = stored == null || stored instanceof Uint8Array ? '' : String(stored).trim();
+  return text ? text.slice(0, MAX_ROLE_LENGTH) : UNASSIGNED_ROLE;
+}
+
+/**
+ * Name -> role map from the app ({ [stored staff value]: role }); blank
+ * roles are ignored so clearing an entry falls back to the role column.
+ */
+function roleMapOf(raw) {
+  const map = new Map();
+  if (raw == null) return map;
+  if (typeof raw !== 'object' || Array.isArray(raw)) throw new Error('INVALID_ROLE_MAP');
+  const entries = Object.entries(raw);
+  if (entries.length > MAX_ROLE_MAP) throw new Error('INVALID_ROLE_MAP');
+  for (const [name, role] of entries) {
+    if (typeof role !== 'string' || role.length > MAX_ROLE_LENGTH) throw new Error('INVALID_ROLE_MAP');
+    if (role.trim()) map.set(name, role.trim());
+  }
+  return map;
+}
+
+/* ------------------------ PRIVACY ------------------------ */
+
+/**
+ * Privacy options of an aggregation: { pseudonymize, minCell, salt }, or
+ * null when no protection was asked for. Pseudonyms need the session salt
+ * so they stay stable across requests (and the comparison worker).
+ */
+function privacyOptions(privacy) {
+  if (!privacy || (!privacy.pseudonymize && !privacy.minCell)) return null;
+  const minCell = Number(privacy.minCell ?? 0);
+  if (!Number.isInteger(minCell) || minCell < 0 || minCell > MAX_MIN_CELL) throw new Error('INVALID_PRIVACY');
+  const pseudonymize = !!privacy.pseudonymize;
+  if (pseudonymize && (typeof privacy.salt !== 'string' || privacy.salt.length < MIN_SALT_LENGTH)) {
+    throw new Error('INVALID_PRIVACY');
+  }
+  return { pseudonymize, minCell, salt: pseudonymize ? privacy.salt : null };
+}
+
+/**
+ * Stable pseudonym for a staff value: a salted SHA-256, so names can't be
+ * recovered from a report without the session salt (which never leaves
+ * memory). SubtleCrypto is required; without it privacy mode fails closed.
+ */
+async function pseudonymOf(value, salt) {
+  const key = `${salt}\u0000${value}`;
+  let name = pseudonyms.get(key);
+  if (name) return name;
+  if (!self.crypto?.subtle) throw new Error('PSEUDONYMS_UNAVAILABLE');
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(key));
+  const hex = [...new Uint8Array(digest, 0, 4)].map(b => b.toString(16).padStart(2, '0')).join('');
+  name = PSEUDONYM_PREFIX + hex.toUpperCase();
+  pseudonyms.set(key, name);
+  return name;
+}
+
+/**
+ * Staff filters arrive as pseudonyms (the keys the app was shown); map them
+ * back to stored values by pseudonymizing every distinct staff value.
+ * Values that are not a known pseudonym pass through unchanged.
+ */
+async function unmaskFilters(src, cols, filters, privacy) {
+  const list = Array.isArray(filters) ? filters : [];
+  if (!privacy?.pseudonymize || !cols.operator || !list.some(f => f?.role === 'operator')) return list;
+
+  const col = cols.operator;
+  const stmt = db.prepare(`SELECT DISTINCT ${col.expr} FROM ${src.from} WHERE ${col.expr} IS NOT NULL`);
+  const values = [];
+  while (stmt.step()) values.push(stmt.get()[0]);
+  stmt.free();
+
+  const raw = new Map();
+  for (const v of values) {
+    if (v instanceof Uint8Array) continue;
+    raw.set(await pseudonymOf(v, privacy.salt), v);
+  }
+  return list.map(f => (f?.role === 'operator' && raw.has(f.value) ? { ...f, value: raw.get(f.value) } : f));
+}
+
+/**
+ * Groups (largest first) under `minCell` merge into one suppressed group.
+ * If that group would still be small, the smallest shown groups join it:
+ * a lone small remainder could otherwise be read off by subtraction.
+ */
+function suppressSmall(groups, size, minCell) {
+  const kept = groups.filter(g => size(g) >= minCell);
+  const merged = groups.filter(g => size(g) < minCell);
+  let total = merged.reduce((acc, g) => acc + size(g), 0);
+  while (merged.length && total < minCell && kept.length) {
+    const g = kept.pop();
+    merged.push(g);
+    total += size(g);
+  }
+  return { kept, merged, total };
+}
+
+// Category counts with small cells merged; a merged total still under the threshold is dropped
+function suppressCounts(rows, label, minCell) {
+  if (!minCell) return { rows, suppressed: 0 };
+  const { kept, merged, total } = suppressSmall(rows, r => r.value, minCell);
+  if (!merged.length) return { rows, suppressed: 0 };
+  const other = { [label]: SUPPRESSED_LABEL, key: null, value: total, suppressed: true };
+  // Workload rows keep their per-shift rate
+  for (const field of ['staff', 'shifts']) {
+    if (merged.some(r => r[field] != null)) other[field] = merged.reduce((acc, r) => acc + (r[field] || 0), 0);
+  }
+  if (other.shifts != null) other.perShift = perShift(total, other.shifts);
+  return { rows: total >= minCell ? [...kept, other] : kept, suppressed: merged.length };
+}
+
+async function pseudonymizeOperators(rows, salt) {
+  for (const r of rows) {
+    // NULL staff is the SYSTEM row, not a person
+    if (r.key == null || r.suppressed) continue;
+    r.name = await pseudonymOf(r.key, salt);
+    r.key = r.name;
+  }
+}
+
+/**
+ * Apply the request's privacy options to a finished aggregation, in place:
+ * staff names become pseudonyms (panels, per-site lists and the echoed
+ * filters) and small status / staff / role counts are suppressed. Returns what
+ * was applied, for the app's indicator and the export manifest.
+ */
+async function protectResult(q, result) {
+  const { pseudonymize, minCell, salt } = q.privacy;
+  const suppressed = { states: 0, operators: 0, roles: 0, durationByStatus: result.duration.suppressed || 0 };
+
+  const lists = [result, ...(result.bySite ? result.bySite.sites : [])];
+  for (const list of lists) {
+    if (pseudonymize) await pseudonymizeOperators(list.operators, salt);
+    const states = suppressCounts(list.states, 'category', minCell);
+    const operators = suppressCounts(list.operators, 'name', minCell);
+    const roles = suppressCounts(list.roles, 'role', minCell);
+    list.states.splice(0, Infinity, ...states.rows);
+    list.operators.splice(0, Infinity, ...operators.rows);
+    list.roles.splice(0, Infinity, ...roles.rows);
+    if (list === result) {
+      suppressed.states = states.suppressed;
+      suppressed.operators = operators.suppressed;
+      suppressed.roles = roles.suppressed;
+    }
+  }
+
+  if (pseudonymize) {
+    for (const f of q.filters) {
+      if (f.role === 'operator' && f.value != null) f.value = await pseudonymOf(f.value, salt);
+    }
+  }
+  return { pseudonymized: pseudonymize, minCell, suppressed };
+}
+
+/* ------------------------ DATA QUALITY ------------------------ */
+
+/**
+ * Row-level checks. Each flags rows with a SQL predicate over one mapped
+ * role (or, for duplicates, the whole primary row), so the audit counts and
+ * "exclude flagged rows" read exactly the same definition.
+ */
+const QUALITY_CHECKS = {
+  time_unparsed: {
+    role: 'time',
+    flag: (src, col) => ({ sql: `${col.expr} IS NOT NULL AND TRIM(${col.expr}) <> '' AND ${tsExpr(col)} IS NULL`, params: [] })
+  },
+  time_future: {
+    role: 'time',
+    flag: (src, col) => ({ sql: `${tsExpr(col)} > ?`, params: [Date.now()] })
+  },
+  time_before_2000: {
+    role: 'time',
+    flag: (src, col) => ({ sql: `${tsExpr(col)} < ?`, params: [MIN_PLAUSIBLE_TS] })
+  },
+  duration_negative: {
+    role: 'duration',
+    flag: (src, col) => ({ sql: `mu_num(${col.expr}) < 0`, params: [] })
+  },
+  duration_extreme: {
+    role: 'duration',
+    flag: (src, col) => ({
+      sql: `mu_num(${col.expr}) > ?`,
+      params: [MAX_PLAUSIBLE_DURATION_MIN * DURATION_UNITS[durationUnitOf(src, col)].perMinute]
+    })
+  },
+  status_singleton: {
+    role: 'status',
+    flag: (src, col) => ({
+      sql: `${col.expr} IN (SELECT ${col.expr} FROM ${src.from} GROUP BY ${col.expr} HAVING COUNT(*) = 1)`,
+      params: []
+    })
+  },
+  duplicate_rows: {
+    role: null,
+    // Every copy after the first (lowest rowid) of an identical primary row
+    flag: (src) => {
+      const names = duplicateColumns(src);
+      if (!names.length) return null;
+      return {
+        sql: `t.rowid NOT IN (SELECT MIN(rowid) FROM ${escapeId(src.table)} GROUP BY ${names.map(escapeId).join(', ')})`,
+        params: []
+      };
+    }
+  }
+};
+
+/**
+ * Predicate for one check, or null when its role isn't mapped.
+ */
+function qualityFlag(id, src, cols) {
+  const check = QUALITY_CHECKS[id];
+  if (!check) throw new Error('INVALID_EXCLUSION');
+  if (check.role && !cols[check.role]) return null;
+  return check.flag(src, cols[check.role]);
+}
+
+/**
+ * Primary-table columns compared for duplicates. Primary keys are left out
+ * (every copy gets its own id on insert); tables without a rowid can't be
+ * checked. Neither can large-file mode: past the sample rows the unstaged
+ * columns are NULL, so rows differing only there would look identical.
+ */
+function duplicateColumns(src) {
+  if (lazy) return [];
+  try {
+    db.prepare(`SELECT rowid FROM ${escapeId(src.table)} LIMIT 0`).free();
+  } catch (_) {
+    return [];
+  }
+  return columnInfo(db, src.table).filter(c => !c.pk).map(c => c.name);
+}
+
+/**
+ * Duration unit over the whole table (buildDuration detects it per query
+ * window; the extreme-duration limit must not move with the range). The
+ * median is taken in SQL: the values never leave SQLite.
+ */
+function durationUnitOf(src, col) {
+  return detectDurationUnit(col, () => {
+    const values = `SELECT mu_num(${col.expr}) AS v FROM ${src.from} WHERE mu_num(${col.expr}) >= 0`;
+    const count = scalar(`SELECT COUNT(*) FROM (${values})`);
+    if (!count) return 0;
+    // The middle value, or the mean of the two middle ones
+    return scalar(`SELECT AVG(v) FROM (${values} ORDER BY v LIMIT ? OFFSET ?)`, [2 - (count % 2), Math.floor((count - 1) / 2)]);
+  }).key;
+}
+
+function severityOf(count, rate, bands) {
+  if (!count) return 'ok';
+  if (rate >= bands.alert) return 'alert';
+  return rate >= bands.warn ? 'warn' : 'ok';
+}
+
+async function auditMapped(mapping, timezone) {
+  const cols = mappedColumns(mapping, timezone);
+  if (!Object.keys(cols).length) throw new Error('INVALID_MAPPING');
+  if (lazy) await stageSource(source, cols);
+  return await buildAudit(source, cols);
+}
+
+/**
+ * Quality report for the primary table (whole export, no range or filters):
+ * empty values per mapped column, then row counts for every applicable
+ * check. Rates are shares of all rows.
+ */
+async function buildAudit(src, cols) {
+  const roles = Object.keys(cols);
+  const ids = Object.keys(QUALITY_CHECKS);
+  const total = roles.length + ids.length;
+  const rowCount = scalar(`SELECT COUNT(*) FROM ${src.from}`);
+  const rate = (n) => (rowCount ? n / rowCount : 0);
+
+  const columns = [];
+  for (const [i, role] of roles.entries()) {
+    progress('audit', 100 * i / total);
+    await checkpoint();
+    const e = cols[role].expr;
+    const stmt = db.prepare(
+      `SELECT COALESCE(SUM(${e} IS NULL), 0), COALESCE(SUM(typeof(${e}) = 'text' AND TRIM(${e}) = ''), 0) FROM ${src.from}`
+    );
+    stmt.step();
+    const [nulls, empties] = stmt.get();
+    stmt.free();
+    const share = rate(nulls + empties);
+    columns.push({ role, key: cols[role].key, nulls, empties, rate: share, severity: severityOf(nulls + empties, share, EMPTY_SEVERITY) });
+  }
+
+  const checks = [];
+  for (const [i, id] of ids.entries()) {
+    progress('audit', 100 * (roles.length + i) / total);
+    await checkpoint();
+    const flag = qualityFlag(id, src, cols);
+    if (!flag) continue;
+    const count = scalar(`SELECT COUNT(*) FROM ${src.from} WHERE ${flag.sql}`, flag.params);
+    const check = { id, count, rate: rate(count), severity: severityOf(count, rate(count), FLAGGED_SEVERITY) };
+    if (id === 'duplicate_rows') check.columns = duplicateColumns(src);
+    if (id === 'status_singleton' && count) check.samples = qualitySamples(src, cols.status, flag);
+    checks.push(check);
+  }
+  progress('done', 100);
+
+  return {
+    table: src.table,
+    rowCount,
+    columns,
+    checks,
+    auditedAt: toIso(Date.now())
+  };
+}
+
+function qualitySamples(src, col, flag) {
+  const stmt = db.prepare(`SELECT DISTINCT ${col.expr} FROM ${src.from} WHERE ${flag.sql} LIMIT ?`);
+  stmt.bind([...flag.params, MAX_QUALITY_SAMPLES]);
+  const out = [];
+  while (stmt.step()) out.push(previewValue(stmt.get()[0]));
+  stmt.free();
+  return out;
+}
+
+/* ------------------------ DATE NORMALIZATION ------------------------ */
+
+const ISO_DATE = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:[.,](\d{1,9}))?)?)?\s*(Z|[+-]\d{2}(?::?\d{2})?)?$/i;
+const PART_DATE = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})(?:[T ,]+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(?:([ap])\.?m\.?)?)?$/i;
+const NUMERIC_TEXT = /^\s*-?\d+(?:\.\d+)?\s*$/;
+
+/**
+ * Time column formats, in the order detection prefers them on a tie.
+ * `parse(value, zone)` returns epoch ms or null. Text without an offset and
+ * Excel serials are wall times on `zone`'s clock (see zoneFor); epoch
+ * numbers and SQLite Julian days are UTC. Detection only compares shares
+ * of plausible dates, so it parses on the worker's clock.
+ */
+const DATE_FORMATS = {
+  iso: { parse: (v, zone) => parseIsoDate(v, zone) },
+  dmy: { parse: (v, zone) => parsePartDate(v, 'dmy', zone) },
+  mdy: { parse: (v, zone) => parsePartDate(v, 'mdy', zone) },
+  epoch_s: { parse: v => scaled(v, n => n * 1000) },
+  epoch_ms: { parse: v => scaled(v, n => n) },
+  julian: { parse: v => scaled(v, n => (n - JULIAN_UNIX_EPOCH) * DAY_MS) },
+  excel: { parse: (v, zone = queryZone()) => scaled(v, n => zone.fromWall((n - EXCEL_UNIX_EPOCH) * DAY_MS)) }
+};
+
+function numberOf(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  return typeof value === 'string' && NUMERIC_TEXT.test(value) ? Number(value) : null;
+}
+
+function scaled(value, toMs) {
+  const n = numberOf(value);
+  return n == null ? null : Math.round(toMs(n));
+}
+
+/**
+ * Calendar fields to epoch ms; null for impossible dates (31/02) or times.
+ * `offset` is an ISO suffix (Z, +02, -05:30); without one the fields are
+ * wall time on `zone`'s clock.
+ */
+function fieldsToMs(year, month, day, hour = 0, minute = 0, second = 0, ms = 0, offset = null, zone = queryZone()) {
+  if (month < 1 || month > 12 || day < 1 || hour > 23 || minute > 59 || second > 59) return null;
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second, ms);
+  if (new Date(wall).getUTCDate() !== day) return null;
+  if (offset == null) return zone.fromWall(wall);
+  const m = /^([+-])(\d{2}):?(\d{2})?$/.exec(offset);
+  if (!m) return wall; // Z
+  const minutes = Number(m[2]) * 60 + Number(m[3] || 0);
+  return wall - (m[1] === '-' ? -1 : 1) * minutes * MINUTE_MS;
+}
+
+function parseIsoDate(value, zone) {
+  if (typeof value !== 'string') return null;
+  const m = ISO_DATE.exec(value.trim());
+  if (!m) return null;
+  const ms = m[7] ? Math.round(Number(`0.${m[7]}`) * 1000) : 0;
+  return fieldsToMs(+m[1], +m[2], +m[3], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0), ms, m[8] || null, zone);
+}
+
+/**
+ * dd/mm/yyyy or mm/dd/yyyy with /, . or - separators, an optional time
+ * and an optional AM/PM marker. Two-digit years fall in 1970..2069.
+ */
+function parsePartDate(value, order, zone) {
+  if (typeof value !== 'string') return null;
+  const m = PART_DATE.exec(value.trim());
+  if (!m) return null;
+  const [day, month] = order === 'dmy' ? [+m[1], +m[2]] : [+m[2], +m[1]];
+  let year = +m[3];
+  if (m[3].length === 2) year += year < 70 ? 2000 : 1900;
+  let hour = +(m[4] || 0);
+  if (m[7]) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (/p/i.test(m[7]) ? 12 : 0);
+  }
+  return fieldsToMs(year, month, day, hour, +(m[5] || 0), +(m[6] || 0), 0, null, zone);
+}
+
+function isPlausibleDate(ms) {
+  return ms != null && ms >= PLAUSIBLE_DATE_MIN && ms < PLAUSIBLE_DATE_MAX;
+}
+
+/**
+ * `value` in a DATE_FORMATS format as a Date, offset-less wall times read
+ * on `zone`'s clock. 'auto' (SQL console, or a column where detection found
+ * nothing) keeps the old heuristic: large numbers are epoch ms or seconds,
+ * ISO text is read in `zone`, anything else goes through `new Date`.
+ */
+function normalizeDate(value, format = 'auto', zone = queryZone()) {
+  if (value == null || value === '') return null;
+
+  const spec = Object.hasOwn(DATE_FORMATS, format) ? DATE_FORMATS[format] : null;
+  if (spec) {
+    const ms = spec.parse(value, zone);
+    return ms == null || !Number.isFinite(ms) ? null : new Date(ms);
+  }
+
+  if (typeof value === 'number') {
+    if (value > 1e12) return new Date(value);          // ms
+    if (value > 1e9)  return new Date(value * 1000);   // seconds
+  }
+
+  const iso = parseIsoDate(value, zone);
+  if (iso != null) return new Date(iso);
+
+  const d = new Date(value);
+  return isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Dominant format of a column sample: the share of values each format
+ * reads as a plausible date, best first. Formats tied with the best (every
+ * 03/04/2024 is both day- and month-first) are reported as `ambiguous`
+ * instead of being resolved; the first of them applies until the user picks.
+ */
+function detectDateFormat(values) {
+  const present = values.filter(v => v != null && String(v).trim() !== '');
+  if (!present.length) return null;
+
+  const candidates = Object.keys(DATE_FORMATS)
+    .map(format => ({
+      format,
+      share: round2(present.filter(v => isPlausibleDate(DATE_FORMATS[format].parse(v))).length / present.length)
+    }))
+    .filter(c => c.share > 0)
+    .sort((a, b) => b.share - a.share);
+
+  const best = candidates[0];
+  if (!best || best.share < MIN_FORMAT_SHARE) {
+    return { format: 'auto', share: best ? best.share : 0, ambiguous: null, candidates };
+  }
+  const tied = candidates.filter(c => c.share === best.share).map(c => c.format);
+  return { format: best.format, share: best.share, ambiguous: tied.length > 1 ? tied : null, candidates };
+}
+
+/**
+ * Stricter than normalizeDate: only values that plausibly encode a
+ * timestamp (epoch numbers, Julian days, or strings with date separators).
+ * Excel serials are left out: they look just like counts and durations.
+ */
+function looksLikeDate(value) {
+  if (typeof value === 'number') {
+    return ['epoch_s', 'epoch_ms', 'julian'].some(f => isPlausibleDate(DATE_FORMATS[f].parse(value)));
+  }
+  if (typeof value !== 'string') return false;
+  if (!/\d{1,4}[-/.]\d{1,2}[-/.]\d{1,4}|\d{4}-\d{2}-\d{2}T/.test(value)) return false;
+  return ['iso', 'dmy', 'mdy'].some(f => DATE_FORMATS[f].parse(value) != null) || normalizeDate(value) !== null;
+}
+
+// mu_ts_as() call reading the mapped time column in its format and zone (see mappedColumns)
+function tsExpr(col) {
+  return `mu_ts_as(${col.expr}, '${col.format || 'auto'}', ${escapeText(col.zone || localZoneName())})`;
+}
+
+// mu_bucket() call for the mapped time column; binds unit and zone
+function bucketExpr(col) {
+  return `mu_bucket(${col.expr}, ?, ?, '${col.format || 'auto'}')`;
+}
+
+// mu_shift() call (shift index on the zone's clock); binds zone and shift hours
+function shiftExpr(col) {
+  return `mu_shift(${col.expr}, '${col.format || 'auto'}', ?, ?)`;
+}
+
+/* ------------------------ TIMEZONES ------------------------ */
+
+function mod(n, m) {
+  return ((n % m) + m) % m;
+}
+
+function localZoneName() {
+  localZone ??= Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  return localZone;
+}
+
+// Requests without a zone keep the old behaviour: the worker's own clock
+function queryZone(timezone) {
+  return zoneFor(typeof timezone === 'string' && timezone ? timezone : localZoneName());
+}
+
+/**
+ * Wall-clock arithmetic for 'UTC' or an IANA zone name. A wall time is
+ * epoch ms whose UTC fields read as the zone's clock; offsets come from
+ * Intl and are cached per quarter hour.
+ */
+function zoneFor(name) {
+  const key = typeof name === 'string' && name ? name : 'UTC';
+  let zone = zones.get(key);
+  if (zone) return zone;
+
+  let fmt = null;
+  if (key !== 'UTC') {
+    try {
+      fmt = new Intl.DateTimeFormat('en-US', {
+        timeZone: key, hourCycle: 'h23',
+        year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+      });
+    } catch (_) {
+      throw new Error('INVALID_TIMEZONE');
+    }
+  }
+
+  const slots = new Map();
+  const offset = (ms) => {
+    if (!fmt) return 0;
+    const slot = Math.floor(ms / ZONE_SLOT_MS);
+    let off = slots.get(slot);
+    if (off === undefined) {
+      const p = {};
+      for (const part of fmt.formatToParts(new Date(slot * ZONE_SLOT_MS))) p[part.type] = Number(part.value);
+      off = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - slot * ZONE_SLOT_MS;
+      if (slots.size >= MAX_ZONE_SLOTS) slots.clear();
+      slots.set(slot, off);
+    }
+    return off;
+  };
+
+  zone = {
+    name: key,
+    toWall: ms => ms + offset(ms),
+    // Two passes settle DST edges; a skipped wall time lands just after the gap
+    fromWall: wall => wall - offset(wall - offset(wall))
+  };
+  zones.set(key, zone);
+  return zone;
+}
+
+function wallMidnight(ms, zone) {
+  const wall = zone.toWall(ms);
+  return wall - mod(wall, DAY_MS);
+}
+
+/**
+ * Start of the bucket after `start`: half a unit past any DST-shortened or
+ * lengthened bucket, floored, so buckets never drift off the wall clock.
+ */
+function nextBucket(spec, start, zone) {
+  return spec.floor(start + spec.approxMs * 1.5, zone);
 }
\ No newline at end of file